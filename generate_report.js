@@ -43,7 +43,7 @@ async function generateSampleReport() {
         
         console.log('\n📝 Processing answers...');
         for (let i = 0; i < answers.length; i++) {
-            const result = sessionService.processAnswer(sessionId, answers[i]);
+            const result = await sessionService.processAnswer(sessionId, answers[i]);
             console.log(`   Q${i + 1}: "${answers[i]}" -> ${result.action}`);
             
             if (result.action === 'complete') {
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+const fs = require('fs-extra');
+const sessionService = require('./services/sessionService');
+const questionnaireService = require('./services/questionnaireService');
+const questionSetService = require('./services/questionSetService');
+
+const USAGE = `Usage:
+  node questionnaire.js export <questionSetId> [output.json]
+  node questionnaire.js import <questionnaire.json> [--id <questionSetId>] [--write] [--force]
+  node questionnaire.js roundtrip <questionSetId>
+
+export     Write a question set as a FHIR Questionnaire (to stdout without an output file)
+import     Convert a FHIR Questionnaire into a question set (printed, or added to data/questions.json with --write)
+roundtrip  Export a question set, import it again and list what changed`;
+
+// Notes go to stderr so export and import output can be redirected to a file
+function printList(title, entries, log = console.error) {
+    if (entries.length === 0) return;
+    log(`\n${title} (${entries.length}):`);
+    entries.forEach(entry => log(`   - ${entry}`));
+}
+
+function getQuestionSet(questionSetId) {
+    const questionSet = sessionService.questionsData.questionSets[questionSetId];
+    if (!questionSet) {
+        throw new Error(`Unknown question set "${questionSetId}". Available: ${Object.keys(sessionService.questionsData.questionSets).join(', ')}`);
+    }
+    return questionSet;
+}
+
+async function exportQuestionSet(questionSetId, output) {
+    const { questionnaire, unmapped, errors } = questionnaireService.toQuestionnaire(questionSetId, getQuestionSet(questionSetId));
+    const json = JSON.stringify(questionnaire, null, 2);
+
+    if (output) {
+        await fs.writeFile(output, `${json}\n`);
+        console.error(`✅ Exported "${questionSetId}" to ${output}`);
+    } else {
+        console.log(json);
+    }
+
+    printList('⚠️  Not mapped', unmapped);
+    printList('❌ Questionnaire validation', errors);
+    return errors.length === 0;
+}
+
+async function importQuestionnaire(file, options) {
+    const questionnaire = await fs.readJson(file);
+    const { questionSetId, questionSet, unmapped, errors } = questionnaireService.fromQuestionnaire(questionnaire, options.id);
+    const allErrors = errors.concat(sessionService.validateQuestionSets({ questionSets: { [questionSetId]: questionSet } }))
+        .filter((error, index, list) => list.indexOf(error) === index);
+
+    if (options.write && allErrors.length === 0) {
+        const existing = questionSetService.get(questionSetId);
+        if (existing && !options.force) {
+            throw new Error(`Question set "${questionSetId}" already exists. Use --force to replace it or --id to import under another ID`);
+        }
+        // A replacement without a higher version becomes the next version of the set
+        const { version, ...unversioned } = questionSet;
+        const result = existing
+            ? await questionSetService.replace(questionSetId, version > existing.version ? questionSet : unversioned)
+            : await questionSetService.create(questionSetId, questionSet);
+        if (result.action === 'error') {
+            console.error(`❌ Not written to data/questions.json: ${result.message}`);
+            printList('❌ Question set validation', result.errors);
+            return false;
+        }
+        console.error(`✅ Imported "${questionSetId}" (${questionSet.questions.length} questions) into data/questions.json`);
+        console.error('   Add decision rules to the set and route a drug indication to it to use it in calls.');
+    } else {
+        console.log(JSON.stringify({ [questionSetId]: questionSet }, null, 2));
+        if (options.write) {
+            console.error('❌ Not written to data/questions.json: the question set is not valid');
+        }
+    }
+
+    printList('⚠️  Not mapped', unmapped);
+    printList('❌ Question set validation', allErrors);
+    return allErrors.length === 0;
+}
+
+function roundTrip(questionSetId) {
+    const result = questionnaireService.roundTrip(questionSetId, getQuestionSet(questionSetId));
+
+    console.log(`🔁 Round trip of "${questionSetId}": ${result.questionSet.questions.length} questions`);
+    printList('⚠️  Not mapped', result.unmapped, console.log);
+    printList('📝 Differences after the round trip', result.differences, console.log);
+    printList('❌ Validation', result.errors, console.log);
+    if (result.differences.length === 0) {
+        console.log('\n✅ The question set survived the round trip unchanged');
+    }
+    return result.errors.length === 0;
+}
+
+async function main(args) {
+    const [command, target, ...rest] = args;
+    const options = {
+        id: rest.includes('--id') ? rest[rest.indexOf('--id') + 1] : undefined,
+        write: rest.includes('--write'),
+        force: rest.includes('--force')
+    };
+
+    if (!command || !target || !['export', 'import', 'roundtrip'].includes(command)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    let ok;
+    if (command === 'export') {
+        ok = await exportQuestionSet(target, rest.find(arg => !arg.startsWith('--')));
+    } else if (command === 'import') {
+        ok = await importQuestionnaire(target, options);
+    } else {
+        ok = roundTrip(target);
+    }
+
+    if (!ok) {
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const sessionService = require('./services/sessionService');
+
+// Copy the question set and drug versions in data/questions.json and data/drugs.json that are not in
+// data/versions yet. Run it after giving a hand-edited entry a new version, and commit the new files.
+async function main() {
+    // Wait for data to load (it fails if a recorded version was changed in place)
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const written = await sessionService.recordVersions(sessionService.drugsData, sessionService.questionsData);
+    if (written.length === 0) {
+        console.log('✅ Every question set and drug version is already recorded');
+        return;
+    }
+
+    console.log(`📝 Recorded ${written.length} version(s):`);
+    written.forEach(file => console.log(`   - ${path.relative(__dirname, file)}`));
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const questionSetService = require('../services/questionSetService');
+const versionService = require('../services/versionService');
+const sessionService = require('../services/sessionService');
+
+const router = express.Router();
+
+// HTTP status for each way a question set change can be refused
+const QUESTION_SET_ERROR_STATUS = {
+    invalid_request: 400,
+    invalid_question_set: 422,
+    invalid_file: 422,
+    question_set_not_found: 404,
+    question_set_exists: 409,
+    question_set_in_use: 409,
+    version_conflict: 409,
+    data_not_loaded: 503,
+    unauthorized: 401,
+    admin_not_configured: 503
+};
+
+function sendError(res, result) {
+    res.status(QUESTION_SET_ERROR_STATUS[result.code] || 500).json({
+        error: result.message,
+        code: result.code,
+        errors: result.errors
+    });
+}
+
+// Every admin route needs the ADMIN_API_TOKEN bearer token; without a configured token the routes are closed
+router.use((req, res, next) => {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+        return sendError(res, {
+            code: 'admin_not_configured',
+            message: 'The admin API is disabled until ADMIN_API_TOKEN is set',
+            errors: []
+        });
+    }
+
+    const given = Buffer.from((req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1] || '');
+    const expected = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, { code: 'unauthorized', message: 'A valid admin bearer token is required', errors: [] });
+    }
+    next();
+});
+
+// IDs name files under data/versions, so anything outside the data file identifier pattern is refused
+router.param('id', (req, res, next, id) => {
+    if (!versionService.isValidId(id)) {
+        return sendError(res, {
+            code: 'invalid_request',
+            message: `"${id}" is not a valid ID (lowercase letters, digits and underscores, starting with a letter)`,
+            errors: []
+        });
+    }
+    next();
+});
+
+/**
+ * List question sets
+ * GET /api/admin/question-sets
+ */
+router.get('/question-sets', (req, res) => {
+    try {
+        res.json({ questionSets: questionSetService.list() });
+    } catch (error) {
+        console.error('Error listing question sets:', error);
+        res.status(500).json({ error: 'Failed to list question sets' });
+    }
+});
+
+/**
+ * Re-read data/questions.json after it was edited on disk
+ * POST /api/admin/question-sets/reload
+ */
+router.post('/question-sets/reload', async (req, res) => {
+    try {
+        const result = await questionSetService.reload();
+        if (result.action === 'error') {
+            return sendError(res, result);
+        }
+        res.json({ questionSets: result.questionSets });
+    } catch (error) {
+        console.error('Error reloading question sets:', error);
+        res.status(500).json({ error: 'Failed to reload question sets' });
+    }
+});
+
+/**
+ * Get a question set
+ * GET /api/admin/question-sets/:id
+ */
+router.get('/question-sets/:id', (req, res) => {
+    try {
+        const { id } = req.params;
+        const questionSet = questionSetService.get(id);
+        if (!questionSet) {
+            return res.status(404).json({ error: `Question set "${id}" not found` });
+        }
+        res.json({ id, questionSet, usedBy: questionSetService.usedBy(id) });
+    } catch (error) {
+        console.error('Error getting question set:', error);
+        res.status(500).json({ error: 'Failed to get question set' });
+    }
+});
+
+/**
+ * Recorded versions of a question set (kept after it is replaced or deleted)
+ * GET /api/admin/question-sets/:id/versions
+ */
+router.get('/question-sets/:id/versions', (req, res) => {
+    try {
+        const { id } = req.params;
+        const versions = questionSetService.versions(id);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: `Question set "${id}" not found` });
+        }
+        res.json({ id, versions });
+    } catch (error) {
+        console.error('Error listing question set versions:', error);
+        res.status(500).json({ error: 'Failed to list question set versions' });
+    }
+});
+
+/**
+ * A question set as it was at a version
+ * GET /api/admin/question-sets/:id/versions/:version
+ */
+router.get('/question-sets/:id/versions/:version', (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = Number(req.params.version);
+        const questionSet = sessionService.getQuestionSet(id, version);
+        if (!questionSet || questionSet.version !== version) {
+            return res.status(404).json({ error: `Question set "${id}" has no version ${req.params.version}` });
+        }
+        res.json({ id, questionSet });
+    } catch (error) {
+        console.error('Error getting question set version:', error);
+        res.status(500).json({ error: 'Failed to get question set version' });
+    }
+});
+
+/**
+ * Recorded versions of a drug entry
+ * GET /api/admin/drugs/:id/versions
+ */
+router.get('/drugs/:id/versions', (req, res) => {
+    try {
+        const { id } = req.params;
+        const current = sessionService.drugsData?.drugs.find(drug => drug.id === id);
+        const versions = versionService.list('drugs', id)
+            .map(entry => ({ ...entry, current: entry.version === current?.version }));
+        if (versions.length === 0) {
+            return res.status(404).json({ error: `Drug "${id}" not found` });
+        }
+        res.json({ id, versions });
+    } catch (error) {
+        console.error('Error listing drug versions:', error);
+        res.status(500).json({ error: 'Failed to list drug versions' });
+    }
+});
+
+/**
+ * A drug entry as it was at a version
+ * GET /api/admin/drugs/:id/versions/:version
+ */
+router.get('/drugs/:id/versions/:version', (req, res) => {
+    try {
+        const { id } = req.params;
+        const drug = /^\d+$/.test(req.params.version) ? versionService.load('drugs', id, Number(req.params.version)) : null;
+        if (!drug) {
+            return res.status(404).json({ error: `Drug "${id}" has no version ${req.params.version}` });
+        }
+        res.json({ id, drug });
+    } catch (error) {
+        console.error('Error getting drug version:', error);
+        res.status(500).json({ error: 'Failed to get drug version' });
+    }
+});
+
+/**
+ * Add a question set; the body is the question set with its "id"
+ * POST /api/admin/question-sets
+ */
+router.post('/question-sets', async (req, res) => {
+    try {
+        const { id, ...questionSet } = req.body || {};
+        const result = await questionSetService.create(id, questionSet);
+        if (result.action === 'error') {
+            return sendError(res, result);
+        }
+        res.status(201).json({ id: result.id, questionSet: result.questionSet });
+    } catch (error) {
+        console.error('Error creating question set:', error);
+        res.status(500).json({ error: 'Failed to create question set' });
+    }
+});
+
+/**
+ * Replace a question set
+ * PUT /api/admin/question-sets/:id
+ */
+router.put('/question-sets/:id', async (req, res) => {
+    try {
+        const { id, ...questionSet } = req.body || {};
+        if (id !== undefined && id !== req.params.id) {
+            return sendError(res, { code: 'invalid_request', message: `The body "id" ("${id}") does not match the URL`, errors: [] });
+        }
+
+        const result = await questionSetService.replace(req.params.id, questionSet);
+        if (result.action === 'error') {
+            return sendError(res, result);
+        }
+        res.json({ id: result.id, questionSet: result.questionSet });
+    } catch (error) {
+        console.error('Error replacing question set:', error);
+        res.status(500).json({ error: 'Failed to replace question set' });
+    }
+});
+
+/**
+ * Delete a question set no drug indication uses
+ * DELETE /api/admin/question-sets/:id
+ */
+router.delete('/question-sets/:id', async (req, res) => {
+    try {
+        const result = await questionSetService.remove(req.params.id);
+        if (result.action === 'error') {
+            return sendError(res, result);
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting question set:', error);
+        res.status(500).json({ error: 'Failed to delete question set' });
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,10 @@ const fs = require('fs-extra');
 const voiceService = require('../services/voiceService');
 const sessionService = require('../services/sessionService');
 const authService = require('../services/authService');
+const reportFormatService = require('../services/reportFormatService');
+const fhirService = require('../services/fhirService');
+const epaService = require('../services/epaService');
+const conversationService = require('../services/conversationService');
 
 const router = express.Router();
 
@@ -48,17 +52,11 @@ const upload = multer({
  */
 router.post('/start', async (req, res) => {
     try {
-        const sessionId = sessionService.createSession();
-        
-        // Generate initial greeting
-        const greeting = "Hi, I'm Casey from CVS Health. I'm here to help you with your prior authorization request. To get started, I'll need some basic information about the patient and the medication. Could you please provide the patient's full name?";
+        const { sessionId, message: greeting } = conversationService.startSession();
         
         // Convert greeting to speech
         const audioFile = await voiceService.textToSpeech(greeting, sessionId);
         
-        // Add initial greeting to conversation history
-        sessionService.addConversationTurn(sessionId, 'assistant', greeting);
-        
         res.json({
             sessionId,
             message: greeting,
@@ -91,25 +89,15 @@ router.post('/process/:sessionId', upload.single('audio'), async (req, res) => {
         }
 
         // Convert speech to text
-        const transcribedText = await voiceService.speechToText(req.file.path);
-        
-        // Add user turn to conversation history
-        sessionService.addConversationTurn(sessionId, 'user', transcribedText);
-        
-        // Process the input based on current step
-        let response;
-        let nextStep;
-        
-        if (session.step === 'greeting') {
-            response = await processGreetingStep(sessionId, transcribedText);
-        } else if (session.step === 'question_flow') {
-            response = await processQuestionStep(sessionId, transcribedText);
-        } else {
-            response = "I'm sorry, but I'm not sure how to proceed. Let me transfer you to a human representative.";
+        let transcribedText;
+        try {
+            transcribedText = await voiceService.speechToText(req.file.path);
+        } catch (error) {
+            await fs.remove(req.file.path).catch(() => {});
+            return res.status(422).json({ error: 'Could not transcribe audio', message: error.message });
         }
 
-        // Add assistant turn to conversation history
-        sessionService.addConversationTurn(sessionId, 'assistant', response.message);
+        const response = await conversationService.runTurn(sessionId, transcribedText);
         
         // Convert response to speech
         const audioFile = await voiceService.textToSpeech(response.message, sessionId);
@@ -117,28 +105,9 @@ router.post('/process/:sessionId', upload.single('audio'), async (req, res) => {
         // Clean up uploaded file
         await fs.remove(req.file.path);
 
-        // Get updated session data for the response
-        const updatedSession = sessionService.getSession(sessionId);
-        
         res.json({
-            sessionId,
             transcribedText,
-            message: response.message,
-            audioFile: audioFile.startsWith('text-only:') ? null : path.basename(audioFile),
-            textOnly: audioFile.startsWith('text-only:'),
-            step: response.step,
-            decision: response.decision,
-            nextQuestion: response.nextQuestion,
-            needsClarification: response.needsClarification || false,
-            // Enhanced data for web interface
-            extractedData: {
-                memberName: updatedSession.memberName || null,
-                dateOfBirth: updatedSession.dateOfBirth || null,
-                drugName: updatedSession.drugName || null,
-                confidence: response.confidence || 0.8
-            },
-            questionsAnswered: updatedSession.questionsAnswered || 0,
-            totalQuestions: updatedSession.totalQuestions || 0
+            ...conversationService.buildTurnPayload(sessionId, response, audioFile)
         });
 
     } catch (error) {
@@ -153,6 +122,44 @@ router.post('/process/:sessionId', upload.single('audio'), async (req, res) => {
     }
 });
 
+/**
+ * Process a text message and get response (no audio upload or transcription)
+ * POST /api/voice/message/:sessionId
+ * Body: { text: string, skipTts?: boolean }
+ */
+router.post('/message/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = sessionService.getSession(sessionId);
+        
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+        if (!text) {
+            return res.status(400).json({ error: 'Request body must include a non-empty "text" field' });
+        }
+
+        const response = await conversationService.runTurn(sessionId, text);
+
+        // Chat widgets and automated tests can skip speech synthesis entirely
+        const skipTts = req.body.skipTts === true || req.query.tts === 'false';
+        const audioFile = skipTts
+            ? `text-only:${response.message}`
+            : await voiceService.textToSpeech(response.message, sessionId);
+
+        res.json({
+            text,
+            ...conversationService.buildTurnPayload(sessionId, response, audioFile)
+        });
+
+    } catch (error) {
+        console.error('Error processing text message:', error);
+        res.status(500).json({ error: 'Failed to process message' });
+    }
+});
+
 /**
  * Get session status
  * GET /api/voice/session/:sessionId
@@ -174,6 +181,54 @@ router.get('/session/:sessionId', (req, res) => {
     }
 });
 
+/**
+ * Change the answer to a previously answered question
+ * PATCH /api/voice/session/:sessionId/answers/:questionId
+ * Body: { answer: string }
+ */
+router.patch('/session/:sessionId/answers/:questionId', async (req, res) => {
+    try {
+        const { sessionId, questionId } = req.params;
+        const session = sessionService.getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const answer = req.body?.answer;
+        if (answer === undefined || answer === null || String(answer).trim() === '') {
+            return res.status(400).json({ error: 'Request body must include a non-empty "answer" field' });
+        }
+
+        const result = await sessionService.reviseAnswer(sessionId, questionId, String(answer).trim());
+
+        if (result.action === 'error') {
+            return res.status(409).json({ error: result.message, code: result.code });
+        }
+
+        if (result.action === 'clarification') {
+            return res.status(422).json({ error: 'Answer was not accepted', message: result.message });
+        }
+
+        const response = conversationService.describeAnswerResult(sessionId, result);
+        sessionService.addConversationTurn(sessionId, 'assistant', response.message);
+
+        res.json({
+            revision: result.revision,
+            message: response.message,
+            step: response.step,
+            decision: result.decision || null,
+            reason: result.reason || null,
+            nextQuestion: response.nextQuestion || null,
+            answers: sessionService.getSession(sessionId).answers,
+            session: sessionService.getSessionSummary(sessionId)
+        });
+    } catch (error) {
+        console.error('Error revising answer:', error);
+        res.status(500).json({ error: 'Failed to revise answer' });
+    }
+});
+
 /**
  * Get available drugs
  * GET /api/voice/drugs
@@ -369,13 +424,28 @@ router.post('/end/:sessionId', async (req, res) => {
 
 /**
  * Get authorization report
- * GET /api/voice/report/:sessionId
+ * GET /api/voice/report/:sessionId?format=json|html|pdf
  */
-router.get('/report/:sessionId', (req, res) => {
+router.get('/report/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
+        const format = req.query.format || 'json';
+        if (!reportFormatService.getFormats().includes(format)) {
+            return res.status(400).json({ error: `Unsupported report format "${format}". Use one of: ${reportFormatService.getFormats().join(', ')}` });
+        }
+        if (!sessionService.getSession(sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
         const report = authService.generateReport(sessionId);
-        res.json(report);
+        if (format === 'json') {
+            return res.json(report);
+        }
+
+        const rendered = await reportFormatService.render(report, format);
+        res.set('Content-Type', rendered.contentType);
+        res.set('Content-Disposition', `${format === 'pdf' ? 'attachment' : 'inline'}; filename="auth-report-${sessionId}.${rendered.extension}"`);
+        res.send(rendered.body);
     } catch (error) {
         console.error('Error generating report:', error);
         res.status(500).json({ error: 'Failed to generate report' });
@@ -383,143 +453,90 @@ router.get('/report/:sessionId', (req, res) => {
 });
 
 /**
- * Process greeting step - collect basic information
+ * Export a completed determination as a FHIR R4 Bundle
+ * GET /api/voice/report/:sessionId/fhir
  */
-async function processGreetingStep(sessionId, userInput) {
-    const session = sessionService.getSession(sessionId);
-    
-    // Enhanced processing for shorter responses
-    const processedInput = processShortGreetingInput(userInput);
-    
-    if (processedInput.needsClarification) {
-        return {
-            message: processedInput.clarificationMessage,
-            step: 'greeting',
-            needsClarification: true
-        };
-    }
-    
-    // Use enhanced extraction with LLM and fallback patterns
-    let extractedInfo = await extractInformationWithLLM(processedInput.processedInput, session);
-    let confidence = 0.8; // Default confidence
-    
-    // If LLM extraction didn't work well, try fallback pattern matching
-    if (!extractedInfo.memberName && !extractedInfo.dateOfBirth && !extractedInfo.drugName) {
-        extractedInfo = extractInformationWithPatterns(processedInput.processedInput, session);
-        confidence = 0.6; // Lower confidence for pattern matching
-    }
-    
-    // Update session with extracted information
-    if (Object.keys(extractedInfo).length > 0) {
-        sessionService.updateSession(sessionId, extractedInfo);
-    }
-    
-    // Determine next question based on what's missing
-    if (!session.memberName && !extractedInfo.memberName) {
-        return {
-            message: "I didn't catch the patient's name. Could you please provide the patient's full name?",
-            step: 'greeting',
-            confidence: confidence,
-            isConfirmation: false
-        };
-    }
-    
-    if (!session.dateOfBirth && !extractedInfo.dateOfBirth) {
-        return {
-            message: "Thanks. Now I need the patient's date of birth. What is the patient's date of birth?",
-            step: 'greeting',
-            confidence: confidence,
-            isConfirmation: false
-        };
-    }
-    
-    if (!session.drugName && !extractedInfo.drugName) {
-        return {
-            message: "Thanks. What medication are you requesting authorization for?",
-            step: 'greeting',
-            confidence: confidence,
-            isConfirmation: false
-        };
+router.get('/report/:sessionId/fhir', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = sessionService.getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!session.decision) {
+            return res.status(409).json({ error: 'Session has no determination yet' });
+        }
+
+        const bundle = fhirService.buildBundle(sessionId);
+        const issues = fhirService.validate(bundle);
+        if (issues.length > 0) {
+            console.error('FHIR bundle failed validation:', issues);
+            return res.status(500).json({ error: 'FHIR bundle failed validation', issues });
+        }
+
+        res.set('Content-Type', 'application/fhir+json; charset=utf-8');
+        res.send(JSON.stringify(bundle, null, 2));
+    } catch (error) {
+        console.error('Error exporting FHIR bundle:', error);
+        res.status(500).json({ error: 'Failed to export FHIR bundle' });
     }
-    
-    // All basic info collected, find the drug and start question flow
-    const updatedSession = sessionService.getSession(sessionId);
-    const drug = sessionService.findDrug(updatedSession.drugName);
-    
-    if (!drug) {
-        return {
-            message: "I'm sorry, but I don't recognize that medication. Could you please provide the exact name of the medication you're requesting?",
-            step: 'greeting',
-            isConfirmation: false
-        };
+});
+
+// HTTP status for each way an ePA message can be rejected
+const EPA_ERROR_STATUS = {
+    invalid_message: 400,
+    unsupported_message: 400,
+    session_not_found: 404,
+    invalid_request: 422,
+    invalid_answers: 422
+};
+
+/**
+ * Exchange NCPDP SCRIPT ePA messages. A PAInitiationRequest starts a session and is answered
+ * with a PAQuestionRequest; a PAQuestionResponse is answered with a PAResponse once the
+ * question set is complete, or a PAQuestionRequest for the questions still ahead.
+ * POST /api/voice/epa
+ */
+router.post('/epa', express.text({ type: ['application/xml', 'text/xml', 'application/*+xml'], limit: '1mb' }), (req, res) => {
+    try {
+        const result = epaService.handle(typeof req.body === 'string' ? req.body : '');
+        if (result.action === 'error') {
+            console.error('Rejected ePA message:', result.problems);
+        }
+
+        res.status(EPA_ERROR_STATUS[result.code] || 200);
+        res.set('Content-Type', 'application/xml; charset=utf-8');
+        res.send(result.xml);
+    } catch (error) {
+        console.error('Error processing ePA message:', error);
+        res.status(500).json({ error: 'Failed to process ePA message' });
     }
-    
-    // Initialize question flow
-    sessionService.initializeQuestionFlow(sessionId, drug.id);
-    sessionService.updateSession(sessionId, { drugName: drug.name });
-    
-    const currentQuestion = sessionService.getCurrentQuestion(sessionId);
-    
-    return {
-        message: `Thanks. I found ${drug.name} in our system. Now I need to ask you some clinical questions to process this authorization. ${currentQuestion.text}`,
-        step: 'question_flow',
-        nextQuestion: currentQuestion,
-        confidence: confidence,
-        isConfirmation: false
-    };
-}
+});
 
 /**
- * Process question step - handle authorization questions
+ * Current ePA message for a session: the PAResponse once decided, else the PAQuestionRequest
+ * GET /api/voice/epa/:sessionId
  */
-async function processQuestionStep(sessionId, userInput) {
-    const result = await sessionService.processAnswer(sessionId, userInput);
-    
-    if (result.action === 'complete') {
-        // Process the final decision
-        const decision = authService.processDecision(sessionId, result.decision, result.reason);
-        
-        return {
-            message: decision.message,
-            step: 'complete',
-            decision: result.decision,
-            reason: result.reason,
-            action: 'complete',
-            isConfirmation: false
-        };
-    } else if (result.action === 'clarification') {
-        // Handle clarification requests for short/unclear responses
-        return {
-            message: result.message,
-            step: 'question_flow',
-            needsClarification: true,
-            question: result.question,
-            isConfirmation: false
-        };
-    } else if (result.action === 'next_question') {
-        if (result.question) {
-            return {
-                message: result.question.text,
-                step: 'question_flow',
-                nextQuestion: result.question,
-                isConfirmation: false
-            };
-        } else {
-            return {
-                message: "I've completed all the necessary questions. Let me process your authorization request.",
-                step: 'processing',
-                action: 'checking',
-                isConfirmation: false
-            };
+router.get('/epa/:sessionId', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = sessionService.getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!session.decision && !session.questionSetId) {
+            return res.status(409).json({ error: 'The question flow has not started' });
         }
-    } else {
-        return {
-            message: "I'm sorry, I didn't understand your response. Could you please repeat that?",
-            step: 'question_flow',
-            isConfirmation: false
-        };
+
+        res.set('Content-Type', 'application/xml; charset=utf-8');
+        res.send(session.decision ? epaService.renderResponse(sessionId) : epaService.renderQuestionRequest(sessionId));
+    } catch (error) {
+        console.error('Error rendering ePA message:', error);
+        res.status(500).json({ error: 'Failed to render ePA message' });
     }
-}
+});
 
 /**
  * Launch voice agent in terminal
@@ -572,235 +589,4 @@ router.post('/launch-agent', async (req, res) => {
     }
 });
 
-/**
- * Enhanced information extraction using LLM
- */
-async function extractInformationWithLLM(userInput, session) {
-    try {
-        const OpenAI = require('openai');
-        const openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-
-        const systemPrompt = `You are an AI assistant that extracts specific information from user input for a prior authorization system. 
-
-Extract ONLY the following information if present in the user's input:
-- memberName: The patient's full name (first and last name)
-- dateOfBirth: The patient's date of birth in MM/DD/YYYY format
-- drugName: The name of the medication being requested
-
-Rules:
-1. Only extract information that is explicitly mentioned or clearly implied
-2. For dates, convert to MM/DD/YYYY format if possible
-3. For drug names, use the most specific/complete name mentioned
-4. If information is not present, set the field to null
-5. Be flexible with how people express information (e.g., "born on", "DOB", "patient is", etc.)
-6. For short responses, be more lenient and try to extract partial information
-7. If a single word is provided and it looks like a name, extract it as memberName
-8. If a single word is provided and it looks like a drug name, extract it as drugName
-9. Handle incomplete information gracefully - extract what you can
-
-Return ONLY a valid JSON object with these exact field names:
-{
-  "memberName": "string or null",
-  "dateOfBirth": "string or null", 
-  "drugName": "string or null"
-}`;
-
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: userInput }
-            ],
-            temperature: 0.1,
-            max_tokens: 200
-        });
-
-        const content = response.choices[0].message.content;
-        const extracted = JSON.parse(content);
-        
-        return {
-            memberName: extracted.memberName || null,
-            dateOfBirth: extracted.dateOfBirth || null,
-            drugName: extracted.drugName || null
-        };
-    } catch (error) {
-        console.error('LLM extraction error:', error);
-        return { memberName: null, dateOfBirth: null, drugName: null };
-    }
-}
-
-/**
- * Process short greeting input with enhanced validation
- * @param {string} userInput - Raw user input
- * @returns {Object} - Processed input with clarification needs
- */
-function processShortGreetingInput(userInput) {
-    const normalizedInput = userInput.toLowerCase().trim();
-    
-    // Handle empty or very short responses
-    if (!normalizedInput || normalizedInput.length < 3) {
-        return {
-            processedInput: userInput,
-            needsClarification: true,
-            clarificationMessage: "I didn't quite catch that. Could you please provide the patient's name, date of birth, and the medication you're requesting?"
-        };
-    }
-    
-    // Check if input contains enough information
-    const hasName = /(?:name|called|patient|member)/i.test(normalizedInput);
-    const hasDate = /(?:born|birth|dob|date)/i.test(normalizedInput);
-    const hasDrug = /(?:drug|medication|prescribing|requesting|need|want)/i.test(normalizedInput);
-    
-    // If input is too short and doesn't contain key information, ask for clarification
-    if (normalizedInput.length < 10 && !hasName && !hasDate && !hasDrug) {
-        return {
-            processedInput: userInput,
-            needsClarification: true,
-            clarificationMessage: "I need more information to help you. Could you please provide the patient's name, date of birth, and the medication you're requesting?"
-        };
-    }
-    
-    // Handle single word responses that might be names
-    if (normalizedInput.split(' ').length === 1 && normalizedInput.length > 2) {
-        // This might be just a name, ask for more information
-        return {
-            processedInput: userInput,
-            needsClarification: true,
-            clarificationMessage: `Thank you for providing "${userInput}". I also need the patient's date of birth and the medication you're requesting.`
-        };
-    }
-    
-    return {
-        processedInput: userInput,
-        needsClarification: false
-    };
-}
-
-/**
- * Fallback pattern-based information extraction
- */
-function extractInformationWithPatterns(userInput, session) {
-    const extracted = {};
-    
-    // Enhanced name extraction patterns for shorter responses
-    const namePatterns = [
-        /(?:name is|called|patient is|patient's name is)\s+([A-Za-z\s]+)/i,
-        /(?:my name is|I'm|I am)\s+([A-Za-z\s]+)/i,
-        /^([A-Za-z]+\s+[A-Za-z]+)$/, // Just two words that look like a name
-        /^([A-Za-z]+)$/ // Single word that might be a name (for very short responses)
-    ];
-    
-    for (const pattern of namePatterns) {
-        const match = userInput.match(pattern);
-        if (match && !session.memberName) {
-            const potentialName = match[1].trim();
-            // Additional validation for single word names
-            if (pattern.source.includes('^([A-Za-z]+)$')) {
-                // For single words, check if it looks like a name (not a drug, date, etc.)
-                if (potentialName.length > 2 && !isLikelyDrug(potentialName) && !isLikelyDate(potentialName)) {
-                    extracted.memberName = potentialName;
-                }
-            } else {
-                extracted.memberName = potentialName;
-            }
-            break;
-        }
-    }
-    
-    // Date of birth extraction patterns
-    const datePatterns = [
-        /(?:born|birthday|DOB|date of birth)\s+([0-9\/\-]+)/i,
-        /(?:born|birthday|DOB|date of birth)\s+(january|february|march|april|may|june|july|august|september|october|november|december)\s+([0-9]{1,2}),?\s+([0-9]{4})/i,
-        /([0-9]{1,2})\/([0-9]{1,2})\/([0-9]{4})/,
-        /([0-9]{1,2})-([0-9]{1,2})-([0-9]{4})/
-    ];
-    
-    for (const pattern of datePatterns) {
-        const match = userInput.match(pattern);
-        if (match && !session.dateOfBirth) {
-            if (pattern.source.includes('january|february')) {
-                // Handle month names
-                const month = match[1].toLowerCase();
-                const day = match[2].padStart(2, '0');
-                const year = match[3];
-                const monthMap = {
-                    'january': '01', 'february': '02', 'march': '03', 'april': '04',
-                    'may': '05', 'june': '06', 'july': '07', 'august': '08',
-                    'september': '09', 'october': '10', 'november': '11', 'december': '12'
-                };
-                extracted.dateOfBirth = `${monthMap[month]}/${day}/${year}`;
-            } else {
-                // Handle numeric dates
-                const parts = match[0].split(/[\/\-]/);
-                if (parts.length === 3) {
-                    const month = parts[0].padStart(2, '0');
-                    const day = parts[1].padStart(2, '0');
-                    const year = parts[2];
-                    extracted.dateOfBirth = `${month}/${day}/${year}`;
-                }
-            }
-            break;
-        }
-    }
-    
-    // Enhanced drug name extraction patterns for shorter responses
-    const drugPatterns = [
-        /(?:drug|medication|prescribing|requesting|need|want)\s+([A-Za-z\s]+)/i,
-        /(?:for|to treat)\s+([A-Za-z\s]+)/i,
-        /^([A-Za-z]+)$/ // Single word that might be a drug (for very short responses)
-    ];
-    
-    for (const pattern of drugPatterns) {
-        const match = userInput.match(pattern);
-        if (match && !session.drugName) {
-            const potentialDrug = match[1].trim();
-            // Additional validation for single word drugs
-            if (pattern.source.includes('^([A-Za-z]+)$')) {
-                // For single words, check if it looks like a drug name
-                if (potentialDrug.length > 2 && isLikelyDrug(potentialDrug)) {
-                    extracted.drugName = potentialDrug;
-                }
-            } else {
-                extracted.drugName = potentialDrug;
-            }
-            break;
-        }
-    }
-    
-    return extracted;
-}
-
-/**
- * Check if a word is likely to be a drug name
- * @param {string} word - Word to check
- * @returns {boolean} - True if likely a drug
- */
-function isLikelyDrug(word) {
-    const commonDrugs = [
-        'humira', 'ozempic', 'wegovy', 'mounjaro', 'stelara', 'skyrizi', 'dupixent',
-        'rinvoq', 'xeljanz', 'cosentyx', 'taltz', 'tremfya', 'entyvio', 'simponi',
-        'orencia', 'otezla', 'remicade', 'enbrel', 'adalimumab', 'infliximab'
-    ];
-    return commonDrugs.includes(word.toLowerCase());
-}
-
-/**
- * Check if a word is likely to be a date
- * @param {string} word - Word to check
- * @returns {boolean} - True if likely a date
- */
-function isLikelyDate(word) {
-    // Check for date patterns
-    const datePatterns = [
-        /^\d{1,2}\/\d{1,2}\/\d{4}$/, // MM/DD/YYYY
-        /^\d{1,2}-\d{1,2}-\d{4}$/,   // MM-DD-YYYY
-        /^\d{8}$/,                    // MMDDYYYY
-        /^(january|february|march|april|may|june|july|august|september|october|november|december)$/i
-    ];
-    
-    return datePatterns.some(pattern => pattern.test(word));
-}
-
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+// Run the offline test suites one after another, each in its own process, and fail if any of them
+// fails. Suites that call the OpenAI API (test_llm_matching.js, test_latency.js, ...) are run by hand.
+
+const SUITES = [
+    'test.js',
+    'test_session_store.js',
+    'test_question_graph.js',
+    'test_decision_rules.js',
+    'test_message_endpoint.js',
+    'test_providers.js',
+    'test_realtime.js',
+    'test_barge_in.js',
+    'test_demographics_confirmation.js',
+    'test_answer_revision.js',
+    'test_member_eligibility.js',
+    'test_prescriber.js',
+    'test_formulary.js',
+    'test_indications.js',
+    'test_step_therapy.js',
+    'test_answer_intents.js',
+    'test_slot_capture.js',
+    'test_numeric_answers.js',
+    'test_derived_answers.js',
+    'test_dates.js',
+    'test_report_formats.js',
+    'test_fhir_export.js',
+    'test_questionnaire.js',
+    'test_epa.js',
+    'test_question_sets.js',
+    'test_versions.js',
+    'test_voice_agent.js'
+];
+
+// Suites start servers and timers; one that hangs counts as failed
+const SUITE_TIMEOUT_MS = 120000;
+
+const failures = SUITES.filter(suite => {
+    console.log(`\n▶️  ${suite}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, suite)], {
+        stdio: 'inherit',
+        timeout: SUITE_TIMEOUT_MS,
+        env: { ...process.env, AI_PROVIDER: process.env.AI_PROVIDER || 'local' }
+    });
+    return result.status !== 0;
+});
+
+console.log(`\n🧾 ${SUITES.length - failures.length} of ${SUITES.length} suites passed`);
+if (failures.length > 0) {
+    console.log(`❌ Failed: ${failures.join(', ')}`);
+    process.exitCode = 1;
+}
@@ -25,6 +25,8 @@ if (fs.existsSync(envPath)) {
 }
 
 const voiceRoutes = require('./routes/voiceRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const realtimeService = require('./services/realtimeService');
 
 const app = express();
 const server = http.createServer(app);
@@ -36,8 +38,9 @@ app.use(express.static('public'));
 
 // Routes
 app.use('/api/voice', voiceRoutes);
+app.use('/api/admin', adminRoutes);
 
-// --- WebSocket Server for Agent Logs ---
+// --- WebSocket Server for Agent Logs and Realtime Conversation ---
 const wss = new WebSocket.Server({ server, path: '/ws' });
 
 function broadcastAgentLog(log) {
@@ -50,9 +53,7 @@ function broadcastAgentLog(log) {
     });
 }
 
-wss.on('connection', (ws) => {
-    ws.send(JSON.stringify({ type: 'info', message: 'Connected to agent log stream.' }));
-});
+realtimeService.attach(wss);
 
 // Export for use in agent process
 module.exports.sendAgentLog = broadcastAgentLog;
@@ -0,0 +1,170 @@
+const sessionService = require('./sessionService');
+const numericAnswerService = require('./numericAnswerService');
+
+// Checked in order: asking for a person outranks everything, and "let me check, I'm not sure" is a hold
+const INTENT_PATTERNS = [
+    ['transfer', /\b(transfer me|(?:speak|talk) (?:to|with) (?:a |an |the )?(?:human|person|real person|live person|agent|representative|rep|someone|specialist|pharmacist|supervisor)|(?:human|live) (?:agent|representative|person)|representative|operator)\b/],
+    ['repeat', /\b(repeat (?:that|it|the question|yourself)|say (?:that|it) again|(?:what|which) (?:was|is) the question|come again|(?:didn'?t|did not) (?:catch|hear|get) (?:that|you|the question)|one more time|read (?:that|it|the question) (?:again|back))\b|^(?:repeat|pardon|sorry|what|huh)\W*$/],
+    ['hold', /\b(let me (?:check|look|see|find|pull|grab|get|confirm)|hold on|hang on|one (?:moment|sec|second|minute)|just a (?:moment|sec|second|minute)|give me a (?:moment|sec|second|minute)|bear with me|(?:looking|checking) (?:it |that )?(?:up|now)|pull(?:ing)? up the (?:chart|record|notes|labs))\b/],
+    ['skip', /\b(skip(?: (?:it|this|that|this one|that one|the question))?|come back to (?:it|that|this)|move on|next question|pass)\b/],
+    ['unknown', /\b(i don'?t know|i do not know|don'?t have (?:that|it|the)|not (?:documented|recorded|available|on file|in the (?:chart|record|notes))|no (?:record|documentation|idea)|unknown|unsure|not sure|can'?t find|cannot find|couldn'?t find|pending|awaiting|not (?:been )?(?:done|drawn|checked|tested))\b/]
+];
+
+/**
+ * Answer-intent layer for the question flow. Recognizes replies that are not attempts at the
+ * answer ("let me pull up the chart", "can you repeat that", "I don't know") before they reach
+ * the type processors in sessionService, and gives each intent its own behavior:
+ *
+ *   hold      wait for the caller, checking in after a hold timer
+ *   repeat    re-read the current question
+ *   unknown   record the answer as unknown; a required answer routes to documentation_required
+ *   skip      move past an optional question (required questions are asked again)
+ *   transfer  hand the call to a human representative
+ */
+class AnswerIntentService {
+    constructor() {
+        const holdSeconds = parseFloat(process.env.HOLD_CHECK_IN_SECONDS);
+        this.holdSeconds = isNaN(holdSeconds) ? 30 : holdSeconds;
+    }
+
+    /**
+     * Handle a question-flow reply if it carries an intent rather than an answer
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Promise<Object|null>} - Result shaped like sessionService.processAnswer's (with the
+     *   extra actions 'hold', 'repeat' and 'transfer'), or null if the reply is an answer attempt
+     */
+    async handle(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const question = sessionService.getCurrentQuestion(sessionId);
+        if (!session || !question) return null;
+
+        // Any reply ends a hold
+        if (session.hold) {
+            sessionService.updateSession(sessionId, { hold: null });
+        }
+
+        const intent = this.detect(userInput, question);
+        if (!intent) return null;
+
+        switch (intent) {
+            case 'transfer':
+                return this.transfer(sessionId);
+            case 'repeat':
+                return { action: 'repeat', message: `Sure. ${question.text}`, question };
+            case 'hold':
+                return this.startHold(sessionId, question);
+            case 'skip':
+                if (!question.required) {
+                    return sessionService.recordUnknownAnswer(sessionId);
+                }
+                return {
+                    action: 'clarification',
+                    message: `I can't skip this one because it's required for the request. If it isn't documented, just say so. ${question.text}`,
+                    question
+                };
+            default:
+                return sessionService.recordUnknownAnswer(sessionId);
+        }
+    }
+
+    /**
+     * Hand the call to a human representative
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - { action: 'transfer', message }
+     */
+    transfer(sessionId) {
+        sessionService.updateSession(sessionId, { step: 'transferred' });
+        return {
+            action: 'transfer',
+            message: "Of course. I'll transfer you to a prior authorization specialist now. Everything you've told me so far is saved with this request, so you won't need to repeat it."
+        };
+    }
+
+    /**
+     * Classify a reply to a question
+     * @param {string} userInput - User's reply
+     * @param {Object} question - Current question
+     * @returns {string|null} - 'transfer', 'repeat', 'hold', 'skip', 'unknown' or null for an answer attempt
+     */
+    detect(userInput, question) {
+        const text = String(userInput || '').toLowerCase().replace(/[’]/g, "'").trim();
+        const match = INTENT_PATTERNS.find(([, pattern]) => pattern.test(text));
+        if (!match) return null;
+
+        const [intent, pattern] = match;
+        if (intent !== 'transfer' && this.looksLikeAnswer(text, question, text.match(pattern)[0])) return null;
+        return intent;
+    }
+
+    /**
+     * Whether a reply that matched an intent pattern still answers the question
+     * ("pending results" to the infection results question, "A1C is 8.1, let me check the date")
+     * @param {string} text - Lower-cased reply
+     * @param {Object} question - Current question
+     * @param {string} phrase - Part of the reply that matched the intent
+     * @returns {boolean} - True if the reply should go to the answer processors
+     */
+    looksLikeAnswer(text, question, phrase) {
+        switch (question.type) {
+            case 'numeric':
+                // A value, not a digit inside a word like "A1C"
+                return !numericAnswerService.parse(text, question).error;
+            case 'multiple_choice':
+                return (question.options || []).some(option => {
+                    const lowerOption = option.toLowerCase();
+                    return text.includes(lowerOption) || lowerOption.includes(phrase.trim());
+                });
+            case 'yes_no':
+                return /^(yes|yeah|yep|yup|correct|no|nope)\b(?!\s+idea)/.test(text);
+            default:
+                // Free text that goes on past the intent phrase is a description, not a deflection
+                return text.split(/\s+/).length > 10;
+        }
+    }
+
+    startHold(sessionId, question) {
+        const now = Date.now();
+        sessionService.updateSession(sessionId, {
+            hold: {
+                questionId: question.id,
+                startedAt: new Date(now).toISOString(),
+                checkInAt: new Date(now + this.holdSeconds * 1000).toISOString()
+            }
+        });
+
+        return {
+            action: 'hold',
+            message: "Sure, take your time. I'll wait.",
+            question,
+            hold: { seconds: this.holdSeconds }
+        };
+    }
+
+    /**
+     * State of the session's hold timer
+     * @param {string} sessionId - Session identifier
+     * @returns {string|null} - 'waiting', 'due' once the check-in time has passed, or null if not on hold
+     */
+    holdStatus(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        if (!session?.hold || session.hold.questionId !== session.currentQuestionId) return null;
+        return Date.now() >= Date.parse(session.hold.checkInAt) ? 'due' : 'waiting';
+    }
+
+    /**
+     * Check in with a caller on hold and restart the hold timer
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} - Hold result with the check-in message, or null if not on hold
+     */
+    checkIn(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        const question = sessionService.getCurrentQuestion(sessionId);
+        if (!session?.hold || !question) return null;
+
+        const result = this.startHold(sessionId, question);
+        return { ...result, message: `Are you still there? Take your time. When you're ready: ${question.text}` };
+    }
+}
+
+module.exports = new AnswerIntentService();
@@ -0,0 +1,179 @@
+const sessionService = require('./sessionService');
+const questionGraphService = require('./questionGraphService');
+const providers = require('./providers');
+
+// Phrases that signal the caller is changing something they already said
+const REVISION_CUES = /\b(actually|change|changed|correction|correct that|go back|i meant|meant to say|mistake|update|instead|wrong)\b/i;
+
+// Phrases that point at the most recent answer without naming the question
+const PREVIOUS_ANSWER_CUES = /\b(go back|previous (answer|question)|last (answer|question)|(change|fix) (my|that|the) answer)\b/i;
+
+// Question ID words too generic to identify a question on their own
+const GENERIC_ID_WORDS = ['level', 'required', 'check', 'list', 'previous', 'status'];
+
+/**
+ * Recognizes requests to change an earlier answer mid-flow ("actually the A1C was 7.2, not 6.2")
+ * and applies them through sessionService.reviseAnswer. The question is found from words in its
+ * ID ("A1C" for a1c_level) or, for "go back", is the last one answered; when the reply names the
+ * question but not the new value, the value is asked for next. Works after a decision too, which
+ * re-opens the question flow if the new answer leads somewhere unanswered.
+ */
+class AnswerRevisionService {
+    /**
+     * Handle a turn if it revises an earlier answer
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Promise<Object|null>} - Result from sessionService.reviseAnswer, a clarification
+     *   asking for the missing part of the revision, or null if the input is not a revision
+     */
+    async handle(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        if (!session || !session.questionSetId) return null;
+
+        // The previous turn asked for the new value of a named question
+        if (session.pendingRevision) {
+            const questionId = session.pendingRevision;
+            sessionService.updateSession(sessionId, { pendingRevision: null });
+            return this.apply(sessionId, questionId, userInput);
+        }
+
+        const intent = this.detect(userInput, session);
+        if (!intent) return null;
+
+        const question = questionGraphService.getQuestion(session.questionFlow, intent.questionId);
+        const value = await this.extractValue(userInput, question, intent.keyword);
+        if (!value) {
+            sessionService.updateSession(sessionId, { pendingRevision: question.id });
+            return {
+                action: 'clarification',
+                message: `Sure. What should the answer be for: ${question.text}`,
+                question
+            };
+        }
+
+        return this.apply(sessionId, question.id, value);
+    }
+
+    async apply(sessionId, questionId, value) {
+        const result = await sessionService.reviseAnswer(sessionId, questionId, value);
+        if (result.action === 'clarification') {
+            // Keep waiting for a usable value for the same question
+            sessionService.updateSession(sessionId, { pendingRevision: questionId });
+        }
+        return result;
+    }
+
+    /**
+     * Work out whether the input revises an answered question, and which one
+     * @param {string} userInput - User's reply
+     * @param {Object} session - Session object
+     * @returns {Object|null} - { questionId, keyword } or null; keyword is the matched text, if any
+     */
+    detect(userInput, session) {
+        if (!REVISION_CUES.test(userInput)) return null;
+
+        const answered = session.questionPath.filter(id => session.answers[id] !== undefined && session.answers[id] !== null);
+        if (answered.length === 0) return null;
+
+        const lowerInput = userInput.toLowerCase();
+        const matchedKeywords = questionId => this.keywordsFor(questionId)
+            .filter(keyword => new RegExp(`\\b${keyword}s?\\b`).test(lowerInput));
+
+        let best = null;
+        answered.forEach(questionId => {
+            const matched = matchedKeywords(questionId);
+            // Ties go to the most recently answered question
+            if (matched.length > 0 && (!best || matched.length >= best.score)) {
+                best = { questionId, keyword: matched[matched.length - 1], score: matched.length };
+            }
+        });
+
+        // "Actually the infection screening results were negative" answers infection_results rather than revising infection_screening
+        const currentScore = session.currentQuestionId ? matchedKeywords(session.currentQuestionId).length : 0;
+        if (best && best.score > currentScore) return { questionId: best.questionId, keyword: best.keyword };
+        if (best) return null;
+
+        if (PREVIOUS_ANSWER_CUES.test(userInput)) {
+            return { questionId: answered[answered.length - 1], keyword: null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Words from a question ID that a caller would use to refer to it (a1c_level -> a1c)
+     * @param {string} questionId - Question identifier
+     * @returns {Array<string>} - Lower-case keywords
+     */
+    keywordsFor(questionId) {
+        return questionId.toLowerCase().split('_')
+            .filter(word => word.length > 1 && !/^\d+$/.test(word) && !GENERIC_ID_WORDS.includes(word));
+    }
+
+    /**
+     * Pull the new answer out of the revision
+     * @param {string} userInput - User's reply
+     * @param {Object} question - Question being revised
+     * @param {string|null} keyword - Keyword that identified the question
+     * @returns {Promise<string|null>} - Raw answer for the question, or null if none was given
+     */
+    async extractValue(userInput, question, keyword) {
+        if (question.type === 'yes_no') {
+            const answer = await this.classifyYesNo(userInput, question);
+            return answer === 'unknown' ? null : answer;
+        }
+
+        // "the A1C was 7.2, not 6.2" -> "7.2"; "change the diagnosis to type 1 diabetes" -> "type 1 diabetes"
+        const lowerInput = userInput.toLowerCase();
+        const tail = keyword
+            ? lowerInput.slice(lowerInput.lastIndexOf(keyword) + keyword.length)
+            : lowerInput.replace(PREVIOUS_ANSWER_CUES, ' ');
+        const value = tail
+            .replace(/^[\s\w]*?\b(?:was|is|should be|should have been|to|of|it's)\b/, '')
+            .split(/,|;|\.(?!\d)|\bnot\b|\binstead\b|\bsorry\b/)[0]
+            .replace(/^[\s:=]+|\s+$/g, '');
+
+        return value.length > 0 ? value : null;
+    }
+
+    async classifyYesNo(userInput, question) {
+        try {
+            const answer = (await providers.get().chat({
+                task: 'classify_yes_no',
+                input: userInput,
+                model: "gpt-4o-mini",
+                messages: [
+                    {
+                        role: "system",
+                        content: `The caller is changing their answer to the question "${question.text}".
+Return ONLY one word: "Yes" or "No" for their new answer, or "Unknown" if they did not give one.`
+                    },
+                    { role: "user", content: userInput }
+                ],
+                temperature: 0.1,
+                maxTokens: 10
+            })).trim().toLowerCase();
+
+            if (answer.startsWith('yes')) return 'yes';
+            if (answer.startsWith('no')) return 'no';
+            return 'unknown';
+        } catch (error) {
+            console.error('Revision classification error:', error.message);
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Sentence acknowledging an applied revision
+     * @param {Object} revision - Revision details from sessionService.reviseAnswer
+     * @param {Object} session - Session object
+     * @returns {string} - Acknowledgement to prefix the next prompt with
+     */
+    describe(revision, session) {
+        const question = questionGraphService.getQuestion(session.questionFlow, revision.questionId);
+        const label = question ? `"${question.text}"` : revision.questionId;
+        return `Got it, I've changed the answer to ${label} from ${revision.from} to ${revision.to}.`;
+    }
+}
+
+module.exports = new AnswerRevisionService();
@@ -17,6 +17,11 @@ class AuthService {
                 message: "I need additional clinical documentation to complete this prior authorization review.",
                 tone: "helpful",
                 nextSteps: "Please submit the requested documentation through your usual channels. Once received, we can complete the review process."
+            },
+            quantity_limit_exceeded: {
+                message: "The quantity requested in this prior authorization exceeds the plan's quantity limit, so it cannot be approved as submitted.",
+                tone: "professional",
+                nextSteps: "You can resubmit the request within the plan limit, or request a quantity limit exception with clinical documentation supporting the higher quantity."
             }
         };
     }
@@ -24,7 +29,7 @@ class AuthService {
     /**
      * Process the final authorization decision
      * @param {string} sessionId - Session identifier
-     * @param {string} decision - Decision type (approve/deny/documentation_required)
+     * @param {string} decision - Decision type (approve/deny/documentation_required/quantity_limit_exceeded)
      * @param {string} reason - Reason for decision
      * @returns {Object} - Decision details with message and next steps
      */
@@ -117,8 +122,12 @@ class AuthService {
             errors.push('Drug name is required');
         }
 
+        if (!session.prescriber?.verified) {
+            errors.push('Verified prescriber NPI is required');
+        }
+
         // Check if question flow was completed
-        if (session.step === 'question_flow' && session.currentQuestionIndex < session.questionFlow.length) {
+        if (session.step === 'question_flow' && session.currentQuestionId) {
             errors.push('Question flow was not completed');
         }
 
@@ -146,12 +155,20 @@ class AuthService {
             sessionId,
             memberName: session.memberName,
             dateOfBirth: session.dateOfBirth,
+            memberId: session.memberId || null,
+            plan: session.memberPlan || null,
+            coverage: session.memberCoverage || null,
+            prescriber: session.prescriber || null,
             drugName: session.drugName,
             drugCategory: this.getDrugCategory(session.drugId),
+            indication: session.indication || null,
+            requestedProduct: session.requestedProduct || null,
             status: session.status,
             decision: session.decision,
             decisionReason: session.decisionReason,
+            decisionRule: session.decisionRule || null,
             answers: session.answers,
+            medicationHistory: session.medicationHistory || [],
             validation: validation,
             createdAt: session.createdAt,
             completedAt: session.endedAt || session.updatedAt
@@ -189,6 +206,8 @@ class AuthService {
             reportId: `AUTH-${sessionId.substring(0, 8).toUpperCase()}`,
             generatedAt: new Date().toISOString(),
             summary: summary,
+            decisionRule: this.describeDecisionRule(session),
+            criteriaVersion: this.describeCriteriaVersion(session),
             questionResponses: this.formatQuestionResponses(session),
             clinicalCriteria: this.getClinicalCriteria(session),
             recommendations: this.generateRecommendations(summary)
@@ -197,6 +216,49 @@ class AuthService {
         return report;
     }
 
+    /**
+     * Describe the decision rule that produced the session's decision
+     * @param {Object} session - Session data
+     * @returns {Object|null} - Rule ID, reason and citation, or null if no rule fired
+     */
+    describeDecisionRule(session) {
+        if (!session.decisionRule) return null;
+
+        return {
+            ruleId: session.decisionRule.id,
+            questionSet: session.questionSetId || null,
+            questionSetVersion: session.questionSetVersion?.version ?? null,
+            decision: session.decision,
+            reason: session.decisionRule.reason,
+            citation: session.decisionRule.citation
+        };
+    }
+
+    /**
+     * Versions of the question set and drug entry the session was pinned to
+     * @param {Object} session - Session data
+     * @returns {Object|null} - { questionSet: { id, name, version, effectiveDate }, drug: { id, version, effectiveDate } }
+     *   (questionSet is null for a decision made before the question flow), or null before anything was pinned
+     */
+    describeCriteriaVersion(session) {
+        if (!session.questionSetId && !session.drugVersion) return null;
+
+        const questionSet = sessionService.getSessionQuestionSet(session);
+        return {
+            questionSet: session.questionSetId ? {
+                id: session.questionSetId,
+                name: questionSet?.name || null,
+                version: session.questionSetVersion?.version ?? null,
+                effectiveDate: session.questionSetVersion?.effectiveDate ?? null
+            } : null,
+            drug: session.drugId ? {
+                id: session.drugId,
+                version: session.drugVersion?.version ?? null,
+                effectiveDate: session.drugVersion?.effectiveDate ?? null
+            } : null
+        };
+    }
+
     /**
      * Format question responses for report
      * @param {Object} session - Session data
@@ -206,14 +268,30 @@ class AuthService {
         const responses = [];
         
         if (session.questionFlow && session.answers) {
-            session.questionFlow.forEach((question, index) => {
+            // Report questions in the order they were asked along the routing graph
+            const askedQuestions = (session.questionPath || [])
+                .map(questionId => session.questionFlow.find(question => question.id === questionId))
+                .filter(Boolean);
+
+            askedQuestions.forEach((question, index) => {
                 if (session.answers[question.id]) {
+                    const details = session.answerDetails?.[question.id];
                     responses.push({
                         questionNumber: index + 1,
                         question: question.text,
                         answer: session.answers[question.id],
                         questionType: question.type,
-                        required: question.required
+                        required: question.required,
+                        // Derived answers were computed from session data rather than stated by the caller
+                        source: details?.derived ? 'derived' : 'stated',
+                        // Numeric answers keep what was said and how it was converted
+                        ...(details && {
+                            unit: details.unit,
+                            originalText: details.original,
+                            range: details.range,
+                            conversion: details.conversion
+                        }),
+                        ...(details?.derived && { derivedFrom: details.derivedFrom, derivedInputs: details.inputs })
                     });
                 }
             });
@@ -328,6 +406,17 @@ class AuthService {
                 message: 'Submit requested clinical documentation promptly',
                 priority: 'high'
             });
+        } else if (summary.decision === 'quantity_limit_exceeded') {
+            recommendations.push({
+                type: 'quantity',
+                message: 'Resubmit within the plan quantity limit for the requested product',
+                priority: 'high'
+            });
+            recommendations.push({
+                type: 'exception',
+                message: 'Request a quantity limit exception with supporting clinical documentation if the higher quantity is medically necessary',
+                priority: 'medium'
+            });
         }
 
         return recommendations;
@@ -0,0 +1,567 @@
+const path = require('path');
+
+const sessionService = require('./sessionService');
+const authService = require('./authService');
+const providers = require('./providers');
+const demographicsService = require('./demographicsService');
+const dateService = require('./dateService');
+const answerRevisionService = require('./answerRevisionService');
+const answerIntentService = require('./answerIntentService');
+const slotCaptureService = require('./slotCaptureService');
+const prescriberService = require('./prescriberService');
+const indicationService = require('./indicationService');
+const formularyService = require('./formularyService');
+
+/**
+ * Conversation turn pipeline shared by the HTTP routes and the realtime WebSocket.
+ * Takes transcribed or typed user input, advances the session and returns the
+ * assistant's reply; speech synthesis is left to the caller.
+ */
+class ConversationService {
+    constructor() {
+        this.greeting = "Hi, I'm Casey from CVS Health. I'm here to help you with your prior authorization request. To get started, I'll need some basic information about the patient and the medication. Could you please provide the patient's full name?";
+    }
+
+    /**
+     * Create a session and record the opening greeting
+     * @returns {Object} - { sessionId, message }
+     */
+    startSession() {
+        const sessionId = sessionService.createSession();
+        sessionService.addConversationTurn(sessionId, 'assistant', this.greeting);
+        return { sessionId, message: this.greeting };
+    }
+
+    /**
+     * Run one conversation turn for user input, regardless of whether it came from audio or text
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - Transcribed or typed user input
+     * @returns {Promise<Object>} - Step response with message, step and decision details
+     */
+    async runTurn(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+
+        // Add user turn to conversation history
+        sessionService.addConversationTurn(sessionId, 'user', userInput);
+
+        // Process the input based on current step
+        let response;
+
+        if (session.step === 'greeting') {
+            response = await this.processGreetingStep(sessionId, userInput);
+        } else if (session.step === 'confirm_demographics') {
+            response = await demographicsService.handleConfirmation(sessionId, userInput);
+        } else if (session.step === 'prescriber') {
+            response = prescriberService.handleReply(sessionId, userInput);
+        } else if (session.step === 'indication') {
+            response = indicationService.handleReply(sessionId, userInput);
+        } else if (session.step === 'product') {
+            response = formularyService.handleReply(sessionId, userInput);
+        } else if (session.step === 'question_flow') {
+            response = await this.processQuestionStep(sessionId, userInput);
+        } else if (session.step === 'transferred') {
+            response = {
+                message: "You're being transferred to a prior authorization specialist. Please stay on the line.",
+                step: 'transferred'
+            };
+        } else if (session.step === 'complete') {
+            // Revising an answer after the decision re-opens the question flow if needed
+            const revision = await answerRevisionService.handle(sessionId, userInput);
+            response = revision ? this.describeAnswerResult(sessionId, revision) : {
+                message: "Your authorization request has been processed. Is there anything else I can help you with?",
+                step: 'complete',
+                decision: session.decision
+            };
+        } else {
+            response = {
+                message: "I'm sorry, but I'm not sure how to proceed. Let me transfer you to a human representative.",
+                step: session.step
+            };
+        }
+
+        // Add assistant turn to conversation history
+        sessionService.addConversationTurn(sessionId, 'assistant', response.message);
+
+        return response;
+    }
+
+    /**
+     * Build the JSON payload returned to the web interface for a processed turn
+     * @param {string} sessionId - Session identifier
+     * @param {Object} response - Step response from runTurn
+     * @param {string} audioFile - Generated audio path or a text-only marker
+     * @returns {Object} - Response payload
+     */
+    buildTurnPayload(sessionId, response, audioFile) {
+        return {
+            sessionId,
+            message: response.message,
+            audioFile: audioFile.startsWith('text-only:') ? null : path.basename(audioFile),
+            textOnly: audioFile.startsWith('text-only:'),
+            ...this.getTurnState(sessionId, response)
+        };
+    }
+
+    /**
+     * Describe the session state after a turn (step, extracted data, decision and progress)
+     * @param {string} sessionId - Session identifier
+     * @param {Object} response - Step response from runTurn
+     * @returns {Object} - Session state
+     */
+    getTurnState(sessionId, response) {
+        // Get updated session data for the response
+        const updatedSession = sessionService.getSession(sessionId);
+
+        return {
+            step: response.step,
+            decision: response.decision,
+            nextQuestion: response.nextQuestion,
+            needsClarification: response.needsClarification || false,
+            hold: response.hold || null,
+            // Enhanced data for web interface
+            extractedData: {
+                memberName: updatedSession.memberName || null,
+                dateOfBirth: updatedSession.dateOfBirth || null,
+                memberId: updatedSession.memberId || null,
+                drugName: updatedSession.drugName || null,
+                confidence: response.confidence || 0.8
+            },
+            questionsAnswered: updatedSession.questionsAnswered || 0,
+            totalQuestions: updatedSession.totalQuestions || 0
+        };
+    }
+
+    /**
+     * Process greeting step - collect basic information
+     */
+    async processGreetingStep(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+
+        // Several roster members matched; this reply picks one
+        if (session.memberCandidates) {
+            const reprompt = demographicsService.chooseMember(sessionId, userInput);
+            if (reprompt) return { ...reprompt, isConfirmation: false };
+            return {
+                ...demographicsService.beginConfirmation(sessionId, sessionService.findDrug(session.drugName)),
+                isConfirmation: true
+            };
+        }
+
+        // A numeric date of birth read differently day-first; this reply picks the reading
+        if (session.dateOfBirthCandidates) {
+            const reprompt = demographicsService.chooseDateOfBirth(sessionId, userInput);
+            if (reprompt) return { ...reprompt, isConfirmation: false };
+            return this.continueGreeting(sessionId, 0.8);
+        }
+
+        // Enhanced processing for shorter responses
+        const processedInput = this.processShortGreetingInput(userInput);
+
+        if (processedInput.needsClarification) {
+            return {
+                message: processedInput.clarificationMessage,
+                step: 'greeting',
+                needsClarification: true
+            };
+        }
+
+        // Use enhanced extraction with LLM and fallback patterns
+        let extractedInfo = await this.extractInformationWithLLM(processedInput.processedInput, session);
+        let confidence = 0.8; // Default confidence
+
+        // If LLM extraction didn't work well, try fallback pattern matching
+        if (!extractedInfo.memberName && !extractedInfo.dateOfBirth && !extractedInfo.drugName) {
+            extractedInfo = this.extractInformationWithPatterns(processedInput.processedInput, session);
+            confidence = 0.6; // Lower confidence for pattern matching
+        }
+
+        // Fill in fields that are still empty; changes to collected details go through the confirmation step
+        const { dateOfBirth, ...otherInfo } = extractedInfo;
+        const newInfo = {};
+        Object.entries(otherInfo).forEach(([field, value]) => {
+            if (value && !session[field]) {
+                newInfo[field] = value;
+            }
+        });
+        if (Object.keys(newInfo).length > 0) {
+            sessionService.updateSession(sessionId, newInfo);
+        }
+
+        const datePrompt = demographicsService.readDateOfBirth(sessionId, processedInput.processedInput, dateOfBirth);
+        if (datePrompt) {
+            return { ...datePrompt, confidence: confidence, isConfirmation: false };
+        }
+
+        return this.continueGreeting(sessionId, confidence);
+    }
+
+    /**
+     * Ask for the next missing detail, or verify the member and read the details back once all are collected
+     * @param {string} sessionId - Session identifier
+     * @param {number} confidence - Confidence of the extraction
+     * @returns {Object} - Step response
+     */
+    continueGreeting(sessionId, confidence) {
+        const session = sessionService.getSession(sessionId);
+
+        // Determine next question based on what's missing
+        if (!session.memberName) {
+            return {
+                message: "I didn't catch the patient's name. Could you please provide the patient's full name?",
+                step: 'greeting',
+                confidence: confidence,
+                isConfirmation: false
+            };
+        }
+
+        if (!session.dateOfBirth) {
+            return {
+                message: "Thanks. Now I need the patient's date of birth. What is the patient's date of birth?",
+                step: 'greeting',
+                confidence: confidence,
+                isConfirmation: false
+            };
+        }
+
+        if (!session.drugName) {
+            return {
+                message: "Thanks. What medication are you requesting authorization for?",
+                step: 'greeting',
+                confidence: confidence,
+                isConfirmation: false
+            };
+        }
+
+        // All basic info collected, find the drug and read the details back for confirmation
+        const drug = sessionService.findDrug(session.drugName);
+
+        if (!drug) {
+            // Clear the unrecognized name so the next reply can supply it
+            sessionService.updateSession(sessionId, { drugName: null });
+            return {
+                message: "I'm sorry, but I don't recognize that medication. Could you please provide the exact name of the medication you're requesting?",
+                step: 'greeting',
+                isConfirmation: false
+            };
+        }
+
+        const ineligible = demographicsService.verifyMember(sessionId);
+        if (ineligible) {
+            return { ...ineligible, confidence: confidence, isConfirmation: false };
+        }
+
+        return {
+            ...demographicsService.beginConfirmation(sessionId, drug),
+            confidence: confidence,
+            isConfirmation: true
+        };
+    }
+
+    /**
+     * Process question step - handle authorization questions
+     */
+    async processQuestionStep(sessionId, userInput) {
+        const revision = await answerRevisionService.handle(sessionId, userInput);
+        const result = revision
+            || await answerIntentService.handle(sessionId, userInput)
+            || await slotCaptureService.handle(sessionId, userInput)
+            || await sessionService.processAnswer(sessionId, userInput);
+        return this.describeAnswerResult(sessionId, result);
+    }
+
+    /**
+     * Check in with a caller whose hold timer ran out
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} - Step response, or null if the caller is no longer on hold
+     */
+    checkInOnHold(sessionId) {
+        if (answerIntentService.holdStatus(sessionId) !== 'due') return null;
+
+        const result = answerIntentService.checkIn(sessionId);
+        sessionService.addConversationTurn(sessionId, 'assistant', result.message);
+        return this.describeAnswerResult(sessionId, result);
+    }
+
+    /**
+     * Turn an answer (or answer revision or answer intent) result into the step response
+     * @param {string} sessionId - Session identifier
+     * @param {Object} result - Result from sessionService.processAnswer, reviseAnswer, answerIntentService.handle
+     *   or slotCaptureService.handle
+     * @returns {Object} - Step response
+     */
+    describeAnswerResult(sessionId, result) {
+        let acknowledgement = '';
+        if (result.revision) {
+            acknowledgement = `${answerRevisionService.describe(result.revision, sessionService.getSession(sessionId))} `;
+        } else if (result.captured) {
+            acknowledgement = `${slotCaptureService.describe(result.captured)} `;
+        }
+
+        if (result.action === 'complete') {
+            // Process the final decision
+            const decision = authService.processDecision(sessionId, result.decision, result.reason);
+
+            return {
+                message: acknowledgement + decision.message,
+                step: 'complete',
+                decision: result.decision,
+                reason: result.reason,
+                action: 'complete',
+                isConfirmation: false
+            };
+        } else if (result.action === 'clarification') {
+            // Handle clarification requests for short/unclear responses
+            return {
+                message: acknowledgement + result.message,
+                step: 'question_flow',
+                needsClarification: true,
+                question: result.question,
+                isConfirmation: false
+            };
+        } else if (result.action === 'hold') {
+            // The realtime socket checks in when the hold timer runs out
+            return {
+                message: result.message,
+                step: 'question_flow',
+                hold: result.hold,
+                question: result.question,
+                isConfirmation: false
+            };
+        } else if (result.action === 'repeat') {
+            return {
+                message: result.message,
+                step: 'question_flow',
+                nextQuestion: result.question,
+                isConfirmation: false
+            };
+        } else if (result.action === 'transfer') {
+            return {
+                message: result.message,
+                step: 'transferred',
+                action: 'transfer',
+                isConfirmation: false
+            };
+        } else if (result.action === 'next_question') {
+            if (result.question) {
+                return {
+                    message: acknowledgement + result.question.text,
+                    step: 'question_flow',
+                    nextQuestion: result.question,
+                    isConfirmation: false
+                };
+            } else {
+                return {
+                    message: "I've completed all the necessary questions. Let me process your authorization request.",
+                    step: 'processing',
+                    action: 'checking',
+                    isConfirmation: false
+                };
+            }
+        } else {
+            return {
+                message: "I'm sorry, I didn't understand your response. Could you please repeat that?",
+                step: 'question_flow',
+                isConfirmation: false
+            };
+        }
+    }
+
+    /**
+     * Enhanced information extraction using LLM
+     */
+    async extractInformationWithLLM(userInput, session) {
+        try {
+            const systemPrompt = `You are an AI assistant that extracts specific information from user input for a prior authorization system. 
+
+    Extract ONLY the following information if present in the user's input:
+    - memberName: The patient's full name (first and last name)
+    - dateOfBirth: The patient's date of birth in YYYY-MM-DD format
+    - drugName: The name of the medication being requested
+
+    Rules:
+    1. Only extract information that is explicitly mentioned or clearly implied
+    2. For dates, convert to YYYY-MM-DD format if possible
+    3. For drug names, use the most specific/complete name mentioned
+    4. If information is not present, set the field to null
+    5. Be flexible with how people express information (e.g., "born on", "DOB", "patient is", etc.)
+    6. For short responses, be more lenient and try to extract partial information
+    7. If a single word is provided and it looks like a name, extract it as memberName
+    8. If a single word is provided and it looks like a drug name, extract it as drugName
+    9. Handle incomplete information gracefully - extract what you can
+
+    Return ONLY a valid JSON object with these exact field names:
+    {
+      "memberName": "string or null",
+      "dateOfBirth": "string or null", 
+      "drugName": "string or null"
+    }`;
+
+            const content = await providers.get().chat({
+                task: 'extract_demographics',
+                model: "gpt-4o-mini",
+                messages: [
+                    { role: "system", content: systemPrompt },
+                    { role: "user", content: userInput }
+                ],
+                temperature: 0.1,
+                maxTokens: 200
+            });
+            const extracted = JSON.parse(content);
+
+            return {
+                memberName: extracted.memberName || null,
+                dateOfBirth: extracted.dateOfBirth || null,
+                drugName: extracted.drugName || null
+            };
+        } catch (error) {
+            console.error('LLM extraction error:', error);
+            return { memberName: null, dateOfBirth: null, drugName: null };
+        }
+    }
+
+    /**
+     * Process short greeting input with enhanced validation
+     * @param {string} userInput - Raw user input
+     * @returns {Object} - Processed input with clarification needs
+     */
+    processShortGreetingInput(userInput) {
+        const normalizedInput = userInput.toLowerCase().trim();
+
+        // Handle empty or very short responses
+        if (!normalizedInput || normalizedInput.length < 3) {
+            return {
+                processedInput: userInput,
+                needsClarification: true,
+                clarificationMessage: "I didn't quite catch that. Could you please provide the patient's name, date of birth, and the medication you're requesting?"
+            };
+        }
+
+        // Check if input contains enough information
+        const hasName = /(?:name|called|patient|member)/i.test(normalizedInput);
+        const hasDate = /(?:born|birth|dob|date|\d)/i.test(normalizedInput);
+        const hasDrug = /(?:drug|medication|prescribing|requesting|need|want)/i.test(normalizedInput);
+
+        // If input is too short and doesn't contain key information, ask for clarification
+        if (normalizedInput.length < 10 && !hasName && !hasDate && !hasDrug) {
+            return {
+                processedInput: userInput,
+                needsClarification: true,
+                clarificationMessage: "I need more information to help you. Could you please provide the patient's name, date of birth, and the medication you're requesting?"
+            };
+        }
+
+        // Handle single word responses that might be names
+        if (normalizedInput.split(' ').length === 1 && normalizedInput.length > 2) {
+            // This might be just a name, ask for more information
+            return {
+                processedInput: userInput,
+                needsClarification: true,
+                clarificationMessage: `Thank you for providing "${userInput}". I also need the patient's date of birth and the medication you're requesting.`
+            };
+        }
+
+        return {
+            processedInput: userInput,
+            needsClarification: false
+        };
+    }
+
+    /**
+     * Fallback pattern-based information extraction
+     */
+    extractInformationWithPatterns(userInput, session) {
+        const extracted = {};
+
+        // Enhanced name extraction patterns for shorter responses
+        const namePatterns = [
+            /(?:name is|called|patient is|patient's name is)\s+([A-Za-z\s]+)/i,
+            /(?:my name is|I'm|I am)\s+([A-Za-z\s]+)/i,
+            /^([A-Za-z]+\s+[A-Za-z]+)$/, // Just two words that look like a name
+            /^([A-Za-z]+)$/ // Single word that might be a name (for very short responses)
+        ];
+
+        for (const pattern of namePatterns) {
+            const match = userInput.match(pattern);
+            if (match && !session.memberName) {
+                const potentialName = match[1].trim();
+                // Additional validation for single word names
+                if (pattern.source.includes('^([A-Za-z]+)$')) {
+                    // For single words, check if it looks like a name (not a drug, date, etc.)
+                    if (potentialName.length > 2 && !this.isLikelyDrug(potentialName) && !this.isLikelyDate(potentialName)) {
+                        extracted.memberName = potentialName;
+                    }
+                } else {
+                    extracted.memberName = potentialName;
+                }
+                break;
+            }
+        }
+
+        // Date of birth (checked and completed by demographicsService.readDateOfBirth)
+        if (!session.dateOfBirth) {
+            const dateOfBirth = dateService.normalize(userInput);
+            if (dateOfBirth) {
+                extracted.dateOfBirth = dateOfBirth;
+            }
+        }
+
+        // Enhanced drug name extraction patterns for shorter responses
+        const drugPatterns = [
+            /(?:drug|medication|prescribing|requesting|need|want)\s+([A-Za-z\s]+)/i,
+            /(?:for|to treat)\s+([A-Za-z\s]+)/i,
+            /^([A-Za-z]+)$/ // Single word that might be a drug (for very short responses)
+        ];
+
+        for (const pattern of drugPatterns) {
+            const match = userInput.match(pattern);
+            if (match && !session.drugName) {
+                const potentialDrug = match[1].trim();
+                // Additional validation for single word drugs
+                if (pattern.source.includes('^([A-Za-z]+)$')) {
+                    // For single words, check if it looks like a drug name
+                    if (potentialDrug.length > 2 && this.isLikelyDrug(potentialDrug)) {
+                        extracted.drugName = potentialDrug;
+                    }
+                } else {
+                    extracted.drugName = potentialDrug;
+                }
+                break;
+            }
+        }
+
+        return extracted;
+    }
+
+    /**
+     * Check if a word is likely to be a drug name
+     * @param {string} word - Word to check
+     * @returns {boolean} - True if likely a drug
+     */
+    isLikelyDrug(word) {
+        const commonDrugs = [
+            'humira', 'ozempic', 'wegovy', 'mounjaro', 'stelara', 'skyrizi', 'dupixent',
+            'rinvoq', 'xeljanz', 'cosentyx', 'taltz', 'tremfya', 'entyvio', 'simponi',
+            'orencia', 'otezla', 'remicade', 'enbrel', 'adalimumab', 'infliximab'
+        ];
+        return commonDrugs.includes(word.toLowerCase());
+    }
+
+    /**
+     * Check if a word is likely to be a date
+     * @param {string} word - Word to check
+     * @returns {boolean} - True if likely a date
+     */
+    isLikelyDate(word) {
+        // Check for date patterns
+        const datePatterns = [
+            /^\d{1,2}\/\d{1,2}\/\d{4}$/, // MM/DD/YYYY
+            /^\d{1,2}-\d{1,2}-\d{4}$/,   // MM-DD-YYYY
+            /^\d{8}$/,                    // MMDDYYYY
+            /^(january|february|march|april|may|june|july|august|september|october|november|december)$/i
+        ];
+
+        return datePatterns.some(pattern => pattern.test(word));
+    }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,281 @@
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Abbreviations are matched as well ("Sept 5", "Mar. 15")
+const MONTH_NAME = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)\\.?';
+
+const UNITS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+
+const TEENS = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const ORDINALS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+    tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16,
+    seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+// Oldest age accepted for a date of birth
+const MAX_AGE = 120;
+
+const words = table => Object.keys(table).join('|');
+const TWO_DIGITS = `(?:${words(TEENS)}|(?:${words(TENS)})(?:[\\s-]+(?:${words(UNITS)}))?)`;
+
+/**
+ * Date parsing for dates of birth and dates mentioned in answers. Reads written forms
+ * (03/15/1985, 1985-03-15, "March 15th, 1985", "15 March 1985") and spoken ones ("March fifth
+ * nineteen eighty five"), and stores dates in ISO 8601. A date of birth is checked before it is
+ * used: impossible, future and implausibly old dates are rejected, numeric dates that read
+ * differently day-first ("03/05/1985") carry the other reading so the caller can be asked, and a
+ * partial date ("born in 1985") keeps only the parts given ("1985") instead of inventing January 1.
+ */
+class DateService {
+    /**
+     * Find the first date in a text. Full dates win over partial ones.
+     * @param {string} text - Text containing the date
+     * @param {Object} [options]
+     * @param {boolean} [options.monthFirst] - The text is known to be month-first (no day-first reading)
+     * @param {Date} [options.asOf] - Date two-digit years are resolved against
+     * @returns {Object|null} - { text, year, month, day, alternatives } where missing parts are null and
+     *   alternatives holds the day-first reading of an ambiguous numeric date, or null if no date was found
+     */
+    parse(text, options = {}) {
+        const spoken = this.spellDate(String(text || '').toLowerCase());
+        for (const pattern of this.patterns(options.asOf || new Date())) {
+            const match = spoken.match(pattern.regex);
+            if (match) return this.toDate(match, pattern, options);
+        }
+        return null;
+    }
+
+    /**
+     * Find every full date in a text, in order of appearance
+     * @param {string} text - Text containing dates
+     * @param {Object} [options] - As for parse
+     * @returns {Array<Object>} - { text, year, month, day, iso } per date
+     */
+    findAll(text, options = {}) {
+        const spoken = this.spellDate(String(text || '').toLowerCase());
+        const found = [];
+
+        this.patterns(options.asOf || new Date()).filter(pattern => pattern.full).forEach(pattern => {
+            for (const match of spoken.matchAll(new RegExp(pattern.regex.source, 'g'))) {
+                const overlaps = found.some(date => match.index < date.index + date.text.length && date.index < match.index + match[0].length);
+                if (!overlaps) {
+                    const date = this.toDate(match, pattern, { ...options, monthFirst: true });
+                    found.push({ ...date, index: match.index, iso: this.toIso(date) });
+                }
+            }
+        });
+
+        return found
+            .sort((a, b) => a.index - b.index)
+            .map(({ text: dateText, year, month, day, iso }) => ({ text: dateText, year, month, day, iso }));
+    }
+
+    /**
+     * Parse and check a date of birth
+     * @param {string} text - Text containing the date
+     * @param {Object} [options]
+     * @param {boolean} [options.monthFirst] - The text is known to be month-first (e.g. a provider's MM/DD/YYYY)
+     * @param {number} [options.year] - Year to use when only a month and day are given (the year on file)
+     * @param {Date} [options.asOf] - Date the date of birth must not be after
+     * @returns {Object|null} - { iso, precision, alternatives, original } where precision is 'day', 'month'
+     *   or 'year' and alternatives holds other valid ISO readings; { error, original } where error is
+     *   'missing_year', 'invalid', 'future' or 'implausible'; or null if no date was found
+     */
+    parseDateOfBirth(text, options = {}) {
+        const asOf = options.asOf || new Date();
+        const original = String(text || '').trim();
+        const date = this.parse(original, { ...options, asOf });
+        if (!date) return null;
+
+        if (date.year === null) {
+            if (!options.year || date.month === null) return { error: 'missing_year', original };
+            date.year = options.year;
+        }
+
+        const error = this.validate(date, asOf);
+        if (error) return { error, original };
+
+        return {
+            iso: this.toIso(date),
+            precision: date.day !== null ? 'day' : date.month !== null ? 'month' : 'year',
+            alternatives: date.alternatives
+                .map(alternative => ({ ...date, ...alternative }))
+                .filter(alternative => !this.validate(alternative, asOf))
+                .map(alternative => this.toIso(alternative)),
+            original
+        };
+    }
+
+    /**
+     * Check a date of birth
+     * @param {Object} date - { year, month, day } (month and day may be null)
+     * @param {Date} [asOf] - Date the date of birth must not be after
+     * @returns {string|null} - 'invalid', 'future' or 'implausible', or null if the date is usable
+     */
+    validate(date, asOf = new Date()) {
+        const { year, month, day } = date;
+        if (month !== null && (month < 1 || month > 12)) return 'invalid';
+        if (day !== null) {
+            const calendar = new Date(Date.UTC(year, month - 1, day));
+            if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) return 'invalid';
+        }
+
+        // Partial dates are compared by the parts given
+        const today = [asOf.getFullYear(), asOf.getMonth() + 1, asOf.getDate()];
+        const given = [year, month, day];
+        for (let i = 0; i < given.length && given[i] !== null; i++) {
+            if (given[i] > today[i]) return 'future';
+            if (given[i] < today[i]) break;
+        }
+
+        if (year < today[0] - MAX_AGE) return 'implausible';
+        return null;
+    }
+
+    /**
+     * Normalize a stored or provider-supplied date to ISO 8601 without checking it
+     * @param {string} value - Date as MM/DD/YYYY, YYYY-MM-DD, "March 15, 1985", "1985", ...
+     * @returns {string|null} - ISO date ("1985-03-15", or "1985-03" / "1985" when partial) or null if unrecognized
+     */
+    normalize(value) {
+        const date = this.parse(value, { monthFirst: true });
+        return date && date.year !== null ? this.toIso(date) : null;
+    }
+
+    /**
+     * @param {Object} date - { year, month, day }
+     * @returns {string} - ISO 8601 date, reduced to the parts given
+     */
+    toIso(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return [String(date.year), date.month !== null && pad(date.month), date.month !== null && date.day !== null && pad(date.day)]
+            .filter(Boolean)
+            .join('-');
+    }
+
+    /**
+     * @param {Date} [asOf] - Moment to take the date of (defaults to now)
+     * @returns {string} - Local calendar date in ISO 8601 ("2026-10-18")
+     */
+    today(asOf = new Date()) {
+        return this.toIso({ year: asOf.getFullYear(), month: asOf.getMonth() + 1, day: asOf.getDate() });
+    }
+
+    /**
+     * Spell a date out for reading back: "March 15, 1985", "March 1985" or "1985"
+     * @param {string} value - ISO date (other forms are normalized first)
+     * @returns {string} - Spoken form, or the value unchanged if it is not a date
+     */
+    format(value) {
+        const match = String(this.normalize(value) || '').match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+        if (!match) return value;
+
+        const [, year, month, day] = match;
+        if (!month) return year;
+        const name = MONTHS[parseInt(month, 10) - 1];
+        const capitalized = `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+        return day ? `${capitalized} ${parseInt(day, 10)}, ${year}` : `${capitalized} ${year}`;
+    }
+
+    /**
+     * Age in whole years on a date
+     * @param {string} dateOfBirth - Text containing a full date
+     * @param {Date} [asOf] - Date the age is computed on
+     * @returns {Object|null} - { value, dateOfBirth } with the date in ISO form, or null if no full date was found
+     */
+    age(dateOfBirth, asOf = new Date()) {
+        const [birth] = this.findAll(dateOfBirth, { asOf });
+        if (!birth) return null;
+
+        let age = asOf.getFullYear() - birth.year;
+        if (asOf.getMonth() + 1 < birth.month || (asOf.getMonth() + 1 === birth.month && asOf.getDate() < birth.day)) {
+            age--;
+        }
+        return { value: age, dateOfBirth: birth.iso };
+    }
+
+    /**
+     * Date patterns in order of preference; `full` patterns give a year, month and day
+     * @param {Date} asOf - Date two-digit years are resolved against
+     * @returns {Array<Object>} - { regex, full, parts } where parts maps capture groups to date parts
+     */
+    patterns(asOf) {
+        const day = '(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)';
+        const year = '(\\d{4})(?!\\d)';
+
+        return [
+            { regex: /(?<!\d)(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})(?!\d)/, full: true, parts: ['year', 'month', 'day'] },
+            {
+                regex: /(?<![\d\/.-])(\d{1,2})[\/-](\d{1,2})[\/-](\d{4}|\d{2})(?![\d\/-])/,
+                full: true,
+                parts: ['month', 'day', 'year'],
+                numeric: true,
+                century: asOf.getFullYear() % 100
+            },
+            { regex: new RegExp(`\\b${MONTH_NAME}\\s+(?:the\\s+)?${day},?\\s+(?:of\\s+)?${year}`), full: true, parts: ['month', 'day', 'year'] },
+            { regex: new RegExp(`(?<![\\d.])${day}\\s+(?:of\\s+)?${MONTH_NAME},?\\s+${year}`), full: true, parts: ['day', 'month', 'year'] },
+            { regex: new RegExp(`\\b${MONTH_NAME},?\\s+(?:of\\s+)?${year}`), parts: ['month', 'year'] },
+            { regex: new RegExp(`\\b${MONTH_NAME}\\s+(?:the\\s+)?${day}`), parts: ['month', 'day'] },
+            { regex: new RegExp(`(?<![\\d.])(?:the\\s+)?${day}\\s+of\\s+${MONTH_NAME}`), parts: ['day', 'month'] },
+            { regex: /(?<![\d\/.-])(\d{1,2})\/(\d{1,2})(?![\d\/.-])/, parts: ['month', 'day'], numeric: true },
+            { regex: /(?<![\d\/.-])((?:18|19|20)\d{2})(?![\d\/.-])/, parts: ['year'] }
+        ];
+    }
+
+    toDate(match, pattern, options) {
+        const date = { text: match[0], year: null, month: null, day: null, alternatives: [] };
+        pattern.parts.forEach((part, index) => {
+            const value = match[index + 1];
+            date[part] = part === 'month' && /^[a-z]/.test(value)
+                ? MONTHS.findIndex(month => month.startsWith(value.slice(0, 3))) + 1
+                : parseInt(value, 10);
+        });
+
+        // "3/15/85": the most recent year that is not in the future
+        if (pattern.century !== undefined && date.year < 100) {
+            date.year += date.year <= pattern.century ? 2000 : 1900;
+        }
+
+        // 03/05 reads as March 5 here but as May 3 day-first
+        if (pattern.numeric && !options.monthFirst && date.month !== date.day && date.month <= 12 && date.day <= 12) {
+            date.alternatives.push({ month: date.day, day: date.month });
+        }
+
+        return date;
+    }
+
+    /**
+     * Replace spoken years, days and ordinals with digits: "March fifth nineteen eighty five"
+     * -> "march 5 1985", "the twenty first of june two thousand one" -> "the 21 of june 2001"
+     * @param {string} text - Lower-cased text
+     * @returns {string} - Text with digits
+     */
+    spellDate(text) {
+        const value = phrase => phrase.split(/[\s-]+/)
+            .reduce((total, word) => total + (UNITS[word] || TEENS[word] || TENS[word] || ORDINALS[word] || 0), 0);
+
+        return text
+            // "nineteen eighty five", "nineteen oh five", "nineteen hundred"
+            .replace(new RegExp(`\\b(eighteen|nineteen)[\\s-]+(hundred|oh[\\s-]+(?:${words(UNITS)})|${TWO_DIGITS})\\b`, 'g'),
+                (match, century, rest) => String(TEENS[century] * 100 + (rest === 'hundred' ? 0 : value(rest.replace(/^oh/, '')))))
+            // "two thousand and one", "two thousand"
+            .replace(new RegExp(`\\btwo thousand(?:[\\s-]+and)?(?:[\\s-]+(${TWO_DIGITS}|${words(UNITS)}))?\\b`, 'g'),
+                (match, rest) => String(2000 + (rest ? value(rest) : 0)))
+            // "twenty oh five", "twenty twelve"
+            .replace(new RegExp(`\\btwenty[\\s-]+(oh[\\s-]+(?:${words(UNITS)})|${TWO_DIGITS})\\b(?![\\s-]+(?:${words(UNITS)}|${words(ORDINALS)})\\b)`, 'g'),
+                (match, rest) => String(2000 + value(rest.replace(/^oh/, ''))))
+            // "twenty first", "thirty-one"
+            .replace(new RegExp(`\\b(?:twenty|thirty)[\\s-]+(?:${words(UNITS)}|first|second|third|fourth|fifth|sixth|seventh|eighth|ninth)\\b`, 'g'),
+                match => String(value(match)))
+            .replace(new RegExp(`\\b(?:${words(ORDINALS)}|${words(TEENS)}|${words(UNITS)}|twenty|thirty)\\b`, 'g'),
+                match => String(value(match)));
+    }
+}
+
+module.exports = new DateService();
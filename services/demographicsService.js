@@ -0,0 +1,461 @@
+const sessionService = require('./sessionService');
+const providers = require('./providers');
+const memberService = require('./memberService');
+const prescriberService = require('./prescriberService');
+const dateService = require('./dateService');
+
+const ORDINALS = [/\b(first|1st|former)\b/i, /\b(second|2nd|latter)\b/i, /\b(third|3rd)\b/i];
+
+// Why a date of birth was not accepted; each step finishes the sentence ("..., so I've kept ...")
+const DATE_ERRORS = {
+    invalid: "That isn't a valid calendar date",
+    future: 'That date of birth is in the future',
+    implausible: 'That date of birth is too far in the past'
+};
+
+const FIELDS = {
+    memberName: { label: 'name', keywords: /\b(name|spell(?:ed|ing)?|called)\b/i },
+    dateOfBirth: { label: 'date of birth', keywords: /\b(birthday|birth|born|dob|birthdate)\b/i },
+    drugName: { label: 'medication', keywords: /\b(drug|medication|medicine|prescription|requesting)\b/i }
+};
+
+/**
+ * Read-back and correction of the collected demographics (name, date of birth, drug)
+ * before the prescriber step and clinical question flow. Corrections are matched to a field
+ * by what the caller says ("the birthday is wrong"), an unclear date of birth is offered back
+ * as candidates to choose from, and the confirmed name and date of birth are checked against
+ * the member roster, asking which member is meant when more than one matches.
+ */
+class DemographicsService {
+    /**
+     * Move the session into the confirmation step and read the details back
+     * @param {string} sessionId - Session identifier
+     * @param {Object} drug - Matched drug
+     * @returns {Object} - Step response
+     */
+    beginConfirmation(sessionId, drug) {
+        sessionService.updateSession(sessionId, { step: 'confirm_demographics', drugName: drug.name });
+        const session = sessionService.getSession(sessionId);
+
+        return {
+            message: `Thanks. Before we continue, let me confirm: ${this.describe(session)} Is that correct?`,
+            step: 'confirm_demographics'
+        };
+    }
+
+    /**
+     * Handle the caller's reply to the read-back
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Promise<Object>} - Step response; a confirmed member moves on to the prescriber step
+     */
+    async handleConfirmation(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+
+        if (session.memberCandidates) {
+            const reprompt = this.chooseMember(sessionId, userInput);
+            if (reprompt) return reprompt;
+            return {
+                message: `Thanks. So ${this.describe(sessionService.getSession(sessionId))} Is that correct?`,
+                step: 'confirm_demographics'
+            };
+        }
+
+        const { answer, corrections } = await this.interpretReply(userInput, session);
+
+        if (Object.keys(corrections).length > 0) {
+            const notes = this.applyCorrections(sessionId, corrections);
+
+            // A different name or date of birth may be a different member
+            if (corrections.memberName || corrections.dateOfBirth) {
+                const ineligible = this.verifyMember(sessionId);
+                if (ineligible) {
+                    return { ...ineligible, message: `${notes.join(' ')} ${ineligible.message}` };
+                }
+            }
+
+            const updatedSession = sessionService.getSession(sessionId);
+            return {
+                message: `${notes.join(' ')} So ${this.describe(updatedSession)} Is that correct now?`,
+                step: 'confirm_demographics'
+            };
+        }
+
+        if (answer === 'yes') {
+            // Clinical questions only start for an eligible member
+            const ineligible = session.memberId ? null : this.verifyMember(sessionId);
+            if (ineligible) return ineligible;
+
+            return prescriberService.begin(sessionId);
+        }
+
+        if (answer === 'no') {
+            // "No, the name is wrong" names the field without giving the new value
+            const field = Object.keys(FIELDS).find(key => FIELDS[key].keywords.test(userInput));
+            return {
+                message: field
+                    ? `Sorry about that. What is the correct ${FIELDS[field].label}?`
+                    : "Sorry about that. Which detail should I correct: the patient's name, date of birth, or the medication?",
+                step: 'confirm_demographics',
+                needsClarification: true
+            };
+        }
+
+        return {
+            message: `I just want to make sure I have this right: ${this.describe(session)} Is that correct?`,
+            step: 'confirm_demographics',
+            needsClarification: true
+        };
+    }
+
+    /**
+     * Classify the reply and pull out any corrected values
+     * @param {string} userInput - User's reply
+     * @param {Object} session - Session object
+     * @returns {Promise<Object>} - { answer: 'yes' | 'no' | 'unknown', corrections: { field: value } }
+     */
+    async interpretReply(userInput, session) {
+        const [answer, extracted] = await Promise.all([
+            this.classifyReply(userInput),
+            this.extractCorrections(userInput, session)
+        ]);
+
+        // A month and day without a year ("the birthday is March 5th") keeps the year on file
+        if (!extracted.dateOfBirth && FIELDS.dateOfBirth.keywords.test(userInput)) {
+            extracted.dateOfBirth = this.extractPartialDate(userInput, session.dateOfBirth);
+        }
+
+        const corrections = {};
+        Object.keys(FIELDS).forEach(field => {
+            const value = extracted[field];
+            if (value && String(value).toLowerCase().trim() !== String(session[field] || '').toLowerCase().trim()) {
+                corrections[field] = value;
+            }
+        });
+
+        return { answer, corrections };
+    }
+
+    async classifyReply(userInput) {
+        try {
+            const answer = (await providers.get().chat({
+                task: 'classify_yes_no',
+                input: userInput,
+                model: "gpt-4o-mini",
+                messages: [
+                    {
+                        role: "system",
+                        content: `The caller was asked to confirm the patient's name, date of birth and medication.
+Return ONLY one word: "Yes" if they confirmed, "No" if they said something is wrong, or "Unknown".`
+                    },
+                    { role: "user", content: userInput }
+                ],
+                temperature: 0.1,
+                maxTokens: 10
+            })).trim().toLowerCase();
+
+            if (answer.startsWith('yes')) return 'yes';
+            if (answer.startsWith('no')) return 'no';
+            return 'unknown';
+        } catch (error) {
+            console.error('Confirmation classification error:', error.message);
+            return 'unknown';
+        }
+    }
+
+    async extractCorrections(userInput, session) {
+        try {
+            const content = await providers.get().chat({
+                task: 'extract_demographics',
+                input: userInput,
+                model: "gpt-4o-mini",
+                messages: [
+                    {
+                        role: "system",
+                        content: `The caller is correcting details for a prior authorization request.
+Currently on file: name "${session.memberName}", date of birth "${session.dateOfBirth}", medication "${session.drugName}".
+
+Return ONLY a JSON object with the corrected values and null for anything the caller did not correct:
+{
+  "memberName": "string or null",
+  "dateOfBirth": "YYYY-MM-DD or null (keep the year on file if the caller leaves it out)",
+  "drugName": "string or null"
+}`
+                    },
+                    { role: "user", content: userInput }
+                ],
+                temperature: 0.1,
+                maxTokens: 200
+            });
+
+            const extracted = JSON.parse(content);
+            return {
+                memberName: extracted.memberName || null,
+                dateOfBirth: dateService.normalize(extracted.dateOfBirth),
+                drugName: extracted.drugName || null
+            };
+        } catch (error) {
+            console.error('Correction extraction error:', error.message);
+            return { memberName: null, dateOfBirth: null, drugName: null };
+        }
+    }
+
+    /**
+     * Parse a month and day given without a year, e.g. "March 5th" or "3/5"
+     * @param {string} userInput - User's reply
+     * @param {string} currentDob - Date of birth on file (ISO)
+     * @returns {string|null} - ISO date or null
+     */
+    extractPartialDate(userInput, currentDob) {
+        const onFile = dateService.parse(currentDob, { monthFirst: true });
+        if (!onFile || onFile.year === null) return null;
+
+        const reading = dateService.parseDateOfBirth(userInput, { monthFirst: true, year: onFile.year });
+        return reading && !reading.error ? reading.iso : null;
+    }
+
+    /**
+     * Read the date of birth from a greeting reply and store it in ISO form. The caller's own
+     * words are read first, so a day-first reading and partial dates can be caught; the date the
+     * provider extracted is the fallback. A month and day complete a year already on file.
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @param {string|null} extracted - Date of birth extracted by the provider
+     * @returns {Object|null} - Step response asking about the date, or null if the reply needs no follow-up
+     */
+    readDateOfBirth(sessionId, userInput, extracted) {
+        const session = sessionService.getSession(sessionId);
+        const onFile = session.dateOfBirth ? dateService.parse(session.dateOfBirth, { monthFirst: true }) : null;
+        if (onFile && onFile.day !== null) return null;
+
+        const options = { year: onFile ? onFile.year : undefined };
+        const reading = dateService.parseDateOfBirth(userInput, options) ||
+            (extracted ? dateService.parseDateOfBirth(extracted, { ...options, monthFirst: true }) : null);
+        if (!reading) return null;
+
+        const ask = message => ({ message, step: session.step, needsClarification: true });
+        if (reading.error === 'missing_year') {
+            return ask("Could you give me the patient's full date of birth, including the year?");
+        }
+        if (reading.error) {
+            return ask(`${DATE_ERRORS[reading.error]}. Could you repeat the patient's date of birth?`);
+        }
+
+        if (reading.alternatives.length > 0) {
+            // 03/05/1985 is March 5 or May 3; the roster settles it when only one reading is a member by that name
+            const readings = [reading.iso, ...reading.alternatives];
+            const onRoster = session.memberName
+                ? readings.filter(iso => memberService.findMatches(session.memberName, iso).length > 0)
+                : [];
+            if (onRoster.length !== 1) {
+                sessionService.updateSession(sessionId, { dateOfBirthCandidates: readings });
+                return ask(`Just to check the date of birth: is that ${readings.map(iso => this.formatDate(iso)).join(' or ')}?`);
+            }
+            sessionService.updateSession(sessionId, { dateOfBirth: onRoster[0] });
+            return null;
+        }
+
+        sessionService.updateSession(sessionId, { dateOfBirth: reading.iso });
+
+        // Partial dates are kept as given rather than padded out to January 1
+        if (reading.precision !== 'day') {
+            return ask(`I have the patient's date of birth as ${this.formatDate(reading.iso)}. What is the full date, including the ${reading.precision === 'year' ? 'month and day' : 'day'}?`);
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a reply to the day-first question by the month named, a full date or position in the list
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Object|null} - Step response asking again, or null once the date of birth is chosen
+     */
+    chooseDateOfBirth(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const candidates = session.dateOfBirthCandidates;
+        const date = dateService.parse(userInput);
+
+        let chosen = date && date.month !== null
+            ? candidates.filter(iso => {
+                const candidate = dateService.parse(iso);
+                return candidate.month === date.month && (date.day === null || candidate.day === date.day);
+            })
+            : [];
+        if (chosen.length !== 1) {
+            const reply = userInput.toLowerCase();
+            chosen = candidates.filter(iso => reply.includes(this.formatDate(iso).split(' ')[0].toLowerCase()));
+        }
+        if (chosen.length !== 1) {
+            const position = ORDINALS.findIndex(pattern => pattern.test(userInput));
+            chosen = position >= 0 && candidates[position] ? [candidates[position]] : [];
+        }
+
+        if (chosen.length !== 1) {
+            return {
+                message: `Sorry, is the date of birth ${candidates.map(iso => this.formatDate(iso)).join(' or ')}?`,
+                step: session.step,
+                needsClarification: true
+            };
+        }
+
+        sessionService.updateSession(sessionId, { dateOfBirth: chosen[0], dateOfBirthCandidates: null });
+        return null;
+    }
+
+    /**
+     * Apply corrections to the session and record each one in the conversation history
+     * @param {string} sessionId - Session identifier
+     * @param {Object} corrections - Corrected values keyed by field
+     * @returns {Array<string>} - Sentences describing what changed
+     */
+    applyCorrections(sessionId, corrections) {
+        const session = sessionService.getSession(sessionId);
+        const updates = {};
+        const notes = [];
+
+        Object.entries(corrections).forEach(([field, value]) => {
+            let newValue = value;
+
+            if (field === 'drugName') {
+                const drug = sessionService.findDrug(value);
+                if (!drug) {
+                    notes.push(`I couldn't find ${value} in our system, so I've kept ${session.drugName}.`);
+                    return;
+                }
+                newValue = drug.name;
+            }
+
+            if (field === 'dateOfBirth') {
+                const error = dateService.validate(dateService.parse(value, { monthFirst: true }));
+                if (error) {
+                    notes.push(`${DATE_ERRORS[error]}, so I've kept ${this.formatDate(session.dateOfBirth)}.`);
+                    return;
+                }
+            }
+
+            updates[field] = newValue;
+            notes.push(`I've updated the ${FIELDS[field].label}.`);
+            sessionService.addConversationTurn(
+                sessionId,
+                'system',
+                `Corrected ${FIELDS[field].label} from "${session[field]}" to "${newValue}"`,
+                { correction: { field, from: session[field], to: newValue } }
+            );
+        });
+
+        if (Object.keys(updates).length > 0) {
+            sessionService.updateSession(sessionId, updates);
+        }
+        return notes;
+    }
+
+    /**
+     * Check the collected name and date of birth against the member roster and record the
+     * matched member on the session
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} - Step response when no eligible member could be identified, or null once one is on the session
+     */
+    verifyMember(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        const result = memberService.lookup(session.memberName, session.dateOfBirth);
+
+        if (result.status === 'found') {
+            this.assignMember(sessionId, result.member);
+            return null;
+        }
+
+        this.assignMember(sessionId, null);
+        const born = this.formatDate(session.dateOfBirth);
+
+        if (result.status === 'ambiguous') {
+            sessionService.updateSession(sessionId, { memberCandidates: result.matches.map(member => member.memberId) });
+            return {
+                message: `I found more than one member born ${born} matching ${session.memberName}: ${this.listCandidates(result.matches)}. Which one is the patient?`,
+                step: session.step,
+                needsClarification: true
+            };
+        }
+
+        const message = result.status === 'inactive'
+            ? `${result.member.name}'s coverage under the ${result.member.plan.name} plan ended on ${this.formatDate(result.member.coverage.end)}, so I can't start a prior authorization for this member. Please check the patient's name and date of birth, or give me a different member.`
+            : `I couldn't find a member named ${session.memberName} born ${born} in our records. Could you check the patient's name and date of birth?`;
+
+        // During the greeting the next reply supplies the details again
+        if (session.step === 'greeting') {
+            sessionService.updateSession(sessionId, { memberName: null, dateOfBirth: null });
+        }
+
+        return { message, step: session.step, needsClarification: true };
+    }
+
+    /**
+     * Resolve a disambiguation reply by member ID digits, name or position in the list
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Object|null} - Step response asking again, or null once a member is chosen
+     */
+    chooseMember(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const candidates = session.memberCandidates.map(memberId => memberService.getMember(memberId)).filter(Boolean);
+        const digits = userInput.replace(/\D/g, '');
+        const spokenName = ` ${memberService.normalizeName(userInput)} `;
+
+        let chosen = digits.length >= 4
+            ? candidates.filter(member => member.memberId.endsWith(digits.slice(-4)))
+            : [];
+        if (chosen.length !== 1) {
+            chosen = candidates.filter(member => spokenName.includes(` ${memberService.normalizeName(member.name).split(' ')[0]} `));
+        }
+        if (chosen.length !== 1) {
+            const position = ORDINALS.findIndex(pattern => pattern.test(userInput));
+            chosen = position >= 0 && candidates[position] ? [candidates[position]] : [];
+        }
+
+        if (chosen.length !== 1) {
+            return {
+                message: `Sorry, which member is the patient: ${this.listCandidates(candidates)}?`,
+                step: session.step,
+                needsClarification: true
+            };
+        }
+
+        this.assignMember(sessionId, chosen[0]);
+        return null;
+    }
+
+    assignMember(sessionId, member) {
+        const updates = {
+            memberId: member ? member.memberId : null,
+            memberPlan: member ? member.plan : null,
+            memberCoverage: member ? member.coverage : null,
+            memberCandidates: null
+        };
+        if (member) {
+            // The roster spelling replaces the transcribed one
+            updates.memberName = member.name;
+        }
+        sessionService.updateSession(sessionId, updates);
+    }
+
+    listCandidates(members) {
+        return members
+            .map(member => `${member.name}, member ID ending in ${member.memberId.slice(-4)}`)
+            .join(', or ');
+    }
+
+    /**
+     * Describe the collected details for reading back
+     * @param {Object} session - Session object
+     * @returns {string} - Sentence naming the patient, date of birth and drug
+     */
+    describe(session) {
+        const member = session.memberId ? ` (member ID ${session.memberId}, ${session.memberPlan.name})` : '';
+        return `the patient is ${session.memberName}${member}, born ${this.formatDate(session.dateOfBirth)}, and you're requesting ${session.drugName}.`;
+    }
+
+    formatDate(dateOfBirth) {
+        return dateService.format(dateOfBirth);
+    }
+}
+
+module.exports = new DemographicsService();
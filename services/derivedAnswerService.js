@@ -0,0 +1,94 @@
+const numericAnswerService = require('./numericAnswerService');
+
+// Functions a `derivedFrom` expression may call, with the number of session fields each takes
+const FUNCTIONS = {
+    age: { arity: 1, compute: ([dateOfBirth], asOf) => numericAnswerService.age(dateOfBirth, asOf)?.value },
+    bmi: { arity: 2, compute: ([weight, height]) => numericAnswerService.bmi(weight, height)?.value }
+};
+
+/**
+ * Answers computed from data the session already holds. A question may declare a `derivedFrom`
+ * expression calling one of the functions above with session fields (dot paths are allowed):
+ *
+ *   { "id": "age_check", "type": "numeric", "derivedFrom": "age(dateOfBirth)", ... }
+ *   { "id": "bmi_level", "type": "numeric", "derivedFrom": "bmi(answers.weight, answers.height)", ... }
+ *
+ * When the path reaches the question and every field is present, the answer is computed and the
+ * question is not asked. Otherwise it is asked as usual.
+ */
+class DerivedAnswerService {
+    /**
+     * Split an expression into its function and session field paths
+     * @param {string} expression - e.g. "age(dateOfBirth)"
+     * @returns {Object|null} - { name, fields } or null if the expression is malformed
+     */
+    parse(expression) {
+        const match = String(expression || '').match(/^\s*([a-zA-Z]\w*)\s*\(([\w.\s,]*)\)\s*$/);
+        if (!match) return null;
+
+        const fields = match[2].split(',').map(field => field.trim()).filter(Boolean);
+        return { name: match[1], fields };
+    }
+
+    /**
+     * Compute a question's answer from the session
+     * @param {Object} question - Question definition
+     * @param {Object} session - Session object
+     * @param {Date} [asOf] - Date ages are computed on
+     * @returns {Object|null} - { answer, details } as for a recorded answer, or null if the question
+     *   is not derived or the session lacks the data
+     */
+    derive(question, session, asOf = new Date()) {
+        const expression = question.derivedFrom && this.parse(question.derivedFrom);
+        const definition = expression && FUNCTIONS[expression.name];
+        if (!definition) return null;
+
+        const inputs = {};
+        expression.fields.forEach(field => {
+            inputs[field] = field.split('.').reduce((value, key) => value?.[key], session);
+        });
+        if (Object.values(inputs).some(value => value === undefined || value === null || value === '')) return null;
+
+        const value = definition.compute(expression.fields.map(field => inputs[field]), asOf);
+        if (value === undefined || value === null || isNaN(value)) return null;
+
+        return {
+            answer: String(value),
+            details: {
+                original: null,
+                value,
+                unit: question.unit || null,
+                range: null,
+                conversion: null,
+                derived: true,
+                derivedFrom: question.derivedFrom,
+                inputs
+            }
+        };
+    }
+
+    /**
+     * Check the `derivedFrom` expressions of a question set
+     * @param {string} questionSetId - Question set identifier (used in messages)
+     * @param {Object} questionSet - Question set definition
+     * @returns {Array<string>} - Validation errors (empty if valid)
+     */
+    validateQuestionSet(questionSetId, questionSet) {
+        const errors = [];
+
+        (questionSet.questions || []).filter(question => question.derivedFrom !== undefined).forEach(question => {
+            const expression = this.parse(question.derivedFrom);
+            if (!expression) {
+                errors.push(`${questionSetId}: question "${question.id}" has a malformed derivedFrom expression "${question.derivedFrom}"`);
+            } else if (!FUNCTIONS[expression.name]) {
+                errors.push(`${questionSetId}: question "${question.id}" derives from unknown function "${expression.name}"`);
+            } else if (expression.fields.length !== FUNCTIONS[expression.name].arity) {
+                errors.push(`${questionSetId}: question "${question.id}" passes ${expression.fields.length} field(s) to ${expression.name}, which takes ${FUNCTIONS[expression.name].arity}`);
+            }
+        });
+
+        return errors;
+    }
+}
+
+module.exports = new DerivedAnswerService();
@@ -0,0 +1,579 @@
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { v4: uuidv4 } = require('uuid');
+const sessionService = require('./sessionService');
+const memberService = require('./memberService');
+const prescriberService = require('./prescriberService');
+const formularyService = require('./formularyService');
+const indicationService = require('./indicationService');
+const questionGraphService = require('./questionGraphService');
+const dateService = require('./dateService');
+
+const SCRIPT_NAMESPACE = 'http://www.ncpdp.org/schema/SCRIPT';
+const SCRIPT_VERSION = '2017071';
+
+// NextQuestionID of a branch that ends the question set; the decision rules decide from there
+const END_OF_QUESTIONS = 'END';
+
+// SCRIPT Error code for a transaction the receiver rejected
+const REJECTED = '900';
+
+const YES_NO_CHOICES = [
+    { id: 'Y', text: 'Yes', answer: 'yes' },
+    { id: 'N', text: 'No', answer: 'no' }
+];
+
+// Elements that may repeat, so a single occurrence still parses as a list
+const REPEATING = ['Question', 'Choice', 'Comparison', 'Criteria'];
+
+/**
+ * Electronic prior authorization over NCPDP SCRIPT. A `PAInitiationRequest` starts a session
+ * from its patient, prescriber and prescribed medication, the active question set goes back
+ * as a `PAQuestionRequest`, a `PAQuestionResponse` is recorded into `session.answers`, and the
+ * decision from the question set's rules is sent as a `PAResponse`. Messages that cannot be
+ * processed are answered with a SCRIPT `Error`.
+ */
+class EpaService {
+    constructor() {
+        this.parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '@',
+            removeNSPrefix: true,
+            // NDCs, IDs and phone numbers keep their leading zeros
+            parseTagValue: false,
+            isArray: name => REPEATING.includes(name)
+        });
+        this.builder = new XMLBuilder({
+            ignoreAttributes: false,
+            attributeNamePrefix: '@',
+            format: true,
+            indentBy: '  ',
+            suppressEmptyNode: true
+        });
+    }
+
+    /**
+     * Process an incoming SCRIPT message
+     * @param {string} xml - Message XML
+     * @returns {Object} - { action: 'question_request' | 'response' | 'error', sessionId, code, problems, xml }
+     * where xml is the reply message
+     */
+    handle(xml) {
+        let message;
+        try {
+            message = this.parse(xml);
+        } catch (error) {
+            return this.reject(null, 'invalid_message', [error.message]);
+        }
+
+        if (message.type === 'PAInitiationRequest') {
+            return this.initiate(message);
+        }
+        if (message.type === 'PAQuestionResponse') {
+            return this.answerQuestions(message);
+        }
+        return this.reject(message, 'unsupported_message',
+            [`${message.type} messages are not supported; send a PAInitiationRequest or PAQuestionResponse`]);
+    }
+
+    /**
+     * Parse a SCRIPT message
+     * @param {string} xml - Message XML
+     * @returns {Object} - { type, header, body } where type is the Body's transaction element
+     */
+    parse(xml) {
+        let document;
+        try {
+            document = this.parser.parse(String(xml || ''), true);
+        } catch (error) {
+            throw new Error(`Invalid XML: ${error.message}`);
+        }
+
+        const message = document.Message;
+        const type = message?.Body && Object.keys(message.Body).find(key => !key.startsWith('@'));
+        if (!type) {
+            throw new Error('Not an NCPDP SCRIPT message: expected a Message with a Body');
+        }
+        return { type, header: message.Header || {}, body: message.Body[type] || {} };
+    }
+
+    /**
+     * Start a session from a PAInitiationRequest
+     * @param {Object} message - Parsed message
+     * @returns {Object} - Result as from handle
+     */
+    initiate(message) {
+        const request = this.readInitiation(message.body);
+        if (request.problems.length > 0) {
+            return this.reject(message, 'invalid_request', request.problems);
+        }
+
+        const { member, prescriber, drug, product, indication, quantity, daysSupply } = request;
+        const sessionId = sessionService.createSession();
+        const requestedProduct = {
+            ndc: product.ndc,
+            description: product.description,
+            strengths: product.strengths,
+            form: product.form,
+            quantity,
+            daysSupply,
+            quantityLimit: formularyService.quantityLimitFor(drug, product, indication)
+        };
+
+        sessionService.updateSession(sessionId, {
+            memberName: member.name,
+            dateOfBirth: request.dateOfBirth,
+            memberId: member.memberId,
+            memberPlan: member.plan,
+            memberCoverage: member.coverage,
+            prescriber,
+            drugName: drug.name,
+            drugId: drug.id,
+            drugVersion: { version: drug.version, effectiveDate: drug.effectiveDate },
+            indication: { id: indication.id, name: indication.name, questionSet: indication.questionSet },
+            requestedProduct,
+            epa: {
+                prescriberSystem: message.header.From || null,
+                payer: message.header.To || null,
+                initiationReferenceId: message.body.PAReferenceID || null,
+                lastMessageId: message.header.MessageID || null
+            }
+        });
+        sessionService.addConversationTurn(sessionId, 'system', 'Received NCPDP SCRIPT PAInitiationRequest',
+            { epa: { messageId: message.header.MessageID || null } });
+
+        const check = formularyService.checkQuantityLimit(product, quantity, daysSupply, requestedProduct.quantityLimit);
+        if (!check.withinLimit) {
+            formularyService.rejectQuantity(sessionId, product, requestedProduct, check);
+            return { action: 'response', sessionId, xml: this.renderResponse(sessionId) };
+        }
+
+        sessionService.initializeQuestionFlow(sessionId, drug.id, indication.id);
+        if (!sessionService.getCurrentQuestion(sessionId)) {
+            // No question set in effect (not published yet, or unpublished)
+            sessionService.endSession(sessionId);
+            return this.reject(message, 'invalid_request', [`No clinical criteria for ${drug.name} (${indication.name}) are in effect`]);
+        }
+        return { action: 'question_request', sessionId, xml: this.renderQuestionRequest(sessionId) };
+    }
+
+    /**
+     * Read and check the patient, prescriber and medication of a PAInitiationRequest against
+     * the member roster, prescriber directory and formulary
+     * @param {Object} body - PAInitiationRequest element
+     * @returns {Object} - { member, dateOfBirth, prescriber, drug, product, indication, quantity, daysSupply, problems }
+     */
+    readInitiation(body) {
+        const problems = [];
+        const member = this.readMember(body, problems);
+        const prescriber = this.readPrescriber(body, problems);
+        const medication = this.readMedication(body, problems);
+        return { ...member, prescriber, ...medication, problems };
+    }
+
+    readMember(body, problems) {
+        const patient = body.Patient?.HumanPatient || {};
+        const name = [patient.Name?.FirstName, patient.Name?.LastName].filter(Boolean).join(' ');
+        const dateOfBirth = dateService.normalize(patient.DateOfBirth?.Date);
+        if (!name || !dateOfBirth) {
+            problems.push('Patient name and date of birth are required');
+            return {};
+        }
+
+        const cardholderId = body.BenefitsCoordination?.CardholderID || null;
+        const result = memberService.lookup(name, dateOfBirth);
+        const born = dateService.format(dateOfBirth);
+
+        if (result.status === 'inactive') {
+            problems.push(`Coverage for ${result.member.name} under the ${result.member.plan.name} plan ended on ${dateService.format(result.member.coverage.end)}`);
+            return {};
+        }
+
+        // A cardholder ID settles which of several same-named members is meant
+        const member = result.status === 'ambiguous'
+            ? result.matches.find(match => match.memberId === cardholderId)
+            : result.member;
+        if (!member) {
+            problems.push(result.status === 'ambiguous'
+                ? `More than one member named ${name} was born ${born}; send the CardholderID`
+                : `No member named ${name} born ${born} was found`);
+            return {};
+        }
+        if (cardholderId && cardholderId !== member.memberId) {
+            problems.push(`CardholderID ${cardholderId} does not belong to ${member.name}`);
+            return {};
+        }
+
+        return { member, dateOfBirth };
+    }
+
+    readPrescriber(body, problems) {
+        const prescriber = body.Prescriber?.NonVeterinarian || {};
+        const npi = String(prescriber.Identification?.NPI || '').replace(/\D/g, '');
+        if (!prescriberService.isValidNpi(npi)) {
+            problems.push(npi ? `Prescriber NPI ${npi} is not a valid NPI` : 'Prescriber NPI is required');
+            return null;
+        }
+
+        const record = prescriberService.lookup(npi);
+        if (!record) {
+            problems.push(`Prescriber NPI ${npi} is not in the prescriber directory`);
+            return null;
+        }
+
+        const name = [prescriber.Name?.FirstName, prescriber.Name?.LastName].filter(Boolean).join(' ');
+        if (name && !prescriberService.namesMatch(name, record.name)) {
+            problems.push(`NPI ${npi} is registered to Dr. ${record.name}, not ${name}`);
+            return null;
+        }
+
+        return {
+            name: record.name,
+            npi,
+            practice: record.practice,
+            callbackNumber: prescriberService.formatPhone(prescriber.CommunicationNumbers?.PrimaryTelephone?.Number),
+            credential: record.credential,
+            specialty: record.specialty,
+            verified: true
+        };
+    }
+
+    readMedication(body, problems) {
+        const medication = body.MedicationPrescribed || {};
+        const ndc = medication.DrugCoded?.ProductCode?.Code;
+        const description = medication.DrugDescription;
+
+        let drug = null;
+        let product = null;
+        // Products and indications come from the drug entry version in effect today
+        if (ndc) {
+            const listed = sessionService.drugsData.drugs.find(candidate => (candidate.products || []).some(item => formularyService.sameNdc(item.ndc, ndc)));
+            drug = listed && sessionService.getEffectiveDrug(listed.id);
+            product = drug && (drug.products || []).find(item => formularyService.sameNdc(item.ndc, ndc));
+            if (!product) drug = null;
+        } else if (description) {
+            const listed = sessionService.findDrug(description);
+            drug = listed && sessionService.getEffectiveDrug(listed.id);
+            const products = drug ? formularyService.matchProducts(drug, {}) : [];
+            product = products.length === 1 ? products[0] : null;
+        }
+
+        if (!drug) {
+            problems.push(ndc ? `NDC ${ndc} is not on the formulary` : `"${description || 'The medication'}" is not on the formulary`);
+            return {};
+        }
+        if (!product) {
+            problems.push(`${drug.name} has several products; send the NDC in DrugCoded`);
+            return {};
+        }
+
+        const quantity = parseFloat(medication.Quantity?.Value);
+        const daysSupply = parseInt(medication.DaysSupply, 10);
+        if (!(quantity > 0) || !(daysSupply > 0)) {
+            problems.push('MedicationPrescribed needs a Quantity and DaysSupply');
+        }
+
+        const indication = this.findIndication(drug, medication.Diagnosis?.Primary);
+        if (!indication) {
+            const diagnosis = medication.Diagnosis?.Primary;
+            const indications = sessionService.getIndications(drug).map(item => item.name).join(', ');
+            problems.push(diagnosis
+                ? `Diagnosis ${[diagnosis.Code, diagnosis.Description].filter(Boolean).join(' ')} is not a covered indication for ${drug.name} (${indications})`
+                : `${drug.name} is covered for several indications (${indications}); send the primary Diagnosis`);
+        }
+
+        return { drug, product, indication, quantity, daysSupply };
+    }
+
+    /**
+     * Match the primary diagnosis to one of the drug's indications, by ICD-10 code (the most
+     * specific `icd10` prefix in data/drugs.json wins) or by description
+     * @param {Object} drug - Drug definition
+     * @param {Object} [diagnosis] - Diagnosis Primary element ({ Code, Qualifier, Description })
+     * @returns {Object|null} - Indication, or null if none matches
+     */
+    findIndication(drug, diagnosis) {
+        const indications = sessionService.getIndications(drug);
+        if (!diagnosis) {
+            // Without a diagnosis only a drug with a single question set can go ahead
+            return indicationService.needsChoice(drug) ? null : indications[0] || null;
+        }
+
+        const code = String(diagnosis.Code || '').replace(/\./g, '').toUpperCase();
+        const byCode = indications
+            .map(indication => ({
+                indication,
+                length: Math.max(0, ...(indication.icd10 || [])
+                    .map(prefix => prefix.replace(/\./g, '').toUpperCase())
+                    .filter(prefix => code && code.startsWith(prefix))
+                    .map(prefix => prefix.length))
+            }))
+            .filter(match => match.length > 0)
+            .sort((a, b) => b.length - a.length)[0];
+
+        return byCode?.indication || indicationService.infer(drug, diagnosis.Description || '');
+    }
+
+    /**
+     * Record the answers of a PAQuestionResponse, following the routing graph from the current
+     * question. Every answer is checked before any is recorded, so a rejected message leaves
+     * the session as it was.
+     * @param {Object} message - Parsed message
+     * @returns {Object} - Result as from handle
+     */
+    answerQuestions(message) {
+        const sessionId = message.body.PAReferenceID;
+        const session = sessionId && sessionService.getSession(sessionId);
+        if (!session || !session.questionSetId) {
+            return this.reject(message, 'session_not_found', [`No prior authorization is open for PAReferenceID "${sessionId || ''}"`]);
+        }
+
+        session.epa = { ...(session.epa || {}), lastMessageId: message.header.MessageID || null };
+        sessionService.updateSession(sessionId, { epa: session.epa });
+
+        // A repeated response after the decision gets the same PAResponse
+        if (session.decision) {
+            return { action: 'response', sessionId, xml: this.renderResponse(sessionId) };
+        }
+
+        const answers = {};
+        const problems = [];
+        (message.body.QuestionSet?.Question || []).forEach(entry => {
+            const question = questionGraphService.getQuestion(session.questionFlow, entry.QuestionID);
+            if (!question) {
+                problems.push(`Question "${entry.QuestionID}" is not in question set "${session.questionSetId}"`);
+                return;
+            }
+
+            const result = this.readAnswer(question, entry.QuestionResponse || {});
+            if (result.error) {
+                problems.push(`Question "${question.id}": ${result.error}`);
+            } else {
+                answers[question.id] = result.answer;
+            }
+        });
+        if (problems.length > 0) {
+            return this.reject(message, 'invalid_answers', problems);
+        }
+
+        sessionService.addConversationTurn(sessionId, 'system',
+            `Received NCPDP SCRIPT PAQuestionResponse with ${Object.keys(answers).length} answer(s)`,
+            { epa: { messageId: message.header.MessageID || null } });
+
+        // Answers to questions the path does not reach are not recorded
+        let question = sessionService.getCurrentQuestion(sessionId);
+        while (question && answers[question.id] !== undefined) {
+            sessionService.recordAnswer(sessionId, question, answers[question.id]);
+            question = sessionService.getCurrentQuestion(sessionId);
+        }
+
+        if (sessionService.getSession(sessionId).decision) {
+            return { action: 'response', sessionId, xml: this.renderResponse(sessionId) };
+        }
+        return { action: 'question_request', sessionId, xml: this.renderQuestionRequest(sessionId) };
+    }
+
+    /**
+     * Turn a QuestionResponse into the answer the voice channel would have recorded
+     * @param {Object} question - Question definition
+     * @param {Object} response - QuestionResponse element ({ ChoiceID }, { Numeric } or { FreeText })
+     * @returns {Object} - { answer } or { error }
+     */
+    readAnswer(question, response) {
+        if (question.type === 'yes_no' || question.type === 'multiple_choice') {
+            const choice = this.getChoices(question).find(item => item.id === String(response.ChoiceID ?? '').trim());
+            return choice
+                ? { answer: choice.answer }
+                : { error: response.ChoiceID === undefined ? 'expected a ChoiceID' : `ChoiceID "${response.ChoiceID}" is not one of the choices` };
+        }
+
+        if (question.type === 'numeric') {
+            const value = Number(String(response.Numeric ?? '').trim());
+            if (response.Numeric === undefined || String(response.Numeric).trim() === '' || !Number.isFinite(value)) {
+                return { error: 'expected a Numeric value' };
+            }
+            const range = question.validation?.range;
+            if (range && (value < range.min || value > range.max)) {
+                return { error: `${value} is outside the allowed range of ${range.min} to ${range.max}` };
+            }
+            return { answer: value.toString() };
+        }
+
+        const text = String(response.FreeText ?? '').trim();
+        return text ? { answer: text } : { error: 'expected FreeText' };
+    }
+
+    /**
+     * Render the questions still ahead of the session as a PAQuestionRequest: the current
+     * question and every question the routing graph can reach from it
+     * @param {string} sessionId - Session identifier
+     * @returns {string} - Message XML
+     */
+    renderQuestionRequest(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        const questionSet = sessionService.getSessionQuestionSet(session);
+        const questions = this.remainingQuestions(session);
+
+        return this.build(session, 'PAQuestionRequest', {
+            PAReferenceID: session.id,
+            QuestionSet: {
+                QuestionSetIdentifier: session.questionSetId,
+                QuestionSetTitle: questionSet.name,
+                Question: questions.map((question, index) => this.toScriptQuestion(question, index + 1))
+            }
+        });
+    }
+
+    remainingQuestions(session) {
+        const reachable = new Set();
+        const pending = session.currentQuestionId ? [session.currentQuestionId] : [];
+        while (pending.length > 0) {
+            const question = questionGraphService.getQuestion(session.questionFlow, pending.pop());
+            if (question && !reachable.has(question.id)) {
+                reachable.add(question.id);
+                pending.push(...questionGraphService.getTargets(question).filter(target => !questionGraphService.isTerminal(target)));
+            }
+        }
+        return session.questionFlow.filter(question => reachable.has(question.id));
+    }
+
+    /**
+     * Map a question to a SCRIPT Question. Yes/no and multiple choice questions become a
+     * Select whose choices name the next question, numeric ranges become a Comparison, and
+     * branches to an outcome point at END.
+     * @param {Object} question - Question definition
+     * @param {number} sequence - Position in the question set
+     * @returns {Object} - Question element
+     */
+    toScriptQuestion(question, sequence) {
+        const entry = {
+            QuestionID: question.id,
+            QuestionSequenceNumber: sequence,
+            QuestionText: question.text
+        };
+
+        if (question.type === 'yes_no' || question.type === 'multiple_choice') {
+            entry.QuestionType = {
+                Select: {
+                    SelectMultiple: 'N',
+                    Choice: this.getChoices(question).map(choice => ({
+                        ChoiceID: choice.id,
+                        ChoiceText: choice.text,
+                        NextQuestionID: this.nextQuestionId(questionGraphService.resolveNext(question, choice.answer))
+                    }))
+                }
+            };
+            return entry;
+        }
+
+        if (question.type === 'numeric') {
+            const range = question.next?.range;
+            entry.QuestionType = {
+                Numeric: {
+                    Unit: question.unit,
+                    Comparison: range ? [{
+                        Criteria: [['GE', range.min], ['LE', range.max]]
+                            .filter(([, value]) => value !== undefined)
+                            .map(([operator, value]) => ({ ComparisonOperator: operator, ComparisonValue: value })),
+                        NextQuestionID: this.nextQuestionId(range.next)
+                    }] : undefined
+                }
+            };
+        } else {
+            entry.QuestionType = { FreeText: '' };
+        }
+
+        // The route taken by any answer no choice or comparison covers
+        entry.DefaultNextQuestionID = this.nextQuestionId(questionGraphService.resolveNext(question, ''));
+        return entry;
+    }
+
+    getChoices(question) {
+        if (question.type === 'yes_no') return YES_NO_CHOICES;
+        return (question.options || []).map((option, index) => ({ id: String(index + 1), text: option, answer: option }));
+    }
+
+    nextQuestionId(target) {
+        return !target || questionGraphService.isTerminal(target) ? END_OF_QUESTIONS : target;
+    }
+
+    /**
+     * Render the session's decision as a PAResponse: Approved, Denied (including quantity limit
+     * denials) or Pended when more documentation is needed
+     * @param {string} sessionId - Session identifier
+     * @returns {string} - Message XML
+     */
+    renderResponse(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        if (!session?.decision) {
+            throw new Error('Session has no determination yet');
+        }
+
+        const caseId = `AUTH-${session.id.substring(0, 8).toUpperCase()}`;
+        const rule = session.decisionRule;
+        let status;
+        if (session.decision === 'approve') {
+            status = { Approved: { AuthorizationNumber: caseId, Note: session.decisionReason } };
+        } else if (session.decision === 'documentation_required') {
+            status = { Pended: { Note: session.decisionReason } };
+        } else {
+            status = {
+                Denied: {
+                    DenialReason: { ReasonCode: rule?.id, Description: session.decisionReason },
+                    Note: rule?.citation || undefined
+                }
+            };
+        }
+
+        return this.build(session, 'PAResponse', {
+            PAReferenceID: session.id,
+            PACaseID: caseId,
+            ResponseStatus: status
+        });
+    }
+
+    /**
+     * Answer a message that could not be processed with a SCRIPT Error
+     * @param {Object|null} message - Parsed message, or null if it could not be parsed
+     * @param {string} code - Reason code returned to the caller
+     * @param {Array<string>} problems - What was wrong with the message
+     * @returns {Object} - Result as from handle
+     */
+    reject(message, code, problems) {
+        const header = message?.header || {};
+        const xml = this.build({ epa: { prescriberSystem: header.From, payer: header.To, lastMessageId: header.MessageID } }, 'Error', {
+            Code: REJECTED,
+            Description: problems.join('; ')
+        });
+        return { action: 'error', code, problems, xml };
+    }
+
+    /**
+     * Wrap a transaction in a SCRIPT Message addressed back to the prescriber system
+     * @param {Object} session - Session (or { epa }) the reply belongs to
+     * @param {string} type - Transaction element name
+     * @param {Object} body - Transaction content
+     * @returns {string} - Message XML
+     */
+    build(session, type, body) {
+        const epa = session.epa || {};
+        return this.builder.build({
+            '?xml': { '@version': '1.0', '@encoding': 'UTF-8' },
+            Message: {
+                '@xmlns': SCRIPT_NAMESPACE,
+                '@TransportVersion': SCRIPT_VERSION,
+                '@TransactionDomain': 'SCRIPT',
+                '@TransactionVersion': SCRIPT_VERSION,
+                Header: {
+                    To: epa.prescriberSystem || undefined,
+                    From: epa.payer || undefined,
+                    MessageID: uuidv4(),
+                    RelatesToMessageID: epa.lastMessageId || undefined,
+                    SentTime: new Date().toISOString()
+                },
+                Body: { [type]: body }
+            }
+        });
+    }
+}
+
+module.exports = new EpaService();
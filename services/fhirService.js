@@ -0,0 +1,469 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const sessionService = require('./sessionService');
+const authService = require('./authService');
+
+const SYSTEMS = {
+    npi: 'http://hl7.org/fhir/sid/us-npi',
+    ndc: 'http://hl7.org/fhir/sid/ndc',
+    ucum: 'http://unitsofmeasure.org',
+    claimType: 'http://terminology.hl7.org/CodeSystem/claim-type',
+    memberId: 'urn:prior-auth:member-id',
+    reportId: 'urn:prior-auth:report-id'
+};
+
+// Local identifiers for things FHIR has no standard code for
+const QUESTIONNAIRE_PREFIX = 'urn:prior-auth:questionnaire:';
+const DECISION_EXTENSION = 'urn:prior-auth:extension:decision';
+const DERIVED_EXTENSION = 'urn:prior-auth:extension:derived-from';
+
+// UCUM codes for the units question sets use
+const UCUM_UNITS = {
+    '%': '%',
+    'kg/m²': 'kg/m2',
+    years: 'a'
+};
+
+const DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?$/;
+const ZONE = /(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/;
+
+const PRIMITIVES = {
+    boolean: value => typeof value === 'boolean',
+    decimal: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    positiveInt: value => Number.isInteger(value) && value > 0,
+    unsignedInt: value => Number.isInteger(value) && value >= 0,
+    string: value => typeof value === 'string' && value.trim() !== '',
+    markdown: value => typeof value === 'string' && value.trim() !== '',
+    code: value => typeof value === 'string' && /^[^\s]+( [^\s]+)*$/.test(value),
+    id: value => typeof value === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(value),
+    uri: value => typeof value === 'string' && /^\S+$/.test(value),
+    canonical: value => typeof value === 'string' && /^\S+$/.test(value),
+    date: value => typeof value === 'string' && DATE.test(value),
+    time: value => typeof value === 'string' && TIME.test(value),
+    dateTime: value => typeof value === 'string' && (DATE.test(value) || PRIMITIVES.instant(value)),
+    instant: value => typeof value === 'string' && ZONE.test(value) &&
+        DATE.test(value.split('T')[0]) && value.split('T')[0].length === 10 &&
+        TIME.test((value.split('T')[1] || '').replace(ZONE, ''))
+};
+
+/**
+ * Exports completed prior authorization sessions as FHIR R4 Bundles: the Patient, the
+ * Practitioner, a MedicationRequest for the requested product, a QuestionnaireResponse
+ * built from the questions asked, and a ClaimResponse carrying the determination.
+ * Resources are checked against the structure definitions bundled in
+ * data/fhir/definitions.json before they leave the service.
+ */
+class FhirService {
+    constructor() {
+        const definitions = this.loadDefinitions();
+        this.structureDefinitions = definitions.structureDefinitions;
+        this.valueSets = definitions.valueSets;
+    }
+
+    loadDefinitions() {
+        const structureDefinitions = {};
+        const valueSets = {};
+        try {
+            const bundle = fs.readJsonSync(path.join(__dirname, '../data/fhir/definitions.json'));
+            bundle.entry.forEach(({ resource }) => {
+                if (resource.resourceType === 'StructureDefinition') {
+                    structureDefinitions[resource.type] = resource;
+                } else if (resource.resourceType === 'ValueSet') {
+                    valueSets[resource.url] = new Set(resource.compose.include.flatMap(include => include.concept.map(concept => concept.code)));
+                }
+            });
+        } catch (error) {
+            console.error('Error loading FHIR definitions:', error.message);
+        }
+        return { structureDefinitions, valueSets };
+    }
+
+    /**
+     * Build the FHIR Bundle for a completed session
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - Bundle of type "collection"
+     */
+    buildBundle(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+        if (!session.decision) {
+            throw new Error('Session has no determination yet');
+        }
+
+        const created = new Date(session.endedAt || session.updatedAt || session.createdAt).toISOString();
+        const refs = {
+            patient: `urn:uuid:${uuidv4()}`,
+            practitioner: session.prescriber ? `urn:uuid:${uuidv4()}` : null
+        };
+
+        const resources = [
+            [refs.patient, this.toPatient(session)],
+            [refs.practitioner, session.prescriber && this.toPractitioner(session)],
+            [`urn:uuid:${uuidv4()}`, this.toMedicationRequest(session, refs, created)],
+            [`urn:uuid:${uuidv4()}`, this.toQuestionnaireResponse(session, refs, created)],
+            [`urn:uuid:${uuidv4()}`, this.toClaimResponse(session, refs, created)]
+        ].filter(([, resource]) => resource);
+
+        return {
+            resourceType: 'Bundle',
+            id: uuidv4(),
+            identifier: { system: SYSTEMS.reportId, value: `AUTH-${sessionId.substring(0, 8).toUpperCase()}` },
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: resources.map(([fullUrl, resource]) => ({
+                fullUrl,
+                resource: { resourceType: resource.resourceType, id: fullUrl.replace('urn:uuid:', ''), ...resource }
+            }))
+        };
+    }
+
+    /**
+     * @param {Object} session - Session data
+     * @returns {Object} - Patient resource
+     */
+    toPatient(session) {
+        const patient = { resourceType: 'Patient' };
+        if (session.memberId) {
+            patient.identifier = [{ use: 'official', system: SYSTEMS.memberId, value: session.memberId }];
+        }
+        if (session.memberName) {
+            patient.name = [this.toHumanName(session.memberName)];
+        }
+        // FHIR dates allow the reduced precision ("1985", "1985-03") partial dates of birth are kept in
+        if (session.dateOfBirth) {
+            patient.birthDate = session.dateOfBirth;
+        }
+        return patient;
+    }
+
+    /**
+     * @param {Object} session - Session data
+     * @returns {Object} - Practitioner resource
+     */
+    toPractitioner(session) {
+        const prescriber = session.prescriber;
+        const practitioner = { resourceType: 'Practitioner' };
+        if (prescriber.npi) {
+            practitioner.identifier = [{ system: SYSTEMS.npi, value: prescriber.npi }];
+        }
+        if (prescriber.name) {
+            practitioner.name = [this.toHumanName(prescriber.name.replace(/^dr\.?\s+/i, ''), prescriber.credential)];
+        }
+        if (prescriber.callbackNumber) {
+            practitioner.telecom = [{ system: 'phone', value: prescriber.callbackNumber, use: 'work' }];
+        }
+        return practitioner;
+    }
+
+    /**
+     * @param {Object} session - Session data
+     * @param {Object} refs - Bundle references to the patient and practitioner
+     * @param {string} created - When the determination was made
+     * @returns {Object} - MedicationRequest resource
+     */
+    toMedicationRequest(session, refs, created) {
+        const product = session.requestedProduct;
+        const medication = { text: product?.description || session.drugName };
+        if (product?.ndc) {
+            medication.coding = [{ system: SYSTEMS.ndc, code: product.ndc, display: product.description }];
+        }
+
+        const request = {
+            resourceType: 'MedicationRequest',
+            status: 'active',
+            intent: 'order',
+            medicationCodeableConcept: medication,
+            subject: { reference: refs.patient },
+            authoredOn: created
+        };
+        if (refs.practitioner) {
+            request.requester = { reference: refs.practitioner };
+        }
+        if (session.indication?.name) {
+            request.reasonCode = [{ text: session.indication.name }];
+        }
+        if (product?.quantity || product?.daysSupply) {
+            request.dispenseRequest = {};
+            if (product.quantity) {
+                request.dispenseRequest.quantity = { value: Number(product.quantity), unit: product.form };
+            }
+            if (product.daysSupply) {
+                request.dispenseRequest.expectedSupplyDuration = {
+                    value: Number(product.daysSupply), unit: 'days', system: SYSTEMS.ucum, code: 'd'
+                };
+            }
+        }
+        return request;
+    }
+
+    /**
+     * Questions in the order they were asked along the routing graph, with their answers
+     * @param {Object} session - Session data
+     * @param {Object} refs - Bundle references to the patient and practitioner
+     * @param {string} created - When the determination was made
+     * @returns {Object} - QuestionnaireResponse resource
+     */
+    toQuestionnaireResponse(session, refs, created) {
+        const items = (session.questionPath || [])
+            .map(questionId => session.questionFlow.find(question => question.id === questionId))
+            .filter(question => question && session.answers[question.id] !== undefined)
+            .map(question => {
+                const item = { linkId: question.id, text: question.text };
+                const answer = this.toAnswer(question, session.answers[question.id], session.answerDetails?.[question.id]);
+                if (answer) item.answer = [answer];
+                return item;
+            });
+
+        const response = {
+            resourceType: 'QuestionnaireResponse',
+            status: 'completed',
+            subject: { reference: refs.patient },
+            authored: created
+        };
+        if (session.questionSetId) {
+            // Canonical with the pinned version ("url|version") so the response names the criteria it answered
+            const version = session.questionSetVersion?.version;
+            response.questionnaire = `${this.questionnaireUrl(session.questionSetId)}${version ? `|${version}` : ''}`;
+        }
+        if (refs.practitioner) {
+            response.source = { reference: refs.practitioner };
+        }
+        if (items.length > 0) {
+            response.item = items;
+        }
+        return response;
+    }
+
+    /**
+     * Typed answer for a question: yes/no as boolean, numeric as a UCUM quantity, the rest as text
+     * @param {Object} question - Question definition
+     * @param {string} value - Stored answer
+     * @param {Object} [details] - Numeric or derivation details for the answer
+     * @returns {Object|null} - QuestionnaireResponse.item.answer, or null for an unknown answer
+     */
+    toAnswer(question, value, details) {
+        if (value === 'unknown') return null;
+
+        let answer;
+        const number = Number(value);
+        if (question.type === 'yes_no' && /^(yes|no)$/i.test(value)) {
+            answer = { valueBoolean: value.toLowerCase() === 'yes' };
+        } else if (question.type === 'numeric' && value !== '' && Number.isFinite(number)) {
+            const unit = details?.unit || question.unit;
+            if (unit) {
+                const coding = this.toUnitCoding(unit);
+                answer = { valueQuantity: { value: number, unit, ...(coding.code && { system: coding.system, code: coding.code }) } };
+            } else {
+                answer = { valueDecimal: number };
+            }
+        } else {
+            answer = { valueString: String(value) };
+        }
+
+        if (details?.derived) {
+            answer.extension = [{ url: DERIVED_EXTENSION, valueString: details.derivedFrom }];
+        }
+        return answer;
+    }
+
+    /**
+     * The determination, with the decision rule's reason and citation
+     * @param {Object} session - Session data
+     * @param {Object} refs - Bundle references to the patient and practitioner
+     * @param {string} created - When the determination was made
+     * @returns {Object} - ClaimResponse resource
+     */
+    toClaimResponse(session, refs, created) {
+        const claimResponse = {
+            resourceType: 'ClaimResponse',
+            extension: [{ url: DECISION_EXTENSION, valueCode: session.decision }],
+            status: 'active',
+            type: { coding: [{ system: SYSTEMS.claimType, code: 'pharmacy' }] },
+            use: 'preauthorization',
+            patient: { reference: refs.patient },
+            created,
+            insurer: { display: session.memberPlan?.name || 'Health plan' },
+            outcome: 'complete',
+            preAuthRef: `AUTH-${session.id.substring(0, 8).toUpperCase()}`
+        };
+        const disposition = session.decisionReason || authService.decisionMessages[session.decision]?.message;
+        if (disposition) {
+            claimResponse.disposition = disposition;
+        }
+        if (refs.practitioner) {
+            claimResponse.requestor = { reference: refs.practitioner };
+        }
+        if (session.decisionRule?.citation) {
+            claimResponse.processNote = [{ number: 1, text: session.decisionRule.citation }];
+        }
+        return claimResponse;
+    }
+
+    /**
+     * Canonical URL of the Questionnaire a question set is exported as
+     * @param {string} questionSetId - Question set identifier
+     * @returns {string} - Questionnaire URL
+     */
+    questionnaireUrl(questionSetId) {
+        return `${QUESTIONNAIRE_PREFIX}${questionSetId}`;
+    }
+
+    /**
+     * Question set ID from a Questionnaire URL made by questionnaireUrl
+     * @param {string} url - Questionnaire URL
+     * @returns {string|null} - Question set identifier, or null for other URLs
+     */
+    questionSetIdFromUrl(url) {
+        return typeof url === 'string' && url.startsWith(QUESTIONNAIRE_PREFIX) ? url.slice(QUESTIONNAIRE_PREFIX.length) : null;
+    }
+
+    /**
+     * @param {string} unit - Unit as written in a question set ("kg/m²")
+     * @returns {Object} - Coding with the UCUM code when the unit has one
+     */
+    toUnitCoding(unit) {
+        return UCUM_UNITS[unit] ? { system: SYSTEMS.ucum, code: UCUM_UNITS[unit], display: unit } : { display: unit };
+    }
+
+    /**
+     * @param {Object} coding - Unit Coding
+     * @returns {string|null} - Unit as written in question sets
+     */
+    fromUnitCoding(coding) {
+        if (!coding) return null;
+        if (coding.display) return coding.display;
+        const unit = Object.keys(UCUM_UNITS).find(key => UCUM_UNITS[key] === coding.code);
+        return unit || coding.code || null;
+    }
+
+    /**
+     * @param {string} name - Full name as collected
+     * @param {string} [suffix] - Credential such as "MD"
+     * @returns {Object} - HumanName
+     */
+    toHumanName(name, suffix) {
+        const parts = name.trim().split(/\s+/);
+        const humanName = { text: name.trim() };
+        if (parts.length > 1) {
+            humanName.family = parts[parts.length - 1];
+            humanName.given = parts.slice(0, -1);
+        }
+        if (suffix) {
+            humanName.suffix = [suffix];
+        }
+        return humanName;
+    }
+
+    /**
+     * Check a resource against the bundled structure definitions: required elements,
+     * cardinality, element types, unknown elements and required code bindings
+     * @param {Object} resource - FHIR resource (a Bundle's entries are checked too)
+     * @returns {Array<string>} - Problems found, each prefixed with the element's location
+     */
+    validate(resource) {
+        const issues = [];
+        this.validateResource(resource, resource?.resourceType || 'Resource', issues);
+        return issues;
+    }
+
+    validateResource(resource, location, issues) {
+        const definition = this.structureDefinitions[resource?.resourceType];
+        if (!definition) {
+            issues.push(`${location}: unsupported resource type "${resource?.resourceType}"`);
+            return;
+        }
+        this.validateElement(resource, definition, definition.type, location, issues, ['resourceType']);
+    }
+
+    /**
+     * Check an object's children against the elements a definition lists under a path
+     * @param {Object} value - Object being checked
+     * @param {Object} definition - StructureDefinition the path belongs to
+     * @param {string} elementPath - Path of the object in the definition ("Patient", "Bundle.entry")
+     * @param {string} location - Location for messages ("Bundle.entry[2].resource")
+     * @param {Array<string>} issues - Problems found so far
+     * @param {Array<string>} [ignored] - Keys that are not elements
+     */
+    validateElement(value, definition, elementPath, location, issues, ignored = []) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            issues.push(`${location}: expected an object`);
+            return;
+        }
+
+        const children = definition.snapshot.element.filter(element =>
+            element.path.startsWith(`${elementPath}.`) && !element.path.slice(elementPath.length + 1).includes('.'));
+        const known = new Set(ignored);
+
+        children.forEach(element => {
+            const name = element.path.slice(elementPath.length + 1);
+            const matches = name.endsWith('[x]')
+                ? element.type.map(type => [`${name.slice(0, -3)}${type.code[0].toUpperCase()}${type.code.slice(1)}`, type.code])
+                    .filter(([key]) => value[key] !== undefined)
+                : (value[name] !== undefined ? [[name, element.contentReference ? 'contentReference' : element.type[0].code]] : []);
+            matches.forEach(([key]) => known.add(key));
+
+            if (matches.length === 0) {
+                if (element.min > 0) issues.push(`${location}.${name}: required element is missing`);
+                return;
+            }
+            if (matches.length > 1) {
+                issues.push(`${location}.${name}: only one of ${matches.map(([key]) => key).join(', ')} is allowed`);
+            }
+
+            const [key, type] = matches[0];
+            const items = value[key];
+            if (element.max === '*' && !Array.isArray(items)) {
+                issues.push(`${location}.${key}: expected an array`);
+                return;
+            }
+            if (element.max !== '*' && Array.isArray(items)) {
+                issues.push(`${location}.${key}: expected a single value`);
+                return;
+            }
+            const list = Array.isArray(items) ? items : [items];
+            if (list.length < element.min) {
+                issues.push(`${location}.${key}: expected at least ${element.min} value(s)`);
+            }
+
+            list.forEach((item, index) => {
+                const itemLocation = Array.isArray(items) ? `${location}.${key}[${index}]` : `${location}.${key}`;
+                this.validateValue(item, type, element, definition, itemLocation, issues);
+            });
+        });
+
+        Object.keys(value)
+            .filter(key => !known.has(key))
+            .forEach(key => issues.push(`${location}.${key}: unknown element`));
+    }
+
+    validateValue(value, type, element, definition, location, issues) {
+        if (PRIMITIVES[type]) {
+            if (!PRIMITIVES[type](value)) {
+                issues.push(`${location}: ${JSON.stringify(value)} is not a valid ${type}`);
+            } else if (element.binding?.strength === 'required') {
+                const codes = this.valueSets[element.binding.valueSet.split('|')[0]];
+                if (codes && !codes.has(value)) {
+                    issues.push(`${location}: "${value}" is not in ${element.binding.valueSet.split('|')[0]}`);
+                }
+            }
+        } else if (type === 'BackboneElement') {
+            this.validateElement(value, definition, element.path, location, issues);
+        } else if (type === 'contentReference') {
+            // Nested repeats of a backbone element ("Questionnaire.item.item")
+            this.validateElement(value, definition, element.contentReference.slice(1), location, issues);
+        } else if (type === 'Resource') {
+            this.validateResource(value, location, issues);
+        } else if (this.structureDefinitions[type]) {
+            this.validateElement(value, this.structureDefinitions[type], type, location, issues);
+        } else {
+            issues.push(`${location}: no definition for type ${type}`);
+        }
+    }
+}
+
+module.exports = new FhirService();
@@ -0,0 +1,328 @@
+const sessionService = require('./sessionService');
+const authService = require('./authService');
+
+// Small spoken quantities ("two pens", "thirty tablets")
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fourteen: 14, twenty: 20, 'twenty-eight': 28, thirty: 30, sixty: 60, ninety: 90
+};
+const NUMBER = `\\b(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+
+// Forms in data/drugs.json and the words callers use for them
+const FORM_WORDS = {
+    pen: ['pen', 'pens'],
+    syringe: ['syringe', 'syringes', 'prefilled syringe'],
+    tablet: ['tablet', 'tablets', 'tab', 'tabs', 'pill', 'pills'],
+    vial: ['vial', 'vials'],
+    injector: ['injector', 'injectors', 'on-body injector'],
+    autoinjector: ['autoinjector', 'autoinjectors', 'auto-injector', 'auto-injectors']
+};
+
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30 };
+
+/**
+ * Requested product intake. After the prescriber and indication are settled, captures the product
+ * (by NDC, strength or form), quantity and days supply, and checks the request against
+ * the plan quantity limit on the product in data/drugs.json (in the drug entry version the
+ * session is pinned to). Requests over the limit end with a `quantity_limit_exceeded`
+ * decision; others move on to the clinical questions.
+ */
+class FormularyService {
+    /**
+     * Move the session into the product step
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - Step response
+     */
+    begin(sessionId) {
+        const session = sessionService.getSession(sessionId);
+        const drug = sessionService.getSessionDrug(session);
+        sessionService.updateSession(sessionId, { step: 'product', requestedProduct: null, productAwaiting: 'product' });
+
+        const products = drug.products || [];
+        const prompt = products.length === 1
+            ? `How many ${this.plural(products[0].form)} of ${products[0].description} are you requesting, and for how many days' supply?`
+            : `Which ${drug.name} product are you requesting, and what quantity and days' supply? ${this.describeOptions(drug, products)}`;
+
+        return { message: prompt, step: 'product' };
+    }
+
+    /**
+     * Handle a reply during the product step
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Object} - Step response; `nextQuestion` is set once the question flow starts,
+     * `decision` is set when the request exceeds the plan quantity limit
+     */
+    handleReply(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const drug = sessionService.getSessionDrug(session);
+        const details = this.extractDetails(userInput, session.productAwaiting);
+        const request = { ...(session.requestedProduct || {}) };
+
+        // Details given in this reply override earlier ones
+        Object.entries(details).forEach(([field, value]) => {
+            if (value) request[field] = value;
+        });
+
+        const matches = this.matchProducts(drug, request);
+        if (matches.length === 0) {
+            const given = request.ndc ? `NDC ${request.ndc}` : [request.strength, request.form].filter(Boolean).join(' ');
+            delete request.ndc;
+            delete request.strength;
+            delete request.form;
+            return this.ask(sessionId, request, 'product',
+                `${drug.name} ${given} isn't on the formulary. ${this.describeOptions(drug, drug.products || [])}`);
+        }
+        if (matches.length > 1) {
+            return this.ask(sessionId, request, 'product', `Which ${drug.name} product is it? ${this.describeOptions(drug, matches)}`);
+        }
+
+        const [product] = matches;
+        const unit = product.form;
+        if (!request.quantity) {
+            return this.ask(sessionId, request, 'quantity', `How many ${this.plural(unit)} of ${product.description} are you requesting?`);
+        }
+        if (!request.daysSupply) {
+            return this.ask(sessionId, request, 'daysSupply', `And ${this.count(request.quantity, unit)} is for how many days' supply?`);
+        }
+
+        const requestedProduct = {
+            ndc: product.ndc,
+            description: product.description,
+            strengths: product.strengths,
+            form: product.form,
+            quantity: request.quantity,
+            daysSupply: request.daysSupply,
+            quantityLimit: this.quantityLimitFor(drug, product, session.indication)
+        };
+        sessionService.updateSession(sessionId, { requestedProduct, productAwaiting: null });
+
+        const check = this.checkQuantityLimit(product, request.quantity, request.daysSupply, requestedProduct.quantityLimit);
+        if (!check.withinLimit) {
+            return this.rejectQuantity(sessionId, product, requestedProduct, check);
+        }
+
+        return this.startQuestionFlow(sessionId,
+            `Thanks, I have ${this.count(request.quantity, unit)} of ${product.description} for ${request.daysSupply} days, which is within the plan limit.`);
+    }
+
+    /**
+     * Plan quantity limit for a product, taking the indication's dosing into account
+     * @param {Object} drug - Drug from data/drugs.json
+     * @param {Object} product - Product from data/drugs.json
+     * @param {Object|null} indication - Indication recorded on the session
+     * @returns {Object|null} - { quantity, days } or null if the product has no limit
+     */
+    quantityLimitFor(drug, product, indication) {
+        const override = indication && sessionService.getIndication(drug, indication.id)?.quantityLimits?.[product.ndc];
+        return override || product.quantityLimit || null;
+    }
+
+    /**
+     * Check a requested quantity against a product's plan limit, prorated to the days supply
+     * @param {Object} product - Product from data/drugs.json
+     * @param {number} quantity - Requested quantity
+     * @param {number} daysSupply - Requested days supply
+     * @param {Object} [limit] - Limit to apply instead of the product's own
+     * @returns {Object} - { withinLimit, allowed } where allowed is the most the plan covers for the days supply
+     */
+    checkQuantityLimit(product, quantity, daysSupply, limit = product.quantityLimit) {
+        if (!limit) return { withinLimit: true, allowed: null };
+
+        // Compare rates so a 90-day supply gets three times a 30-day limit
+        return {
+            withinLimit: quantity * limit.days <= limit.quantity * daysSupply,
+            allowed: Math.floor(limit.quantity * daysSupply / limit.days)
+        };
+    }
+
+    /**
+     * Find the drug's products that fit what the caller has said so far
+     * @param {Object} drug - Drug from data/drugs.json
+     * @param {Object} request - { ndc, strength, form } as captured
+     * @returns {Array<Object>} - Matching products
+     */
+    matchProducts(drug, request) {
+        return (drug.products || []).filter(product =>
+            (!request.ndc || this.sameNdc(product.ndc, request.ndc)) &&
+            (!request.strength || product.strengths.includes(request.strength)) &&
+            (!request.form || product.form === request.form));
+    }
+
+    rejectQuantity(sessionId, product, requestedProduct, check) {
+        const limit = requestedProduct.quantityLimit;
+        const reason = `The plan limit for ${product.description} is ${this.count(limit.quantity, product.form)} per ${limit.days} days; ` +
+            `the request is for ${this.count(requestedProduct.quantity, product.form)} for ${requestedProduct.daysSupply} days`;
+
+        sessionService.updateSession(sessionId, {
+            decision: 'quantity_limit_exceeded',
+            decisionReason: reason,
+            decisionRule: {
+                id: 'quantity_limit',
+                decision: 'quantity_limit_exceeded',
+                reason,
+                ndc: product.ndc,
+                quantityLimit: limit,
+                allowed: check.allowed
+            },
+            step: 'complete'
+        });
+
+        const decision = authService.processDecision(sessionId, 'quantity_limit_exceeded', reason);
+        return {
+            message: decision.message,
+            step: 'complete',
+            decision: 'quantity_limit_exceeded',
+            reason,
+            rule: sessionService.getSession(sessionId).decisionRule,
+            action: 'complete'
+        };
+    }
+
+    ask(sessionId, request, awaiting, message) {
+        sessionService.updateSession(sessionId, { requestedProduct: request, productAwaiting: awaiting });
+        return { message, step: 'product', needsClarification: true };
+    }
+
+    startQuestionFlow(sessionId, preface) {
+        const session = sessionService.getSession(sessionId);
+        const drug = sessionService.getSessionDrug(session);
+        sessionService.initializeQuestionFlow(sessionId, drug.id);
+
+        // No flow starts when no question set is in effect (unpublished or reloaded mid-call)
+        if (!sessionService.getCurrentQuestion(sessionId)) {
+            sessionService.updateSession(sessionId, { step: 'transferred' });
+            return {
+                message: `${preface} I'm sorry, I don't have the clinical questions for ${drug.name} available right now. I'll transfer you to a prior authorization specialist. Everything you've told me so far is saved with this request.`,
+                step: 'transferred',
+                action: 'transfer'
+            };
+        }
+
+        // The diagnosis may already be known from the indication step
+        const result = sessionService.answerKnownQuestion(sessionId);
+        if (result.action === 'complete') {
+            const decision = authService.processDecision(sessionId, result.decision, result.reason);
+            return {
+                message: `${preface} ${decision.message}`,
+                step: 'complete',
+                decision: result.decision,
+                reason: result.reason,
+                rule: result.rule,
+                action: 'complete'
+            };
+        }
+
+        const currentQuestion = result.question;
+        return {
+            message: `${preface} Now I need to ask you some clinical questions to process this authorization. ${currentQuestion.text}`,
+            step: 'question_flow',
+            nextQuestion: currentQuestion
+        };
+    }
+
+    /**
+     * Pull product details out of a reply
+     * @param {string} userInput - User's reply
+     * @param {string|null} awaiting - Field the previous prompt asked for ('product', 'quantity' or 'daysSupply')
+     * @returns {Object} - { ndc, strength, form, quantity, daysSupply } (null when not found)
+     */
+    extractDetails(userInput, awaiting = null) {
+        const details = { ndc: null, strength: null, form: null, quantity: null, daysSupply: null };
+        let remaining = ` ${String(userInput || '').toLowerCase()} `;
+
+        const ndc = remaining.match(/\b(\d{4,5}-\d{3,4}-\d{1,2})\b/);
+        if (ndc) {
+            details.ndc = ndc[1];
+            remaining = remaining.replace(ndc[1], ' ');
+        }
+
+        const strength = remaining.match(/(\d+(?:\.\d+)?)\s*(?:mg|milligrams?)\b/);
+        if (strength) {
+            details.strength = `${parseFloat(strength[1])} mg`;
+            remaining = remaining.replace(strength[0], ' ');
+        }
+
+        const supply = remaining.match(new RegExp(`${NUMBER}[\\s-]*(day|week|month)s?(?:'s?)?(?:\\s+supply)?`));
+        if (supply) {
+            details.daysSupply = Math.round(this.parseNumber(supply[1]) * DAYS_PER_UNIT[supply[2]]);
+            remaining = remaining.replace(supply[0], ' ');
+        }
+
+        const formWords = Object.entries(FORM_WORDS)
+            .flatMap(([form, words]) => words.map(word => ({ form, word })))
+            .sort((a, b) => b.word.length - a.word.length);
+        const unitPattern = formWords.map(({ word }) => word.replace(/[-]/g, '\\-')).join('|');
+
+        const counted = remaining.match(new RegExp(`${NUMBER}\\s+(?:\\w+\\s+)?(${unitPattern})\\b`));
+        const labelled = remaining.match(new RegExp(`\\b(?:quantity|qty|count|dispense)(?:\\s+(?:of|is))?\\s*:?\\s*${NUMBER}\\b`));
+        if (counted) {
+            details.quantity = this.parseNumber(counted[1]);
+        } else if (labelled) {
+            details.quantity = this.parseNumber(labelled[1]);
+        }
+
+        const form = formWords.find(({ word }) => new RegExp(`\\b${word.replace(/[-]/g, '\\-')}\\b`).test(remaining));
+        if (form) details.form = form.form;
+
+        // A bare number answers whatever the agent asked for
+        const bare = remaining.match(new RegExp(`${NUMBER}\\b`));
+        if (bare && awaiting === 'quantity' && !details.quantity) {
+            details.quantity = this.parseNumber(bare[1]);
+        } else if (bare && awaiting === 'daysSupply' && !details.daysSupply) {
+            details.daysSupply = this.parseNumber(bare[1]);
+        }
+
+        return details;
+    }
+
+    parseNumber(value) {
+        return NUMBER_WORDS[value] !== undefined ? NUMBER_WORDS[value] : parseFloat(value);
+    }
+
+    /**
+     * NDC in the 11-digit 5-4-2 form. Hyphenated 10-digit NDCs (4-4-2, 5-3-2, 5-4-1) are
+     * zero-padded in their short segment; unhyphenated NDCs are taken as they are.
+     * @param {string} ndc - NDC as written on the package or in data/drugs.json
+     * @returns {string} - Digits of the 11-digit NDC
+     */
+    normalizeNdc(ndc) {
+        const text = String(ndc || '').trim();
+        const parts = text.split('-');
+        if (parts.length === 3) {
+            return `${parts[0].padStart(5, '0')}${parts[1].padStart(4, '0')}${parts[2].padStart(2, '0')}`;
+        }
+        return text.replace(/\D/g, '');
+    }
+
+    /**
+     * Compare NDCs in any of the 10-digit hyphenated layouts or the 11-digit 5-4-2 form
+     * @param {string} a - NDC
+     * @param {string} b - NDC
+     * @returns {boolean} - True if both name the same package
+     */
+    sameNdc(a, b) {
+        const normalized = this.normalizeNdc(a);
+        return normalized !== '' && normalized === this.normalizeNdc(b);
+    }
+
+    describeOptions(drug, products) {
+        const options = products.map(product => `${product.strengths.join(' or ')} ${product.form}`);
+        return `${drug.name} is available as ${this.list(options)}.`;
+    }
+
+    list(items) {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`;
+    }
+
+    plural(form) {
+        return `${form}s`;
+    }
+
+    count(quantity, form) {
+        return `${quantity} ${quantity === 1 ? form : this.plural(form)}`;
+    }
+}
+
+module.exports = new FormularyService();
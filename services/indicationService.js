@@ -0,0 +1,140 @@
+const sessionService = require('./sessionService');
+const formularyService = require('./formularyService');
+
+/**
+ * Indication capture. A drug declares the indications it is covered for in data/drugs.json,
+ * each routed to its own question set. When the choice changes the question set (Stelara
+ * for psoriasis or for Crohn's disease), the indication is inferred from what the caller
+ * has said so far, or asked for, before the product step and clinical questions. Indications
+ * come from the drug entry version the session is pinned to.
+ */
+class IndicationService {
+    /**
+     * Record the indication if it is known, otherwise move the session into the indication step.
+     * The drug entry version is pinned here, before the first lookup in it; a drug with no
+     * version in effect yet is transferred to a specialist.
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - Step response (the product step once the indication is settled)
+     */
+    begin(sessionId) {
+        const drug = sessionService.pinDrug(sessionId);
+        const session = sessionService.getSession(sessionId);
+        if (!drug) {
+            sessionService.updateSession(sessionId, { step: 'transferred' });
+            return {
+                message: `I'm sorry, the coverage criteria for ${session.drugName} aren't in effect yet. I'll transfer you to a prior authorization specialist. Everything you've told me so far is saved with this request.`,
+                step: 'transferred',
+                action: 'transfer'
+            };
+        }
+        const indications = sessionService.getIndications(drug);
+
+        const stated = session.conversationHistory
+            .filter(turn => turn.speaker === 'user')
+            .map(turn => turn.message)
+            .join(' ');
+        const named = this.infer(drug, stated);
+        const indication = named || (indications.length === 1 ? indications[0] : null);
+
+        if (indication || !this.needsChoice(drug)) {
+            this.record(sessionId, indication, Boolean(named));
+            return formularyService.begin(sessionId);
+        }
+
+        sessionService.updateSession(sessionId, { step: 'indication', indication: null });
+        return { message: this.prompt(drug), step: 'indication' };
+    }
+
+    /**
+     * Handle a reply during the indication step
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Object} - Step response
+     */
+    handleReply(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const drug = sessionService.getSessionDrug(session);
+        const indication = this.infer(drug, userInput);
+
+        if (!indication) {
+            return {
+                message: `I didn't catch that. ${this.prompt(drug)}`,
+                step: 'indication',
+                needsClarification: true
+            };
+        }
+
+        this.record(sessionId, indication, true);
+        const next = formularyService.begin(sessionId);
+        return { ...next, message: `Got it, ${indication.name}. ${next.message}` };
+    }
+
+    /**
+     * Find which of a drug's indications the text names
+     * @param {Object} drug - Drug definition
+     * @param {string} text - Caller's words
+     * @returns {Object|null} - Indication, or null if none or several are named
+     */
+    infer(drug, text) {
+        const words = ` ${this.normalize(text)} `;
+        const named = sessionService.getIndications(drug).filter(indication =>
+            [indication.name, ...indication.aliases].some(alias => words.includes(` ${this.normalize(alias)} `)));
+
+        return named.length === 1 ? named[0] : null;
+    }
+
+    /**
+     * Whether the drug's indications route to more than one question set
+     * @param {Object} drug - Drug definition
+     * @returns {boolean} - True if the indication has to be known before the question flow
+     */
+    needsChoice(drug) {
+        return new Set(sessionService.getIndications(drug).map(indication => indication.questionSet)).size > 1;
+    }
+
+    /**
+     * Record the indication. One the caller named also pre-fills the question set's diagnosis
+     * answer, so the clinical questions neither ask for the diagnosis again nor let it contradict
+     * the routing; a drug's only indication is recorded without assuming the diagnosis.
+     * @param {string} sessionId - Session identifier
+     * @param {Object|null} indication - Indication from sessionService.getIndications, or null if unknown
+     * @param {boolean} [named=false] - Whether the caller named the indication
+     */
+    record(sessionId, indication, named = false) {
+        const session = sessionService.getSession(sessionId);
+        const prefilledAnswers = { ...session.prefilledAnswers };
+        const diagnosis = named && indication && this.diagnosisFor(indication);
+        if (diagnosis) {
+            prefilledAnswers.diagnosis = { answer: diagnosis, details: null };
+        }
+
+        sessionService.updateSession(sessionId, {
+            indication: indication ? { id: indication.id, name: indication.name, questionSet: indication.questionSet } : null,
+            prefilledAnswers
+        });
+    }
+
+    /**
+     * Option of the indication's question set diagnosis question that names the indication
+     * @param {Object} indication - Indication with catalog name and aliases
+     * @returns {string|null} - Diagnosis answer, or null if the question set has no matching option
+     */
+    diagnosisFor(indication) {
+        const questionSet = sessionService.getEffectiveQuestionSet(indication.questionSet);
+        const question = questionSet?.questions.find(candidate => candidate.id === 'diagnosis');
+
+        return (question?.options || []).find(option => sessionService.diagnosisNamesIndication(indication, option)) || null;
+    }
+
+    prompt(drug) {
+        const names = sessionService.getIndications(drug).map(indication => indication.name);
+        const list = `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+        return `What is ${drug.name} being prescribed for: ${list}?`;
+    }
+
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+}
+
+module.exports = new IndicationService();
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sessionService = require('./sessionService');
+const dateService = require('./dateService');
+
+/**
+ * Member directory backed by the local roster in data/members.json. Matches a spoken
+ * name and date of birth to members, tolerating small name differences ("Jon Smith")
+ * and shortened first names ("Dani Nguyen"), and reports whether coverage is active.
+ */
+class MemberService {
+    constructor() {
+        this.members = this.loadMembers();
+    }
+
+    loadMembers() {
+        try {
+            return fs.readJsonSync(path.join(__dirname, '../data/members.json')).members;
+        } catch (error) {
+            console.error('Error loading member roster:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get a member by ID
+     * @param {string} memberId - Member identifier
+     * @returns {Object|null} - Member record or null if not found
+     */
+    getMember(memberId) {
+        return this.members.find(member => member.memberId === memberId) || null;
+    }
+
+    /**
+     * Look up a member by name and date of birth
+     * @param {string} name - Patient name as given by the caller
+     * @param {string} dateOfBirth - Date of birth (ISO or MM/DD/YYYY)
+     * @param {Date} [asOf] - Date coverage must be active on
+     * @returns {Object} - { status: 'found' | 'ambiguous' | 'inactive' | 'not_found', member, matches }
+     */
+    lookup(name, dateOfBirth, asOf = new Date()) {
+        const matches = this.findMatches(name, dateOfBirth);
+        if (matches.length === 0) {
+            return { status: 'not_found', member: null, matches };
+        }
+
+        const active = matches.filter(member => this.isActive(member, asOf));
+        if (active.length === 1) {
+            return { status: 'found', member: active[0], matches: active };
+        }
+        if (active.length > 1) {
+            return { status: 'ambiguous', member: null, matches: active };
+        }
+
+        // Only lapsed coverage on file; report the most recent record
+        const [latest] = [...matches].sort((a, b) => (b.coverage.end || '').localeCompare(a.coverage.end || ''));
+        return { status: 'inactive', member: latest, matches };
+    }
+
+    /**
+     * Members with the given date of birth whose name matches. An exact name match wins
+     * over fuzzy ones, so "Daniel Nguyen" does not also match "Danielle Nguyen".
+     * @param {string} name - Patient name
+     * @param {string} dateOfBirth - Date of birth
+     * @returns {Array<Object>} - Matching member records
+     */
+    findMatches(name, dateOfBirth) {
+        const dob = dateService.normalize(dateOfBirth);
+        if (!name || !dob) return [];
+
+        const scored = this.members
+            .filter(member => dateService.normalize(member.dateOfBirth) === dob)
+            .map(member => ({ member, score: this.nameScore(name, member.name) }))
+            .filter(match => match.score > 0);
+
+        const exact = scored.filter(match => match.score === 1);
+        return (exact.length > 0 ? exact : scored).map(match => match.member);
+    }
+
+    /**
+     * Score how well a spoken name matches a roster name
+     * @param {string} spoken - Name as given by the caller
+     * @param {string} rosterName - Name on file
+     * @returns {number} - 1 for an exact match, 0 for no match, in between for fuzzy matches
+     */
+    nameScore(spoken, rosterName) {
+        const spokenParts = this.normalizeName(spoken).split(' ');
+        const rosterParts = this.normalizeName(rosterName).split(' ');
+        if (spokenParts.join(' ') === rosterParts.join(' ')) return 1;
+
+        if (spokenParts.length < 2) return 0;
+
+        const last = sessionService.calculateSimilarity(spokenParts[spokenParts.length - 1], rosterParts[rosterParts.length - 1]);
+        if (last < 0.8) return 0;
+
+        const spokenFirst = spokenParts[0];
+        const rosterFirst = rosterParts[0];
+        let first = sessionService.calculateSimilarity(spokenFirst, rosterFirst);
+        // Shortened first names and initials ("Chris" for Christopher, "J" for John)
+        if (first < 0.75 && (rosterFirst.startsWith(spokenFirst) || spokenFirst.startsWith(rosterFirst))) {
+            first = 0.75;
+        }
+        if (first < 0.75) return 0;
+
+        return Math.min((first + last) / 2, 0.99);
+    }
+
+    normalizeName(name) {
+        return String(name).toLowerCase().replace(/[^a-z\s'-]/g, ' ').replace(/['-]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Check whether a member's coverage is active on a date
+     * @param {Object} member - Member record
+     * @param {Date} [asOf] - Date to check
+     * @returns {boolean} - True if coverage has started and not ended
+     */
+    isActive(member, asOf = new Date()) {
+        const day = asOf.toISOString().split('T')[0];
+        const { start, end } = member.coverage || {};
+        return Boolean(start) && start <= day && (!end || end >= day);
+    }
+}
+
+module.exports = new MemberService();
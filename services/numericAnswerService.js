@@ -0,0 +1,238 @@
+const questionGraphService = require('./questionGraphService');
+const dateService = require('./dateService');
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// A number that may carry a minus sign ("-3", from "minus three" or "negative three")
+const SIGNED_NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+// Units an answer may be given in instead of the question's unit, keyed by the question's unit
+const CONVERSIONS = {
+    '%': [
+        // IFCC A1C to NGSP percent (NGSP = IFCC / 10.929 + 2.15)
+        { unit: 'mmol/mol', pattern: /\bmmol(?:\s*\/\s*mol|\s+per\s+mol)?\b/, convert: value => value / 10.929 + 2.15 }
+    ]
+};
+
+/**
+ * Numeric answer parsing for the question flow. Reads digits and spoken numbers ("eight point
+ * five", "thirty two"), ranges ("between 7 and 8"), and values given in a different unit than
+ * the question's `unit`: A1C in mmol/mol, BMI from weight and height, and age from a date of birth.
+ * Numbers that belong to something else are ignored: "A1C" itself, dates, and how long ago a lab
+ * was drawn ("8.5 from 2 weeks ago").
+ */
+class NumericAnswerService {
+    /**
+     * Parse a numeric answer
+     * @param {string} text - Answer as the caller gave it
+     * @param {Object} question - Numeric question (its `unit` selects the conversions)
+     * @param {Date} [asOf] - Date ages are computed on
+     * @returns {Object} - { value, unit, original, range, conversion } or { error, original, range }
+     *   where error is 'not_numeric' or 'ambiguous_range'
+     */
+    parse(text, question, asOf = new Date()) {
+        const original = String(text || '').trim();
+        const normalized = this.spellNumbers(original.toLowerCase());
+        const unit = question.unit || null;
+
+        const derived = this.deriveValue(original, normalized, unit, asOf);
+        if (derived) {
+            return { value: derived.value, unit, original, range: null, conversion: derived.conversion };
+        }
+
+        // Dates and elapsed times are never the answer ("A1C 8.1 on 3/2/2024", "from 2 weeks ago")
+        const remaining = dateService.findAll(normalized, { asOf })
+            .reduce((result, date) => result.replace(date.text, ' '), normalized)
+            .replace(new RegExp(`${NUMBER}\\s*(?:days?|weeks?|months?|years?)\\s+(?:ago|back|earlier)\\b`, 'g'), ' ');
+
+        const conversion = (CONVERSIONS[unit] || []).find(candidate => candidate.pattern.test(remaining));
+        const toUnit = value => conversion ? this.round(conversion.convert(value)) : value;
+        const describeConversion = from => conversion ? { from: `${from} ${conversion.unit}`, unit: conversion.unit } : null;
+
+        const range = this.findRange(remaining);
+        if (range) {
+            const low = toUnit(range.low);
+            const high = toUnit(range.high);
+            // A range is only usable when both ends lead to the same place in the question set
+            if (questionGraphService.resolveNext(question, String(low)) !== questionGraphService.resolveNext(question, String(high))) {
+                return { error: 'ambiguous_range', original, range: { low, high } };
+            }
+            return {
+                value: this.round((low + high) / 2),
+                unit,
+                original,
+                range: { low, high },
+                conversion: describeConversion(`${range.low}-${range.high}`)
+            };
+        }
+
+        const number = this.findNumbers(remaining)[0];
+        if (number === undefined) return { error: 'not_numeric', original, range: null };
+
+        return { value: toUnit(number), unit, original, range: null, conversion: describeConversion(number) };
+    }
+
+    /**
+     * Replace spoken numbers with digits: "eight point five" -> "8.5", "thirty-two" -> "32",
+     * "one hundred and ten" -> "110", "seven and a half" -> "7.5", "minus three" -> "-3"
+     * @param {string} text - Lower-cased text
+     * @returns {string} - Text with digits
+     */
+    spellNumbers(text) {
+        const word = `(?:${Object.keys(NUMBER_WORDS).concat(Object.keys(TENS)).join('|')})`;
+        const phrase = new RegExp(`\\b${word}(?:[\\s-]+(?:hundred(?:\\s+and)?|point|${word}))*\\b`, 'g');
+
+        return text
+            .replace(phrase, match => this.wordsToNumber(match))
+            .replace(/(\d+)\s+point\s+(\d+)/g, '$1.$2')
+            .replace(/(\d+)\s+and\s+a\s+half\b/g, (match, whole) => `${whole}.5`)
+            .replace(/\b(?:minus|negative)\s+(?=\d)/g, '-');
+    }
+
+    wordsToNumber(phrase) {
+        const [whole, fraction] = phrase.split(/[\s-]+point[\s-]+/);
+        let value = 0;
+        whole.split(/[\s-]+/).forEach(word => {
+            if (word === 'hundred') value = (value || 1) * 100;
+            else if (TENS[word] !== undefined) value += TENS[word];
+            else if (NUMBER_WORDS[word] !== undefined) value += NUMBER_WORDS[word];
+        });
+
+        // Digits after "point" are read one by one: "seven point two five" -> 7.25
+        if (fraction) {
+            const digits = fraction.split(/[\s-]+/)
+                .map(part => NUMBER_WORDS[part] !== undefined ? NUMBER_WORDS[part] : TENS[part])
+                .filter(digit => digit !== undefined)
+                .join('');
+            return digits ? `${value}.${digits}` : String(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Standalone numbers in order, skipping digits inside words such as "A1C". A minus sign
+     * directly before the digits keeps the number negative unless it joins two numbers ("7-8").
+     * @param {string} text - Text with digits
+     * @returns {Array<number>} - Numbers found
+     */
+    findNumbers(text) {
+        return [...text.matchAll(/(?<![a-z\d.-])-?\d+(?:\.\d+)?(?![a-z\d]|\.\d)/g)].map(match => parseFloat(match[0]));
+    }
+
+    /**
+     * Find a range such as "between 7 and 8", "7 to 8" or "7-8"
+     * @param {string} text - Text with digits
+     * @returns {Object|null} - { low, high } or null
+     */
+    findRange(text) {
+        const match = text.match(new RegExp(`(?<![a-z\\d.-])(?:between\\s+${SIGNED_NUMBER}\\s+and\\s+${SIGNED_NUMBER}|${SIGNED_NUMBER}\\s*(?:to|-|–)\\s*${SIGNED_NUMBER})(?![a-z\\d])`));
+        if (!match) return null;
+
+        const [low, high] = (match[1] ? [match[1], match[2]] : [match[3], match[4]]).map(parseFloat);
+        return low < high ? { low, high } : null;
+    }
+
+    /**
+     * Compute the question's value from other measurements: BMI from weight and height,
+     * age from a date of birth
+     * @param {string} original - Answer as the caller gave it (dates are read from this)
+     * @param {string} text - Text with digits
+     * @param {string|null} unit - Question unit
+     * @param {Date} asOf - Date ages are computed on
+     * @returns {Object|null} - { value, conversion } or null if the answer is not given that way
+     */
+    deriveValue(original, text, unit, asOf) {
+        if (unit === 'kg/m²') {
+            const bmi = this.bmi(text, text);
+            return bmi && {
+                value: bmi.value,
+                conversion: { from: 'weight and height', weightKg: bmi.weightKg, heightCm: bmi.heightCm }
+            };
+        }
+
+        if (unit === 'years') {
+            const age = this.age(original, asOf);
+            return age && { value: age.value, conversion: { from: 'date of birth', dateOfBirth: age.dateOfBirth } };
+        }
+
+        return null;
+    }
+
+    /**
+     * Age in whole years on a date
+     * @param {string} dateOfBirth - Text containing the date ("03/15/1985", "1985-03-15", "March fifth nineteen eighty five")
+     * @param {Date} [asOf] - Date the age is computed on
+     * @returns {Object|null} - { value, dateOfBirth } with the date in ISO form, or null if no full date was found
+     */
+    age(dateOfBirth, asOf = new Date()) {
+        return dateService.age(dateOfBirth, asOf);
+    }
+
+    /**
+     * Body mass index from a weight and a height
+     * @param {number|string} weight - Kilograms, or text with a unit ("250 lbs")
+     * @param {number|string} height - Centimeters, or text with a unit ("5 foot 10", "1.75 m")
+     * @returns {Object|null} - { value, weightKg, heightCm }, or null if either is missing
+     */
+    bmi(weight, height) {
+        const measure = (input, find) => typeof input === 'number'
+            ? input
+            : find.call(this, this.spellNumbers(String(input || '').toLowerCase()));
+        const weightKg = measure(weight, this.findWeight);
+        const heightCm = measure(height, this.findHeight);
+        if (!weightKg || !heightCm) return null;
+
+        return {
+            value: this.round(weightKg / Math.pow(heightCm / 100, 2)),
+            weightKg: this.round(weightKg),
+            heightCm: this.round(heightCm)
+        };
+    }
+
+    /**
+     * @param {string} text - Text with digits
+     * @returns {number|null} - Weight in kilograms
+     */
+    findWeight(text) {
+        const match = text.match(new RegExp(`${NUMBER}\\s*(kg|kgs|kilograms?|kilos?|lbs?|pounds?)\\b`));
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        return /^(lb|pound)/.test(match[2]) ? value * 0.45359237 : value;
+    }
+
+    /**
+     * @param {string} text - Text with digits
+     * @returns {number|null} - Height in centimeters
+     */
+    findHeight(text) {
+        const centimeters = text.match(new RegExp(`${NUMBER}\\s*(?:cm|centimeters?|centimetres?)\\b`));
+        if (centimeters) return parseFloat(centimeters[1]);
+
+        const meters = text.match(new RegExp(`${NUMBER}\\s*(?:m|meters?|metres?)\\b`));
+        if (meters) return parseFloat(meters[1]) * 100;
+
+        // 5'10", 5 ft 10 in, 5 foot 10, 5 feet
+        const feet = text.match(/(\d+)\s*(?:'|ft|feet|foot)(?:\s*(?:and\s+)?(\d+(?:\.\d+)?)\s*(?:"|''|in|inches?)?)?/);
+        if (feet) return (parseInt(feet[1], 10) * 12 + parseFloat(feet[2] || 0)) * 2.54;
+
+        const inches = text.match(new RegExp(`${NUMBER}\\s*(?:in|inches)\\b`));
+        if (inches) return parseFloat(inches[1]) * 2.54;
+
+        return null;
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+module.exports = new NumericAnswerService();
@@ -0,0 +1,257 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sessionService = require('./sessionService');
+const indicationService = require('./indicationService');
+const answerIntentService = require('./answerIntentService');
+
+// Words that end a spoken name ("this is Dr. Chen from Riverside")
+const NAME_STOPWORDS = ['calling', 'from', 'at', 'with', 'and', 'npi', 'the', 'my', 'here', 'on', 'for'];
+
+/**
+ * Prescriber identity capture. Collects the prescriber's name, NPI, practice and callback
+ * number after the patient details are confirmed, validates the NPI check digit and looks
+ * it up in the local prescriber directory (data/prescribers.json), which fills in the
+ * practice and specialty. An NPI the directory cannot confirm is asked for once more before
+ * the request goes on with the prescriber marked unverified.
+ */
+class PrescriberService {
+    constructor() {
+        this.prescribers = this.loadPrescribers();
+    }
+
+    loadPrescribers() {
+        try {
+            return fs.readJsonSync(path.join(__dirname, '../data/prescribers.json')).prescribers;
+        } catch (error) {
+            console.error('Error loading prescriber directory:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Validate an NPI check digit. NPIs use the Luhn algorithm over the
+     * 10 digits prefixed with the 80840 health industry issuer code.
+     * @param {string} npi - NPI as given (separators are ignored)
+     * @returns {boolean} - True for a 10-digit NPI with a valid check digit
+     */
+    isValidNpi(npi) {
+        const digits = String(npi || '').replace(/\D/g, '');
+        if (digits.length !== 10) return false;
+
+        const sum = `80840${digits}`.split('').reverse().reduce((total, char, index) => {
+            let digit = parseInt(char, 10);
+            if (index % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            return total + digit;
+        }, 0);
+
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Find a prescriber in the directory by NPI
+     * @param {string} npi - NPI
+     * @returns {Object|null} - Prescriber record or null if not found
+     */
+    lookup(npi) {
+        const digits = String(npi || '').replace(/\D/g, '');
+        return this.prescribers.find(prescriber => prescriber.npi === digits) || null;
+    }
+
+    /**
+     * Move the session into the prescriber step
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - Step response
+     */
+    begin(sessionId) {
+        sessionService.updateSession(sessionId, { step: 'prescriber', prescriber: null, prescriberAwaiting: 'npi', prescriberFailures: 0 });
+        return {
+            message: "Thank you. Before the clinical questions, I need the prescriber's details. What is the prescriber's name and 10-digit NPI number?",
+            step: 'prescriber'
+        };
+    }
+
+    /**
+     * Handle a reply during the prescriber step
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Object} - Step response; the session moves on to the indication and product steps once the prescriber is
+     *   verified, or once a second well-formed NPI cannot be verified (recorded with `verified: false`)
+     */
+    handleReply(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const details = this.extractDetails(userInput, session.prescriberAwaiting);
+        const prescriber = { ...(session.prescriber || {}) };
+
+        // Transfer and hold requests come before any details in the reply
+        const intent = answerIntentService.detect(userInput, { type: 'text' });
+        if (intent === 'transfer') {
+            return { ...answerIntentService.transfer(sessionId), step: 'transferred' };
+        }
+        if (intent === 'hold' && !Object.values(details).some(Boolean)) {
+            return { message: "Sure, take your time. I'm here when you have it.", step: 'prescriber' };
+        }
+
+        Object.entries(details).forEach(([field, value]) => {
+            if (value) prescriber[field] = value;
+        });
+
+        let note = '';
+        if (details.npi) {
+            const givenName = prescriber.name;
+            const problem = this.verifyNpi(prescriber);
+            if (problem) {
+                const failures = (session.prescriberFailures || 0) + 1;
+                sessionService.updateSession(sessionId, { prescriberFailures: failures });
+
+                // One retry, then a well-formed NPI goes on unverified and a malformed one to a specialist
+                if (failures < 2) {
+                    delete prescriber.npi;
+                    return this.ask(sessionId, prescriber, 'npi', problem);
+                }
+                if (!this.isValidNpi(prescriber.npi)) {
+                    sessionService.updateSession(sessionId, { step: 'transferred', prescriber: { ...prescriber, npi: null } });
+                    return {
+                        message: "I'm still not able to read a valid NPI. I'll transfer you to a prior authorization specialist. Everything you've told me so far is saved with this request.",
+                        step: 'transferred',
+                        action: 'transfer'
+                    };
+                }
+
+                prescriber.name = prescriber.name || givenName;
+                prescriber.verified = false;
+                note = `I still can't confirm NPI ${prescriber.npi.split('').join(' ')} in our prescriber directory, so I'll note it as unverified for the review team. `;
+            }
+        }
+
+        if (!prescriber.npi) {
+            return this.ask(sessionId, prescriber, 'npi', prescriber.name
+                ? `Thanks. What is ${this.title(prescriber)}'s 10-digit NPI number?`
+                : "I didn't catch the NPI. What is the prescriber's name and 10-digit NPI number?");
+        }
+
+        if (!prescriber.callbackNumber) {
+            const practice = prescriber.practice ? ` at ${prescriber.practice}` : '';
+            return this.ask(sessionId, prescriber, 'callbackNumber',
+                `${note}Thanks, I have ${this.title(prescriber)}${practice}. What's the best callback number for the office?`);
+        }
+
+        sessionService.updateSession(sessionId, { prescriber, prescriberAwaiting: null });
+        const next = indicationService.begin(sessionId);
+        return { ...next, message: `${note}Thank you, ${this.title(prescriber)}. ${next.message}` };
+    }
+
+    /**
+     * Check a newly given NPI and fill in the directory details
+     * @param {Object} prescriber - Prescriber being captured (updated in place)
+     * @returns {string|null} - Prompt explaining the problem, or null if the NPI checks out
+     */
+    verifyNpi(prescriber) {
+        const spokenNpi = prescriber.npi.split('').join(' ');
+        if (!this.isValidNpi(prescriber.npi)) {
+            return `The NPI ${spokenNpi} doesn't look right. Could you read the 10-digit NPI again?`;
+        }
+
+        const record = this.lookup(prescriber.npi);
+        if (!record) {
+            return `I couldn't find NPI ${spokenNpi} in our prescriber directory. Could you double-check it?`;
+        }
+
+        // A mismatched name usually means a misread NPI
+        if (prescriber.name && !this.namesMatch(prescriber.name, record.name)) {
+            const given = prescriber.name;
+            delete prescriber.name;
+            return `NPI ${spokenNpi} is registered to Dr. ${record.name}, not ${given}. Could you double-check the NPI?`;
+        }
+
+        prescriber.name = record.name;
+        prescriber.credential = record.credential;
+        prescriber.specialty = record.specialty;
+        prescriber.practice = prescriber.practice || record.practice;
+        prescriber.verified = true;
+        return null;
+    }
+
+    ask(sessionId, prescriber, awaiting, message) {
+        sessionService.updateSession(sessionId, { prescriber, prescriberAwaiting: awaiting });
+        return { message, step: 'prescriber', needsClarification: true };
+    }
+
+    /**
+     * Pull prescriber details out of a reply
+     * @param {string} userInput - User's reply
+     * @param {string|null} awaiting - Field the previous prompt asked for ('npi' or 'callbackNumber')
+     * @returns {Object} - { name, npi, practice, callbackNumber } (null when not found)
+     */
+    extractDetails(userInput, awaiting = null) {
+        const details = { name: null, npi: null, practice: null, callbackNumber: null };
+        let remaining = userInput;
+
+        const phoneLabelled = remaining.match(/\b(?:call ?back|phone|telephone|reach (?:me|us|the office) at)\b[^\d]{0,20}(\+?1?[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4})/i);
+        if (phoneLabelled) {
+            details.callbackNumber = this.formatPhone(phoneLabelled[1]);
+            remaining = remaining.replace(phoneLabelled[1], ' ');
+        }
+
+        const npiLabelled = remaining.match(/\bnpi(?:\s+(?:number|is|#))*\D{0,5}((?:\d[\s-]?){9}\d)/i);
+        if (npiLabelled) {
+            details.npi = npiLabelled[1].replace(/\D/g, '');
+            remaining = remaining.replace(npiLabelled[1], ' ');
+        }
+
+        // Unlabelled numbers go to the field the agent asked for
+        (remaining.match(/\(?\d[\d\s().-]{8,}\d/g) || []).forEach(run => {
+            const digits = run.replace(/\D/g, '');
+            if (!details.npi && awaiting === 'npi' && digits.length === 10) {
+                details.npi = digits;
+            } else if (!details.callbackNumber && this.formatPhone(run)) {
+                if (awaiting === 'callbackNumber' || /[\s().-]/.test(run.trim())) {
+                    details.callbackNumber = this.formatPhone(run);
+                }
+            }
+        });
+
+        // "This is the office of Dr. Chen" - skip introductions that stop before a name
+        for (const match of userInput.matchAll(/\b(?:dr\.?|doctor|this is|my name is|name is|i'm|i am|prescriber is)\s+(?:dr\.?\s+|doctor\s+)?([a-z][a-z'-]+(?:\s+[a-z][a-z'-]+)?)/gi)) {
+            const words = match[1].split(/\s+/);
+            const stop = words.findIndex(word => NAME_STOPWORDS.includes(word.toLowerCase()));
+            const nameWords = stop >= 0 ? words.slice(0, stop) : words;
+            if (nameWords.length > 0) {
+                details.name = nameWords.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+                break;
+            }
+        }
+
+        const practice = userInput.match(/\b(?:from|at|with)\s+((?:[A-Z][\w&'.-]*\s*)+)/);
+        if (practice && !/^(NPI|Dr)\b/.test(practice[1])) {
+            details.practice = practice[1].trim();
+        }
+
+        return details;
+    }
+
+    /**
+     * Format a US phone number as (XXX) XXX-XXXX
+     * @param {string} value - Phone number in any common format
+     * @returns {string|null} - Formatted number, or null if it is not a valid US number
+     */
+    formatPhone(value) {
+        let digits = String(value || '').replace(/\D/g, '');
+        if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+        if (digits.length !== 10 || /^[01]/.test(digits)) return null;
+        return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+    }
+
+    namesMatch(spoken, registered) {
+        const lastName = name => name.toLowerCase().replace(/[^a-z\s]/g, '').trim().split(/\s+/).pop();
+        return sessionService.calculateSimilarity(lastName(spoken), lastName(registered)) >= 0.8;
+    }
+
+    title(prescriber) {
+        return prescriber.name ? `Dr. ${prescriber.name.split(/\s+/).pop()}` : 'the prescriber';
+    }
+}
+
+module.exports = new PrescriberService();
@@ -0,0 +1,70 @@
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+
+/**
+ * Registry for the AI provider used for chat completion, transcription and speech synthesis.
+ *
+ * Every provider implements:
+ *   chat({ messages, model, temperature, maxTokens, task, input, context }) -> Promise<string>
+ *   transcribe(audioFilePath) -> Promise<string>
+ *   synthesize({ text, voice, speed }) -> Promise<Buffer>
+ *   speechFormat -> file extension of synthesized audio
+ *
+ * The provider is selected with AI_PROVIDER (openai | local). When it is not set, the
+ * OpenAI provider is used if OPENAI_API_KEY is present and the offline stub otherwise.
+ */
+class ProviderRegistry {
+    constructor() {
+        this.factories = new Map();
+        this.instance = null;
+
+        this.register('openai', () => new OpenAIProvider());
+        this.register('local', () => new LocalProvider());
+    }
+
+    /**
+     * Register a provider factory
+     * @param {string} name - Provider name used in AI_PROVIDER
+     * @param {Function} factory - Function returning a provider instance
+     */
+    register(name, factory) {
+        this.factories.set(name, factory);
+    }
+
+    /**
+     * Resolve the configured provider name
+     * @returns {string} - Provider name
+     */
+    getProviderName() {
+        if (process.env.AI_PROVIDER) {
+            return process.env.AI_PROVIDER.toLowerCase();
+        }
+        return process.env.OPENAI_API_KEY ? 'openai' : 'local';
+    }
+
+    /**
+     * Get the active provider, creating it on first use
+     * @returns {Object} - Provider instance
+     */
+    get() {
+        if (!this.instance) {
+            const name = this.getProviderName();
+            const factory = this.factories.get(name);
+            if (!factory) {
+                throw new Error(`Unknown AI_PROVIDER "${name}". Available providers: ${Array.from(this.factories.keys()).join(', ')}`);
+            }
+            this.instance = factory();
+            console.log(`🧠 AI provider: ${this.instance.name}`);
+        }
+        return this.instance;
+    }
+
+    /**
+     * Drop the cached provider so the next get() re-reads the environment
+     */
+    reset() {
+        this.instance = null;
+    }
+}
+
+module.exports = new ProviderRegistry();
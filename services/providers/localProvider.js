@@ -0,0 +1,265 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dateService = require('../dateService');
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const ABBREVIATIONS = {
+    'ra': 'rheumatoid arthritis',
+    'psa': 'psoriatic arthritis',
+    'uc': 'ulcerative colitis',
+    'cd': "crohn's disease",
+    'crohns': "crohn's disease",
+    'crohn': "crohn's disease",
+    't2d': 'type 2 diabetes',
+    't1d': 'type 1 diabetes',
+    'type ii': 'type 2',
+    'type i': 'type 1',
+    'eczema': 'atopic dermatitis'
+};
+
+const STOPWORDS = ['the', 'a', 'an', 'for', 'and', 'of', 'with', 'patient', 'has', 'is', 'it', 'they', 'have'];
+
+// Replies that are never part of a name ("yes correct", "No Thanks")
+const REPLY_WORDS = ['yes', 'yeah', 'yep', 'no', 'nope', 'correct', 'right', 'wrong', 'sure', 'ok', 'okay', 'thanks', 'that', "that's", 'thats', 'is'];
+
+/**
+ * Deterministic offline provider. Chat requests are answered by rule-based handlers
+ * selected through the request's `task` hint, transcripts are read from a sidecar
+ * `.txt` file next to the audio, and speech is a generated silent WAV.
+ */
+class LocalProvider {
+    constructor() {
+        this.name = 'local';
+        this.speechFormat = 'wav';
+        this.drugs = this.loadDrugs();
+    }
+
+    loadDrugs() {
+        try {
+            return fs.readJsonSync(path.join(__dirname, '../../data/drugs.json')).drugs;
+        } catch (error) {
+            console.error('Local provider could not load drugs.json:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Answer a chat request with the rule-based handler for its task
+     * @param {Object} request - Chat request
+     * @param {Array} request.messages - OpenAI-style messages
+     * @param {string} [request.task] - Task hint (extract_demographics, match_option, classify_yes_no)
+     * @param {string} [request.input] - Raw user input when the prompt wraps it in extra text
+     * @param {Object} [request.context] - Task-specific data (e.g. options for match_option)
+     * @returns {Promise<string>} - Assistant message content
+     */
+    async chat({ messages = [], task, input, context = {} }) {
+        const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+        const userInput = input !== undefined ? input : (lastUserMessage ? lastUserMessage.content : '');
+
+        switch (task) {
+            case 'extract_demographics':
+                return JSON.stringify(this.extractDemographics(userInput));
+            case 'match_option':
+                return JSON.stringify(this.matchOption(userInput, context.options || []));
+            case 'classify_yes_no':
+                return this.classifyYesNo(userInput);
+            default:
+                return "Thanks. Could you tell me a little more about the patient's request?";
+        }
+    }
+
+    /**
+     * Read the transcript from a sidecar text file (e.g. turn1.wav -> turn1.txt)
+     * @param {string} audioFilePath - Path to the audio file
+     * @returns {Promise<string>} - Transcript text
+     */
+    async transcribe(audioFilePath) {
+        const parsed = path.parse(audioFilePath);
+        const sidecarPath = path.join(parsed.dir, `${parsed.name}.txt`);
+
+        if (!await fs.pathExists(sidecarPath)) {
+            throw new Error(`No transcript sidecar found at ${sidecarPath}`);
+        }
+
+        return (await fs.readFile(sidecarPath, 'utf8')).trim();
+    }
+
+    /**
+     * Generate a silent WAV roughly as long as the text would take to speak
+     * @param {Object} request - Speech request
+     * @param {string} request.text - Text to "speak"
+     * @param {number} [request.speed] - Playback speed
+     * @returns {Promise<Buffer>} - WAV audio
+     */
+    async synthesize({ text = '', speed = 1.0 }) {
+        const words = text.replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length;
+        const seconds = Math.min(Math.max(words / (2.5 * speed), 0.25), 30);
+        return this.createSilentWav(seconds);
+    }
+
+    /**
+     * Build a 16-bit mono PCM WAV file of silence
+     * @param {number} seconds - Duration in seconds
+     * @param {number} [sampleRate] - Sample rate in Hz
+     * @returns {Buffer} - WAV file contents
+     */
+    createSilentWav(seconds, sampleRate = 16000) {
+        const dataSize = Math.round(seconds * sampleRate) * 2;
+        const buffer = Buffer.alloc(44 + dataSize);
+
+        buffer.write('RIFF', 0);
+        buffer.writeUInt32LE(36 + dataSize, 4);
+        buffer.write('WAVE', 8);
+        buffer.write('fmt ', 12);
+        buffer.writeUInt32LE(16, 16); // PCM chunk size
+        buffer.writeUInt16LE(1, 20); // PCM format
+        buffer.writeUInt16LE(1, 22); // Mono
+        buffer.writeUInt32LE(sampleRate, 24);
+        buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+        buffer.writeUInt16LE(2, 32); // Block align
+        buffer.writeUInt16LE(16, 34); // Bits per sample
+        buffer.write('data', 36);
+        buffer.writeUInt32LE(dataSize, 40);
+
+        return buffer;
+    }
+
+    /**
+     * Rule-based extraction of patient name, date of birth and drug name
+     * @param {string} userInput - User input
+     * @returns {Object} - Extracted fields (null when not found)
+     */
+    extractDemographics(userInput) {
+        return {
+            memberName: this.extractName(userInput),
+            dateOfBirth: this.extractDate(userInput),
+            drugName: this.extractDrug(userInput)
+        };
+    }
+
+    extractName(userInput) {
+        const isReservedWord = word => MONTHS.includes(word.toLowerCase()) ||
+            REPLY_WORDS.includes(word.toLowerCase()) ||
+            Boolean(this.findDrugWord(word));
+        const titleCase = words => words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+
+        const introduced = userInput.match(/(?:name is|patient is|member is|patient|member)\s+([a-z]+(?:\s+[a-z]+){1,2})/i);
+        if (introduced) {
+            const words = introduced[1].split(/\s+/).filter(word => !/^(born|dob|and|on|requesting|who)$/i.test(word));
+            const nameWords = [];
+            for (const word of words) {
+                if (isReservedWord(word)) break;
+                nameWords.push(word);
+            }
+            if (nameWords.length >= 2) return titleCase(nameWords.slice(0, 3));
+        }
+
+        const capitalized = userInput.match(/\b([A-Z][a-z]+)\s+([A-Z][a-z]+)\b/);
+        if (capitalized && !isReservedWord(capitalized[1]) && !isReservedWord(capitalized[2])) {
+            return `${capitalized[1]} ${capitalized[2]}`;
+        }
+
+        // A bare two or three word answer is most likely just the name
+        const words = userInput.trim().split(/\s+/);
+        if (words.length >= 2 && words.length <= 3 && words.every(word => /^[a-z'-]+$/i.test(word) && !isReservedWord(word))) {
+            return titleCase(words);
+        }
+
+        return null;
+    }
+
+    extractDate(userInput) {
+        return dateService.normalize(userInput);
+    }
+
+    extractDrug(userInput) {
+        const words = userInput.toLowerCase().match(/[a-z]+/g) || [];
+        for (const word of words) {
+            const drug = this.findDrugWord(word);
+            if (drug) return drug.name;
+        }
+        return null;
+    }
+
+    findDrugWord(word) {
+        const lowerWord = word.toLowerCase();
+        return this.drugs.find(drug =>
+            drug.name.toLowerCase() === lowerWord ||
+            drug.genericName.toLowerCase() === lowerWord ||
+            drug.commonNames.some(name => name.toLowerCase() === lowerWord)
+        ) || null;
+    }
+
+    /**
+     * Match an answer to a question option by keyword containment
+     * @param {string} answer - User answer
+     * @param {Array<string>} options - Question options
+     * @returns {Object} - Match result in the same shape the LLM matcher returns
+     */
+    matchOption(answer, options) {
+        let normalized = ` ${answer.toLowerCase().replace(/[^a-z0-9%'\-\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+        Object.entries(ABBREVIATIONS).forEach(([abbreviation, expansion]) => {
+            normalized = normalized.replace(new RegExp(` ${abbreviation} `, 'g'), ` ${expansion} `);
+        });
+
+        const tokensOf = text => text.toLowerCase()
+            .replace(/\(.*\)/, '') // Ignore parenthetical detail such as body surface area
+            .replace(/[^a-z0-9%'\-\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !STOPWORDS.includes(token));
+
+        const contains = token => normalized.includes(` ${token} `);
+
+        const fullMatches = options.filter(option => {
+            const tokens = tokensOf(option);
+            return tokens.length > 0 && tokens.every(contains);
+        });
+
+        if (fullMatches.length > 0) {
+            const mostSpecific = Math.max(...fullMatches.map(option => tokensOf(option).length));
+            const best = fullMatches.filter(option => tokensOf(option).length === mostSpecific);
+            if (best.length === 1) {
+                return { matched: true, option: best[0], confidence: 0.9, possibleMatches: [], reasoning: 'All option keywords present' };
+            }
+            return { matched: false, option: null, confidence: 0.5, possibleMatches: best, reasoning: 'Several options equally likely' };
+        }
+
+        const leadMatches = options.filter(option => {
+            const [lead] = tokensOf(option);
+            return lead && contains(lead);
+        });
+
+        if (leadMatches.length === 1) {
+            return { matched: true, option: leadMatches[0], confidence: 0.7, possibleMatches: [], reasoning: 'Leading option keyword present' };
+        }
+
+        return {
+            matched: false,
+            option: null,
+            confidence: 0,
+            possibleMatches: leadMatches,
+            reasoning: leadMatches.length > 1 ? 'Several options share the leading keyword' : 'No option keywords present'
+        };
+    }
+
+    /**
+     * Classify a free-form answer as Yes, No or Unknown
+     * @param {string} answer - User answer
+     * @returns {string} - "Yes", "No" or "Unknown"
+     */
+    classifyYesNo(answer) {
+        const lowerAnswer = ` ${answer.toLowerCase().replace(/[^a-z'\s]/g, ' ')} `;
+        const isNo = /\s(no|nope|nah|not|never|negative|none|denies|hasn't|haven't|didn't)\s/.test(lowerAnswer);
+        const isYes = /\s(yes|yep|yeah|sure|correct|right|affirmative|positive|absolutely|definitely|has|have|did|tried)\s/.test(lowerAnswer);
+
+        if (isNo) return 'No';
+        if (isYes) return 'Yes';
+        return 'Unknown';
+    }
+}
+
+module.exports = LocalProvider;
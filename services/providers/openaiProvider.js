@@ -0,0 +1,69 @@
+const OpenAI = require('openai');
+const fs = require('fs-extra');
+
+/**
+ * OpenAI-backed provider for chat completion, Whisper transcription and TTS
+ */
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.speechFormat = 'mp3';
+        this.client = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY
+        });
+    }
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - Chat request
+     * @param {Array} request.messages - OpenAI-style messages
+     * @param {string} [request.model] - Model name
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {number} [request.maxTokens] - Completion token limit
+     * @returns {Promise<string>} - Assistant message content
+     */
+    async chat({ messages, model = 'gpt-4o-mini', temperature = 0.1, maxTokens = 300 }) {
+        const completion = await this.client.chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        });
+
+        return completion.choices[0].message.content;
+    }
+
+    /**
+     * Transcribe an audio file with Whisper
+     * @param {string} audioFilePath - Path to the audio file
+     * @returns {Promise<string>} - Transcribed text
+     */
+    async transcribe(audioFilePath) {
+        return this.client.audio.transcriptions.create({
+            file: fs.createReadStream(audioFilePath),
+            model: 'whisper-1',
+            response_format: 'text'
+        });
+    }
+
+    /**
+     * Synthesize speech
+     * @param {Object} request - Speech request
+     * @param {string} request.text - Text (or SSML) to speak
+     * @param {string} request.voice - Voice name
+     * @param {number} [request.speed] - Playback speed
+     * @returns {Promise<Buffer>} - MP3 audio
+     */
+    async synthesize({ text, voice, speed = 1.0 }) {
+        const mp3 = await this.client.audio.speech.create({
+            model: 'gpt-4o-mini-tts',
+            voice,
+            input: text,
+            speed
+        });
+
+        return Buffer.from(await mp3.arrayBuffer());
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,248 @@
+const TERMINAL_OUTCOMES = ['approve', 'deny', 'documentation_required', 'quantity_limit_exceeded'];
+
+class QuestionGraphService {
+    constructor() {
+        this.terminalOutcomes = TERMINAL_OUTCOMES;
+    }
+
+    /**
+     * Check whether a next target is a terminal decision rather than a question ID
+     * @param {string} target - Next target from a question definition
+     * @returns {boolean} - True if the target ends the flow with a decision
+     */
+    isTerminal(target) {
+        return this.terminalOutcomes.includes(target);
+    }
+
+    /**
+     * Find a question in a question list by ID
+     * @param {Array} questions - Question definitions
+     * @param {string} questionId - Question identifier
+     * @returns {Object|null} - Question or null if not found
+     */
+    getQuestion(questions, questionId) {
+        if (!questions || !questionId) return null;
+        return questions.find(question => question.id === questionId) || null;
+    }
+
+    /**
+     * Get the entry question of a question list
+     * @param {Array} questions - Question definitions
+     * @returns {Object|null} - First question or null if the list is empty
+     */
+    getStartQuestion(questions) {
+        return questions && questions.length > 0 ? questions[0] : null;
+    }
+
+    /**
+     * Resolve the next target for a question given a processed answer
+     * @param {Object} question - Question definition
+     * @param {string} answer - Processed answer
+     * @returns {string|null} - Next question ID, terminal outcome, or null if the question has no route
+     */
+    resolveNext(question, answer) {
+        const next = question.next;
+        if (!next) return null;
+
+        // Text questions (and any other question) may route unconditionally
+        if (typeof next === 'string') return next;
+
+        if (question.type === 'multiple_choice') {
+            return next[answer] || next.default || null;
+        }
+
+        if (question.type === 'yes_no') {
+            const normalizedAnswer = String(answer).toLowerCase().trim();
+            if (normalizedAnswer === 'yes' || normalizedAnswer === 'y') {
+                return next.yes || next.default || null;
+            }
+            if (normalizedAnswer === 'no' || normalizedAnswer === 'n') {
+                return next.no || next.default || null;
+            }
+            return next.default || null;
+        }
+
+        if (question.type === 'numeric') {
+            const numValue = parseFloat(answer);
+            if (!isNaN(numValue) && next.range) {
+                // Either bound may be left out for an open-ended range
+                const { min, max } = next.range;
+                if ((min === undefined || numValue >= min) && (max === undefined || numValue <= max)) {
+                    return next.range.next;
+                }
+            }
+            return next.default || null;
+        }
+
+        return next.default || null;
+    }
+
+    /**
+     * List every target a question can route to
+     * @param {Object} question - Question definition
+     * @returns {Array<string>} - Next targets (question IDs or terminal outcomes)
+     */
+    getTargets(question) {
+        const next = question.next;
+        if (!next) return [];
+        if (typeof next === 'string') return [next];
+
+        const targets = [];
+        Object.entries(next).forEach(([key, value]) => {
+            if (key === 'range' && value && typeof value === 'object') {
+                if (value.next) targets.push(value.next);
+            } else if (typeof value === 'string') {
+                targets.push(value);
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Walk the question graph from a starting question using already stored answers
+     * @param {Array} questions - Question definitions
+     * @param {Object} answers - Stored answers keyed by question ID
+     * @param {string} [startId] - Question to start from (defaults to the entry question)
+     * @returns {Object} - Visited path, the first unanswered question ID and any terminal outcome
+     */
+    walk(questions, answers, startId) {
+        const path = [];
+        let currentId = startId || this.getStartQuestion(questions)?.id || null;
+
+        while (currentId) {
+            if (path.includes(currentId)) {
+                throw new Error(`Cycle detected at question "${currentId}"`);
+            }
+
+            const question = this.getQuestion(questions, currentId);
+            if (!question) {
+                throw new Error(`Question "${currentId}" is not defined`);
+            }
+
+            path.push(currentId);
+
+            if (answers[currentId] === undefined || answers[currentId] === null) {
+                return { path, currentQuestionId: currentId, outcome: null };
+            }
+
+            const target = this.resolveNext(question, answers[currentId]);
+            if (!target) {
+                return { path, currentQuestionId: null, outcome: null };
+            }
+            if (this.isTerminal(target)) {
+                return { path, currentQuestionId: null, outcome: target, outcomeQuestionId: currentId };
+            }
+
+            currentId = target;
+        }
+
+        return { path, currentQuestionId: null, outcome: null };
+    }
+
+    /**
+     * Validate a question set's routing: every target must exist and the graph must be acyclic
+     * @param {string} questionSetId - Question set identifier (used in messages)
+     * @param {Object} questionSet - Question set definition
+     * @returns {Array<string>} - Validation errors (empty if valid)
+     */
+    validateQuestionSet(questionSetId, questionSet) {
+        const errors = [];
+        const questions = questionSet?.questions || [];
+        const ids = new Set();
+
+        questions.forEach(question => {
+            if (ids.has(question.id)) {
+                errors.push(`${questionSetId}: duplicate question ID "${question.id}"`);
+            }
+            ids.add(question.id);
+        });
+
+        questions.forEach(question => {
+            this.getTargets(question).forEach(target => {
+                if (!this.isTerminal(target) && !ids.has(target)) {
+                    errors.push(`${questionSetId}: question "${question.id}" routes to unknown question "${target}"`);
+                }
+            });
+        });
+
+        questions.forEach(question => {
+            errors.push(...this.validateRoutes(questionSetId, question));
+        });
+
+        // Depth-first search for back edges
+        const state = {};
+        const visit = (questionId, trail) => {
+            state[questionId] = 'visiting';
+            const question = this.getQuestion(questions, questionId);
+            this.getTargets(question).forEach(target => {
+                if (this.isTerminal(target) || !ids.has(target)) return;
+                if (state[target] === 'visiting') {
+                    const cycle = trail.slice(trail.indexOf(target)).concat(target);
+                    errors.push(`${questionSetId}: cycle detected (${cycle.join(' -> ')})`);
+                } else if (!state[target]) {
+                    visit(target, trail.concat(target));
+                }
+            });
+            state[questionId] = 'done';
+        };
+
+        questions.forEach(question => {
+            if (!state[question.id]) visit(question.id, [question.id]);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check that a question's routes fit its type: every multiple choice option has a route
+     * (null ends the path) unless there is a default, and numeric ranges are sane
+     * @param {string} questionSetId - Question set identifier (used in messages)
+     * @param {Object} question - Question definition
+     * @returns {Array<string>} - Validation errors (empty if valid)
+     */
+    validateRoutes(questionSetId, question) {
+        const errors = [];
+        const label = `${questionSetId}: question "${question.id}"`;
+        const describe = range => `${range.min ?? 'any'} to ${range.max ?? 'any'}`;
+        const inverted = range => range && range.min !== undefined && range.max !== undefined && range.min > range.max;
+
+        const allowed = question.validation?.range;
+        if (inverted(allowed)) {
+            errors.push(`${label} accepts answers from ${describe(allowed)}, but min is above max`);
+        }
+
+        const next = question.next;
+        if (!next || typeof next !== 'object') return errors;
+        const keys = Object.keys(next).filter(key => key !== 'default');
+
+        if (question.type === 'multiple_choice') {
+            const options = question.options || [];
+            keys.filter(key => !options.includes(key))
+                .forEach(key => errors.push(`${label} routes "${key}", which is not one of its options`));
+            if (next.default === undefined) {
+                options.filter(option => !(option in next))
+                    .forEach(option => errors.push(`${label} has no route for option "${option}" (route it, set it to null or add a default)`));
+            }
+        } else if (question.type === 'yes_no') {
+            keys.filter(key => !['yes', 'no'].includes(key))
+                .forEach(key => errors.push(`${label} routes "${key}"; yes/no questions route "yes", "no" and "default"`));
+        } else if (question.type === 'numeric') {
+            keys.filter(key => key !== 'range')
+                .forEach(key => errors.push(`${label} routes "${key}"; numeric questions route a "range" and a "default"`));
+
+            const range = next.range;
+            if (inverted(range)) {
+                errors.push(`${label} routes answers from ${describe(range)}, but min is above max`);
+            } else if (range && allowed && ((range.min !== undefined && allowed.max !== undefined && range.min > allowed.max) ||
+                (range.max !== undefined && allowed.min !== undefined && range.max < allowed.min))) {
+                errors.push(`${label} routes answers from ${describe(range)}, which it never accepts (${describe(allowed)})`);
+            }
+        } else if (keys.length > 0) {
+            errors.push(`${label} is a ${question.type} question; route it with a single next target or a "default"`);
+        }
+
+        return errors;
+    }
+}
+
+module.exports = new QuestionGraphService();
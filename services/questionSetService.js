@@ -0,0 +1,226 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sessionService = require('./sessionService');
+const schemaService = require('./schemaService');
+const dateService = require('./dateService');
+const versionService = require('./versionService');
+
+const QUESTIONS_PATH = path.join(__dirname, '../data/questions.json');
+
+/**
+ * Authoring of the question sets in data/questions.json. Every change is checked the way the
+ * file is checked at startup (JSON Schema, routing graph, derived answers, decision rules and
+ * the drug indications that point at the sets) before it is written, and the saved data
+ * replaces SessionService.questionsData so new sessions use it without a restart. Each saved
+ * version is also recorded in data/versions, where sessions pinned to it keep finding it.
+ */
+class QuestionSetService {
+    constructor() {
+        this.questionsPath = QUESTIONS_PATH;
+        this.writing = Promise.resolve(); // Changes are applied one at a time, in arrival order
+    }
+
+    /**
+     * Summaries of the question sets and the drug indications that use them
+     * @returns {Array<Object>} - { id, name, questions, rules, usedBy }
+     */
+    list() {
+        const questionSets = sessionService.questionsData?.questionSets || {};
+        return Object.entries(questionSets).map(([id, questionSet]) => ({
+            id,
+            name: questionSet.name,
+            questions: questionSet.questions.length,
+            rules: (questionSet.rules || []).length,
+            usedBy: this.usedBy(id)
+        }));
+    }
+
+    /**
+     * Get a question set
+     * @param {string} questionSetId - Question set identifier
+     * @returns {Object|null} - Question set or null if not found
+     */
+    get(questionSetId) {
+        return sessionService.getQuestionSet(questionSetId);
+    }
+
+    /**
+     * Drug indications routed to a question set
+     * @param {string} questionSetId - Question set identifier
+     * @returns {Array<Object>} - { drugId, indicationId }
+     */
+    usedBy(questionSetId) {
+        return (sessionService.drugsData?.drugs || []).flatMap(drug => (drug.indications || [])
+            .filter(indication => indication.questionSet === questionSetId)
+            .map(indication => ({ drugId: drug.id, indicationId: indication.id })));
+    }
+
+    /**
+     * Check a full questions.json candidate
+     * @param {Object} questionsData - Candidate file content
+     * @returns {Array<string>} - Readable errors (empty if valid)
+     */
+    validate(questionsData) {
+        const schemaErrors = schemaService.validate('questions', questionsData);
+        if (schemaErrors.length > 0) return schemaErrors;
+
+        return sessionService.validateQuestionSets(questionsData)
+            .concat(sessionService.validateDrugIndications(sessionService.drugsData, questionsData))
+            .concat(sessionService.validateVersions(null, questionsData));
+    }
+
+    /**
+     * Add a question set
+     * @param {string} questionSetId - New question set identifier
+     * @param {Object} questionSet - Question set definition (version defaults to 1, effectiveDate to today)
+     * @returns {Promise<Object>} - { action: 'created', id, questionSet } or an error result
+     */
+    create(questionSetId, questionSet) {
+        return this.save(questionSets => {
+            if (!questionSetId) {
+                return this.error('invalid_request', 'The question set needs an "id"');
+            }
+            if (questionSets[questionSetId]) {
+                return this.error('question_set_exists', `Question set "${questionSetId}" already exists`);
+            }
+            questionSets[questionSetId] = this.withVersion(questionSet, 1);
+            return { action: 'created', id: questionSetId, questionSet: questionSets[questionSetId] };
+        });
+    }
+
+    /**
+     * Replace an existing question set with a new version
+     * @param {string} questionSetId - Question set identifier
+     * @param {Object} questionSet - New question set definition (version defaults to the next one, effectiveDate to today)
+     * @returns {Promise<Object>} - { action: 'replaced', id, questionSet } or an error result
+     */
+    replace(questionSetId, questionSet) {
+        return this.save(questionSets => {
+            const current = questionSets[questionSetId];
+            if (!current) {
+                return this.error('question_set_not_found', `Question set "${questionSetId}" not found`);
+            }
+            if (questionSet.version !== undefined && questionSet.version <= current.version) {
+                return this.error('version_conflict',
+                    `Question set "${questionSetId}" is at version ${current.version}; a replacement needs a higher version`);
+            }
+            questionSets[questionSetId] = this.withVersion(questionSet, current.version + 1);
+            return { action: 'replaced', id: questionSetId, questionSet: questionSets[questionSetId] };
+        });
+    }
+
+    /**
+     * Fill in the version and effective date an author left out, keeping the file's field order
+     * @param {Object} questionSet - Question set definition
+     * @param {number} version - Version to use when none is given
+     * @returns {Object} - Question set with version and effectiveDate
+     */
+    withVersion(questionSet, version) {
+        const { name, questions, ...rest } = questionSet;
+        return {
+            name,
+            version: questionSet.version ?? version,
+            effectiveDate: questionSet.effectiveDate ?? dateService.today(),
+            questions,
+            ...rest
+        };
+    }
+
+    /**
+     * Recorded versions of a question set, including deleted sets
+     * @param {string} questionSetId - Question set identifier
+     * @returns {Array<Object>} - { version, effectiveDate, current }
+     */
+    versions(questionSetId) {
+        const current = this.get(questionSetId);
+        return versionService.list('question-sets', questionSetId)
+            .map(entry => ({ ...entry, current: entry.version === current?.version }));
+    }
+
+    /**
+     * Delete a question set no drug indication uses
+     * @param {string} questionSetId - Question set identifier
+     * @returns {Promise<Object>} - { action: 'deleted', id } or an error result
+     */
+    remove(questionSetId) {
+        return this.save(questionSets => {
+            if (!questionSets[questionSetId]) {
+                return this.error('question_set_not_found', `Question set "${questionSetId}" not found`);
+            }
+            const usedBy = this.usedBy(questionSetId);
+            if (usedBy.length > 0) {
+                const uses = usedBy.map(use => `${use.drugId} (${use.indicationId})`).join(', ');
+                return this.error('question_set_in_use', `Question set "${questionSetId}" is used by ${uses}`);
+            }
+            delete questionSets[questionSetId];
+            return { action: 'deleted', id: questionSetId };
+        });
+    }
+
+    /**
+     * Re-read questions.json (after an edit by hand) and use it if it is valid
+     * @returns {Promise<Object>} - { action: 'reloaded', questionSets } or an error result
+     */
+    reload() {
+        return this.queue(async () => {
+            let questionsData;
+            try {
+                questionsData = await fs.readJson(this.questionsPath);
+            } catch (error) {
+                return this.error('invalid_file', `Could not read questions.json: ${error.message}`);
+            }
+
+            const errors = this.validate(questionsData);
+            if (errors.length > 0) {
+                return this.error('invalid_question_set', `questions.json was not reloaded: ${errors.length} error(s) found`, errors);
+            }
+
+            sessionService.questionsData = questionsData;
+            await sessionService.recordVersions(null, questionsData);
+            return { action: 'reloaded', questionSets: Object.keys(questionsData.questionSets) };
+        });
+    }
+
+    /**
+     * Apply a change to a copy of the question sets, validate it, write it and swap it in
+     * @param {Function} change - Mutates the copied questionSets map; returns the result, or an error result to abandon the change
+     * @returns {Promise<Object>} - Result of the change
+     */
+    save(change) {
+        return this.queue(async () => {
+            if (!sessionService.dataLoaded) {
+                return this.error('data_not_loaded', 'Question data has not finished loading');
+            }
+
+            const questionsData = { ...sessionService.questionsData, questionSets: { ...sessionService.questionsData.questionSets } };
+            const result = change(questionsData.questionSets);
+            if (result.action === 'error') return result;
+
+            const errors = this.validate(questionsData);
+            if (errors.length > 0) {
+                return this.error('invalid_question_set', `The question set is not valid: ${errors.length} error(s) found`, errors);
+            }
+
+            // Write beside the file and rename, so a failed write never leaves it half written
+            const tempPath = `${this.questionsPath}.${process.pid}.tmp`;
+            await fs.writeJson(tempPath, questionsData, { spaces: 2 });
+            await fs.move(tempPath, this.questionsPath, { overwrite: true });
+
+            sessionService.questionsData = questionsData;
+            await sessionService.recordVersions(null, questionsData);
+            return result;
+        });
+    }
+
+    queue(task) {
+        const run = this.writing.then(task);
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    error(code, message, errors = []) {
+        return { action: 'error', code, message, errors };
+    }
+}
+
+module.exports = new QuestionSetService();
@@ -0,0 +1,771 @@
+const fhirService = require('./fhirService');
+const questionGraphService = require('./questionGraphService');
+const dateService = require('./dateService');
+
+const EXTENSIONS = {
+    unit: 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit',
+    unitOption: 'http://hl7.org/fhir/StructureDefinition/questionnaire-unitOption',
+    minValue: 'http://hl7.org/fhir/StructureDefinition/minValue',
+    maxValue: 'http://hl7.org/fhir/StructureDefinition/maxValue'
+};
+
+// Questionnaire item types and the question type each is imported as
+const ITEM_TYPES = {
+    boolean: 'yes_no',
+    decimal: 'numeric',
+    integer: 'numeric',
+    quantity: 'numeric',
+    choice: 'multiple_choice',
+    'open-choice': 'multiple_choice',
+    string: 'text',
+    text: 'text'
+};
+
+// Question types and the item type each is exported as
+const QUESTION_TYPES = {
+    yes_no: 'boolean',
+    numeric: 'decimal',
+    multiple_choice: 'choice',
+    text: 'text'
+};
+
+// Questionnaire elements that describe the form rather than the interview; dropped without a report
+const DESCRIPTIVE_ELEMENTS = ['resourceType', 'id', 'meta', 'text', 'url', 'identifier', 'version', 'name', 'title', 'status',
+    'experimental', 'subjectType', 'date', 'publisher', 'contact', 'description', 'useContext', 'jurisdiction', 'purpose',
+    'copyright', 'approvalDate', 'lastReviewDate', 'effectivePeriod', 'item'];
+const ITEM_ELEMENTS = ['linkId', 'text', 'type', 'required', 'answerOption', 'enableWhen', 'enableBehavior', 'item', 'extension'];
+const QUESTION_FIELDS = ['id', 'text', 'type', 'options', 'unit', 'validation', 'next', 'required'];
+
+// Stands in for a free-text answer when working out where a text question routes
+const ANY_TEXT = Symbol('any text');
+
+/**
+ * Converts question sets to and from FHIR R4 Questionnaires, the form payers publish coverage
+ * criteria in (Da Vinci DTR). Item types, answer options, units and ranges map across; the
+ * routing graph (`next`) becomes `enableWhen` conditions on the items it leads to, and is
+ * rebuilt from them on import. Anything without an equivalent on the other side (decision
+ * rules, terminal outcomes, CQL, value set bindings) is listed in `unmapped`.
+ */
+class QuestionnaireService {
+    /**
+     * Export a question set as a Questionnaire
+     * @param {string} questionSetId - Question set identifier
+     * @param {Object} questionSet - Question set definition
+     * @returns {Object} - { questionnaire, unmapped, errors } where errors are validation problems in the Questionnaire
+     */
+    toQuestionnaire(questionSetId, questionSet) {
+        const unmapped = [];
+        const questions = this.topologicalOrder(questionSet.questions || []);
+        const incoming = this.collectRoutes(questions, unmapped);
+
+        const items = questions.map(question => {
+            const item = { linkId: question.id, text: question.text, type: QUESTION_TYPES[question.type] || 'text' };
+            if (!QUESTION_TYPES[question.type]) {
+                unmapped.push(`Question "${question.id}" has type "${question.type}", exported as a text item`);
+            }
+            if (question.required) {
+                item.required = true;
+            }
+
+            const conditions = this.toEnableWhen(question, incoming.get(question.id) || [], unmapped);
+            if (conditions.enableWhen.length > 0) {
+                item.enableWhen = conditions.enableWhen;
+                if (conditions.enableWhen.length > 1) item.enableBehavior = conditions.behavior;
+            }
+
+            if (question.type === 'multiple_choice') {
+                item.answerOption = (question.options || []).map(option => ({ valueCoding: this.toCoding(option) }));
+            }
+
+            const extension = [];
+            if (question.unit) {
+                extension.push({ url: EXTENSIONS.unit, valueCoding: fhirService.toUnitCoding(question.unit) });
+            }
+            const range = question.validation?.range;
+            if (range?.min !== undefined) extension.push({ url: EXTENSIONS.minValue, valueDecimal: range.min });
+            if (range?.max !== undefined) extension.push({ url: EXTENSIONS.maxValue, valueDecimal: range.max });
+            if (extension.length > 0) {
+                item.extension = extension;
+            }
+
+            ['keywords', 'extract', 'derivedFrom'].forEach(field => {
+                if (question[field] !== undefined) {
+                    unmapped.push(`Question "${question.id}": ${field} is not part of the Questionnaire`);
+                }
+            });
+            Object.keys(question)
+                .filter(field => !QUESTION_FIELDS.includes(field) && !['keywords', 'extract', 'derivedFrom'].includes(field))
+                .forEach(field => unmapped.push(`Question "${question.id}": ${field} is not supported`));
+
+            return item;
+        });
+
+        if ((questionSet.rules || []).length > 0) {
+            unmapped.push(`${questionSet.rules.length} decision rule(s) are not part of the Questionnaire`);
+        }
+        if (questionSet.effectiveDate) {
+            unmapped.push(`The effective date (${questionSet.effectiveDate}) is not part of the Questionnaire`);
+        }
+
+        const questionnaire = {
+            resourceType: 'Questionnaire',
+            id: questionSetId.replace(/_/g, '-'),
+            url: fhirService.questionnaireUrl(questionSetId),
+            ...(questionSet.version && { version: String(questionSet.version) }),
+            name: questionSetId.split(/[_-]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(''),
+            title: questionSet.name,
+            status: 'active',
+            subjectType: ['Patient'],
+            item: items
+        };
+
+        return { questionnaire, unmapped, errors: fhirService.validate(questionnaire) };
+    }
+
+    /**
+     * Order questions so every question comes after the questions that route to it,
+     * keeping the authored order where the graph allows
+     * @param {Array} questions - Question definitions
+     * @returns {Array} - Questions in routing order
+     */
+    topologicalOrder(questions) {
+        const ids = new Set(questions.map(question => question.id));
+        const pending = new Map(questions.map(question => [question.id, 0]));
+        questions.forEach(question => {
+            new Set(questionGraphService.getTargets(question)).forEach(target => {
+                if (ids.has(target)) pending.set(target, pending.get(target) + 1);
+            });
+        });
+
+        const ordered = [];
+        const remaining = [...questions];
+        while (remaining.length > 0) {
+            // Cycles are reported by question set validation; fall back to the authored order
+            const index = Math.max(0, remaining.findIndex(question => pending.get(question.id) === 0));
+            const [question] = remaining.splice(index, 1);
+            ordered.push(question);
+            new Set(questionGraphService.getTargets(question)).forEach(target => {
+                if (ids.has(target)) pending.set(target, pending.get(target) - 1);
+            });
+        }
+        return ordered;
+    }
+
+    /**
+     * List the routes into each question: the question they come from and the answers that take them
+     * @param {Array} questions - Question definitions
+     * @param {Array<string>} unmapped - Constructs that could not be mapped (appended to)
+     * @returns {Map} - Target question ID -> [{ source, conditions, behavior }]
+     */
+    collectRoutes(questions, unmapped) {
+        const incoming = new Map();
+        const addRoute = (source, target, conditions, behavior, answer) => {
+            if (!target) return;
+            if (questionGraphService.isTerminal(target)) {
+                unmapped.push(`Question "${source.id}" routes ${answer} to the "${target}" outcome; the Questionnaire ends there instead`);
+                return;
+            }
+            const routes = incoming.get(target) || [];
+            // Several answers to one question leading to the same place read as one route
+            const existing = routes.find(route => route.source === source.id && route.behavior === 'any');
+            if (existing && behavior === 'any') {
+                existing.conditions.push(...conditions);
+            } else {
+                routes.push({ source: source.id, conditions, behavior });
+            }
+            incoming.set(target, routes);
+        };
+        const condition = (source, operator, answer) => ({ question: source.id, operator, ...answer });
+
+        questions.forEach(question => {
+            const next = question.next;
+            if (!next) return;
+            if (typeof next === 'string') {
+                addRoute(question, next, [condition(question, 'exists', { answerBoolean: true })], 'any', 'every answer');
+                return;
+            }
+
+            if (question.type === 'yes_no') {
+                addRoute(question, next.yes || next.default, [condition(question, '=', { answerBoolean: true })], 'any', '"yes"');
+                addRoute(question, next.no || next.default, [condition(question, '=', { answerBoolean: false })], 'any', '"no"');
+            } else if (question.type === 'multiple_choice') {
+                (question.options || []).forEach(option => {
+                    addRoute(question, next[option] || next.default, [condition(question, '=', { answerCoding: this.toCoding(option) })],
+                        'any', `"${option}"`);
+                });
+            } else if (question.type === 'numeric' && next.range) {
+                const { min, max } = next.range;
+                const inside = [];
+                const outside = [];
+                if (min !== undefined) {
+                    inside.push(condition(question, '>=', { answerDecimal: min }));
+                    outside.push(condition(question, '<', { answerDecimal: min }));
+                }
+                if (max !== undefined) {
+                    inside.push(condition(question, '<=', { answerDecimal: max }));
+                    outside.push(condition(question, '>', { answerDecimal: max }));
+                }
+                const describe = [min !== undefined && `>= ${min}`, max !== undefined && `<= ${max}`].filter(Boolean).join(' and ');
+                addRoute(question, next.range.next, inside, inside.length > 1 ? 'all' : 'any', `answers ${describe}`);
+                addRoute(question, next.default, outside, 'any', 'answers outside the range');
+            } else if (next.default) {
+                addRoute(question, next.default, [condition(question, 'exists', { answerBoolean: true })], 'any', 'every answer');
+            }
+        });
+
+        return incoming;
+    }
+
+    /**
+     * Combine the routes into a question into its enableWhen conditions
+     * @param {Object} question - Question the routes lead to
+     * @param {Array} routes - Routes from collectRoutes
+     * @param {Array<string>} unmapped - Constructs that could not be mapped (appended to)
+     * @returns {Object} - { enableWhen, behavior }
+     */
+    toEnableWhen(question, routes, unmapped) {
+        if (routes.length === 1) {
+            return { enableWhen: routes[0].conditions, behavior: routes[0].behavior };
+        }
+
+        // enableWhen is a flat any/all list, so a route needing "all" can only stand alone
+        const enableWhen = routes.flatMap(route => {
+            if (route.behavior === 'any' || route.conditions.length === 1) return route.conditions;
+            unmapped.push(`The range on "${route.source}" leading to "${question.id}" cannot be combined with the question's other routes; ` +
+                `"${question.id}" is enabled whenever "${route.source}" is answered`);
+            return [{ question: route.source, operator: 'exists', answerBoolean: true }];
+        });
+        return { enableWhen, behavior: 'any' };
+    }
+
+    /**
+     * @param {string} option - Answer option
+     * @returns {Object} - Coding with a code made from the option text
+     */
+    toCoding(option) {
+        return { code: String(option).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'option', display: option };
+    }
+
+    /**
+     * Import a Questionnaire as a question set
+     * @param {Object} questionnaire - FHIR Questionnaire resource
+     * @param {string} [questionSetId] - ID for the question set (defaults to one taken from the Questionnaire)
+     * @returns {Object} - { questionSetId, questionSet, unmapped, errors } where errors are routing problems in the result
+     */
+    fromQuestionnaire(questionnaire, questionSetId) {
+        if (questionnaire?.resourceType !== 'Questionnaire') {
+            throw new Error('Expected a FHIR Questionnaire resource');
+        }
+
+        const unmapped = [];
+        const id = questionSetId || fhirService.questionSetIdFromUrl(questionnaire.url) ||
+            this.toSnakeCase(questionnaire.name || questionnaire.id || 'imported_questionnaire');
+
+        Object.keys(questionnaire)
+            .filter(key => !DESCRIPTIVE_ELEMENTS.includes(key))
+            .forEach(key => unmapped.push(`Questionnaire.${key} is not supported${key === 'extension' ? ` (${this.extensionUrls(questionnaire)})` : ''}`));
+
+        const entries = this.flattenItems(questionnaire.item || [], null, unmapped);
+        const ids = new Map();
+        entries.forEach(entry => {
+            entry.id = this.toQuestionId(entry.item.linkId, new Set(ids.values()));
+            ids.set(entry.item.linkId, entry.id);
+        });
+        entries.forEach(entry => {
+            entry.question = this.toQuestion(entry, unmapped);
+        });
+        entries.forEach(entry => {
+            entry.conditions = entry.enableWhen.map(condition => this.readCondition(condition, entry, entries, ids, unmapped));
+        });
+
+        const questions = entries.map((entry, index) => {
+            const next = this.routeFrom(entries, index, unmapped);
+            const question = { ...entry.question };
+            if (next !== undefined) question.next = next;
+            question.required = entry.item.required === true;
+            return question;
+        });
+
+        // Question set versions are whole numbers; other Questionnaire versions start the set at 1
+        const version = Number(questionnaire.version);
+        if (questionnaire.version !== undefined && !(Number.isInteger(version) && version >= 1)) {
+            unmapped.push(`Questionnaire.version "${questionnaire.version}" is not a whole number; the question set starts at version 1`);
+        }
+        const effectiveStart = String(questionnaire.effectivePeriod?.start || '').match(/^\d{4}-\d{2}-\d{2}/);
+
+        const questionSet = {
+            name: questionnaire.title || questionnaire.name || id,
+            version: Number.isInteger(version) && version >= 1 ? version : 1,
+            effectiveDate: effectiveStart ? effectiveStart[0] : dateService.today(),
+            questions,
+            rules: []
+        };
+
+        return {
+            questionSetId: id,
+            questionSet,
+            unmapped: [...new Set(unmapped)],
+            errors: questionGraphService.validateQuestionSet(id, questionSet)
+        };
+    }
+
+    /**
+     * Flatten groups into their questions, carrying a group's enableWhen onto its items
+     * @param {Array} items - Questionnaire items
+     * @param {Object|null} inherited - { enableWhen, behavior } of the enclosing group
+     * @param {Array<string>} unmapped - Constructs that could not be mapped (appended to)
+     * @returns {Array} - [{ item, enableWhen, behavior }] for each question item
+     */
+    flattenItems(items, inherited, unmapped) {
+        return items.flatMap(item => {
+            const conditions = this.combineConditions(item, inherited, unmapped);
+
+            if (item.type === 'group') {
+                if (item.repeats) unmapped.push(`Group "${item.linkId}" repeats; its questions are asked once`);
+                return this.flattenItems(item.item || [], conditions, unmapped);
+            }
+            if (item.type === 'display') {
+                unmapped.push(`Display item "${item.linkId}" is not imported`);
+                return [];
+            }
+
+            // Questions nested under a question are asked after it
+            return [{ item, ...conditions }, ...this.flattenItems(item.item || [], conditions, unmapped)];
+        });
+    }
+
+    combineConditions(item, inherited, unmapped) {
+        const own = { enableWhen: item.enableWhen || [], behavior: item.enableBehavior || 'all' };
+        if (!inherited || inherited.enableWhen.length === 0) return own;
+        if (own.enableWhen.length === 0) return inherited;
+
+        const allOf = conditions => conditions.enableWhen.length === 1 || conditions.behavior === 'all';
+        if (allOf(inherited) && allOf(own)) {
+            return { enableWhen: [...inherited.enableWhen, ...own.enableWhen], behavior: 'all' };
+        }
+        unmapped.push(`Item "${item.linkId}": the enableWhen of its group could not be combined with its own; only its own is kept`);
+        return own;
+    }
+
+    /**
+     * @param {Object} entry - Flattened item
+     * @param {Array<string>} unmapped - Constructs that could not be mapped (appended to)
+     * @returns {Object} - Question without routing
+     */
+    toQuestion(entry, unmapped) {
+        const item = entry.item;
+        let type = ITEM_TYPES[item.type];
+        if (!type) {
+            unmapped.push(`Item "${item.linkId}" has type "${item.type}", imported as a text question`);
+            type = 'text';
+        }
+
+        const question = { id: entry.id, text: item.text || item.linkId, type };
+        entry.options = [];
+
+        if (type === 'multiple_choice') {
+            entry.options = (item.answerOption || []).map(option => {
+                const value = this.answerValue(option, 'value');
+                const label = value?.display || value?.code || (value !== undefined && value !== null ? String(value) : null);
+                return { label, code: value?.code, display: value?.display };
+            }).filter(option => option.label);
+
+            if (entry.options.length > 0) {
+                question.options = entry.options.map(option => option.label);
+            } else {
+                unmapped.push(`Item "${item.linkId}" has no answerOption${item.answerValueSet ? ` (answerValueSet ${item.answerValueSet} is not expanded)` : ''}; imported as a text question`);
+                question.type = 'text';
+            }
+            if (item.type === 'open-choice') {
+                unmapped.push(`Item "${item.linkId}" is open-choice; answers outside its options are not accepted`);
+            }
+        }
+
+        const extensions = item.extension || [];
+        const unit = extensions.find(extension => extension.url === EXTENSIONS.unit || extension.url === EXTENSIONS.unitOption);
+        if (type === 'numeric' && unit) {
+            question.unit = fhirService.fromUnitCoding(unit.valueCoding);
+        }
+        const min = extensions.find(extension => extension.url === EXTENSIONS.minValue);
+        const max = extensions.find(extension => extension.url === EXTENSIONS.maxValue);
+        if (type === 'numeric' && (min || max)) {
+            question.validation = { range: {} };
+            if (min) question.validation.range.min = this.answerValue(min, 'value');
+            if (max) question.validation.range.max = this.answerValue(max, 'value');
+        }
+
+        extensions
+            .filter(extension => !Object.values(EXTENSIONS).includes(extension.url))
+            .forEach(extension => unmapped.push(`Item "${item.linkId}": extension ${extension.url} is not supported`));
+        Object.keys(item)
+            .filter(key => !ITEM_ELEMENTS.includes(key) && !(key === 'answerValueSet' && question.type === 'text'))
+            .forEach(key => unmapped.push(`Item "${item.linkId}": ${key} is not supported`));
+
+        return question;
+    }
+
+    /**
+     * Read an enableWhen condition into the answer form question sets use
+     * @param {Object} condition - enableWhen entry
+     * @param {Object} entry - Item the condition belongs to
+     * @param {Array} entries - All flattened items
+     * @param {Map} ids - linkId -> question ID
+     * @param {Array<string>} unmapped - Constructs that could not be mapped (appended to)
+     * @returns {Object} - { question, operator, value } where question is null if it is not imported
+     */
+    readCondition(condition, entry, entries, ids, unmapped) {
+        const source = entries.find(candidate => candidate.item.linkId === condition.question);
+        if (!source) {
+            unmapped.push(`Item "${entry.item.linkId}" depends on "${condition.question}", which is not imported`);
+            return { question: null, operator: condition.operator, value: null };
+        }
+        if (!['exists', '=', '!=', '>', '<', '>=', '<='].includes(condition.operator)) {
+            unmapped.push(`Item "${entry.item.linkId}": enableWhen operator "${condition.operator}" is not supported`);
+        }
+
+        let value = this.answerValue(condition, 'answer');
+        if (condition.operator === 'exists') {
+            return { question: ids.get(condition.question), operator: 'exists', value: value === true };
+        }
+        if (source.question.type === 'yes_no' && typeof value === 'boolean') {
+            value = value ? 'yes' : 'no';
+        } else if (source.question.type === 'multiple_choice') {
+            const option = source.options.find(candidate =>
+                (value?.code && candidate.code === value.code) || candidate.label === (value?.display || value));
+            value = option ? option.label : (value?.display || value?.code || value);
+        } else if (value && typeof value === 'object' && 'value' in value) {
+            value = value.value;
+        }
+        return { question: ids.get(condition.question), operator: condition.operator, value };
+    }
+
+    /**
+     * Work out where a question routes for each kind of answer: the first later item that is
+     * enabled once it has been answered
+     * @param {Array} entries - Flattened items with questions and conditions
+     * @param {number} index - Position of the question being routed from
+     * @param {Array<string>} unmapped - Constructs that could not be mapped (appended to)
+     * @returns {string|Object|undefined} - `next` for the question, or undefined if the form ends after it
+     */
+    routeFrom(entries, index, unmapped) {
+        const source = entries[index];
+        const facts = this.impliedFacts(entries, source.id, new Set());
+
+        const nextFor = value => {
+            for (let position = index + 1; position < entries.length; position++) {
+                const enabled = this.isEnabled(entries[position], entries, index, value, facts);
+                if (enabled === null) {
+                    unmapped.push(`Item "${entries[position].item.linkId}" depends on answers that may or may not be given ` +
+                        `before it when reached from "${source.item.linkId}"; it is asked`);
+                }
+                if (enabled !== false) return entries[position].id;
+            }
+            return null;
+        };
+        const compact = routes => {
+            const defined = Object.entries(routes).filter(([, target]) => target);
+            return defined.length > 0 ? Object.fromEntries(defined) : undefined;
+        };
+
+        const type = source.question.type;
+        if (type === 'yes_no') {
+            return compact({ yes: nextFor('yes'), no: nextFor('no') });
+        }
+        if (type === 'multiple_choice') {
+            // Every option keeps a route; null ends the path there
+            const routes = Object.fromEntries(source.question.options.map(option => [option, nextFor(option)]));
+            return compact(routes) && routes;
+        }
+        if (type === 'numeric') {
+            return this.numericRoute(entries, index, nextFor, unmapped);
+        }
+        return nextFor(ANY_TEXT) || undefined;
+    }
+
+    /**
+     * Numeric routing: try answers around every threshold later items compare the question
+     * against and express the result as one range plus a default
+     * @returns {string|Object|undefined} - `next` for the question
+     */
+    numericRoute(entries, index, nextFor, unmapped) {
+        const source = entries[index];
+        const thresholds = [...new Set(entries.slice(index + 1)
+            .flatMap(entry => entry.conditions)
+            .filter(condition => condition.question === source.id && typeof condition.value === 'number')
+            .map(condition => condition.value))]
+            .sort((a, b) => a - b);
+
+        if (thresholds.length === 0) {
+            return nextFor(0) || undefined;
+        }
+
+        // Sample below, at, between and above the thresholds
+        const points = [thresholds[0] - 1];
+        thresholds.forEach((threshold, position) => {
+            points.push(threshold);
+            points.push(position + 1 < thresholds.length ? (threshold + thresholds[position + 1]) / 2 : threshold + 1);
+        });
+        const targets = points.map(point => nextFor(point));
+
+        const segments = [];
+        targets.forEach((target, position) => {
+            const last = segments[segments.length - 1];
+            if (last && last.target === target) last.end = position;
+            else segments.push({ target, start: position, end: position });
+        });
+
+        if (segments.length === 1) {
+            return segments[0].target || undefined;
+        }
+
+        let inside;
+        let outsideTarget;
+        if (segments.length === 2) {
+            // Keep the side whose bound falls on a threshold, so the bound stays inclusive
+            const lowerSide = thresholds.includes(points[segments[0].end]);
+            inside = lowerSide ? segments[0] : segments[1];
+            outsideTarget = lowerSide ? segments[1].target : segments[0].target;
+        } else if (segments.length === 3 && segments[0].target === segments[2].target) {
+            inside = segments[1];
+            outsideTarget = segments[0].target;
+        } else {
+            unmapped.push(`Item "${source.item.linkId}" routes on more than one numeric range; only the first is kept`);
+            inside = segments[1];
+            outsideTarget = segments[0].target;
+        }
+
+        // A range that starts or ends between thresholds has an exclusive bound there
+        const bound = position => {
+            const point = points[position];
+            if (thresholds.includes(point)) return point;
+            unmapped.push(`Item "${source.item.linkId}": an exclusive bound is imported as inclusive`);
+            return position === inside.start ? points[position - 1] : points[position + 1];
+        };
+        const range = {};
+        if (inside.start > 0) range.min = bound(inside.start);
+        if (inside.end < points.length - 1) range.max = bound(inside.end);
+        if (inside.target) range.next = inside.target;
+
+        const next = { range };
+        if (outsideTarget) next.default = outsideTarget;
+        return next;
+    }
+
+    /**
+     * What is known about earlier answers whenever a question is enabled
+     * @param {Array} entries - Flattened items with conditions
+     * @param {string} questionId - Question to collect facts for
+     * @param {Set} seen - Questions already visited
+     * @returns {Map} - Question ID -> { answered, values } (values undefined when any answer is possible)
+     */
+    impliedFacts(entries, questionId, seen) {
+        const facts = new Map();
+        const entry = entries.find(candidate => candidate.id === questionId);
+        if (!entry || seen.has(questionId)) return facts;
+        seen.add(questionId);
+
+        const add = (id, fact) => {
+            const existing = facts.get(id);
+            if (existing?.values && fact.values) {
+                fact = { answered: true, values: existing.values.filter(value => fact.values.includes(value)) };
+            } else if (existing?.values) {
+                fact = existing;
+            }
+            facts.set(id, fact);
+        };
+        const merge = id => this.impliedFacts(entries, id, seen).forEach((fact, factId) => add(factId, fact));
+
+        const conditions = entry.conditions.filter(condition => condition.question);
+        if (conditions.length === 1 || entry.behavior === 'all') {
+            conditions.forEach(condition => {
+                if (condition.operator === 'exists') {
+                    if (!condition.value) {
+                        facts.set(condition.question, { answered: false });
+                        return;
+                    }
+                    add(condition.question, { answered: true });
+                } else {
+                    add(condition.question, condition.operator === '=' ? { answered: true, values: [condition.value] } : { answered: true });
+                }
+                merge(condition.question);
+            });
+        } else if (conditions.length > 0 && conditions.every(condition => condition.operator === '=' && condition.question === conditions[0].question)) {
+            add(conditions[0].question, { answered: true, values: conditions.map(condition => condition.value) });
+            merge(conditions[0].question);
+        }
+        return facts;
+    }
+
+    /**
+     * Whether an item is enabled right after the question at sourceIndex is answered with value
+     * @returns {boolean|null} - null when it depends on answers that are not known on every path
+     */
+    isEnabled(entry, entries, sourceIndex, value, facts) {
+        if (entry.conditions.length === 0) return true;
+
+        const source = entries[sourceIndex];
+        const known = (questionId, seen) => {
+            if (questionId === source.id) return { answered: true, values: [value] };
+            if (facts.has(questionId)) return facts.get(questionId);
+            const position = entries.findIndex(candidate => candidate.id === questionId);
+            if (position === -1 || position > sourceIndex || seen.has(questionId)) return { answered: false };
+
+            // An earlier question was answered if what is known shows it was enabled
+            const enabled = this.combineResults(entries[position], entries[position].conditions.map(condition =>
+                this.evaluateCondition(condition, condition.question ? known(condition.question, new Set([...seen, questionId])) : { answered: false })));
+            if (enabled === null) return null;
+            return { answered: enabled };
+        };
+
+        return this.combineResults(entry, entry.conditions.map(condition =>
+            this.evaluateCondition(condition, condition.question ? known(condition.question, new Set()) : { answered: false })));
+    }
+
+    /**
+     * Combine condition results by an item's enableBehavior
+     * @param {Object} entry - Flattened item
+     * @param {Array<boolean|null>} results - Result of each condition
+     * @returns {boolean|null} - Whether the item is enabled, null if unknown
+     */
+    combineResults(entry, results) {
+        if (results.length === 0) return true;
+        if (entry.behavior === 'any' && results.length > 1) {
+            if (results.includes(true)) return true;
+            return results.includes(null) ? null : false;
+        }
+        if (results.includes(false)) return false;
+        return results.includes(null) ? null : true;
+    }
+
+    evaluateCondition(condition, state) {
+        if (!state) return null;
+        if (condition.operator === 'exists') return state.answered === condition.value;
+        if (!state.answered) return false;
+        if (!state.values) return null;
+
+        const results = state.values.map(value => this.compare(value, condition.operator, condition.value));
+        if (results.includes(null)) return null;
+        if (results.every(Boolean)) return true;
+        return results.some(Boolean) ? null : false;
+    }
+
+    compare(value, operator, expected) {
+        if (value === ANY_TEXT) return null;
+        switch (operator) {
+            case '=': return value === expected;
+            case '!=': return value !== expected;
+            case '>': return value > expected;
+            case '<': return value < expected;
+            case '>=': return value >= expected;
+            case '<=': return value <= expected;
+            default: return null;
+        }
+    }
+
+    /**
+     * Value of a FHIR choice element ("valueCoding", "answerDecimal", ...)
+     * @param {Object} element - Element holding the choice
+     * @param {string} prefix - Choice name ("value", "answer")
+     * @returns {*} - The value, or undefined if there is none
+     */
+    answerValue(element, prefix) {
+        const key = Object.keys(element).find(candidate => candidate.startsWith(prefix) && candidate !== prefix);
+        return key ? element[key] : undefined;
+    }
+
+    extensionUrls(element) {
+        return (element.extension || []).map(extension => extension.url).join(', ');
+    }
+
+    /**
+     * @param {string} linkId - Item linkId
+     * @param {Set<string>} taken - Question IDs already used
+     * @returns {string} - Question ID in the style question sets use
+     */
+    toQuestionId(linkId, taken) {
+        let id = String(linkId).trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'question';
+        if (/^\d/.test(id)) id = `q_${id}`;
+        let candidate = id;
+        for (let suffix = 2; taken.has(candidate); suffix++) {
+            candidate = `${id}_${suffix}`;
+        }
+        return candidate;
+    }
+
+    toSnakeCase(name) {
+        return String(name)
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Export a question set and import it again
+     * @param {string} questionSetId - Question set identifier
+     * @param {Object} questionSet - Question set definition
+     * @returns {Object} - { questionnaire, questionSet, unmapped, differences, errors }
+     */
+    roundTrip(questionSetId, questionSet) {
+        const exported = this.toQuestionnaire(questionSetId, questionSet);
+        const imported = this.fromQuestionnaire(exported.questionnaire, questionSetId);
+
+        return {
+            questionnaire: exported.questionnaire,
+            questionSet: imported.questionSet,
+            unmapped: [...new Set([...exported.unmapped, ...imported.unmapped])],
+            differences: this.compareQuestionSets(questionSet, imported.questionSet),
+            errors: [...exported.errors, ...imported.errors]
+        };
+    }
+
+    /**
+     * List how a question set changed (e.g. across a round trip)
+     * @param {Object} before - Original question set
+     * @param {Object} after - Changed question set
+     * @returns {Array<string>} - Differences, one per changed field
+     */
+    compareQuestionSets(before, after) {
+        const differences = [];
+        const show = value => value === undefined ? 'nothing' : this.stableStringify(value);
+
+        if (before.name !== after.name) {
+            differences.push(`name: ${show(before.name)} became ${show(after.name)}`);
+        }
+
+        const afterQuestions = new Map(after.questions.map(question => [question.id, question]));
+        before.questions.forEach(question => {
+            const other = afterQuestions.get(question.id);
+            if (!other) {
+                differences.push(`Question "${question.id}" is missing`);
+                return;
+            }
+            new Set([...Object.keys(question), ...Object.keys(other)]).forEach(field => {
+                if (this.stableStringify(question[field]) !== this.stableStringify(other[field])) {
+                    differences.push(`Question "${question.id}" ${field}: ${show(question[field])} became ${show(other[field])}`);
+                }
+            });
+        });
+        after.questions
+            .filter(question => !before.questions.some(original => original.id === question.id))
+            .forEach(question => differences.push(`Question "${question.id}" was added`));
+
+        const beforeRules = (before.rules || []).length;
+        const afterRules = (after.rules || []).length;
+        if (beforeRules !== afterRules) {
+            differences.push(`rules: ${beforeRules} became ${afterRules}`);
+        }
+        return differences;
+    }
+
+    stableStringify(value) {
+        if (value === undefined) return 'undefined';
+        if (Array.isArray(value)) return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+}
+
+module.exports = new QuestionnaireService();
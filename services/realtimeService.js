@@ -0,0 +1,365 @@
+const path = require('path');
+const fs = require('fs-extra');
+const WebSocket = require('ws');
+
+const sessionService = require('./sessionService');
+const voiceService = require('./voiceService');
+const conversationService = require('./conversationService');
+const providers = require('./providers');
+
+const AUDIO_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a'
+};
+
+const SPEECH_MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav'
+};
+
+// Messages from the terminal agent's log stream rather than the caller
+const LOG_MESSAGE_TYPES = ['log', 'info', 'success', 'warning', 'error'];
+
+/**
+ * Session-scoped conversation protocol on the `/ws` socket.
+ *
+ * Client -> server:
+ *   { type: 'session.start' }                        start a new session
+ *   { type: 'session.resume', sessionId }            bind the socket to an existing session
+ *   { type: 'audio.chunk', data, mimeType }          base64 microphone chunk for the current utterance
+ *   { type: 'audio.commit' }                         end of utterance; transcribe and run the turn
+ *   { type: 'text', text }                           typed turn (no transcription)
+ *
+ * Server -> client:
+ *   { type: 'session.started', sessionId }
+ *   { type: 'transcript.partial', text }             best-effort transcript of the audio so far
+ *   { type: 'transcript.final', text }
+ *   { type: 'assistant.text', text }
+ *   { type: 'audio.chunk', data, mimeType, sequence } base64 TTS audio
+ *   { type: 'audio.end', mimeType, chunks }
+ *   { type: 'state', sessionId, step, decision, extractedData, hold, ... }
+ *   { type: 'error', message, code }
+ *
+ * Log messages ({ type: 'log' | 'info' | ... , message }) share the socket and are ignored on input.
+ *
+ * When the caller asks the agent to hold ("let me pull up the chart"), the reply's state carries
+ * `hold: { seconds }` and the server checks in with a new assistant.text if nothing arrives in time.
+ */
+class RealtimeService {
+    constructor() {
+        this.maxAudioBytes = 10 * 1024 * 1024; // Same limit as HTTP uploads
+        this.audioChunkBytes = 32 * 1024;
+        const partialIntervalMs = parseInt(process.env.REALTIME_PARTIAL_INTERVAL_MS, 10);
+        this.partialIntervalMs = isNaN(partialIntervalMs) ? 1500 : partialIntervalMs;
+    }
+
+    /**
+     * Handle conversation messages for every client of a WebSocket server
+     * @param {WebSocket.Server} wss - WebSocket server
+     */
+    attach(wss) {
+        wss.on('connection', ws => this.handleConnection(ws));
+    }
+
+    /**
+     * Set up per-connection state and message handling
+     * @param {WebSocket} ws - Client socket
+     */
+    handleConnection(ws) {
+        const connection = {
+            ws,
+            sessionId: null,
+            audioChunks: [],
+            audioBytes: 0,
+            mimeType: 'audio/webm',
+            lastPartialAt: 0,
+            partialInFlight: false,
+            utterance: 0,
+            holdTimer: null,
+            // Turns run one at a time in arrival order
+            queue: Promise.resolve()
+        };
+
+        this.send(ws, { type: 'info', message: 'Connected to agent log stream.' });
+
+        ws.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                this.sendError(ws, 'Messages must be JSON', 'invalid_message');
+                return;
+            }
+
+            // Anything the caller sends ends a hold
+            if (!LOG_MESSAGE_TYPES.includes(message.type)) {
+                this.clearHold(connection);
+            }
+            connection.queue = connection.queue
+                .then(() => this.handleMessage(connection, message))
+                .catch(error => {
+                    console.error('Realtime message error:', error);
+                    this.sendError(ws, 'Failed to process message', 'internal_error');
+                });
+        });
+
+        ws.on('close', () => this.clearHold(connection));
+    }
+
+    /**
+     * Dispatch a client message
+     * @param {Object} connection - Connection state
+     * @param {Object} message - Parsed client message
+     */
+    async handleMessage(connection, message) {
+        switch (message.type) {
+            case 'session.start':
+                return this.startSession(connection);
+            case 'session.resume':
+                return this.resumeSession(connection, message.sessionId);
+            case 'audio.chunk':
+                return this.appendAudio(connection, message);
+            case 'audio.commit':
+                return this.commitAudio(connection);
+            case 'text':
+                return this.handleText(connection, message.text);
+            case 'log':
+            case 'info':
+            case 'success':
+            case 'warning':
+            case 'error':
+                // Log stream messages from the terminal agent
+                return;
+            default:
+                this.sendError(connection.ws, `Unknown message type "${message.type}"`, 'invalid_message');
+        }
+    }
+
+    async startSession(connection) {
+        const { sessionId, message } = conversationService.startSession();
+        connection.sessionId = sessionId;
+        this.resetAudio(connection);
+
+        this.send(connection.ws, { type: 'session.started', sessionId });
+        await this.sendReply(connection, { message, step: 'greeting' });
+    }
+
+    resumeSession(connection, sessionId) {
+        if (!sessionId || !sessionService.getSession(sessionId)) {
+            this.sendError(connection.ws, 'Session not found', 'session_not_found');
+            return;
+        }
+
+        connection.sessionId = sessionId;
+        this.resetAudio(connection);
+
+        const session = sessionService.getSession(sessionId);
+        this.send(connection.ws, {
+            type: 'state',
+            sessionId,
+            ...conversationService.getTurnState(sessionId, { step: session.step, decision: session.decision })
+        });
+    }
+
+    appendAudio(connection, message) {
+        if (!this.requireSession(connection)) return;
+
+        if (typeof message.data !== 'string' || !message.data) {
+            this.sendError(connection.ws, 'audio.chunk requires base64 "data"', 'invalid_message');
+            return;
+        }
+
+        const chunk = Buffer.from(message.data, 'base64');
+        if (connection.audioBytes + chunk.length > this.maxAudioBytes) {
+            this.resetAudio(connection);
+            this.sendError(connection.ws, 'Utterance exceeds the 10MB audio limit', 'audio_too_large');
+            return;
+        }
+
+        if (message.mimeType) {
+            connection.mimeType = message.mimeType;
+        }
+        if (connection.audioChunks.length === 0) {
+            connection.lastPartialAt = Date.now();
+        }
+        connection.audioChunks.push(chunk);
+        connection.audioBytes += chunk.length;
+
+        this.schedulePartialTranscript(connection);
+    }
+
+    async commitAudio(connection) {
+        if (!this.requireSession(connection)) return;
+
+        if (connection.audioChunks.length === 0) {
+            this.sendError(connection.ws, 'No audio to commit', 'no_audio');
+            return;
+        }
+
+        const audioFile = await this.writeUtterance(connection, 'input');
+        this.resetAudio(connection);
+
+        let transcript;
+        try {
+            transcript = await voiceService.speechToText(audioFile);
+        } catch (error) {
+            this.sendError(connection.ws, 'Could not transcribe audio', 'transcription_failed');
+            return;
+        } finally {
+            await fs.remove(audioFile).catch(() => {});
+        }
+
+        this.send(connection.ws, { type: 'transcript.final', text: transcript });
+        await this.runTurn(connection, transcript);
+    }
+
+    async handleText(connection, text) {
+        if (!this.requireSession(connection)) return;
+
+        const userInput = typeof text === 'string' ? text.trim() : '';
+        if (!userInput) {
+            this.sendError(connection.ws, 'text requires a non-empty "text" field', 'invalid_message');
+            return;
+        }
+
+        await this.runTurn(connection, userInput);
+    }
+
+    async runTurn(connection, userInput) {
+        const response = await conversationService.runTurn(connection.sessionId, userInput);
+        await this.sendReply(connection, response);
+    }
+
+    /**
+     * Send the assistant text and state right away, then stream the synthesized speech
+     * @param {Object} connection - Connection state
+     * @param {Object} response - Step response
+     */
+    async sendReply(connection, response) {
+        const { ws, sessionId } = connection;
+
+        this.send(ws, { type: 'assistant.text', text: response.message });
+        this.send(ws, { type: 'state', sessionId, ...conversationService.getTurnState(sessionId, response) });
+        if (response.hold) {
+            this.scheduleHoldCheckIn(connection, response.hold.seconds);
+        }
+
+        const speechFile = await voiceService.textToSpeech(response.message, sessionId);
+        if (speechFile.startsWith('text-only:')) return;
+
+        try {
+            const audio = await fs.readFile(speechFile);
+            const mimeType = SPEECH_MIME_TYPES[path.extname(speechFile).slice(1)] || 'application/octet-stream';
+
+            let sequence = 0;
+            for (let offset = 0; offset < audio.length; offset += this.audioChunkBytes) {
+                this.send(ws, {
+                    type: 'audio.chunk',
+                    data: audio.subarray(offset, offset + this.audioChunkBytes).toString('base64'),
+                    mimeType,
+                    sequence: sequence++
+                });
+            }
+            this.send(ws, { type: 'audio.end', mimeType, chunks: sequence });
+        } finally {
+            await fs.remove(speechFile).catch(() => {});
+        }
+    }
+
+    /**
+     * Check in with the caller once the hold timer runs out, unless they speak first
+     * @param {Object} connection - Connection state
+     * @param {number} seconds - Hold timer length
+     */
+    scheduleHoldCheckIn(connection, seconds) {
+        this.clearHold(connection);
+        connection.holdTimer = setTimeout(() => {
+            connection.holdTimer = null;
+            connection.queue = connection.queue
+                .then(async () => {
+                    const response = conversationService.checkInOnHold(connection.sessionId);
+                    if (response) await this.sendReply(connection, response);
+                })
+                .catch(error => console.error('Hold check-in error:', error));
+        }, seconds * 1000);
+        connection.holdTimer.unref();
+    }
+
+    clearHold(connection) {
+        if (connection.holdTimer) {
+            clearTimeout(connection.holdTimer);
+            connection.holdTimer = null;
+        }
+    }
+
+    /**
+     * Transcribe the audio received so far, at most once per interval and never concurrently.
+     * Partial transcripts are best effort; failures are ignored and the final transcript is authoritative.
+     * @param {Object} connection - Connection state
+     */
+    schedulePartialTranscript(connection) {
+        if (!this.partialIntervalMs || connection.partialInFlight) return;
+        if (Date.now() - connection.lastPartialAt < this.partialIntervalMs) return;
+
+        connection.partialInFlight = true;
+        connection.lastPartialAt = Date.now();
+        const utterance = connection.utterance;
+
+        this.writeUtterance(connection, 'partial')
+            .then(async audioFile => {
+                try {
+                    const text = await providers.get().transcribe(audioFile);
+                    // Drop partials for an utterance that has already been committed
+                    if (utterance === connection.utterance && text) {
+                        this.send(connection.ws, { type: 'transcript.partial', text });
+                    }
+                } finally {
+                    await fs.remove(audioFile).catch(() => {});
+                }
+            })
+            .catch(() => {})
+            .finally(() => {
+                connection.partialInFlight = false;
+            });
+    }
+
+    async writeUtterance(connection, label) {
+        const uploadDir = process.env.UPLOAD_DIR || './uploads';
+        await fs.ensureDir(uploadDir);
+
+        const extension = AUDIO_EXTENSIONS[connection.mimeType.split(';')[0]] || 'webm';
+        const audioFile = path.join(uploadDir, `${connection.sessionId}_${Date.now()}_${label}.${extension}`);
+        await fs.writeFile(audioFile, Buffer.concat(connection.audioChunks));
+        return audioFile;
+    }
+
+    resetAudio(connection) {
+        connection.audioChunks = [];
+        connection.audioBytes = 0;
+        connection.utterance++;
+    }
+
+    requireSession(connection) {
+        if (connection.sessionId && sessionService.getSession(connection.sessionId)) {
+            return true;
+        }
+        this.sendError(connection.ws, 'Start or resume a session first', 'no_session');
+        return false;
+    }
+
+    send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    sendError(ws, message, code) {
+        this.send(ws, { type: 'error', message, code });
+    }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,275 @@
+const PDFDocument = require('pdfkit');
+const authService = require('./authService');
+const dateService = require('./dateService');
+
+const FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const DECISION_LABELS = {
+    approve: 'Approved',
+    deny: 'Denied',
+    documentation_required: 'Additional documentation required',
+    quantity_limit_exceeded: 'Quantity limit exceeded'
+};
+
+const CRITERIA_LABELS = {
+    diagnosis: 'Diagnosis',
+    severity: 'Severity',
+    duration: 'Duration',
+    previousTherapy: 'Previous therapy',
+    contraindications: 'Contraindications'
+};
+
+/**
+ * Renders authorization reports (authService.generateReport) as an HTML determination letter
+ * or a PDF of the same letter, alongside the raw JSON. The letter gives the decision, reason,
+ * question and answer table, criteria met and next steps.
+ */
+class ReportFormatService {
+    /**
+     * @returns {Array<string>} - Supported format names
+     */
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Render a report
+     * @param {Object} report - Authorization report
+     * @param {string} [format] - 'json', 'html' or 'pdf'
+     * @returns {Promise<Object>} - { body, contentType, extension } where body is a string or Buffer
+     */
+    async render(report, format = 'json') {
+        const target = FORMATS[format];
+        if (!target) {
+            throw new Error(`Unsupported report format "${format}". Use one of: ${this.getFormats().join(', ')}`);
+        }
+
+        let body;
+        if (format === 'html') body = this.toHtml(report);
+        else if (format === 'pdf') body = await this.toPdf(report);
+        else body = JSON.stringify(report, null, 2);
+
+        return { body, contentType: target.contentType, extension: target.extension };
+    }
+
+    /**
+     * Collect the letter's content from a report
+     * @param {Object} report - Authorization report
+     * @returns {Object} - { title, reportId, date, details, decision, questions, criteria, nextSteps }
+     */
+    letter(report) {
+        const summary = report.summary;
+        const decisionInfo = authService.decisionMessages[summary.decision];
+        const product = summary.requestedProduct;
+        const prescriber = summary.prescriber;
+        const criteria = report.criteriaVersion?.questionSet;
+
+        const details = [
+            ['Patient', summary.memberName],
+            ['Date of birth', summary.dateOfBirth && dateService.format(summary.dateOfBirth)],
+            ['Member ID', summary.memberId],
+            ['Plan', summary.plan?.name],
+            ['Medication', product?.description ? `${summary.drugName} (${product.description})` : summary.drugName],
+            ['Indication', summary.indication?.name],
+            ['Prescriber', prescriber && [prescriber.name, prescriber.npi && `NPI ${prescriber.npi}`].filter(Boolean).join(', ')],
+            ['Criteria', criteria?.version && [`${criteria.name || criteria.id}, version ${criteria.version}`,
+                criteria.effectiveDate && `effective ${dateService.format(criteria.effectiveDate)}`].filter(Boolean).join(', ')]
+        ].filter(([, value]) => value);
+
+        return {
+            title: 'Prior Authorization Determination',
+            reportId: report.reportId,
+            date: dateService.format(report.generatedAt.split('T')[0]),
+            details,
+            decision: {
+                label: DECISION_LABELS[summary.decision] || 'Pending',
+                message: decisionInfo
+                    ? authService.generatePersonalizedMessage(decisionInfo.message, summary, null)
+                    : 'No determination has been made for this request yet.',
+                reason: summary.decisionReason || null,
+                citation: report.decisionRule?.citation || null
+            },
+            questions: report.questionResponses.map(response => ({
+                number: response.questionNumber,
+                question: response.question,
+                answer: this.describeAnswer(response)
+            })),
+            criteria: Object.entries(report.clinicalCriteria || {})
+                .filter(([, criterion]) => criterion)
+                .map(([key, criterion]) => ({
+                    label: CRITERIA_LABELS[key] || key,
+                    value: criterion.value,
+                    met: criterion.met
+                })),
+            nextSteps: [decisionInfo?.nextSteps, ...(report.recommendations || []).map(item => item.message)].filter(Boolean)
+        };
+    }
+
+    /**
+     * Answer as shown in the letter: the value with its unit, plus how it was stated or derived
+     * @param {Object} response - Entry of report.questionResponses
+     * @returns {string} - Display text
+     */
+    describeAnswer(response) {
+        let answer = response.unit ? `${response.answer} ${response.unit}` : response.answer;
+        if (response.source === 'derived') {
+            answer += ` (computed: ${response.derivedFrom})`;
+        } else if (response.originalText && response.originalText !== response.answer) {
+            answer += ` (stated as "${response.originalText}")`;
+        }
+        return answer;
+    }
+
+    /**
+     * @param {Object} report - Authorization report
+     * @returns {string} - Standalone HTML document
+     */
+    toHtml(report) {
+        const letter = this.letter(report);
+        const escape = value => String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const details = letter.details
+            .map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`)
+            .join('\n');
+        const questions = letter.questions
+            .map(item => `<tr><td>${item.number}</td><td>${escape(item.question)}</td><td>${escape(item.answer)}</td></tr>`)
+            .join('\n');
+        const criteria = letter.criteria
+            .map(item => `<tr><td>${escape(item.label)}</td><td>${escape(item.value)}</td><td>${item.met ? 'Met' : 'Not met'}</td></tr>`)
+            .join('\n');
+        const nextSteps = letter.nextSteps.map(step => `<li>${escape(step)}</li>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(letter.title)} ${escape(letter.reportId)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; max-width: 800px; margin: 40px auto; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+th, td { border: 1px solid #ccc; padding: 6px 10px; text-align: left; vertical-align: top; }
+.details th { width: 160px; background: #f5f5f5; }
+.decision { font-size: 1.3em; font-weight: bold; }
+.citation { color: #666; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>${escape(letter.title)}</h1>
+<p>Report ${escape(letter.reportId)} &middot; ${escape(letter.date)}</p>
+<table class="details">
+${details}
+</table>
+<h2>Decision</h2>
+<p class="decision">${escape(letter.decision.label)}</p>
+<p>${escape(letter.decision.message)}</p>
+${letter.decision.reason ? `<p><strong>Reason:</strong> ${escape(letter.decision.reason)}</p>` : ''}
+${letter.decision.citation ? `<p class="citation">Criteria reference: ${escape(letter.decision.citation)}</p>` : ''}
+<h2>Questions and Answers</h2>
+<table>
+<tr><th>#</th><th>Question</th><th>Answer</th></tr>
+${questions}
+</table>
+${criteria ? `<h2>Criteria</h2>
+<table>
+<tr><th>Criterion</th><th>Value</th><th>Status</th></tr>
+${criteria}
+</table>` : ''}
+<h2>Next Steps</h2>
+<ul>
+${nextSteps}
+</ul>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * @param {Object} report - Authorization report
+     * @returns {Promise<Buffer>} - PDF document
+     */
+    toPdf(report) {
+        const letter = this.letter(report);
+
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'LETTER', margin: 54, info: { Title: `${letter.title} ${letter.reportId}` } });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+            const heading = text => doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).moveDown(0.3).font('Helvetica').fontSize(10);
+
+            doc.font('Helvetica-Bold').fontSize(18).text(letter.title);
+            doc.font('Helvetica').fontSize(10).fillColor('#555').text(`Report ${letter.reportId} - ${letter.date}`).fillColor('#000');
+            doc.moveDown();
+            letter.details.forEach(([label, value]) => {
+                doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+            });
+
+            heading('Decision');
+            doc.font('Helvetica-Bold').fontSize(12).text(letter.decision.label).font('Helvetica').fontSize(10).moveDown(0.3);
+            doc.text(letter.decision.message);
+            if (letter.decision.reason) doc.moveDown(0.3).text(`Reason: ${letter.decision.reason}`);
+            if (letter.decision.citation) doc.moveDown(0.3).fillColor('#555').text(`Criteria reference: ${letter.decision.citation}`).fillColor('#000');
+
+            heading('Questions and Answers');
+            this.drawTable(doc, [0.06, 0.54, 0.4].map(share => share * width), ['#', 'Question', 'Answer'],
+                letter.questions.map(item => [String(item.number), item.question, item.answer]));
+
+            if (letter.criteria.length > 0) {
+                heading('Criteria');
+                this.drawTable(doc, [0.3, 0.5, 0.2].map(share => share * width), ['Criterion', 'Value', 'Status'],
+                    letter.criteria.map(item => [item.label, String(item.value), item.met ? 'Met' : 'Not met']));
+            }
+
+            heading('Next Steps');
+            letter.nextSteps.forEach(step => doc.text(`- ${step}`).moveDown(0.2));
+
+            doc.end();
+        });
+    }
+
+    /**
+     * Draw a table with wrapped cells, starting a new page when a row does not fit
+     * @param {PDFDocument} doc - Document being written
+     * @param {Array<number>} widths - Column widths in points
+     * @param {Array<string>} header - Column headings
+     * @param {Array<Array<string>>} rows - Cell text per row
+     */
+    drawTable(doc, widths, header, rows) {
+        const padding = 4;
+        const left = doc.page.margins.left;
+
+        [header, ...rows].forEach((cells, index) => {
+            doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica');
+            const height = Math.max(...cells.map((cell, column) =>
+                doc.heightOfString(cell, { width: widths[column] - padding * 2 }))) + padding * 2;
+
+            if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+            }
+
+            const top = doc.y;
+            let x = left;
+            cells.forEach((cell, column) => {
+                doc.rect(x, top, widths[column], height).stroke('#cccccc');
+                doc.fillColor('#000').text(cell, x + padding, top + padding, { width: widths[column] - padding * 2 });
+                x += widths[column];
+            });
+            doc.x = left;
+            doc.y = top + height;
+        });
+        doc.font('Helvetica');
+    }
+}
+
+module.exports = new ReportFormatService();
@@ -0,0 +1,196 @@
+/**
+ * Declarative decision rules.
+ *
+ * Each question set in data/questions.json may carry a `rules` array. Rules are evaluated
+ * in order and the first rule whose `when` condition matches decides the outcome:
+ *
+ *   {
+ *     "id": "glp1_type1_diabetes",
+ *     "when": { "question": "diagnosis", "equals": "Type 1 Diabetes" },
+ *     "decision": "deny",
+ *     "reason": "GLP-1 receptor agonists are not indicated for Type 1 Diabetes",
+ *     "citation": "GLP-1 Receptor Agonist Criteria, Section 1.a"
+ *   }
+ *
+ * Conditions are either combinators ({ all: [...] }, { any: [...] }, { not: {...} }) or
+ * a leaf over a single answer: { question, <operator>: <value> }. Supported operators are
+ * equals, notEquals, in, notIn, contains, min, max, between, outside and answered.
+ * A leaf over an unanswered question only matches `answered: false`.
+ *
+ * A step therapy leaf checks the medication history extracted from the free-text answers
+ * (see stepTherapyService) instead of a single answer:
+ *
+ *   { "stepTherapy": { "classes": ["conventional_dmard"], "atLeast": 2, "outcomes": ["failed", "intolerant"] } }
+ *
+ * It matches when at least `atLeast` (default 1) distinct therapies from the listed drug
+ * classes were documented, optionally only counting the listed outcomes.
+ */
+class RulesEngine {
+    constructor() {
+        this.operators = ['equals', 'notEquals', 'in', 'notIn', 'contains', 'min', 'max', 'between', 'outside', 'answered'];
+    }
+
+    /**
+     * Find the first rule that matches the answers
+     * @param {Array} rules - Rule definitions
+     * @param {Object} answers - Answers keyed by question ID
+     * @param {Object} [facts] - Facts derived from the answers ({ medications } for step therapy leaves)
+     * @returns {Object|null} - Matching rule or null if none match
+     */
+    evaluate(rules, answers, facts = {}) {
+        if (!Array.isArray(rules)) return null;
+        return rules.find(rule => this.evaluateCondition(rule.when, answers || {}, facts)) || null;
+    }
+
+    /**
+     * Evaluate a single condition
+     * @param {Object} condition - Condition definition
+     * @param {Object} answers - Answers keyed by question ID
+     * @param {Object} [facts] - Facts derived from the answers
+     * @returns {boolean} - Whether the condition holds
+     */
+    evaluateCondition(condition, answers, facts = {}) {
+        if (!condition) return false;
+
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(child => this.evaluateCondition(child, answers, facts));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(child => this.evaluateCondition(child, answers, facts));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(condition.not, answers, facts);
+        }
+        if (condition.stepTherapy) {
+            const { classes, atLeast = 1, outcomes } = condition.stepTherapy;
+            return this.countTherapies(facts.medications, classes, outcomes) >= atLeast;
+        }
+
+        return this.evaluateLeaf(condition, answers);
+    }
+
+    /**
+     * Count the distinct therapies in a medication history that satisfy a step therapy requirement.
+     * A class mentioned without naming a drug ("steroids") counts once, and only if no drug of
+     * that class was named.
+     * @param {Array<Object>} medications - Entries from stepTherapyService
+     * @param {Array<string>} classes - Drug classes that count
+     * @param {Array<string>} [outcomes] - Outcomes that count (any documented trial counts if omitted)
+     * @returns {number} - Number of qualifying therapies
+     */
+    countTherapies(medications, classes, outcomes) {
+        const qualifying = (medications || []).filter(entry =>
+            classes.includes(entry.drugClass) && (!outcomes || outcomes.includes(entry.outcome)));
+        const namedClasses = new Set(qualifying.filter(entry => entry.drug).map(entry => entry.drugClass));
+
+        return qualifying.filter(entry => entry.drug || !namedClasses.has(entry.drugClass)).length;
+    }
+
+    /**
+     * Evaluate a leaf condition over one answer
+     * @param {Object} condition - Leaf condition
+     * @param {Object} answers - Answers keyed by question ID
+     * @returns {boolean} - Whether the condition holds
+     */
+    evaluateLeaf(condition, answers) {
+        const value = answers[condition.question];
+        const isAnswered = value !== undefined && value !== null && value !== '';
+
+        if (condition.answered !== undefined) {
+            return isAnswered === condition.answered;
+        }
+        if (!isAnswered) return false;
+
+        const text = String(value).toLowerCase().trim();
+        const sameText = expected => text === String(expected).toLowerCase().trim();
+        const number = parseFloat(value);
+
+        if (condition.equals !== undefined) return sameText(condition.equals);
+        if (condition.notEquals !== undefined) return !sameText(condition.notEquals);
+        if (condition.in !== undefined) return condition.in.some(sameText);
+        if (condition.notIn !== undefined) return !condition.notIn.some(sameText);
+        if (condition.contains !== undefined) return text.includes(String(condition.contains).toLowerCase());
+
+        if (isNaN(number)) return false;
+        if (condition.min !== undefined) return number >= condition.min;
+        if (condition.max !== undefined) return number <= condition.max;
+        if (condition.between !== undefined) {
+            const [min, max] = condition.between;
+            return number >= min && number <= max;
+        }
+        if (condition.outside !== undefined) {
+            const [min, max] = condition.outside;
+            return number < min || number > max;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check rule definitions for structural problems
+     * @param {string} questionSetId - Question set identifier (used in messages)
+     * @param {Object} questionSet - Question set definition
+     * @param {Array<string>} decisions - Allowed decision values
+     * @param {Array<string>} [drugClasses] - Drug classes step therapy leaves may refer to
+     * @returns {Array<string>} - Validation errors (empty if valid)
+     */
+    validateRules(questionSetId, questionSet, decisions, drugClasses = []) {
+        const errors = [];
+        const questionIds = new Set((questionSet.questions || []).map(question => question.id));
+        const ruleIds = new Set();
+
+        const checkCondition = (ruleId, condition) => {
+            if (!condition || typeof condition !== 'object') {
+                errors.push(`${questionSetId}: rule "${ruleId}" has an empty condition`);
+                return;
+            }
+            if (condition.all || condition.any) {
+                (condition.all || condition.any).forEach(child => checkCondition(ruleId, child));
+                return;
+            }
+            if (condition.not) {
+                checkCondition(ruleId, condition.not);
+                return;
+            }
+            if (condition.stepTherapy) {
+                const { classes, atLeast = 1 } = condition.stepTherapy;
+                if (!Array.isArray(classes) || classes.length === 0) {
+                    errors.push(`${questionSetId}: rule "${ruleId}" has a step therapy condition without classes`);
+                } else {
+                    classes.filter(drugClass => !drugClasses.includes(drugClass)).forEach(drugClass => {
+                        errors.push(`${questionSetId}: rule "${ruleId}" refers to unknown drug class "${drugClass}"`);
+                    });
+                }
+                if (!Number.isInteger(atLeast) || atLeast < 1) {
+                    errors.push(`${questionSetId}: rule "${ruleId}" has an invalid step therapy count`);
+                }
+                return;
+            }
+            if (!questionIds.has(condition.question)) {
+                errors.push(`${questionSetId}: rule "${ruleId}" refers to unknown question "${condition.question}"`);
+            }
+            if (!this.operators.some(operator => condition[operator] !== undefined)) {
+                errors.push(`${questionSetId}: rule "${ruleId}" has no supported operator`);
+            }
+        };
+
+        (questionSet.rules || []).forEach(rule => {
+            if (ruleIds.has(rule.id)) {
+                errors.push(`${questionSetId}: duplicate rule ID "${rule.id}"`);
+            }
+            ruleIds.add(rule.id);
+
+            if (!decisions.includes(rule.decision)) {
+                errors.push(`${questionSetId}: rule "${rule.id}" has invalid decision "${rule.decision}"`);
+            }
+            if (!rule.reason) {
+                errors.push(`${questionSetId}: rule "${rule.id}" is missing a reason`);
+            }
+            checkCondition(rule.id, rule.when);
+        });
+
+        return errors;
+    }
+}
+
+module.exports = new RulesEngine();
@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '../data/schemas');
+
+// Data files and the schema each must follow
+const SCHEMAS = {
+    questions: 'questions.schema.json',
+    drugs: 'drugs.schema.json'
+};
+
+/**
+ * JSON Schema validation of the data files (data/schemas). Errors are reported with a path
+ * that names items by ID where they have one, e.g.
+ * `questions.json: questionSets.diabetes_glp1.questions[a1c_level].type must be one of: yes_no, numeric, multiple_choice, text`.
+ * The routing graph, derived answers and decision rules are checked separately once the
+ * data has the right shape (see SessionService.validateQuestionSets).
+ */
+class SchemaService {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+        this.validators = {};
+        Object.entries(SCHEMAS).forEach(([name, file]) => {
+            this.validators[name] = this.ajv.compile(fs.readJsonSync(path.join(SCHEMA_DIR, file)));
+        });
+    }
+
+    /**
+     * Validate a data file's content against its schema
+     * @param {string} name - Schema name ('questions' or 'drugs')
+     * @param {Object} data - Parsed file content
+     * @returns {Array<string>} - Readable validation errors (empty if valid)
+     */
+    validate(name, data) {
+        const validator = this.validators[name];
+        if (!validator) {
+            throw new Error(`Unknown schema "${name}"`);
+        }
+        if (validator(data)) return [];
+
+        const errors = validator.errors.filter(error => !['if', 'propertyNames'].includes(error.keyword));
+        const unions = errors.filter(error => error.keyword === 'anyOf');
+        const within = (error, parent) => error.instancePath.startsWith(`${parent.instancePath}/`);
+        return errors
+            .filter(error => {
+                // A failed anyOf is summed up once, unless one alternative got further and says what is wrong inside
+                if (error.keyword === 'anyOf') {
+                    return !errors.some(other => within(other, error));
+                }
+                return !unions.some(union => union !== error && union.instancePath === error.instancePath);
+            })
+            .map(error => `${name}.json: ${this.describePath(data, error.instancePath)}${this.describeError(error)}`)
+            .filter((error, index, list) => list.indexOf(error) === index);
+    }
+
+    /**
+     * Turn a JSON pointer into a dotted path, naming array items by their `id`
+     * @param {Object} data - Validated data
+     * @param {string} pointer - JSON pointer from Ajv ("/questionSets/glp1/questions/2/type")
+     * @returns {string} - Path followed by a space, or '' for the document root
+     */
+    describePath(data, pointer) {
+        if (!pointer) return '';
+
+        let node = data;
+        const parts = pointer.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const described = parts.reduce((text, part) => {
+            const value = node?.[part];
+            let segment;
+            if (Array.isArray(node)) {
+                segment = `[${typeof value?.id === 'string' ? value.id : part}]`;
+            } else {
+                segment = /^[A-Za-z_$][\w$]*$/.test(part) ? `${text ? '.' : ''}${part}` : `[${JSON.stringify(part)}]`;
+            }
+            node = value;
+            return text + segment;
+        }, '');
+        return `${described} `;
+    }
+
+    describeError(error) {
+        switch (error.keyword) {
+            case 'enum':
+                return `must be one of: ${error.params.allowedValues.join(', ')}`;
+            case 'const':
+                return `must be ${JSON.stringify(error.params.allowedValue)}`;
+            case 'additionalProperties':
+                return `has unknown property "${error.params.additionalProperty}"`;
+            case 'required':
+                return `is missing required property "${error.params.missingProperty}"`;
+            case 'anyOf':
+                return `must be ${error.parentSchema.description || 'one of the allowed forms'}`;
+            case 'pattern':
+                if (error.propertyName) {
+                    return `has a key "${error.propertyName}" that does not match the expected format`;
+                }
+                return error.parentSchema.description
+                    ? `"${error.data}" must be ${error.parentSchema.description}`
+                    : `"${error.data}" does not match the expected format`;
+            default:
+                return error.message;
+        }
+    }
+}
+
+module.exports = new SchemaService();
@@ -1,10 +1,23 @@
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs-extra');
 const path = require('path');
+const questionGraphService = require('./questionGraphService');
+const rulesEngine = require('./rulesEngine');
+const stepTherapyService = require('./stepTherapyService');
+const numericAnswerService = require('./numericAnswerService');
+const derivedAnswerService = require('./derivedAnswerService');
+const schemaService = require('./schemaService');
+const versionService = require('./versionService');
+const dateService = require('./dateService');
+const providers = require('./providers');
+const { createSessionStore } = require('./sessionStore');
+
+// Stored for a question the caller could not answer ("not documented", "I don't know")
+const UNKNOWN_ANSWER = 'unknown';
 
 class SessionService {
     constructor() {
-        this.sessions = new Map();
+        this.store = createSessionStore();
         this.drugsData = null;
         this.questionsData = null;
         this.dataLoaded = false;
@@ -21,11 +34,109 @@ class SessionService {
             
             this.drugsData = await fs.readJson(drugsPath);
             this.questionsData = await fs.readJson(questionsPath);
-            this.dataLoaded = true;
         } catch (error) {
             console.error('Error loading data:', error);
             throw new Error('Failed to load drug and question data');
         }
+
+        // Shape first (data/schemas), so the checks below can trust the structure they walk
+        const schemaErrors = schemaService.validate('drugs', this.drugsData)
+            .concat(schemaService.validate('questions', this.questionsData));
+        if (schemaErrors.length > 0) {
+            schemaErrors.forEach(error => console.error(`❌ ${error}`));
+            throw new Error(`Invalid data files: ${schemaErrors.length} schema error(s) found`);
+        }
+
+        const questionSetErrors = this.validateQuestionSets(this.questionsData);
+        if (questionSetErrors.length > 0) {
+            questionSetErrors.forEach(error => console.error(`❌ ${error}`));
+            throw new Error(`Invalid question sets: ${questionSetErrors.length} error(s) found`);
+        }
+
+        const indicationErrors = this.validateDrugIndications(this.drugsData, this.questionsData);
+        if (indicationErrors.length > 0) {
+            indicationErrors.forEach(error => console.error(`❌ ${error}`));
+            throw new Error(`Invalid drug indications: ${indicationErrors.length} error(s) found`);
+        }
+
+        const versionErrors = this.validateVersions(this.drugsData, this.questionsData);
+        if (versionErrors.length > 0) {
+            versionErrors.forEach(error => console.error(`❌ ${error}`));
+            throw new Error(`Unversioned data changes: ${versionErrors.length} error(s) found`);
+        }
+
+        // Loading never writes to data/versions; new versions are recorded on purpose
+        const unrecorded = this.unrecordedVersions(this.drugsData, this.questionsData);
+        if (unrecorded.length > 0) {
+            console.warn(`⚠️  Versions not recorded in data/versions yet (run npm run record-versions): ${unrecorded.join(', ')}`);
+        }
+
+        this.dataLoaded = true;
+    }
+
+    /**
+     * Question sets and drug entries keyed by ID, grouped by the kind of versioned data
+     * @param {Object} drugsData - Parsed drugs.json content
+     * @param {Object} questionsData - Parsed questions.json content
+     * @returns {Object} - { 'question-sets': {...}, drugs: {...} }
+     */
+    versionedEntries(drugsData, questionsData) {
+        return {
+            'question-sets': questionsData?.questionSets || {},
+            drugs: Object.fromEntries((drugsData?.drugs || []).map(drug => [drug.id, drug]))
+        };
+    }
+
+    /**
+     * Check that no question set or drug was changed without a new version
+     * @param {Object} drugsData - Parsed drugs.json content
+     * @param {Object} questionsData - Parsed questions.json content
+     * @returns {Array<string>} - Entries that differ from their recorded version
+     */
+    validateVersions(drugsData, questionsData) {
+        return Object.entries(this.versionedEntries(drugsData, questionsData))
+            .flatMap(([kind, entries]) => versionService.conflicts(kind, entries));
+    }
+
+    /**
+     * Question set and drug versions with no copy in data/versions yet
+     * @param {Object} drugsData - Parsed drugs.json content
+     * @param {Object} questionsData - Parsed questions.json content
+     * @returns {Array<string>} - "<kind>/<id> version <n>" for each one
+     */
+    unrecordedVersions(drugsData, questionsData) {
+        return Object.entries(this.versionedEntries(drugsData, questionsData))
+            .flatMap(([kind, entries]) => versionService.unrecorded(kind, entries));
+    }
+
+    /**
+     * Keep a copy of each question set and drug version (data/versions) for audit
+     * @param {Object} drugsData - Parsed drugs.json content
+     * @param {Object} questionsData - Parsed questions.json content
+     * @returns {Promise<Array<string>>} - Files written
+     */
+    async recordVersions(drugsData, questionsData) {
+        const written = [];
+        for (const [kind, entries] of Object.entries(this.versionedEntries(drugsData, questionsData))) {
+            written.push(...await versionService.record(kind, entries));
+        }
+        return written;
+    }
+
+    /**
+     * Validate the routing graph and decision rules of every question set
+     * @param {Object} questionsData - Parsed questions.json content
+     * @returns {Array<string>} - Validation errors (dangling IDs, cycles and malformed rules)
+     */
+    validateQuestionSets(questionsData) {
+        const questionSets = questionsData?.questionSets || {};
+        return Object.entries(questionSets).reduce((errors, [questionSetId, questionSet]) => {
+            return errors
+                .concat(questionGraphService.validateQuestionSet(questionSetId, questionSet))
+                .concat(derivedAnswerService.validateQuestionSet(questionSetId, questionSet))
+                .concat(rulesEngine.validateRules(questionSetId, questionSet, questionGraphService.terminalOutcomes,
+                    stepTherapyService.classIds));
+        }, []);
     }
 
     /**
@@ -40,19 +151,40 @@ class SessionService {
             status: 'active',
             step: 'greeting',
             memberName: null,
-            dateOfBirth: null,
+            dateOfBirth: null, // ISO 8601; partial ("1985") until the caller gives the full date
+            dateOfBirthCandidates: null, // ISO readings offered when a numeric date reads differently day-first
+            memberId: null, // Roster member confirmed eligible for the collected name and date of birth
+            memberPlan: null,
+            memberCoverage: null,
+            memberCandidates: null, // Member IDs offered when several roster members match
+            prescriber: null, // { name, npi, practice, callbackNumber, credential, specialty, verified }
+            prescriberAwaiting: null, // Prescriber detail the last prompt asked for
+            prescriberFailures: 0, // NPIs given that could not be verified
+            requestedProduct: null, // { ndc, description, strengths, form, quantity, daysSupply, quantityLimit }
+            productAwaiting: null, // Product detail the last prompt asked for
+            indication: null, // { id, name, questionSet } the drug is requested for
             drugName: null,
             drugId: null,
+            drugVersion: null, // { version, effectiveDate } of the drug entry pinned at pinDrug or initializeQuestionFlow
+            questionSetVersion: null, // { version, effectiveDate } of the question set pinned at initializeQuestionFlow
             currentQuestionId: null,
             answers: {},
+            answerDetails: {}, // { original, value, unit, range, conversion } for numeric answers, keyed by question ID
+            prefilledAnswers: {}, // Answers captured before their question was asked ({ answer, details }), applied when the path reaches it
+            medicationHistory: [], // Step therapy entries extracted from the free-text medication answers
             questionFlow: [],
+            questionPath: [], // Question IDs visited along the routing graph
             currentQuestionIndex: 0,
             decision: null,
             decisionReason: null,
+            decisionRule: null, // Rule from the question set that produced the decision
+            pendingRevision: null, // Answered question whose new value the caller was asked for
+            hold: null, // { questionId, startedAt, checkInAt } while the caller looks something up
+            epa: null, // { prescriberSystem, payer, initiationReferenceId, lastMessageId } for requests that arrived as NCPDP SCRIPT messages
             conversationHistory: [] // Track conversation turns
         };
 
-        this.sessions.set(sessionId, session);
+        this.store.set(sessionId, session);
         return sessionId;
     }
 
@@ -62,7 +194,7 @@ class SessionService {
      * @returns {Object|null} - Session object or null if not found
      */
     getSession(sessionId) {
-        return this.sessions.get(sessionId) || null;
+        return this.store.get(sessionId) || null;
     }
 
     /**
@@ -71,10 +203,11 @@ class SessionService {
      * @param {Object} updates - Data to update
      */
     updateSession(sessionId, updates) {
-        const session = this.sessions.get(sessionId);
+        const session = this.store.get(sessionId);
         if (session) {
             Object.assign(session, updates);
             session.updatedAt = new Date();
+            this.store.set(sessionId, session);
         }
     }
 
@@ -298,32 +431,230 @@ class SessionService {
         };
     }
 
+    /**
+     * Check that every drug declares at least one indication, and that each indication
+     * is in the indication catalog and routes to an existing question set
+     * @param {Object} drugsData - Parsed drugs.json content
+     * @param {Object} questionsData - Parsed questions.json content
+     * @returns {Array<string>} - Validation errors
+     */
+    validateDrugIndications(drugsData, questionsData) {
+        const catalog = drugsData?.indications || {};
+        const questionSets = questionsData?.questionSets || {};
+        const errors = [];
+
+        (drugsData?.drugs || []).forEach(drug => {
+            if (!drug.indications || drug.indications.length === 0) {
+                errors.push(`${drug.id}: no indications`);
+            }
+            (drug.indications || []).forEach(indication => {
+                if (!catalog[indication.id]) {
+                    errors.push(`${drug.id}: unknown indication "${indication.id}"`);
+                }
+                if (!questionSets[indication.questionSet]) {
+                    errors.push(`${drug.id}: indication "${indication.id}" routes to unknown question set "${indication.questionSet}"`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Get a drug's indications with their catalog names and aliases
+     * @param {Object} drug - Drug definition
+     * @returns {Array<Object>} - { id, name, aliases, questionSet, quantityLimits } in the drug's order
+     */
+    getIndications(drug) {
+        const catalog = this.drugsData?.indications || {};
+        return (drug?.indications || []).map(indication => ({
+            ...catalog[indication.id],
+            ...indication,
+            aliases: catalog[indication.id]?.aliases || []
+        }));
+    }
+
+    /**
+     * Get one of a drug's indications
+     * @param {Object} drug - Drug definition
+     * @param {string} indicationId - Indication identifier
+     * @returns {Object|null} - Indication, or null if the drug does not declare it
+     */
+    getIndication(drug, indicationId) {
+        return this.getIndications(drug).find(indication => indication.id === indicationId) || null;
+    }
+
+    /**
+     * Whether a diagnosis option names an indication (by its catalog name or an alias)
+     * @param {Object} indication - Indication from getIndications
+     * @param {string} diagnosis - Diagnosis option text
+     * @returns {boolean} - True if the option names the indication
+     */
+    diagnosisNamesIndication(indication, diagnosis) {
+        const normalize = text => String(text || '').toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+        return [indication.name, ...indication.aliases].some(name => normalize(name) === normalize(diagnosis));
+    }
+
+    /**
+     * Record the indication a diagnosis answer names, when the session's drug declares it for the
+     * question set in use. Drugs whose indications share a question set are not asked for the
+     * indication up front, so this is where it is learned.
+     * @param {Object} session - Session object (updated in place)
+     * @param {string} diagnosis - Diagnosis answer
+     */
+    recordIndicationFromDiagnosis(session, diagnosis) {
+        const indication = this.getIndications(this.getSessionDrug(session)).find(candidate =>
+            candidate.questionSet === session.questionSetId && this.diagnosisNamesIndication(candidate, diagnosis));
+        if (indication) {
+            session.indication = { id: indication.id, name: indication.name, questionSet: indication.questionSet };
+        }
+    }
+
     /**
      * Get question set for a drug
      * @param {string} questionSetId - Question set identifier
+     * @param {number} [version] - Version to load (defaults to the current one); older versions come from data/versions
      * @returns {Object|null} - Question set or null if not found
      */
-    getQuestionSet(questionSetId) {
+    getQuestionSet(questionSetId, version) {
         if (!this.questionsData) return null;
-        return this.questionsData.questionSets[questionSetId] || null;
+        const current = this.questionsData.questionSets[questionSetId] || null;
+        if (version === undefined || current?.version === version) return current;
+        return versionService.load('question-sets', questionSetId, version);
+    }
+
+    /**
+     * Question set version in effect on a date: the current version, unless it takes effect
+     * later, in which case the newest earlier version already in effect
+     * @param {string} questionSetId - Question set identifier
+     * @param {string} [date] - ISO date (defaults to today)
+     * @returns {Object|null} - Question set or null if not found or no version is in effect yet
+     */
+    getEffectiveQuestionSet(questionSetId, date = dateService.today()) {
+        const current = this.getQuestionSet(questionSetId);
+        const version = this.effectiveVersion('question-sets', current, questionSetId, date);
+        return version === null ? null : this.getQuestionSet(questionSetId, version);
+    }
+
+    /**
+     * Version of an entry in effect on a date
+     * @param {string} kind - 'question-sets' or 'drugs'
+     * @param {Object|null} current - Current entry from the data file
+     * @param {string} id - Entry identifier
+     * @param {string} date - ISO date
+     * @returns {number|null|undefined} - Newest recorded earlier version in effect, undefined for the
+     *   current one, or null if no version is in effect on the date
+     */
+    effectiveVersion(kind, current, id, date) {
+        if (!current || current.effectiveDate <= date) return undefined;
+
+        const earlier = versionService.list(kind, id)
+            .filter(entry => entry.version < current.version && entry.effectiveDate <= date)
+            .pop();
+        return earlier ? earlier.version : null;
+    }
+
+    /**
+     * Question set version a session was pinned to at initializeQuestionFlow
+     * @param {Object} session - Session object
+     * @returns {Object|null} - Question set or null if the flow has not started
+     */
+    getSessionQuestionSet(session) {
+        if (!session?.questionSetId) return null;
+        return this.getQuestionSet(session.questionSetId, session.questionSetVersion?.version);
+    }
+
+    /**
+     * Get a drug entry
+     * @param {string} drugId - Drug identifier
+     * @param {number} [version] - Version to load (defaults to the current one); older versions come from data/versions
+     * @returns {Object|null} - Drug or null if not found
+     */
+    getDrug(drugId, version) {
+        if (!this.drugsData) return null;
+        const current = this.drugsData.drugs.find(drug => drug.id === drugId) || null;
+        if (version === undefined || current?.version === version) return current;
+        return versionService.load('drugs', drugId, version);
+    }
+
+    /**
+     * Drug entry version in effect on a date (see getEffectiveQuestionSet)
+     * @param {string} drugId - Drug identifier
+     * @param {string} [date] - ISO date (defaults to today)
+     * @returns {Object|null} - Drug or null if not found or no version is in effect yet
+     */
+    getEffectiveDrug(drugId, date = dateService.today()) {
+        const current = this.getDrug(drugId);
+        const version = this.effectiveVersion('drugs', current, drugId, date);
+        return version === null ? null : this.getDrug(drugId, version);
+    }
+
+    /**
+     * Drug entry version a session is pinned to, or the version in effect today before it is pinned
+     * @param {Object} session - Session object
+     * @returns {Object|null} - Drug or null if the session's drug is not known or not in effect yet
+     */
+    getSessionDrug(session) {
+        if (!session) return null;
+        if (session.drugId && session.drugVersion) {
+            return this.getDrug(session.drugId, session.drugVersion.version);
+        }
+
+        const drug = session.drugId ? this.getDrug(session.drugId) : this.findDrug(session.drugName);
+        return drug && this.getEffectiveDrug(drug.id);
     }
 
     /**
-     * Initialize question flow for a session
+     * Pin a session to the drug entry version in effect now, so its indication, formulary and
+     * question flow lookups keep using that version if data/drugs.json moves on mid-call
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} - Pinned drug or null if the session's drug is not known or not in effect yet
+     */
+    pinDrug(sessionId) {
+        const session = this.getSession(sessionId);
+        const drug = this.getSessionDrug(session);
+        if (drug && !session.drugVersion) {
+            this.updateSession(sessionId, {
+                drugId: drug.id,
+                drugVersion: { version: drug.version, effectiveDate: drug.effectiveDate }
+            });
+        }
+        return drug;
+    }
+
+    /**
+     * Initialize question flow for a session. The question set comes from the indication
+     * (the one given, else the one recorded on the session, else the drug's first).
      * @param {string} sessionId - Session identifier
      * @param {string} drugId - Drug identifier
+     * @param {string} [indicationId] - Indication being treated
      */
-    initializeQuestionFlow(sessionId, drugId) {
+    initializeQuestionFlow(sessionId, drugId, indicationId) {
         const session = this.getSession(sessionId);
-        const drug = this.drugsData.drugs.find(d => d.id === drugId);
-        
-        if (!session || !drug) return;
+        if (!session) return;
+
+        // A session already pinned to this drug keeps its version; otherwise the version in effect today
+        const drug = session.drugId === drugId && session.drugVersion
+            ? this.getDrug(drugId, session.drugVersion.version)
+            : this.getEffectiveDrug(drugId);
+        if (!drug) return;
 
-        const questionSet = this.getQuestionSet(drug.questionSet);
+        const indication = this.getIndication(drug, indicationId || session.indication?.id) || this.getIndications(drug)[0];
+        const questionSet = indication && this.getEffectiveQuestionSet(indication.questionSet);
         if (!questionSet) return;
 
+        const startQuestion = questionGraphService.getStartQuestion(questionSet.questions);
+
+        if (indicationId) {
+            session.indication = { id: indication.id, name: indication.name, questionSet: indication.questionSet };
+        }
         session.drugId = drugId;
+        session.questionSetId = indication.questionSet;
+        session.questionSetVersion = { version: questionSet.version, effectiveDate: questionSet.effectiveDate };
+        session.drugVersion = { version: drug.version, effectiveDate: drug.effectiveDate };
         session.questionFlow = questionSet.questions;
+        session.currentQuestionId = startQuestion ? startQuestion.id : null;
+        session.questionPath = startQuestion ? [startQuestion.id] : [];
         session.currentQuestionIndex = 0;
         session.step = 'question_flow';
         
@@ -337,11 +668,32 @@ class SessionService {
      */
     getCurrentQuestion(sessionId) {
         const session = this.getSession(sessionId);
-        if (!session || session.currentQuestionIndex >= session.questionFlow.length) {
+        if (!session || !session.currentQuestionId) {
             return null;
         }
 
-        return session.questionFlow[session.currentQuestionIndex];
+        return questionGraphService.getQuestion(session.questionFlow, session.currentQuestionId);
+    }
+
+    /**
+     * Move the session to the question a next target points at
+     * @param {Object} session - Session object
+     * @param {string|null} targetId - Next question ID, or null when the path has no further route
+     * @returns {Object|null} - The new current question or null if the path ended
+     */
+    advanceToQuestion(session, targetId) {
+        const question = questionGraphService.getQuestion(session.questionFlow, targetId);
+        if (targetId && !question) {
+            throw new Error(`Question "${targetId}" is not defined in the active question set`);
+        }
+
+        session.currentQuestionId = question ? question.id : null;
+        if (question) {
+            session.questionPath.push(question.id);
+            session.currentQuestionIndex = session.questionPath.length - 1;
+        }
+
+        return question;
     }
 
     /**
@@ -368,24 +720,266 @@ class SessionService {
             };
         }
 
-        // Store the processed answer
-        session.answers[currentQuestion.id] = processedAnswer.answer;
+        return this.recordAnswer(sessionId, currentQuestion, processedAnswer.answer, processedAnswer.details);
+    }
+
+    /**
+     * Record the current question as unknown ("not documented", "I don't know"). The flow ends
+     * with documentation_required if the question is required, otherwise it moves on.
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - Next step information as from processAnswer
+     */
+    recordUnknownAnswer(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) return { action: 'error', message: 'Session not found' };
+
+        const currentQuestion = this.getCurrentQuestion(sessionId);
+        if (!currentQuestion) return { action: 'complete', decision: session.decision };
+
+        if (currentQuestion.required) {
+            session.answers[currentQuestion.id] = UNKNOWN_ANSWER;
+            return this.completeQuestionFlow(sessionId, null);
+        }
+        return this.recordAnswer(sessionId, currentQuestion, UNKNOWN_ANSWER);
+    }
+
+    /**
+     * Store a processed answer to the current question and follow the routing graph,
+     * applying any pre-filled answers the path reaches
+     * @param {string} sessionId - Session identifier
+     * @param {Object} currentQuestion - Question being answered
+     * @param {string} answer - Processed answer
+     * @param {Object} [details] - Parsing details kept alongside the answer (original text, unit conversion)
+     * @returns {Object} - Next step information
+     */
+    recordAnswer(sessionId, currentQuestion, answer, details = null) {
+        const session = this.getSession(sessionId);
+        session.answers[currentQuestion.id] = answer;
+        this.setAnswerDetails(session, currentQuestion.id, details);
+        if (currentQuestion.id === 'diagnosis') {
+            this.recordIndicationFromDiagnosis(session, answer);
+        }
+        session.medicationHistory = stepTherapyService.extractFromAnswers(session.questionFlow, session.answers);
 
         // Determine next step based on question type and processed answer
-        const nextStep = this.determineNextStep(currentQuestion, processedAnswer.answer);
+        const nextStep = this.determineNextStep(currentQuestion, answer);
         
-        if (nextStep === 'approve' || nextStep === 'deny' || nextStep === 'documentation_required') {
-            session.decision = nextStep;
-            session.step = 'complete';
-            session.decisionReason = this.getDecisionReason(currentQuestion, processedAnswer.answer);
-            return { action: 'complete', decision: nextStep, reason: session.decisionReason };
+        if (questionGraphService.isTerminal(nextStep)) {
+            return this.completeQuestionFlow(sessionId, nextStep);
+        }
+
+        // Follow the routing graph to the next question
+        const nextQuestion = this.advanceToQuestion(session, nextStep === 'next' ? null : nextStep);
+        if (!nextQuestion) {
+            // The path ended without a terminal outcome; let the decision rules decide
+            return this.completeQuestionFlow(sessionId, null);
+        }
+
+        // Skip questions the session can already answer
+        const known = this.findKnownAnswer(session, nextQuestion);
+        if (known) {
+            this.updateSession(sessionId, session);
+            return this.recordAnswer(sessionId, nextQuestion, known.answer, known.details);
+        }
+
+        this.updateSession(sessionId, session);
+        return { action: 'next_question', question: nextQuestion };
+    }
+
+    /**
+     * Answer the current question without asking it if the session already knows the answer,
+     * as when a question flow starts on the diagnosis named at the indication step
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} - Next step information as from recordAnswer
+     */
+    answerKnownQuestion(sessionId) {
+        const session = this.getSession(sessionId);
+        const question = this.getCurrentQuestion(sessionId);
+        const known = question && this.findKnownAnswer(session, question);
+        if (!known) {
+            return { action: 'next_question', question };
+        }
+
+        return this.recordAnswer(sessionId, question, known.answer, known.details);
+    }
+
+    /**
+     * Answer a question without asking it: computed from session data (`derivedFrom`) or given
+     * earlier in the call. A derived answer takes precedence over a pre-filled one.
+     * @param {Object} session - Session object
+     * @param {Object} question - Question the path reached
+     * @returns {Object|null} - { answer, details } or null if the question has to be asked
+     */
+    findKnownAnswer(session, question) {
+        const prefilled = session.prefilledAnswers?.[question.id];
+        if (prefilled !== undefined) {
+            delete session.prefilledAnswers[question.id];
         }
 
-        // Move to next question
-        session.currentQuestionIndex++;
+        return derivedAnswerService.derive(question, session) || prefilled || null;
+    }
+
+    /**
+     * Keep (or clear) the parsing details of an answer
+     * @param {Object} session - Session object
+     * @param {string} questionId - Question identifier
+     * @param {Object|null} details - Details from the type processor, or null to clear them
+     */
+    setAnswerDetails(session, questionId, details) {
+        session.answerDetails = session.answerDetails || {};
+        if (details) {
+            session.answerDetails[questionId] = details;
+        } else {
+            delete session.answerDetails[questionId];
+        }
+    }
+
+    /**
+     * Finish the question flow and record the decision produced by the decision rules
+     * @param {string} sessionId - Session identifier
+     * @param {string|null} pathOutcome - Terminal outcome reached by the routing graph, if any
+     * @returns {Object} - Completion result with decision, reason and fired rule
+     */
+    completeQuestionFlow(sessionId, pathOutcome) {
+        const session = this.getSession(sessionId);
+        const result = this.evaluateDecision(session, pathOutcome);
+
+        this.updateSession(sessionId, {
+            decision: result.decision,
+            decisionReason: result.reason,
+            decisionRule: result.rule,
+            currentQuestionId: null,
+            step: 'complete'
+        });
+
+        return { action: 'complete', decision: result.decision, reason: result.reason, rule: result.rule };
+    }
+
+    /**
+     * Change the answer to a question already on the session's path. The path is walked
+     * again with the new answer, answers that are no longer on it are dropped and the
+     * decision is re-evaluated (or cleared if the new path needs more answers).
+     * @param {string} sessionId - Session identifier
+     * @param {string} questionId - Previously answered question
+     * @param {string} answer - New raw answer, normalized like any other answer to the question
+     * @returns {Promise<Object>} - Next step information as from processAnswer, plus `revision`
+     */
+    async reviseAnswer(sessionId, questionId, answer) {
+        const session = this.getSession(sessionId);
+        if (!session) return { action: 'error', code: 'session_not_found', message: 'Session not found' };
+
+        if (!session.questionSetId) {
+            return { action: 'error', code: 'question_flow_not_started', message: 'The question flow has not started' };
+        }
+
+        const question = questionGraphService.getQuestion(session.questionFlow, questionId);
+        const previous = session.answers[questionId];
+        if (!question || !session.questionPath.includes(questionId) || previous === undefined) {
+            return { action: 'error', code: 'question_not_answered', message: `Question "${questionId}" has not been answered` };
+        }
+
+        const processedAnswer = await this.processShortAnswer(String(answer), question);
+        if (processedAnswer.needsClarification) {
+            return {
+                action: 'clarification',
+                message: processedAnswer.clarificationMessage,
+                question
+            };
+        }
+
+        const answers = { ...session.answers, [questionId]: processedAnswer.answer };
+        const walked = questionGraphService.walk(session.questionFlow, answers);
+
+        // Answers to questions the new path no longer visits would otherwise feed the decision rules
+        const droppedAnswers = Object.keys(answers).filter(id => !walked.path.includes(id));
+        droppedAnswers.forEach(id => {
+            delete answers[id];
+            this.setAnswerDetails(session, id, null);
+        });
+        this.setAnswerDetails(session, questionId, processedAnswer.details);
+
+        const revision = { questionId, from: previous, to: processedAnswer.answer, droppedAnswers };
+
+        session.answers = answers;
+        if (questionId === 'diagnosis') {
+            this.recordIndicationFromDiagnosis(session, processedAnswer.answer);
+        }
+        session.medicationHistory = stepTherapyService.extractFromAnswers(session.questionFlow, answers);
+        session.questionPath = walked.path;
+        session.currentQuestionIndex = walked.path.length - 1;
+        session.currentQuestionId = walked.currentQuestionId;
         this.updateSession(sessionId, session);
 
-        return { action: 'next_question', question: this.getCurrentQuestion(sessionId) };
+        this.addConversationTurn(
+            sessionId,
+            'system',
+            `Revised answer to "${questionId}" from "${previous}" to "${processedAnswer.answer}"`,
+            { revision }
+        );
+
+        if (!walked.currentQuestionId) {
+            return { ...this.completeQuestionFlow(sessionId, walked.outcome), revision };
+        }
+
+        // The new path needs more answers, so any earlier decision no longer stands
+        this.updateSession(sessionId, {
+            decision: null,
+            decisionReason: null,
+            decisionRule: null,
+            step: 'question_flow'
+        });
+
+        const nextQuestion = questionGraphService.getQuestion(session.questionFlow, walked.currentQuestionId);
+        const known = this.findKnownAnswer(session, nextQuestion);
+        if (known) {
+            return { ...this.recordAnswer(sessionId, nextQuestion, known.answer, known.details), revision };
+        }
+
+        return { action: 'next_question', question: nextQuestion, revision };
+    }
+
+    /**
+     * Evaluate the active question set's decision rules against the session answers.
+     * Shared by the HTTP routes and the terminal agent so both reach the same decision.
+     * @param {Object} session - Session object
+     * @param {string|null} pathOutcome - Terminal outcome reached by the routing graph, if any
+     * @returns {Object} - Decision, reason and the rule that fired (null if none did)
+     */
+    evaluateDecision(session, pathOutcome = null) {
+        const questionSet = this.getSessionQuestionSet(session);
+
+        // Rules cannot decide on a required answer nobody could give
+        const unknown = (questionSet?.questions || [])
+            .filter(question => question.required && session.answers[question.id] === UNKNOWN_ANSWER);
+        if (unknown.length > 0) {
+            const reason = `Required information is not documented: ${unknown.map(question => `"${question.text}"`).join(', ')}`;
+            return {
+                decision: 'documentation_required',
+                reason,
+                rule: { id: 'required_answer_unknown', reason, citation: null }
+            };
+        }
+
+        const medications = stepTherapyService.extractFromAnswers(questionSet?.questions, session.answers);
+        const rule = rulesEngine.evaluate(questionSet?.rules, session.answers, { medications });
+
+        if (rule) {
+            return {
+                decision: rule.decision,
+                reason: rule.reason,
+                rule: { id: rule.id, reason: rule.reason, citation: rule.citation || null }
+            };
+        }
+
+        if (pathOutcome) {
+            return { decision: pathOutcome, reason: 'Based on clinical criteria evaluation', rule: null };
+        }
+
+        return {
+            decision: 'documentation_required',
+            reason: 'Additional clinical documentation required for final decision',
+            rule: null
+        };
     }
 
     /**
@@ -413,7 +1007,8 @@ class SessionService {
             case 'multiple_choice':
                 return this.processMultipleChoiceAnswer(normalizedAnswer, question);
             case 'numeric':
-                return this.processNumericAnswer(normalizedAnswer, question);
+                // The original wording is kept with the parsed value
+                return this.processNumericAnswer(answer.trim(), question);
             case 'text':
                 return this.processTextAnswer(normalizedAnswer, question);
             default:
@@ -502,11 +1097,6 @@ class SessionService {
      */
     async findLLMMatch(answer, question) {
         try {
-            const OpenAI = require('openai');
-            const openai = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY
-            });
-
             const systemPrompt = `You are an AI assistant that determines if a user's response matches any of the provided options for a medical question.
 
 TASK:
@@ -541,17 +1131,19 @@ User's response: "${answer}"
 
 Which option does the user's response match?`;
 
-            const response = await openai.chat.completions.create({
+            const content = await providers.get().chat({
+                task: 'match_option',
+                input: answer,
+                context: { options: question.options },
                 model: "gpt-4o-mini",
                 messages: [
                     { role: "system", content: systemPrompt },
                     { role: "user", content: userPrompt }
                 ],
                 temperature: 0.1,
-                max_tokens: 300
+                maxTokens: 300
             });
 
-            const content = response.choices[0].message.content;
             const result = JSON.parse(content);
             
             console.log(`🤖 LLM Match Analysis:`);
@@ -621,24 +1213,24 @@ Which option does the user's response match?`;
     }
 
     /**
-     * Process numeric answers with validation
-     * @param {string} answer - Normalized answer
+     * Process numeric answers: spoken numbers, ranges and values in other units are parsed by
+     * numericAnswerService and converted to the question's unit
+     * @param {string} answer - Answer as given
      * @param {Object} question - Current question
-     * @returns {Object} - Processed answer
+     * @returns {Object} - Processed answer, with the parsing details (original text, unit, conversion)
      */
     processNumericAnswer(answer, question) {
-        // Extract numeric value from answer
-        const numericMatch = answer.match(/(\d+(?:\.\d+)?)/);
-        
-        if (!numericMatch) {
+        const parsed = numericAnswerService.parse(answer, question);
+
+        if (parsed.error) {
             return {
                 answer: null,
                 needsClarification: true,
-                clarificationMessage: this.getClarificationMessage(question, 'not_numeric')
+                clarificationMessage: this.getClarificationMessage(question, parsed.error, parsed.range)
             };
         }
 
-        const numericValue = parseFloat(numericMatch[1]);
+        const numericValue = parsed.value;
         
         // Validate range if specified
         if (question.validation && question.validation.range) {
@@ -652,7 +1244,7 @@ Which option does the user's response match?`;
             }
         }
 
-        return { answer: numericValue.toString(), needsClarification: false };
+        return { answer: numericValue.toString(), needsClarification: false, details: parsed };
     }
 
     /**
@@ -707,6 +1299,10 @@ Which option does the user's response match?`;
             case 'not_numeric':
                 return `${baseMessage}Please provide a numeric value for this question.`;
             
+            case 'ambiguous_range':
+                const { low, high } = additionalData;
+                return `Between ${low} and ${high} could go either way for this question. What was the exact value?`;
+            
             case 'out_of_range':
                 const { min, max, value } = additionalData;
                 return `${baseMessage}The value ${value} is outside the expected range (${min}-${max}). Please provide a value within this range.`;
@@ -727,72 +1323,23 @@ Which option does the user's response match?`;
      * @returns {string} - Next step identifier
      */
     determineNextStep(question, answer) {
-        if (question.type === 'multiple_choice') {
-            return question.next[answer] || question.next.default || 'next';
-        } else if (question.type === 'yes_no') {
-            const normalizedAnswer = answer.toLowerCase().trim();
-            if (normalizedAnswer === 'yes' || normalizedAnswer === 'y') {
-                return question.next.yes || 'next';
-            } else if (normalizedAnswer === 'no' || normalizedAnswer === 'n') {
-                return question.next.no || 'next';
-            }
-        } else if (question.type === 'numeric') {
-            const numValue = parseFloat(answer);
-            if (!isNaN(numValue) && question.next.range) {
-                const range = question.next.range;
-                if (numValue >= range.min && numValue <= range.max) {
-                    return range.next;
-                }
-            }
-            return question.next.default || 'next';
-        }
-
-        return 'next';
-    }
-
-    /**
-     * Get decision reason for approval/denial
-     * @param {Object} question - Current question
-     * @param {string} answer - User's answer
-     * @returns {string} - Decision reason
-     */
-    getDecisionReason(question, answer) {
-        if (question.type === 'multiple_choice') {
-            if (answer === 'Type 1 Diabetes') {
-                return 'GLP-1 receptor agonists are not indicated for Type 1 Diabetes';
-            } else if (answer === 'Other') {
-                return 'Indication not covered under current authorization criteria';
-            }
-        } else if (question.type === 'yes_no') {
-            const normalizedAnswer = answer.toLowerCase().trim();
-            if (normalizedAnswer === 'yes' || normalizedAnswer === 'y') {
-                if (question.id === 'contraindications') {
-                    return 'Patient has contraindications to therapy';
-                }
-            } else if (normalizedAnswer === 'no' || normalizedAnswer === 'n') {
-                if (question.id === 'step_1_required') {
-                    return 'Patient has not tried required step 1 medications';
-                } else if (question.id === 'conventional_therapy') {
-                    return 'Patient has not tried conventional therapy';
-                }
-            }
-        }
-
-        return 'Based on clinical criteria evaluation';
+        return questionGraphService.resolveNext(question, answer) || 'next';
     }
 
     /**
      * Add a conversation turn to the session history
      * @param {string} sessionId - Session identifier
-     * @param {string} speaker - 'user' or 'assistant'
+     * @param {string} speaker - 'user', 'assistant' or 'system' (e.g. recorded corrections)
      * @param {string} message - The message content
+     * @param {Object} [details] - Extra fields stored on the turn (e.g. { correction })
      */
-    addConversationTurn(sessionId, speaker, message) {
+    addConversationTurn(sessionId, speaker, message, details = {}) {
         const session = this.getSession(sessionId);
         if (session) {
             session.conversationHistory.push({
                 speaker,
                 message,
+                ...details,
                 timestamp: new Date()
             });
             
@@ -805,6 +1352,31 @@ Which option does the user's response match?`;
         }
     }
 
+    /**
+     * Mark the most recent assistant turn as cut off by the user (barge-in)
+     * @param {string} sessionId - Session identifier
+     * @param {Object} details - How much of the turn was played
+     * @param {number} details.playedMs - Milliseconds of audio played before the interruption
+     * @param {string} details.heardText - Approximate portion of the message the user heard
+     * @param {number} details.heardFraction - Approximate fraction of the message heard (0-1)
+     * @returns {boolean} - True if an assistant turn was marked
+     */
+    markTurnInterrupted(sessionId, details) {
+        const session = this.getSession(sessionId);
+        if (!session) return false;
+
+        const turn = [...session.conversationHistory].reverse().find(entry => entry.speaker === 'assistant');
+        if (!turn) return false;
+
+        turn.interrupted = true;
+        turn.playedMs = details.playedMs;
+        turn.heardText = details.heardText;
+        turn.heardFraction = details.heardFraction;
+
+        this.updateSession(sessionId, session);
+        return true;
+    }
+
     /**
      * Build conversation context for LLM
      * @param {string} sessionId - Session identifier
@@ -851,9 +1423,15 @@ Which option does the user's response match?`;
             step: session.step,
             memberName: session.memberName,
             dateOfBirth: session.dateOfBirth,
+            memberId: session.memberId,
+            memberPlan: session.memberPlan,
+            prescriber: session.prescriber,
             drugName: session.drugName,
+            indication: session.indication,
+            requestedProduct: session.requestedProduct,
             decision: session.decision,
             decisionReason: session.decisionReason,
+            decisionRule: session.decisionRule,
             createdAt: session.createdAt,
             updatedAt: session.updatedAt
         };
@@ -877,7 +1455,7 @@ Which option does the user's response match?`;
      * @returns {Array} - Array of active sessions
      */
     getActiveSessions() {
-        return Array.from(this.sessions.values())
+        return this.store.values()
             .filter(session => session.status === 'active')
             .map(session => this.getSessionSummary(session.id));
     }
@@ -889,9 +1467,9 @@ Which option does the user's response match?`;
     cleanupOldSessions(maxAge = 24) {
         const cutoff = new Date(Date.now() - maxAge * 60 * 60 * 1000);
         
-        for (const [sessionId, session] of this.sessions.entries()) {
+        for (const session of this.store.values()) {
             if (session.createdAt < cutoff) {
-                this.sessions.delete(sessionId);
+                this.store.delete(session.id);
             }
         }
     }
@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { validate: isUuid } = require('uuid');
+
+/**
+ * Session stores share a small synchronous interface so SessionService can keep
+ * returning live session objects:
+ *   get(sessionId) -> session | undefined
+ *   set(sessionId, session)
+ *   delete(sessionId)
+ *   values() -> Array<session>
+ */
+
+/**
+ * In-memory session store (default). Sessions are lost when the process exits.
+ */
+class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId);
+    }
+
+    set(sessionId, session) {
+        this.sessions.set(sessionId, session);
+    }
+
+    delete(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    values() {
+        return Array.from(this.sessions.values());
+    }
+}
+
+/**
+ * File-backed session store. Each session is written to `<directory>/<sessionId>.json`
+ * so sessions survive restarts and can be shared between the server and the terminal agent.
+ * Session IDs arrive from URLs and messages, so only UUIDs (what createSession issues) map to files.
+ */
+class FileSessionStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.cache = new Map(); // sessionId -> { session, mtimeMs }
+        fs.ensureDirSync(this.directory);
+    }
+
+    getFilePath(sessionId) {
+        return path.join(this.directory, `${sessionId}.json`);
+    }
+
+    get(sessionId) {
+        if (!isUuid(sessionId)) {
+            return undefined;
+        }
+
+        const filePath = this.getFilePath(sessionId);
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            this.cache.delete(sessionId);
+            return undefined;
+        }
+
+        // Reuse the live object unless another process has written the file since
+        const cached = this.cache.get(sessionId);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached.session;
+        }
+
+        const session = this.deserialize(fs.readJsonSync(filePath));
+        this.cache.set(sessionId, { session, mtimeMs: stats.mtimeMs });
+        return session;
+    }
+
+    set(sessionId, session) {
+        if (!isUuid(sessionId)) {
+            throw new Error(`Invalid session ID: ${sessionId}`);
+        }
+
+        const filePath = this.getFilePath(sessionId);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        // Write then rename so a concurrent reader never sees a partial file
+        fs.writeJsonSync(tempPath, session, { spaces: 2 });
+        fs.renameSync(tempPath, filePath);
+
+        this.cache.set(sessionId, { session, mtimeMs: fs.statSync(filePath).mtimeMs });
+    }
+
+    delete(sessionId) {
+        if (!isUuid(sessionId)) {
+            return;
+        }
+
+        this.cache.delete(sessionId);
+        fs.removeSync(this.getFilePath(sessionId));
+    }
+
+    values() {
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.get(path.basename(file, '.json')))
+            .filter(Boolean);
+    }
+
+    /**
+     * Restore Date fields that JSON serialization turned into strings.
+     * Answers and message text are left exactly as they were written.
+     * @param {Object} data - Parsed session JSON
+     * @returns {Object} - Session object
+     */
+    deserialize(data) {
+        const toDate = value => (value ? new Date(value) : value);
+
+        data.createdAt = toDate(data.createdAt);
+        data.updatedAt = toDate(data.updatedAt);
+        data.endedAt = toDate(data.endedAt);
+        data.conversationHistory = (data.conversationHistory || []).map(turn => ({
+            ...turn,
+            timestamp: toDate(turn.timestamp)
+        }));
+
+        return data;
+    }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE (memory | file)
+ * @returns {MemorySessionStore|FileSessionStore} - Session store instance
+ */
+function createSessionStore() {
+    const storeType = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+    if (storeType === 'file') {
+        const directory = process.env.SESSION_STORE_DIR || './sessions';
+        console.log(`💾 Using file session store: ${directory}`);
+        return new FileSessionStore(directory);
+    }
+
+    if (storeType !== 'memory') {
+        console.warn(`Unknown SESSION_STORE "${storeType}", falling back to in-memory sessions`);
+    }
+
+    return new MemorySessionStore();
+}
+
+module.exports = {
+    MemorySessionStore,
+    FileSessionStore,
+    createSessionStore
+};
@@ -0,0 +1,237 @@
+const sessionService = require('./sessionService');
+const questionGraphService = require('./questionGraphService');
+const providers = require('./providers');
+
+// A period only ends a clause when it is not a decimal point ("A1C 8.4")
+const CLAUSE_BOUNDARY = /[,;\n]|\.(?!\d)/;
+
+/**
+ * Multi-slot answer capture. Callers often answer several questions in one breath
+ * ("Type 2 diabetes, A1C 8.4, failed metformin after six months, no contraindications").
+ * The reply is split into clauses, each clause is matched to a question of the active set
+ * by the question's `keywords` (or a multiple-choice option it names), and the values are
+ * validated with the same type processors as any other answer. Answers to questions further
+ * along are pre-filled on the session and applied as the path reaches them, so the flow
+ * skips straight to the first question still unanswered.
+ */
+class SlotCaptureService {
+    /**
+     * Handle a question-flow reply that answers more than the current question
+     * @param {string} sessionId - Session identifier
+     * @param {string} userInput - User's reply
+     * @returns {Promise<Object|null>} - Result shaped like sessionService.processAnswer's, plus
+     *   `captured` (IDs of the upcoming questions pre-filled), or null if the reply only answers
+     *   the current question
+     */
+    async handle(sessionId, userInput) {
+        const session = sessionService.getSession(sessionId);
+        const current = sessionService.getCurrentQuestion(sessionId);
+        if (!session || !current) return null;
+
+        const upcoming = session.questionFlow.filter(question =>
+            question.id !== current.id && session.answers[question.id] === undefined);
+        const slots = this.assign(this.splitClauses(userInput), current, upcoming);
+        if (!slots.some(slot => slot.question.id !== current.id)) return null;
+
+        const captured = {};
+        let currentClarification = null;
+        for (const slot of slots) {
+            const processed = await this.process(slot);
+            if (!processed.needsClarification) {
+                captured[slot.question.id] = { answer: processed.answer, details: processed.details || null };
+            } else if (slot.question.id === current.id) {
+                currentClarification = processed.clarificationMessage;
+            }
+        }
+        this.addImpliedAnswers(session.questionFlow, captured, session.answers);
+
+        const capturedIds = Object.keys(captured).filter(id => id !== current.id);
+        if (capturedIds.length === 0) return null;
+
+        const prefilledAnswers = { ...session.prefilledAnswers };
+        capturedIds.forEach(id => {
+            prefilledAnswers[id] = captured[id];
+        });
+        sessionService.updateSession(sessionId, { prefilledAnswers });
+        sessionService.addConversationTurn(
+            sessionId,
+            'system',
+            `Captured answers ahead of the question flow: ${capturedIds.map(id => `${id} = "${captured[id].answer}"`).join(', ')}`,
+            { prefilledAnswers: capturedIds }
+        );
+
+        let result;
+        if (captured[current.id] !== undefined) {
+            result = sessionService.recordAnswer(sessionId, current, captured[current.id].answer, captured[current.id].details);
+        } else if (currentClarification) {
+            result = { action: 'clarification', message: currentClarification, question: current };
+        } else {
+            result = { action: 'next_question', question: current };
+        }
+
+        return { ...result, captured: capturedIds };
+    }
+
+    /**
+     * Split a reply into clauses
+     * @param {string} userInput - User's reply
+     * @returns {Array<string>} - Trimmed clauses
+     */
+    splitClauses(userInput) {
+        return String(userInput || '')
+            .split(CLAUSE_BOUNDARY)
+            .map(clause => clause.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Decide which question each clause answers. A clause that matches no question continues
+     * the free-text answer before it ("failed metformin, stopped for nausea"), or else answers
+     * the current question if nothing else does.
+     * @param {Array<string>} clauses - Clauses of the reply
+     * @param {Object} current - Current question
+     * @param {Array<Object>} upcoming - Unanswered questions of the active set
+     * @returns {Array<Object>} - { question, text } per answered question, in reply order
+     */
+    assign(clauses, current, upcoming) {
+        const slots = [];
+        const unmatched = [];
+        let previous = null;
+
+        clauses.forEach(clause => {
+            const match = this.bestMatch(clause, [current, ...upcoming]);
+            const slot = match && slots.find(item => item.question.id === match.id);
+
+            if (slot) {
+                slot.text += `, ${clause}`;
+                previous = slot;
+            } else if (match) {
+                previous = { question: match, text: clause };
+                slots.push(previous);
+            } else if (previous && previous.question.type === 'text') {
+                previous.text += `, ${clause}`;
+            } else {
+                unmatched.push(clause);
+            }
+        });
+
+        if (unmatched.length > 0 && !slots.some(slot => slot.question.id === current.id)) {
+            slots.unshift({ question: current, text: unmatched.join(', ') });
+        }
+
+        return slots;
+    }
+
+    /**
+     * Find the question a clause refers to. Longer (more specific) matches win, and ties go
+     * to the current question and then to the earlier question in the set.
+     * @param {string} clause - Clause of the reply
+     * @param {Array<Object>} questions - Candidate questions, current question first
+     * @returns {Object|null} - Matching question or null if no question matches
+     */
+    bestMatch(clause, questions) {
+        let best = null;
+
+        questions.forEach(question => {
+            const score = this.matchedKeywords(clause.toLowerCase(), question)
+                .reduce((total, keyword) => total + keyword.length, 0);
+            if (score > 0 && (!best || score > best.score)) {
+                best = { question, score };
+            }
+        });
+
+        return best && best.question;
+    }
+
+    /**
+     * Keywords (and, for multiple-choice questions, option names) that appear in a clause
+     * @param {string} clause - Lower-cased clause
+     * @param {Object} question - Question definition
+     * @returns {Array<string>} - Matched terms
+     */
+    matchedKeywords(clause, question) {
+        const optionNames = question.type === 'multiple_choice'
+            ? (question.options || [])
+                .map(option => option.toLowerCase().replace(/\(.*\)/, '').trim())
+                .filter(option => option !== 'other') // Too common a word to name an option
+            : [];
+
+        return [...(question.keywords || []), ...optionNames].filter(term => {
+            const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+            return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`).test(clause);
+        });
+    }
+
+    /**
+     * Run a slot's clause through the question's type processor (yes/no clauses are classified first)
+     * @param {Object} slot - { question, text }
+     * @returns {Promise<Object>} - Processed answer as from sessionService.processShortAnswer
+     */
+    async process(slot) {
+        const { question, text } = slot;
+        const value = question.type === 'yes_no' ? await this.classifyYesNo(text, question) : text;
+        return sessionService.processShortAnswer(value, question);
+    }
+
+    async classifyYesNo(text, question) {
+        try {
+            const answer = (await providers.get().chat({
+                task: 'classify_yes_no',
+                input: text,
+                model: "gpt-4o-mini",
+                messages: [
+                    {
+                        role: "system",
+                        content: `Part of the caller's reply answers the question "${question.text}".
+Return ONLY one word: "Yes" or "No" for their answer, or "Unknown" if it does not give one.`
+                    },
+                    { role: "user", content: text }
+                ],
+                temperature: 0.1,
+                maxTokens: 10
+            })).trim().toLowerCase();
+
+            // Left unanswered ("unknown") unless the caller clearly said yes or no
+            if (answer.startsWith('yes')) return 'yes';
+            if (answer.startsWith('no')) return 'no';
+            return '';
+        } catch (error) {
+            console.error('Slot classification error:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Answer the yes/no questions that gate a captured answer: describing a failed therapy
+     * means the patient tried one, so "has the patient tried and failed...?" is yes
+     * @param {Array<Object>} questions - Questions of the active set
+     * @param {Object} captured - Captured { answer, details } keyed by question ID (updated in place)
+     * @param {Object} answers - Answers already on the session
+     */
+    addImpliedAnswers(questions, captured, answers) {
+        let added = true;
+        while (added) {
+            added = false;
+            questions
+                .filter(question => question.type === 'yes_no' && answers[question.id] === undefined && captured[question.id] === undefined)
+                .forEach(question => {
+                    if (captured[questionGraphService.resolveNext(question, 'yes')] !== undefined) {
+                        captured[question.id] = { answer: 'yes', details: null };
+                        added = true;
+                    }
+                });
+        }
+    }
+
+    /**
+     * Sentence acknowledging the answers captured ahead of their questions
+     * @param {Array<string>} capturedIds - IDs of the pre-filled questions
+     * @returns {string} - Acknowledgement to prefix the next prompt with
+     */
+    describe(capturedIds) {
+        const count = capturedIds.length;
+        return `Got it, I've noted ${count === 1 ? 'that answer' : `those ${count} answers`} as well.`;
+    }
+}
+
+module.exports = new SlotCaptureService();
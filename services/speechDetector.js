@@ -0,0 +1,114 @@
+/**
+ * Energy-based speech detector for 16-bit mono PCM.
+ *
+ * Audio is fed in arbitrary chunks and analysed in short frames. Speech starts once the
+ * frame RMS stays above `threshold` for `onsetMs`, and ends after `silenceMs` of frames
+ * below it (or when `maxMs` of speech has been captured). The captured utterance includes
+ * `preRollMs` of audio from before the onset so the first syllable is not clipped.
+ */
+class SpeechDetector {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.threshold = options.threshold || 0.1; // RMS as a fraction of full scale
+        this.frameMs = options.frameMs || 20;
+        this.onsetMs = options.onsetMs || 200;
+        this.silenceMs = options.silenceMs || 2000;
+        this.preRollMs = options.preRollMs || 300;
+        this.maxMs = options.maxMs || 8000;
+
+        this.frameBytes = Math.round(this.sampleRate * this.frameMs / 1000) * 2;
+        this.remainder = Buffer.alloc(0);
+        this.preRoll = [];
+        this.captured = [];
+        this.loudMs = 0;
+        this.quietMs = 0;
+        this.speechMs = 0;
+        this.state = 'waiting'; // waiting -> speaking -> ended
+    }
+
+    /**
+     * Analyse a chunk of PCM audio
+     * @param {Buffer} chunk - 16-bit little-endian mono samples
+     * @returns {Object} - { started, ended } for transitions that happened in this chunk
+     */
+    push(chunk) {
+        const events = { started: false, ended: false };
+        if (this.state === 'ended') return events;
+
+        let data = Buffer.concat([this.remainder, chunk]);
+        while (data.length >= this.frameBytes && this.state !== 'ended') {
+            const frame = data.subarray(0, this.frameBytes);
+            data = data.subarray(this.frameBytes);
+            this.analyseFrame(frame, events);
+        }
+        this.remainder = Buffer.from(data);
+
+        return events;
+    }
+
+    analyseFrame(frame, events) {
+        const isLoud = this.rms(frame) >= this.threshold;
+
+        if (this.state === 'waiting') {
+            this.preRoll.push(frame);
+            const preRollFrames = Math.ceil((this.preRollMs + this.onsetMs) / this.frameMs);
+            if (this.preRoll.length > preRollFrames) this.preRoll.shift();
+
+            this.loudMs = isLoud ? this.loudMs + this.frameMs : 0;
+            if (this.loudMs >= this.onsetMs) {
+                this.state = 'speaking';
+                this.captured = this.preRoll;
+                this.preRoll = [];
+                this.speechMs = this.loudMs;
+                events.started = true;
+            }
+            return;
+        }
+
+        this.captured.push(frame);
+        this.speechMs += this.frameMs;
+        this.quietMs = isLoud ? 0 : this.quietMs + this.frameMs;
+
+        if (this.quietMs >= this.silenceMs || this.speechMs >= this.maxMs) {
+            this.state = 'ended';
+            events.ended = true;
+        }
+    }
+
+    rms(frame) {
+        let sum = 0;
+        const samples = frame.length / 2;
+        for (let i = 0; i < frame.length; i += 2) {
+            const sample = frame.readInt16LE(i) / 32768;
+            sum += sample * sample;
+        }
+        return Math.sqrt(sum / samples);
+    }
+
+    /**
+     * Captured utterance as a WAV file
+     * @returns {Buffer} - WAV file contents
+     */
+    toWav() {
+        const pcm = Buffer.concat(this.captured);
+        const header = Buffer.alloc(44);
+
+        header.write('RIFF', 0);
+        header.writeUInt32LE(36 + pcm.length, 4);
+        header.write('WAVE', 8);
+        header.write('fmt ', 12);
+        header.writeUInt32LE(16, 16); // PCM chunk size
+        header.writeUInt16LE(1, 20); // PCM format
+        header.writeUInt16LE(1, 22); // Mono
+        header.writeUInt32LE(this.sampleRate, 24);
+        header.writeUInt32LE(this.sampleRate * 2, 28); // Byte rate
+        header.writeUInt16LE(2, 32); // Block align
+        header.writeUInt16LE(16, 34); // Bits per sample
+        header.write('data', 36);
+        header.writeUInt32LE(pcm.length, 40);
+
+        return Buffer.concat([header, pcm]);
+    }
+}
+
+module.exports = SpeechDetector;
@@ -0,0 +1,261 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, eighteen: 18
+};
+
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30, year: 365 };
+
+// Checked in order, so a contraindication outranks intolerance and intolerance outranks failure
+const OUTCOME_PATTERNS = [
+    ['contraindicated', /\b(contraindicat\w*|not a candidate|cannot (?:take|use|receive)|can't (?:take|use)|unable to (?:take|use))\b/],
+    ['intolerant', /\b(intoleran\w*|(?:could not|couldn't|unable to) tolerate|not tolerated|side effects?|adverse (?:effects?|reactions?|events?)|toxicity|allerg\w*|nausea|vomiting|diarrhea|gi upset|gastrointestinal|rash|hepatotoxic\w*|elevated liver|liver enzymes)\b/],
+    ['failed', /\b(fail\w*|inadequate|insufficient|no (?:improvement|response|benefit)|did(?: not|n't) (?:work|help|respond|improve|control)|not effective|ineffective|lack of (?:efficacy|response)|partial response|(?:not|poorly) controlled|uncontrolled|refractory|loss of response|lost response)\b/]
+];
+
+const START_CUES = /\b(from|since|started|starting|began|beginning|initiated)\s*$/;
+const END_CUES = /\b(to|until|till|through|thru|stopped|discontinued|ended|quit)\s*$/;
+
+/**
+ * Step therapy history extraction. Turns free-text answers about previous and current
+ * medications (questions marked `"extract": "medications"` in data/questions.json) into
+ * medication entries with the drug, its class, duration, outcome and dates, normalizing
+ * brand and generic names against the drug-class dictionary in data/drugClasses.json.
+ */
+class StepTherapyService {
+    constructor() {
+        this.classes = this.loadClasses();
+        this.terms = this.buildTerms(this.classes);
+    }
+
+    loadClasses() {
+        try {
+            return fs.readJsonSync(path.join(__dirname, '../data/drugClasses.json')).classes;
+        } catch (error) {
+            console.error('Error loading drug-class dictionary:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Flatten the dictionary into searchable terms, longest first so "topical steroids"
+     * is matched before "steroids"
+     * @param {Object} classes - Drug classes keyed by class ID
+     * @returns {Array<Object>} - { term, pattern, drug, drugClass }
+     */
+    buildTerms(classes) {
+        const terms = [];
+        Object.entries(classes).forEach(([drugClass, definition]) => {
+            (definition.aliases || []).forEach(term => terms.push({ term, drug: null, drugClass }));
+            Object.entries(definition.drugs || {}).forEach(([drug, names]) => {
+                names.forEach(term => terms.push({ term, drug, drugClass }));
+            });
+        });
+
+        return terms
+            .sort((a, b) => b.term.length - a.term.length)
+            .map(entry => ({
+                ...entry,
+                pattern: new RegExp(`(?<![a-z0-9])${entry.term.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')}(?:e?s)?(?![a-z0-9])`, 'g')
+            }));
+    }
+
+    /**
+     * Class IDs known to the dictionary (used to validate step therapy rules)
+     * @returns {Array<string>} - Class identifiers
+     */
+    get classIds() {
+        return Object.keys(this.classes);
+    }
+
+    /**
+     * Extract the medication history from a session's answers
+     * @param {Array} questions - Question definitions of the active question set
+     * @param {Object} answers - Answers keyed by question ID
+     * @returns {Array<Object>} - Medication entries, one per drug (or per class when no drug is named)
+     */
+    extractFromAnswers(questions, answers) {
+        const entries = (questions || [])
+            .filter(question => question.extract === 'medications' && answers?.[question.id])
+            .flatMap(question => this.extract(answers[question.id], question.id));
+
+        return this.merge(entries);
+    }
+
+    /**
+     * Extract medication entries from one free-text answer
+     * @param {string} text - Answer text
+     * @param {string} [source] - Question ID the answer came from
+     * @returns {Array<Object>} - { drug, drugClass, className, mention, duration, outcome, startDate, endDate, sources }
+     */
+    extract(text, source = null) {
+        const segments = String(text || '').toLowerCase().split(/;|\n|\.(?=\s|$)|\bthen\b/);
+        return segments.flatMap(segment => this.extractSegment(segment, source));
+    }
+
+    extractSegment(segment, source) {
+        const mentions = this.findMentions(segment);
+        if (mentions.length === 0) return [];
+
+        const shared = this.describe(segment.slice(0, mentions[0].start));
+        const own = mentions.map((mention, index) => {
+            const end = index + 1 < mentions.length ? mentions[index + 1].start : segment.length;
+            return this.describe(segment.slice(mention.end, end));
+        });
+
+        // "metformin and glipizide failed": a drug with nothing of its own shares what follows it
+        for (let index = own.length - 2; index >= 0; index--) {
+            if (this.isEmpty(own[index])) own[index] = { ...own[index + 1] };
+        }
+
+        return mentions.map((mention, index) => {
+            const details = { ...shared };
+            Object.entries(own[index]).forEach(([field, value]) => {
+                if (value) details[field] = value;
+            });
+
+            return {
+                drug: mention.drug,
+                drugClass: mention.drugClass,
+                className: this.classes[mention.drugClass].name,
+                mention: mention.text,
+                duration: details.duration || null,
+                outcome: details.outcome || null,
+                startDate: details.startDate || null,
+                endDate: details.endDate || null,
+                sources: source ? [source] : []
+            };
+        });
+    }
+
+    /**
+     * Find dictionary terms in a segment without overlaps
+     * @param {string} segment - Lowercased text
+     * @returns {Array<Object>} - { drug, drugClass, text, start, end } in order of appearance
+     */
+    findMentions(segment) {
+        const taken = [];
+        const mentions = [];
+
+        this.terms.forEach(({ pattern, drug, drugClass }) => {
+            for (const match of segment.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (taken.some(([from, to]) => start < to && end > from)) continue;
+
+                taken.push([start, end]);
+                mentions.push({ drug, drugClass, text: match[0], start, end });
+            }
+        });
+
+        return mentions.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Pull the outcome, duration and dates out of the text around a mention
+     * @param {string} text - Text attributed to one drug
+     * @returns {Object} - { outcome, duration, startDate, endDate } (null when not found)
+     */
+    describe(text) {
+        const outcome = OUTCOME_PATTERNS.find(([, pattern]) => pattern.test(text));
+        const details = { outcome: outcome ? outcome[0] : null, duration: this.parseDuration(text), startDate: null, endDate: null };
+
+        this.findDates(text).forEach(({ value, before }) => {
+            if (START_CUES.test(before) && !details.startDate) {
+                details.startDate = value;
+            } else if (END_CUES.test(before) || details.startDate) {
+                details.endDate = details.endDate || value;
+            } else {
+                details.startDate = value;
+            }
+        });
+
+        return details;
+    }
+
+    isEmpty(details) {
+        return !details.outcome && !details.duration && !details.startDate && !details.endDate;
+    }
+
+    /**
+     * Parse a duration such as "3 months", "two years" or "a 6-week trial"
+     * @param {string} text - Text to search
+     * @returns {Object|null} - { value, unit, days }
+     */
+    parseDuration(text) {
+        const words = Object.keys(NUMBER_WORDS).join('|');
+        const match = text.match(new RegExp(`\\b(\\d+(?:\\.\\d+)?|${words})[\\s-]+(day|week|month|year)s?\\b`));
+        if (!match) return null;
+
+        const value = NUMBER_WORDS[match[1]] !== undefined ? NUMBER_WORDS[match[1]] : parseFloat(match[1]);
+        return { value, unit: match[2], days: Math.round(value * DAYS_PER_UNIT[match[2]]) };
+    }
+
+    /**
+     * Find dates in text, normalized to ISO precision (YYYY, YYYY-MM or YYYY-MM-DD)
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} - { value, before } where before is the text preceding the date
+     */
+    findDates(text) {
+        const monthNames = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+        const pattern = new RegExp(
+            `\\b(?:${monthNames}\\s+(?:\\d{1,2}(?:st|nd|rd|th)?,?\\s+)?(\\d{4})` +
+            `|(\\d{1,2})\\/(\\d{1,2})\\/(\\d{4})` +
+            `|(\\d{1,2})\\/(\\d{4})` +
+            `|((?:19|20)\\d{2}))\\b`, 'g');
+
+        return [...text.matchAll(pattern)].map(match => {
+            const [, month, monthYear, usMonth, usDay, usYear, shortMonth, shortYear, year] = match;
+            const pad = value => String(value).padStart(2, '0');
+            let value;
+            if (month) value = `${monthYear}-${pad(MONTHS.indexOf(month) + 1)}`;
+            else if (usYear) value = `${usYear}-${pad(usMonth)}-${pad(usDay)}`;
+            else if (shortYear) value = `${shortYear}-${pad(shortMonth)}`;
+            else value = year;
+
+            return { value, before: text.slice(0, match.index) };
+        });
+    }
+
+    /**
+     * Combine entries for the same drug (or the same class when no drug is named)
+     * from different answers, keeping the most specific details
+     * @param {Array<Object>} entries - Extracted entries
+     * @returns {Array<Object>} - Merged entries in order of first mention
+     */
+    merge(entries) {
+        const merged = new Map();
+        entries.forEach(entry => {
+            const key = entry.drug || `class:${entry.drugClass}`;
+            const existing = merged.get(key);
+            if (!existing) {
+                merged.set(key, { ...entry, sources: [...entry.sources] });
+                return;
+            }
+
+            ['duration', 'outcome', 'startDate', 'endDate'].forEach(field => {
+                if (!existing[field]) existing[field] = entry[field];
+            });
+            // A documented failure or intolerance outranks a plain mention ("currently on metformin")
+            if (entry.outcome && this.outcomeRank(entry.outcome) < this.outcomeRank(existing.outcome)) {
+                existing.outcome = entry.outcome;
+            }
+            entry.sources.forEach(source => {
+                if (!existing.sources.includes(source)) existing.sources.push(source);
+            });
+        });
+
+        return [...merged.values()];
+    }
+
+    outcomeRank(outcome) {
+        const index = OUTCOME_PATTERNS.findIndex(([name]) => name === outcome);
+        return index === -1 ? OUTCOME_PATTERNS.length : index;
+    }
+}
+
+module.exports = new StepTherapyService();
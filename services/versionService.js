@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const VERSIONS_DIR = path.join(ROOT_DIR, 'data/versions');
+
+// Same pattern as "identifier" in data/schemas; IDs become directory names, so nothing else is let through
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Copies of every version of the question sets and drug entries, kept in
+ * data/versions/<kind>/<id>/<version>.json so the criteria a session was pinned to can be
+ * loaded after the data files have moved on. A version is recorded when it is saved through the
+ * authoring API or by `npm run record-versions`, and never rewritten: changing an entry without
+ * giving it a new version is an error.
+ */
+class VersionService {
+    constructor() {
+        this.directory = VERSIONS_DIR;
+        this.cache = new Map();
+    }
+
+    /**
+     * Check that an ID can be used as a directory name under data/versions
+     * @param {string} id - Question set or drug identifier
+     * @returns {boolean} - True if the ID matches the data file identifier pattern
+     */
+    isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    entryDirectory(kind, id) {
+        if (!this.isValidId(id)) {
+            throw new Error(`Invalid ${kind} ID "${id}"`);
+        }
+        return path.join(this.directory, kind, id);
+    }
+
+    filePath(kind, id, version) {
+        return path.join(this.entryDirectory(kind, id), `${version}.json`);
+    }
+
+    /**
+     * Load a recorded version
+     * @param {string} kind - 'question-sets' or 'drugs'
+     * @param {string} id - Question set or drug identifier
+     * @param {number} version - Version number
+     * @returns {Object|null} - The entry as it was at that version, or null if it was never recorded
+     */
+    load(kind, id, version) {
+        const file = this.filePath(kind, id, version);
+        if (!this.cache.has(file)) {
+            if (!fs.pathExistsSync(file)) return null;
+            this.cache.set(file, fs.readJsonSync(file));
+        }
+        return this.cache.get(file);
+    }
+
+    /**
+     * Recorded versions of an entry, oldest first
+     * @param {string} kind - 'question-sets' or 'drugs'
+     * @param {string} id - Question set or drug identifier
+     * @returns {Array<Object>} - { version, effectiveDate }
+     */
+    list(kind, id) {
+        const dir = this.entryDirectory(kind, id);
+        if (!fs.pathExistsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .map(file => file.match(/^(\d+)\.json$/))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b)
+            .map(version => ({ version, effectiveDate: this.load(kind, id, version).effectiveDate }));
+    }
+
+    /**
+     * Entries whose version was recorded with different content
+     * @param {string} kind - 'question-sets' or 'drugs'
+     * @param {Object} entries - Entries keyed by ID, each with a `version`
+     * @returns {Array<string>} - Errors (empty if every version matches its record)
+     */
+    conflicts(kind, entries) {
+        return Object.entries(entries)
+            .filter(([id, entry]) => {
+                const recorded = this.load(kind, id, entry.version);
+                return recorded && !isDeepStrictEqual(recorded, entry);
+            })
+            .map(([id, entry]) => `${kind}/${id}: version ${entry.version} was changed after it was recorded ` +
+                `(${path.relative(ROOT_DIR, this.filePath(kind, id, entry.version))}); give the change a new version`);
+    }
+
+    /**
+     * Entries whose version has not been recorded yet
+     * @param {string} kind - 'question-sets' or 'drugs'
+     * @param {Object} entries - Entries keyed by ID, each with a `version`
+     * @returns {Array<string>} - "<kind>/<id> version <n>" for each one
+     */
+    unrecorded(kind, entries) {
+        return Object.entries(entries)
+            .filter(([id, entry]) => !this.load(kind, id, entry.version))
+            .map(([id, entry]) => `${kind}/${id} version ${entry.version}`);
+    }
+
+    /**
+     * Record the versions not recorded yet
+     * @param {string} kind - 'question-sets' or 'drugs'
+     * @param {Object} entries - Entries keyed by ID, each with a `version`
+     * @returns {Promise<Array<string>>} - Files written
+     */
+    async record(kind, entries) {
+        const written = [];
+        for (const [id, entry] of Object.entries(entries)) {
+            const file = this.filePath(kind, id, entry.version);
+            if (this.load(kind, id, entry.version)) continue;
+
+            await fs.outputJson(file, entry, { spaces: 2 });
+            this.cache.set(file, JSON.parse(JSON.stringify(entry)));
+            written.push(file);
+        }
+        return written;
+    }
+}
+
+module.exports = new VersionService();
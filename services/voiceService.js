@@ -1,6 +1,6 @@
-const OpenAI = require('openai');
 const fs = require('fs-extra');
 const path = require('path');
+const providers = require('./providers');
 
 class VoiceService {
     constructor() {
@@ -8,9 +8,6 @@ class VoiceService {
         console.log('VoiceService constructor - GITHUB_TOKEN:', process.env.GITHUB_TOKEN ? process.env.GITHUB_TOKEN.substring(0, 20) + '...' : 'NOT SET');
         console.log('🎭 VoiceService using voice:', this.voiceModel);
         
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
         this.voiceSpeed = parseFloat(process.env.VOICE_SPEED) || 1.0;
         
         // Available OpenAI TTS voices
@@ -42,19 +39,19 @@ class VoiceService {
      */
     async textToSpeech(text, sessionId) {
         try {
-            const speechFile = path.join(process.env.TEMP_DIR || './temp', `${sessionId}_${Date.now()}.mp3`);
+            const provider = providers.get();
+            const speechFile = path.join(process.env.TEMP_DIR || './temp', `${sessionId}_${Date.now()}.${provider.speechFormat}`);
             
             // Convert text to SSML for better speech synthesis
             const ssmlText = this.convertToSSML(text);
             
-            const mp3 = await this.openai.audio.speech.create({
-                model: "gpt-4o-mini-tts",
+            const buffer = await provider.synthesize({
+                text: ssmlText,
                 voice: this.voiceModel,
-                input: ssmlText,
                 speed: this.voiceSpeed
             });
 
-            const buffer = Buffer.from(await mp3.arrayBuffer());
+            await fs.ensureDir(path.dirname(speechFile));
             await fs.writeFile(speechFile, buffer);
             
             return speechFile;
@@ -116,29 +113,22 @@ class VoiceService {
     }
 
     /**
-     * Convert speech to text using OpenAI Whisper API
+     * Convert speech to text using the configured provider (Whisper or sidecar transcript)
      * @param {string} audioFilePath - Path to the audio file
      * @returns {Promise<string>} - Transcribed text
      */
     async speechToText(audioFilePath) {
         try {
-            const transcription = await this.openai.audio.transcriptions.create({
-                file: fs.createReadStream(audioFilePath),
-                model: "whisper-1",
-                response_format: "text"
-            });
-
-            return transcription;
+            return await providers.get().transcribe(audioFilePath);
         } catch (error) {
             console.error('Speech-to-text error:', error);
-            console.log('Falling back to text-only mode for testing');
-            // For testing, return a dummy transcription
-            return "test input for demonstration";
+            // Surface the failure instead of inventing input; use POST /api/voice/message for text-only testing
+            throw new Error(`Failed to transcribe audio: ${error.message}`);
         }
     }
 
     /**
-     * Generate a natural response using OpenAI GPT
+     * Generate a natural response using the configured chat provider
      * @param {string} userInput - User's transcribed input
      * @param {Object} context - Current conversation context
      * @returns {Promise<string>} - Generated response
@@ -147,7 +137,7 @@ class VoiceService {
         try {
             const systemPrompt = this.buildSystemPrompt(context);
             
-            const completion = await this.openai.chat.completions.create({
+            let response = await providers.get().chat({
                 model: "gpt-4",
                 messages: [
                     {
@@ -160,10 +150,8 @@ class VoiceService {
                     }
                 ],
                 temperature: 0.7,
-                max_tokens: 500
+                maxTokens: 500
             });
-
-            let response = completion.choices[0].message.content;
             
             // Add natural language patterns
             response = this.addNaturalLanguagePatterns(response, context);
@@ -53,7 +53,7 @@ async function runTests() {
             ];
 
             for (let i = 0; i < answers.length; i++) {
-                const result = sessionService.processAnswer(sessionId, answers[i]);
+                const result = await sessionService.processAnswer(sessionId, answers[i]);
                 console.log(`   Answer ${i + 1}: "${answers[i]}" -> ${result.action}`);
                 
                 if (result.action === 'complete') {
@@ -0,0 +1,103 @@
+const sessionService = require('./services/sessionService');
+const conversationService = require('./services/conversationService');
+const answerIntentService = require('./services/answerIntentService');
+const authService = require('./services/authService');
+const { createChecker } = require('./test_harness');
+
+async function testAnswerIntents() {
+    console.log('🧪 Testing Answer Intents...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Start an Ozempic request at the clinical questions and answer the given questions
+    async function questionFlow(answers = []) {
+        const sessionId = conversationService.startSession().sessionId;
+        await conversationService.runTurn(sessionId, 'Patient John Smith born 03/15/1985 requesting Ozempic');
+        await conversationService.runTurn(sessionId, 'Yes, that is correct');
+        await conversationService.runTurn(sessionId, 'Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178');
+        await conversationService.runTurn(sessionId, 'One 1 mg pen, 28 day supply');
+        for (const answer of answers) {
+            await conversationService.runTurn(sessionId, answer);
+        }
+        return sessionId;
+    }
+
+    const questionSet = sessionService.getQuestionSet('diabetes_glp1');
+    const question = id => questionSet.questions.find(item => item.id === id);
+
+    // Test 1: Classification
+    console.log('1. Classification');
+    check('"Let me pull up the chart" is a hold', answerIntentService.detect('Let me pull up the chart', question('a1c_level')) === 'hold');
+    check('"Can you repeat that?" is a repeat', answerIntentService.detect('Sorry, can you repeat that?', question('a1c_level')) === 'repeat');
+    check('"Not documented" is unknown', answerIntentService.detect("It's not documented", question('bmi_level')) === 'unknown');
+    check('"I don\'t know" to a yes/no question is unknown, not "no"',
+        answerIntentService.detect("I don't know", question('contraindications')) === 'unknown');
+    check('"Skip this one" is a skip', answerIntentService.detect('Skip this one', question('diagnosis')) === 'skip');
+    check('Asking for a person is a transfer', answerIntentService.detect('Can I talk to a real person?', question('a1c_level')) === 'transfer');
+    check('A value alongside the phrase is still an answer', answerIntentService.detect("It's 8.1, let me check the date", question('a1c_level')) === null);
+    check('An option that names the intent is an answer', answerIntentService.detect('Pending results',
+        sessionService.getQuestionSet('biologic_anti_tnf').questions.find(item => item.id === 'infection_results')) === null);
+
+    // Test 2: Hold and repeat keep the current question
+    console.log('\n2. Hold and repeat');
+    let sessionId = await questionFlow(['Type 2 Diabetes']);
+    let response = await conversationService.runTurn(sessionId, 'Let me pull up the chart');
+    let session = sessionService.getSession(sessionId);
+    check('Hold waits without asking for a number', response.hold?.seconds === answerIntentService.holdSeconds &&
+        !response.needsClarification && session.hold?.questionId === 'a1c_level');
+    check('Hold timer is waiting', answerIntentService.holdStatus(sessionId) === 'waiting');
+
+    session.hold.checkInAt = new Date(Date.now() - 1000).toISOString();
+    const checkIn = conversationService.checkInOnHold(sessionId);
+    check('Check-in re-reads the question once the timer runs out', checkIn.message.startsWith('Are you still there') &&
+        checkIn.message.includes(question('a1c_level').text) && answerIntentService.holdStatus(sessionId) === 'waiting');
+
+    response = await conversationService.runTurn(sessionId, 'Could you say that again?');
+    check('Repeat re-reads the question text', response.message === `Sure. ${question('a1c_level').text}` && !sessionService.getSession(sessionId).hold);
+
+    response = await conversationService.runTurn(sessionId, '7.5');
+    check('The answer after a hold moves on', sessionService.getSession(sessionId).answers.a1c_level === '7.5' &&
+        response.nextQuestion?.id === 'current_medications');
+
+    // Test 3: Unknown and skipped answers
+    console.log('\n3. Unknown and skip');
+    sessionId = await questionFlow(['Type 2 Diabetes']);
+    response = await conversationService.runTurn(sessionId, 'Skip that');
+    check('Required questions cannot be skipped', response.needsClarification && response.message.includes("can't skip"));
+
+    response = await conversationService.runTurn(sessionId, "The A1C isn't in the chart, it's not documented");
+    session = sessionService.getSession(sessionId);
+    check('Unknown required answer is recorded as unknown', session.answers.a1c_level === 'unknown');
+    check('Unknown required answer routes to documentation required', response.decision === 'documentation_required' &&
+        session.decisionRule?.id === 'required_answer_unknown' && session.decisionReason.includes(question('a1c_level').text));
+
+    const report = authService.generateReport(sessionId);
+    check('Report shows the unknown answer', report.questionResponses.some(item => item.answer === 'unknown'));
+
+    await conversationService.runTurn(sessionId, 'Actually the A1C was 7.5');
+    check('A revised unknown answer re-opens the question flow', sessionService.getSession(sessionId).step === 'question_flow' &&
+        sessionService.getSession(sessionId).decision === null);
+
+    // Test 4: Transfer
+    console.log('\n4. Transfer');
+    sessionId = await questionFlow(['Type 2 Diabetes', '7.5']);
+    response = await conversationService.runTurn(sessionId, 'I need to speak to a representative');
+    session = sessionService.getSession(sessionId);
+    check('Transfer hands the call off', response.step === 'transferred' && response.action === 'transfer');
+    check('Answers so far are kept', session.answers.a1c_level === '7.5' && session.currentQuestionId === 'current_medications');
+
+    response = await conversationService.runTurn(sessionId, 'Hello?');
+    check('Later turns are told about the transfer', response.step === 'transferred' && response.message.includes('specialist'));
+
+    printResults();
+}
+
+testAnswerIntents().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,131 @@
+const http = require('http');
+const express = require('express');
+
+const sessionService = require('./services/sessionService');
+const conversationService = require('./services/conversationService');
+const voiceRoutes = require('./routes/voiceRoutes');
+const { createChecker } = require('./test_harness');
+
+async function testAnswerRevision() {
+    console.log('🧪 Testing Answer Revision...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    async function startQuestionFlow(drugId) {
+        const sessionId = sessionService.createSession();
+        sessionService.updateSession(sessionId, { memberName: 'John Smith', dateOfBirth: '03/15/1985', drugName: drugId });
+        sessionService.initializeQuestionFlow(sessionId, drugId);
+        return sessionId;
+    }
+
+    // Test 1: Spoken revision after a deny re-opens the flow
+    console.log('1. Voice revision after a decision');
+    const sessionId = await startQuestionFlow('ozempic');
+    await conversationService.runTurn(sessionId, 'Type 2 Diabetes');
+    let response = await conversationService.runTurn(sessionId, '6.2');
+    check('Out-of-range A1C is denied', response.decision === 'deny');
+
+    response = await conversationService.runTurn(sessionId, 'Actually the A1C was 7.2, not 6.2');
+    let session = sessionService.getSession(sessionId);
+    check('A1C answer is replaced', session.answers.a1c_level === '7.2');
+    check('Flow continues at the next question on the new path',
+        response.step === 'question_flow' && session.currentQuestionId === 'current_medications');
+    check('Earlier decision is cleared', session.decision === null && session.decisionRule === null);
+    check('Reply acknowledges the change', response.message.includes('from 6.2 to 7.2'));
+
+    const revisionTurn = session.conversationHistory.find(turn => turn.revision);
+    check('Revision is recorded in history', revisionTurn && revisionTurn.speaker === 'system' &&
+        revisionTurn.revision.questionId === 'a1c_level' && revisionTurn.revision.from === '6.2');
+
+    // Test 2: Answers off the new path are dropped
+    console.log('\n2. Re-walking the path');
+    await conversationService.runTurn(sessionId, 'Yes');
+    await conversationService.runTurn(sessionId, 'Metformin for two years');
+    await conversationService.runTurn(sessionId, 'Yes');
+    response = await conversationService.runTurn(sessionId, 'Actually, I need to change the current medications answer to no');
+    session = sessionService.getSession(sessionId);
+    check('Yes/no revision is classified', session.answers.current_medications === 'no');
+    check('Answer to the skipped follow-up is dropped', session.answers.list_medications === undefined &&
+        !session.questionPath.includes('list_medications'));
+    check('Answers still on the path are kept', session.answers.step_1_required === 'yes' &&
+        session.currentQuestionId === 'step_1_failure');
+
+    response = await conversationService.runTurn(sessionId, 'Go back, I need to change my answer');
+    check('"Go back" asks for the new value of the last answer', response.needsClarification &&
+        sessionService.getSession(sessionId).pendingRevision === 'step_1_required');
+    response = await conversationService.runTurn(sessionId, 'no');
+    session = sessionService.getSession(sessionId);
+    check('Follow-up reply revises that answer and re-evaluates', session.answers.step_1_required === 'no' &&
+        response.decision === 'deny' && session.decisionRule.id === 'glp1_no_step_1_trial');
+
+    // Test 3: Answers to the current question are not mistaken for revisions
+    console.log('\n3. Current question');
+    const otherId = await startQuestionFlow('ozempic');
+    await conversationService.runTurn(otherId, 'Type 2 Diabetes');
+    await conversationService.runTurn(otherId, '7.5');
+    await conversationService.runTurn(otherId, 'Yes');
+    await conversationService.runTurn(otherId, 'Actually it is metformin and glipizide');
+    session = sessionService.getSession(otherId);
+    check('Answer goes to the current question', session.answers.current_medications === 'yes' &&
+        session.answers.list_medications.includes('metformin'));
+
+    // Test 4: PATCH route
+    console.log('\n4. PATCH route');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/voice', voiceRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const patch = async (id, questionId, body) => {
+        const res = await fetch(`http://localhost:${server.address().port}/api/voice/session/${id}/answers/${questionId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    try {
+        const routeId = await startQuestionFlow('ozempic');
+        await sessionService.processAnswer(routeId, 'Type 2 Diabetes');
+        await sessionService.processAnswer(routeId, '7.0');
+
+        let result = await patch(routeId, 'diagnosis', { answer: 'Type 1 Diabetes' });
+        check('Revision to a terminal answer returns the new decision', result.status === 200 &&
+            result.body.decision === 'deny' && result.body.step === 'complete');
+        check('Dropped answers are reported and removed', result.body.revision.droppedAnswers.includes('a1c_level') &&
+            result.body.answers.a1c_level === undefined);
+
+        result = await patch(routeId, 'diagnosis', { answer: 'Obesity' });
+        check('Revision that needs more answers returns the next question', result.status === 200 &&
+            result.body.nextQuestion.id === 'bmi_level' && result.body.session.decision === null);
+
+        result = await patch(routeId, 'contraindications', { answer: 'no' });
+        check('Unanswered question is rejected', result.status === 409 && result.body.code === 'question_not_answered');
+
+        result = await patch(routeId, 'diagnosis', { answer: 'Gout' });
+        check('Unrecognized answer asks for clarification', result.status === 422 &&
+            sessionService.getSession(routeId).answers.diagnosis === 'Obesity');
+
+        result = await patch(routeId, 'diagnosis', {});
+        check('Missing answer is a bad request', result.status === 400);
+
+        result = await patch('missing', 'diagnosis', { answer: 'Obesity' });
+        check('Unknown session is not found', result.status === 404);
+    } finally {
+        server.close();
+    }
+
+    printResults();
+}
+
+testAnswerRevision().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,68 @@
+const sessionService = require('./services/sessionService');
+const SpeechDetector = require('./services/speechDetector');
+const { createChecker } = require('./test_harness');
+
+// 16-bit mono PCM: a sine tone at the given amplitude (0-1) or silence
+function tone(ms, amplitude, sampleRate = 16000) {
+    const samples = Math.round(sampleRate * ms / 1000);
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        buffer.writeInt16LE(Math.round(Math.sin(i / 8) * amplitude * 32767), i * 2);
+    }
+    return buffer;
+}
+
+async function testBargeIn() {
+    console.log('🧪 Testing Barge-In...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Test 1: Speech onset and end
+    console.log('1. Speech detection');
+    const detector = new SpeechDetector({ threshold: 0.1, onsetMs: 200, silenceMs: 500, preRollMs: 100 });
+    check('Background noise is ignored', !detector.push(tone(1000, 0.02)).started);
+    check('A short click does not trigger barge-in', !detector.push(Buffer.concat([tone(100, 0.5), tone(100, 0.02)])).started);
+
+    // Deliver speech in odd-sized chunks to exercise frame reassembly
+    const speech = tone(600, 0.4);
+    let started = false;
+    for (let offset = 0; offset < speech.length; offset += 777) {
+        started = detector.push(speech.subarray(offset, offset + 777)).started || started;
+    }
+    check('Sustained speech triggers barge-in', started && detector.state === 'speaking');
+    check('Brief pauses do not end the utterance', !detector.push(tone(300, 0.01)).ended);
+    detector.push(tone(300, 0.4));
+    check('Trailing silence ends the utterance', detector.push(tone(600, 0.01)).ended && detector.state === 'ended');
+
+    const wav = detector.toWav();
+    const capturedMs = (wav.length - 44) / 32;
+    check('Captured audio is a WAV file', wav.toString('ascii', 0, 4) === 'RIFF' && wav.readUInt32LE(40) === wav.length - 44);
+    check('Capture keeps the words before the onset', capturedMs >= 600 + 300 + 300);
+
+    const capped = new SpeechDetector({ threshold: 0.1, maxMs: 1000 });
+    capped.push(tone(300, 0.4));
+    check('Long utterances stop at the recording limit', capped.push(tone(1000, 0.4)).ended);
+
+    // Test 2: Interrupted turns in the conversation history
+    console.log('\n2. Conversation history');
+    const sessionId = sessionService.createSession();
+    sessionService.addConversationTurn(sessionId, 'assistant', 'I must deny this authorization request because the criteria were not met.');
+    sessionService.addConversationTurn(sessionId, 'user', 'Wait');
+    const marked = sessionService.markTurnInterrupted(sessionId, { playedMs: 1200, heardText: 'I must deny', heardFraction: 0.25 });
+    const turn = sessionService.getSession(sessionId).conversationHistory[0];
+    check('Last assistant turn is marked interrupted', marked && turn.interrupted === true);
+    check('Heard portion is recorded', turn.heardText === 'I must deny' && turn.playedMs === 1200 && turn.heardFraction === 0.25);
+    check('User turns are left alone', !sessionService.getSession(sessionId).conversationHistory[1].interrupted);
+
+    printResults();
+}
+
+testBargeIn().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
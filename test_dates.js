@@ -0,0 +1,80 @@
+const sessionService = require('./services/sessionService');
+const conversationService = require('./services/conversationService');
+const dateService = require('./services/dateService');
+const { createChecker } = require('./test_harness');
+
+async function testDates() {
+    console.log('🧪 Testing Date of Birth Parsing...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    const asOf = new Date(2026, 9, 18);
+    const parse = text => dateService.parseDateOfBirth(text, { asOf });
+
+    // Test 1: Written and spoken forms
+    console.log('1. Written and spoken forms');
+    check('MM/DD/YYYY is stored in ISO form', parse('born 03/15/1985').iso === '1985-03-15');
+    check('ISO dates are read as given', parse('1985-03-15').iso === '1985-03-15');
+    check('Two-digit years are the most recent past year', parse('3/15/85').iso === '1985-03-15' && parse('1/2/03').iso === '2003-01-02');
+    check('Month names with ordinals are read', parse('Sept. 5th, 1970').iso === '1970-09-05' && parse('15 March 1985').iso === '1985-03-15');
+    check('"March fifth nineteen eighty five" is read', parse('March fifth nineteen eighty five').iso === '1985-03-05');
+    check('"The twenty first of June two thousand one" is read', parse('the twenty first of June two thousand one').iso === '2001-06-21');
+
+    // Test 2: Checks
+    console.log('\n2. Checks');
+    check('Impossible dates are rejected', parse('02/30/1990').error === 'invalid');
+    check('Future dates are rejected', parse('12/01/2030').error === 'future' && parse('born in 2027').error === 'future');
+    check('Implausibly old dates are rejected', parse('01/01/1850').error === 'implausible');
+    check('A month and day without a year need the year', parse('March 5th').error === 'missing_year');
+
+    // Test 3: Ambiguous and partial dates
+    console.log('\n3. Ambiguous and partial dates');
+    let reading = parse('03/05/1985');
+    check('A numeric date that reads differently day-first carries both readings',
+        reading.iso === '1985-03-05' && reading.alternatives.length === 1 && reading.alternatives[0] === '1985-05-03');
+    check('Only one reading when the day is over 12', parse('03/15/1985').alternatives.length === 0);
+    reading = parse('born in 1985');
+    check('A year alone is kept as a year, not January 1', reading.iso === '1985' && reading.precision === 'year');
+    check('A month and year keep the month', parse('March 1985').iso === '1985-03');
+    check('Dates are read back spelled out', dateService.format('1985-03-05') === 'March 5, 1985' &&
+        dateService.format('1985') === '1985' && dateService.format('03/15/1985') === 'March 15, 1985');
+
+    // Test 4: Greeting follow-ups
+    console.log('\n4. Greeting follow-ups');
+    let sessionId = conversationService.startSession().sessionId;
+    let response = await conversationService.runTurn(sessionId, 'Patient Peter Parker born 08/10/2001 requesting Humira');
+    check('A day-first reading no member settles is asked about', response.step === 'greeting' &&
+        response.message.includes('August 10, 2001') && response.message.includes('October 8, 2001'));
+    response = await conversationService.runTurn(sessionId, 'October');
+    check('The reply picks the reading', response.message.includes("couldn't find") && response.message.includes('born October 8, 2001'));
+
+    sessionId = conversationService.startSession().sessionId;
+    response = await conversationService.runTurn(sessionId, 'Patient Dani Nguyen born 12/06/1992 requesting Humira');
+    check('The roster settles the reading when it can', sessionService.getSession(sessionId).dateOfBirth === '1992-06-12' &&
+        !sessionService.getSession(sessionId).dateOfBirthCandidates);
+
+    sessionId = conversationService.startSession().sessionId;
+    response = await conversationService.runTurn(sessionId, 'Patient John Smith born in 1985 requesting Ozempic');
+    check('A partial date is stored as given and the rest is asked for', sessionService.getSession(sessionId).dateOfBirth === '1985' &&
+        response.message.includes('month and day'));
+    response = await conversationService.runTurn(sessionId, 'March 15th');
+    check('The month and day complete it', sessionService.getSession(sessionId).dateOfBirth === '1985-03-15' &&
+        response.step === 'confirm_demographics');
+
+    sessionId = conversationService.startSession().sessionId;
+    response = await conversationService.runTurn(sessionId, 'Patient John Smith born 03/15/2031 requesting Ozempic');
+    check('A future date of birth is asked for again', response.message.includes('in the future') &&
+        sessionService.getSession(sessionId).dateOfBirth === null);
+
+    printResults();
+}
+
+testDates().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
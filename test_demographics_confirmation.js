@@ -0,0 +1,79 @@
+const sessionService = require('./services/sessionService');
+const conversationService = require('./services/conversationService');
+const { createChecker } = require('./test_harness');
+
+async function testDemographicsConfirmation() {
+    console.log('🧪 Testing Demographics Confirmation...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Test 1: Details are read back before the question flow
+    console.log('1. Read-back');
+    const sessionId = conversationService.startSession().sessionId;
+    let response = await conversationService.runTurn(sessionId, 'Patient John Smith born 03/15/1985 requesting humira');
+    check('Confirmation step follows the greeting', response.step === 'confirm_demographics');
+    check('Read-back names the patient, date of birth and matched drug',
+        response.message.includes('John Smith') && response.message.includes('March 15, 1985') && response.message.includes('Humira'));
+
+    // Test 2: Targeted corrections
+    console.log('\n2. Corrections');
+    response = await conversationService.runTurn(sessionId, 'No, the birthday is March 5th');
+    let session = sessionService.getSession(sessionId);
+    check('Month and day correction keeps the year on file', session.dateOfBirth === '1985-03-05');
+    check('Corrected details are read back again', response.step === 'confirm_demographics' && response.message.includes('March 5, 1985'));
+
+    const correctionTurn = session.conversationHistory.find(turn => turn.correction);
+    check('Correction is recorded in history', correctionTurn && correctionTurn.speaker === 'system' &&
+        correctionTurn.correction.field === 'dateOfBirth' && correctionTurn.correction.from === '1985-03-15');
+
+    response = await conversationService.runTurn(sessionId, 'No, the name is Jon Smith');
+    check('Name can be corrected', sessionService.getSession(sessionId).memberName === 'Jon Smith');
+
+    response = await conversationService.runTurn(sessionId, 'Actually the medication is Cosentyx');
+    check('Drug correction is matched against the formulary', sessionService.getSession(sessionId).drugName === 'Cosentyx');
+
+    response = await conversationService.runTurn(sessionId, 'No, the name is wrong');
+    check('A rejected field without a value asks for it', response.message.includes('correct name') &&
+        sessionService.getSession(sessionId).memberName === 'Jon Smith');
+
+    // Test 3: Confirmation starts the question flow for the corrected drug
+    console.log('\n3. Confirmation');
+    response = await conversationService.runTurn(sessionId, 'Yes, that is correct');
+    check('Corrected details that match no member do not start the question flow',
+        response.step === 'confirm_demographics' && response.message.includes("couldn't find"));
+
+    response = await conversationService.runTurn(sessionId, 'No, the birthday is March 15th');
+    session = sessionService.getSession(sessionId);
+    check('Correction back to a roster member is read back with the roster name',
+        session.memberId === 'W100234871' && response.message.includes('John Smith'));
+
+    response = await conversationService.runTurn(sessionId, 'Yes, that is correct');
+    check('"Yes" moves on to the prescriber details', response.step === 'prescriber');
+
+    response = await conversationService.runTurn(sessionId, 'Dr. Elena Torres, NPI 1579135793, callback 847-555-0163');
+    check('Prescriber details move on to the requested product', response.step === 'product' && response.message.includes('Cosentyx'));
+
+    response = await conversationService.runTurn(sessionId, 'One 300 mg pen for 28 days');
+    session = sessionService.getSession(sessionId);
+    check('Product within the limit starts the question flow', response.step === 'question_flow' && Boolean(response.nextQuestion));
+    check('Question flow uses the corrected drug', session.drugId === 'cosentyx');
+
+    // Test 4: Later greeting turns do not erase collected details
+    console.log('\n4. Incremental collection');
+    const partialId = conversationService.startSession().sessionId;
+    await conversationService.runTurn(partialId, 'The patient is Jane Doe');
+    await conversationService.runTurn(partialId, 'Born on 01/10/1990');
+    check('Name survives a turn that only gives the date of birth', sessionService.getSession(partialId).memberName === 'Jane Doe');
+
+    printResults();
+}
+
+testDemographicsConfirmation().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
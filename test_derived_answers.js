@@ -0,0 +1,84 @@
+const sessionService = require('./services/sessionService');
+const authService = require('./services/authService');
+const derivedAnswerService = require('./services/derivedAnswerService');
+const numericAnswerService = require('./services/numericAnswerService');
+const { createChecker } = require('./test_harness');
+
+async function testDerivedAnswers() {
+    console.log('🧪 Testing Derived Answers...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Start a Rinvoq RA request and answer up to the age question
+    async function jakFlow(dateOfBirth) {
+        const sessionId = sessionService.createSession();
+        sessionService.updateSession(sessionId, { dateOfBirth });
+        sessionService.initializeQuestionFlow(sessionId, 'rinvoq', 'rheumatoid_arthritis');
+
+        let result = null;
+        for (const answer of ['Rheumatoid Arthritis', 'More than 2 years', 'yes', 'Methotrexate and leflunomide both failed']) {
+            result = await sessionService.processAnswer(sessionId, answer);
+        }
+        return { sessionId, result };
+    }
+
+    // Test 1: Expressions
+    console.log('1. Expressions');
+    const errors = derivedAnswerService.validateQuestionSet('test', {
+        questions: [
+            { id: 'a', derivedFrom: 'age(dateOfBirth)' },
+            { id: 'b', derivedFrom: 'age dateOfBirth' },
+            { id: 'c', derivedFrom: 'height(answers.height)' },
+            { id: 'd', derivedFrom: 'bmi(answers.weight)' }
+        ]
+    });
+    check('Malformed expressions, unknown functions and wrong field counts are rejected', errors.length === 3 &&
+        errors.some(error => error.includes('"b" has a malformed')) &&
+        errors.some(error => error.includes('unknown function "height"')) &&
+        errors.some(error => error.includes('passes 1 field(s) to bmi')));
+    check('The shipped question sets are valid', sessionService.validateQuestionSets(sessionService.questionsData).length === 0);
+
+    const bmiQuestion = { id: 'bmi_level', unit: 'kg/m²', derivedFrom: 'bmi(answers.weight, answers.height)' };
+    const bmi = derivedAnswerService.derive(bmiQuestion, { answers: { weight: '250 lbs', height: '5 foot 10' } });
+    check('BMI is derived from answers by dot path', bmi?.answer === '35.9' && bmi.details.inputs['answers.weight'] === '250 lbs');
+    check('Missing fields leave the question to be asked', derivedAnswerService.derive(bmiQuestion, { answers: { weight: '250 lbs' } }) === null);
+
+    // Test 2: Age from the date of birth
+    console.log('\n2. Age from the date of birth');
+    let { sessionId, result } = await jakFlow('03/15/1985');
+    let session = sessionService.getSession(sessionId);
+    const expectedAge = String(numericAnswerService.age('03/15/1985').value);
+    check('The age question is answered from the date of birth', session.answers.age_check === expectedAge);
+    check('The age question is not asked', result.action === 'next_question' && result.question.id === 'infection_screening');
+    check('The answer is marked as derived', session.answerDetails.age_check?.derived === true &&
+        session.answerDetails.age_check.inputs.dateOfBirth === '03/15/1985');
+
+    ({ sessionId, result } = await jakFlow(null));
+    check('Without a date of birth the age is asked', result.action === 'next_question' && result.question.id === 'age_check');
+
+    ({ sessionId, result } = await jakFlow('01/02/1940'));
+    check('A derived age decides like a stated one', result.action === 'complete' && result.decision === 'deny' &&
+        result.rule?.id === 'jak_age_out_of_range');
+
+    // Test 3: Report
+    console.log('\n3. Report');
+    ({ sessionId } = await jakFlow('03/15/1985'));
+    await sessionService.processAnswer(sessionId, 'yes');
+    await sessionService.processAnswer(sessionId, 'Negative for TB and other infections');
+    const responses = authService.generateReport(sessionId).questionResponses;
+    const age = responses.find(response => response.answer === expectedAge);
+    check('The report marks derived answers', age?.source === 'derived' && age.derivedFrom === 'age(dateOfBirth)');
+    check('Other answers are marked as stated', responses.filter(response => response.source === 'stated').length === responses.length - 1);
+
+    printResults();
+}
+
+testDerivedAnswers().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,215 @@
+const http = require('http');
+const express = require('express');
+const sessionService = require('./services/sessionService');
+const epaService = require('./services/epaService');
+const voiceRoutes = require('./routes/voiceRoutes');
+const { createChecker } = require('./test_harness');
+
+function message(body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Message xmlns="http://www.ncpdp.org/schema/SCRIPT" TransportVersion="2017071" TransactionDomain="SCRIPT" TransactionVersion="2017071">
+  <Header>
+    <To Qualifier="P">PAYER01</To>
+    <From Qualifier="C">EHR-RIVERSIDE</From>
+    <MessageID>EHR-MSG-${Math.random().toString(36).slice(2, 8)}</MessageID>
+    <SentTime>2026-10-18T14:00:00Z</SentTime>
+  </Header>
+  <Body>${body}</Body>
+</Message>`;
+}
+
+function initiation({ firstName = 'John', lastName = 'Smith', dateOfBirth = '1985-03-15', cardholderId = 'W100234871',
+    npi = '1357924681', prescriber = ['Marcus', 'Webb'], ndc = '00169413212', quantity = 1, daysSupply = 28, diagnosis = '<Code>E11.9</Code><Qualifier>ABF</Qualifier><Description>Type 2 diabetes mellitus without complications</Description>' } = {}) {
+    return message(`
+    <PAInitiationRequest>
+      <PAReferenceID>EHR-PA-1001</PAReferenceID>
+      <Patient><HumanPatient>
+        <Name><LastName>${lastName}</LastName><FirstName>${firstName}</FirstName></Name>
+        <DateOfBirth><Date>${dateOfBirth}</Date></DateOfBirth>
+      </HumanPatient></Patient>
+      <BenefitsCoordination><CardholderID>${cardholderId}</CardholderID></BenefitsCoordination>
+      <Prescriber><NonVeterinarian>
+        <Identification><NPI>${npi}</NPI></Identification>
+        <Name><LastName>${prescriber[1]}</LastName><FirstName>${prescriber[0]}</FirstName></Name>
+        <CommunicationNumbers><PrimaryTelephone><Number>3125550178</Number></PrimaryTelephone></CommunicationNumbers>
+      </NonVeterinarian></Prescriber>
+      <MedicationPrescribed>
+        <DrugDescription>Ozempic 0.5 mg pen</DrugDescription>
+        <DrugCoded><ProductCode><Code>${ndc}</Code><Qualifier>ND</Qualifier></ProductCode></DrugCoded>
+        <Quantity><Value>${quantity}</Value></Quantity>
+        <DaysSupply>${daysSupply}</DaysSupply>
+        ${diagnosis ? `<Diagnosis><Primary>${diagnosis}</Primary></Diagnosis>` : ''}
+      </MedicationPrescribed>
+    </PAInitiationRequest>`);
+}
+
+function questionResponse(referenceId, answers) {
+    const questions = Object.entries(answers).map(([questionId, response]) =>
+        `<Question><QuestionID>${questionId}</QuestionID><QuestionResponse>${response}</QuestionResponse></Question>`).join('');
+    return message(`<PAQuestionResponse><PAReferenceID>${referenceId}</PAReferenceID><QuestionSet>${questions}</QuestionSet></PAQuestionResponse>`);
+}
+
+async function testEpa() {
+    console.log('🧪 Testing NCPDP SCRIPT ePA...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Test 1: PAInitiationRequest
+    console.log('1. PAInitiationRequest');
+    const started = epaService.handle(initiation());
+    const session = sessionService.getSession(started.sessionId);
+    check('The request starts a session in the question flow', started.action === 'question_request' &&
+        session.step === 'question_flow' && session.questionSetId === 'diabetes_glp1');
+    check('The member is checked against the roster', session.memberId === 'W100234871' &&
+        session.memberPlan.name === 'Commercial PPO Gold' && session.dateOfBirth === '1985-03-15');
+    check('The prescriber is verified by NPI', session.prescriber.npi === '1357924681' && session.prescriber.verified &&
+        session.prescriber.callbackNumber === '(312) 555-0178');
+    check('The 11-digit NDC and diagnosis code pick the product and indication', session.drugId === 'ozempic' &&
+        session.requestedProduct.ndc === '0169-4132-12' && session.requestedProduct.daysSupply === 28 &&
+        session.indication.id === 'type_2_diabetes');
+
+    const request = epaService.parse(started.xml);
+    const questions = request.body.QuestionSet.Question;
+    const question = id => questions.find(entry => entry.QuestionID === id);
+    check('The reply is a PAQuestionRequest for the question set', request.type === 'PAQuestionRequest' &&
+        request.body.PAReferenceID === started.sessionId && request.body.QuestionSet.QuestionSetIdentifier === 'diabetes_glp1' &&
+        request.header.To['#text'] === 'EHR-RIVERSIDE' && request.header.RelatesToMessageID.startsWith('EHR-MSG-'));
+    const diagnosisChoices = question('diagnosis').QuestionType.Select.Choice;
+    check('Choices name the next question, and outcomes end the set', diagnosisChoices[0].ChoiceText === 'Type 2 Diabetes' &&
+        diagnosisChoices[0].NextQuestionID === 'a1c_level' && diagnosisChoices[1].NextQuestionID === 'END');
+    const comparison = question('a1c_level').QuestionType.Numeric.Comparison[0];
+    check('Numeric ranges become comparisons', comparison.Criteria.map(criteria => `${criteria.ComparisonOperator}${criteria.ComparisonValue}`).join() === 'GE6.5,LE15' &&
+        comparison.NextQuestionID === 'current_medications' && question('a1c_level').DefaultNextQuestionID === 'END');
+    check('Yes/no and free text questions are typed', question('current_medications').QuestionType.Select.Choice.map(choice => choice.ChoiceID).join() === 'Y,N' &&
+        question('list_medications').QuestionType.FreeText === '');
+
+    const humira = diagnosis => {
+        const result = epaService.handle(initiation({ firstName: 'Jane', lastName: 'Doe', dateOfBirth: '1990-01-10', cardholderId: 'W100234872',
+            npi: '1245873017', prescriber: ['Sarah', 'Chen'], ndc: '00074055402', quantity: 2, diagnosis }));
+        return result.sessionId && sessionService.getSession(result.sessionId).indication.id;
+    };
+    check('The most specific ICD-10 code wins', humira('<Code>L40.52</Code><Qualifier>ABF</Qualifier>') === 'psoriatic_arthritis' &&
+        humira('<Code>L40.0</Code><Qualifier>ABF</Qualifier>') === 'plaque_psoriasis' &&
+        humira('<Description>Crohn\'s disease of small intestine</Description>') === 'crohns_disease');
+
+    // Test 2: Rejections
+    console.log('\n2. Rejections');
+    const rejected = epaService.handle(initiation({ lastName: 'Smyth-Jones', npi: '1234567890', ndc: '99999999999' }));
+    const error = epaService.parse(rejected.xml);
+    check('Problems with the request are answered with a SCRIPT Error', rejected.action === 'error' && rejected.code === 'invalid_request' &&
+        error.type === 'Error' && error.body.Code === '900' && rejected.problems.length === 3);
+    check('Unknown members, invalid NPIs and products are named', rejected.problems.some(problem => problem.startsWith('No member named John Smyth-Jones')) &&
+        rejected.problems.some(problem => problem.includes('1234567890 is not a valid NPI')) &&
+        rejected.problems.some(problem => problem.includes('NDC 99999999999 is not on the formulary')));
+    check('An indication the drug is not covered for is rejected', epaService.handle(initiation({ diagnosis: '<Code>M05.79</Code><Qualifier>ABF</Qualifier>' }))
+        .problems?.[0]?.includes('not a covered indication for Ozempic'));
+    const originalData = sessionService.questionsData;
+    const unpublished = JSON.parse(JSON.stringify(originalData));
+    delete unpublished.questionSets.diabetes_glp1;
+    sessionService.questionsData = unpublished;
+    let noCriteria;
+    try {
+        noCriteria = epaService.handle(initiation({}));
+    } finally {
+        sessionService.questionsData = originalData;
+    }
+    check('A drug with no question set in effect is rejected', noCriteria.action === 'error' && noCriteria.code === 'invalid_request' &&
+        epaService.parse(noCriteria.xml).type === 'Error' && noCriteria.problems[0].includes('No clinical criteria for Ozempic'));
+    check('Malformed XML is rejected', epaService.handle('<Message><Body>').code === 'invalid_message' &&
+        epaService.handle(message('<NewRx/>')).code === 'unsupported_message');
+
+    const overLimit = epaService.handle(initiation({ quantity: 3 }));
+    const overLimitResponse = epaService.parse(overLimit.xml);
+    check('A quantity over the plan limit is denied straight away', overLimit.action === 'response' &&
+        overLimitResponse.body.ResponseStatus.Denied.DenialReason.ReasonCode === 'quantity_limit');
+
+    // Test 3: PAQuestionResponse
+    console.log('\n3. PAQuestionResponse');
+    const partial = epaService.handle(questionResponse(started.sessionId, {
+        diagnosis: '<ChoiceID>1</ChoiceID>',
+        a1c_level: '<Numeric>8.5</Numeric>'
+    }));
+    const remaining = epaService.parse(partial.xml).body.QuestionSet.Question.map(entry => entry.QuestionID);
+    check('Answers are recorded along the path', session.answers.diagnosis === 'Type 2 Diabetes' && session.answers.a1c_level === '8.5');
+    check('Unanswered questions are asked again', partial.action === 'question_request' && remaining[0] === 'current_medications' &&
+        !remaining.includes('diagnosis') && !remaining.includes('bmi_level'));
+
+    const invalid = epaService.handle(questionResponse(started.sessionId, {
+        current_medications: '<ChoiceID>Y</ChoiceID>',
+        list_medications: '<FreeText>Metformin 1000 mg twice daily</FreeText>',
+        step_1_required: '<ChoiceID>maybe</ChoiceID>',
+        step_1_failure: '<FreeText> </FreeText>'
+    }));
+    check('Invalid answers are rejected and nothing is recorded', invalid.code === 'invalid_answers' && invalid.problems.length === 2 &&
+        invalid.problems[0].includes('ChoiceID "maybe"') && invalid.problems[1].includes('expected FreeText') &&
+        session.answers.current_medications === undefined);
+
+    const completed = epaService.handle(questionResponse(started.sessionId, {
+        current_medications: '<ChoiceID>Y</ChoiceID>',
+        list_medications: '<FreeText>Metformin 1000 mg twice daily</FreeText>',
+        step_1_required: '<ChoiceID>Y</ChoiceID>',
+        step_1_failure: '<FreeText>Metformin for six months, stopped for GI intolerance</FreeText>',
+        contraindications: '<ChoiceID>N</ChoiceID>'
+    }));
+    const approved = epaService.parse(completed.xml);
+    check('The decision comes from the question set rules', completed.action === 'response' && session.decision === 'approve' &&
+        session.decisionRule.id === 'glp1_criteria_met');
+    check('The PAResponse carries the approval', approved.type === 'PAResponse' &&
+        approved.body.ResponseStatus.Approved.AuthorizationNumber === `AUTH-${started.sessionId.substring(0, 8).toUpperCase()}`);
+
+    const denial = epaService.handle(initiation());
+    const denied = epaService.parse(epaService.handle(questionResponse(denial.sessionId, { diagnosis: '<ChoiceID>2</ChoiceID>' })).xml);
+    check('Denials carry the rule and citation', denied.body.ResponseStatus.Denied.DenialReason.ReasonCode === 'glp1_type1_diabetes' &&
+        denied.body.ResponseStatus.Denied.Note === 'GLP-1 Receptor Agonist Criteria, Section 1.a');
+
+    const pending = epaService.handle(initiation());
+    const pended = epaService.parse(epaService.handle(questionResponse(pending.sessionId, {
+        diagnosis: '<ChoiceID>1</ChoiceID>',
+        a1c_level: '<Numeric>7.9</Numeric>',
+        current_medications: '<ChoiceID>N</ChoiceID>',
+        step_1_required: '<ChoiceID>Y</ChoiceID>',
+        step_1_failure: '<FreeText>Tried glipizide for a year without reaching goal</FreeText>',
+        contraindications: '<ChoiceID>N</ChoiceID>'
+    })).xml);
+    check('Missing documentation pends the request', pended.body.ResponseStatus.Pended.Note.startsWith('A trial of metformin must be documented'));
+    check('An unknown PAReferenceID is rejected', epaService.handle(questionResponse('no-such-session', {})).code === 'session_not_found');
+
+    // Test 4: Routes
+    console.log('\n4. ePA routes');
+    const app = express();
+    app.use('/api/voice', voiceRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = path => `http://localhost:${server.address().port}/api/voice${path}`;
+    const post = body => fetch(url('/epa'), { method: 'POST', headers: { 'Content-Type': 'application/xml' }, body });
+
+    try {
+        let httpResponse = await post(initiation());
+        const xml = await httpResponse.text();
+        check('A PAInitiationRequest is answered with XML', httpResponse.status === 200 &&
+            httpResponse.headers.get('content-type').includes('application/xml') && xml.includes('<PAQuestionRequest>'));
+
+        httpResponse = await post(initiation({ npi: '1234567890' }));
+        check('A rejected request is unprocessable', httpResponse.status === 422 && (await httpResponse.text()).includes('<Error>'));
+
+        httpResponse = await fetch(url(`/epa/${started.sessionId}`));
+        check('The current message can be fetched for a session', httpResponse.status === 200 && (await httpResponse.text()).includes('<Approved>'));
+
+        httpResponse = await fetch(url('/epa/missing-session'));
+        check('An unknown session is not found', httpResponse.status === 404);
+    } finally {
+        server.close();
+    }
+
+    printResults();
+}
+
+testEpa().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
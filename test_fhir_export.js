@@ -0,0 +1,124 @@
+const http = require('http');
+const express = require('express');
+const sessionService = require('./services/sessionService');
+const fhirService = require('./services/fhirService');
+const voiceRoutes = require('./routes/voiceRoutes');
+const { createChecker } = require('./test_harness');
+
+async function testFhirExport() {
+    console.log('🧪 Testing FHIR Export...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // A completed Ozempic request
+    const sessionId = sessionService.createSession();
+    sessionService.updateSession(sessionId, {
+        memberName: 'John Smith',
+        dateOfBirth: '1985-03-15',
+        memberId: 'W100234871',
+        memberPlan: { id: 'COMM-PPO-GOLD', name: 'Commercial PPO Gold' },
+        drugName: 'Ozempic',
+        prescriber: { name: 'Dr. Sarah Chen', npi: '1234567893', callbackNumber: '555-123-4567', credential: 'MD' },
+        indication: { id: 'type_2_diabetes', name: 'Type 2 Diabetes', questionSet: 'diabetes_glp1' },
+        requestedProduct: { ndc: '0169-4132-12', description: 'Ozempic 0.25 mg or 0.5 mg per dose pen (2 mg/3 mL)', form: 'pen', quantity: 1, daysSupply: 28 }
+    });
+    sessionService.initializeQuestionFlow(sessionId, 'ozempic');
+    for (const answer of ['Type 2 Diabetes', 'Sixty-nine mmol/mol', 'yes', 'Metformin and glipizide', 'yes',
+        'Failed metformin for six months due to GI upset and glipizide due to hypoglycemia', 'no']) {
+        const result = await sessionService.processAnswer(sessionId, answer);
+        if (result.action === 'complete') break;
+    }
+
+    const bundle = fhirService.buildBundle(sessionId);
+    const resource = type => bundle.entry.find(entry => entry.resource.resourceType === type)?.resource;
+    const fullUrls = new Set(bundle.entry.map(entry => entry.fullUrl));
+
+    // Test 1: Mapping
+    console.log('1. Mapping');
+    check('The Bundle is a collection of the five resources', bundle.type === 'collection' &&
+        ['Patient', 'Practitioner', 'MedicationRequest', 'QuestionnaireResponse', 'ClaimResponse'].every(type => resource(type)));
+    check('The Patient carries the member ID and ISO date of birth', resource('Patient').identifier[0].value === 'W100234871' &&
+        resource('Patient').birthDate === '1985-03-15' && resource('Patient').name[0].family === 'Smith');
+    check('The Practitioner carries the NPI', resource('Practitioner').identifier[0].system === 'http://hl7.org/fhir/sid/us-npi' &&
+        resource('Practitioner').identifier[0].value === '1234567893' && resource('Practitioner').name[0].family === 'Chen');
+
+    const request = resource('MedicationRequest');
+    check('The MedicationRequest codes the NDC and supply', request.medicationCodeableConcept.coding[0].code === '0169-4132-12' &&
+        request.dispenseRequest.quantity.value === 1 && request.dispenseRequest.expectedSupplyDuration.value === 28);
+
+    const response = resource('QuestionnaireResponse');
+    const item = linkId => response.item.find(entry => entry.linkId === linkId);
+    check('The QuestionnaireResponse follows the questions asked', response.status === 'completed' &&
+        response.item.map(entry => entry.linkId).join() === sessionService.getSession(sessionId).questionPath.join());
+    check('Answers are typed', item('a1c_level').answer[0].valueQuantity.value === 8.5 &&
+        item('a1c_level').answer[0].valueQuantity.code === '%' &&
+        item('current_medications').answer[0].valueBoolean === true &&
+        item('contraindications').answer[0].valueBoolean === false &&
+        item('diagnosis').answer[0].valueString === 'Type 2 Diabetes');
+
+    const claimResponse = resource('ClaimResponse');
+    check('The ClaimResponse carries the decision', claimResponse.use === 'preauthorization' &&
+        claimResponse.extension[0].valueCode === 'approve' && claimResponse.disposition === sessionService.getSession(sessionId).decisionReason &&
+        claimResponse.insurer.display === 'Commercial PPO Gold');
+    check('References resolve within the Bundle', [request.subject, request.requester, response.subject, claimResponse.patient,
+        claimResponse.requestor].every(reference => fullUrls.has(reference.reference)));
+
+    sessionService.updateSession(sessionId, { dateOfBirth: '1985' });
+    check('A partial date of birth keeps its precision', fhirService.buildBundle(sessionId).entry[0].resource.birthDate === '1985');
+    sessionService.updateSession(sessionId, { dateOfBirth: '1985-03-15' });
+
+    // Test 2: Validation
+    console.log('\n2. Validation');
+    check('The exported Bundle is valid', fhirService.validate(bundle).length === 0);
+
+    const broken = JSON.parse(JSON.stringify(bundle));
+    const brokenResource = type => broken.entry.find(entry => entry.resource.resourceType === type).resource;
+    delete brokenResource('ClaimResponse').outcome;
+    brokenResource('Patient').name = brokenResource('Patient').name[0];
+    brokenResource('Patient').birthDate = '03/15/1985';
+    brokenResource('MedicationRequest').status = 'done';
+    brokenResource('QuestionnaireResponse').item[0].answer[0].valueText = 'extra';
+    const issues = fhirService.validate(broken);
+    check('Missing required elements are reported', issues.some(issue => issue === 'Bundle.entry[4].resource.outcome: required element is missing'));
+    check('Cardinality is checked', issues.some(issue => issue.includes('.name: expected an array')));
+    check('Primitive types are checked', issues.some(issue => issue.includes('.birthDate: "03/15/1985" is not a valid date')));
+    check('Required code bindings are checked', issues.some(issue => issue.includes('"done" is not in http://hl7.org/fhir/ValueSet/medicationrequest-status')));
+    check('Unknown elements are reported', issues.some(issue => issue.includes('.answer[0].valueText: unknown element')));
+    check('Resource types without a definition are rejected', fhirService.validate({ resourceType: 'Observation' }).length === 1);
+
+    // Test 3: Route
+    console.log('\n3. FHIR route');
+    const app = express();
+    app.use('/api/voice', voiceRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = id => `http://localhost:${server.address().port}/api/voice/report/${id}/fhir`;
+
+    try {
+        let httpResponse = await fetch(url(sessionId));
+        const body = await httpResponse.json();
+        check('The Bundle is served as FHIR JSON', httpResponse.status === 200 &&
+            httpResponse.headers.get('content-type').includes('application/fhir+json') &&
+            body.resourceType === 'Bundle' && body.entry.length === 5);
+
+        httpResponse = await fetch(url(sessionService.createSession()));
+        check('A session without a determination is a conflict', httpResponse.status === 409);
+
+        httpResponse = await fetch(url('missing-session'));
+        check('An unknown session is not found', httpResponse.status === 404);
+    } finally {
+        server.close();
+    }
+
+    printResults();
+}
+
+testFhirExport().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+const sessionService = require('./services/sessionService');
+const formularyService = require('./services/formularyService');
+const conversationService = require('./services/conversationService');
+const authService = require('./services/authService');
+const { createChecker } = require('./test_harness');
+
+async function testFormulary() {
+    console.log('🧪 Testing Formulary Products and Quantity Limits...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    async function productStep(request) {
+        const sessionId = conversationService.startSession().sessionId;
+        await conversationService.runTurn(sessionId, `Patient John Smith born 03/15/1985 requesting ${request}`);
+        await conversationService.runTurn(sessionId, 'Yes, that is correct');
+        const response = await conversationService.runTurn(sessionId, 'Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178');
+        return { sessionId, response };
+    }
+
+    // Test 1: Drug model
+    console.log('1. Drug model');
+    const ozempic = sessionService.findDrug('Ozempic');
+    check('Every drug lists NDC products with a quantity limit', sessionService.drugsData.drugs.every(drug =>
+        drug.products.length > 0 && drug.products.every(product => product.ndc && product.form && product.quantityLimit)));
+    check('Products carry strengths', ozempic.products.find(product => product.ndc === '0169-4130-13').strengths[0] === '1 mg');
+
+    const pen = ozempic.products[1];
+    check('Quantity at the limit is allowed', formularyService.checkQuantityLimit(pen, 1, 28).withinLimit);
+    check('Quantity over the limit is not', !formularyService.checkQuantityLimit(pen, 2, 28).withinLimit);
+    check('Limit is prorated to the days supply', formularyService.checkQuantityLimit(pen, 3, 84).withinLimit &&
+        formularyService.checkQuantityLimit(pen, 3, 84).allowed === 3);
+
+    // Test 2: Extraction
+    console.log('\n2. Extraction');
+    let details = formularyService.extractDetails('Two 0.5 mg pens for a 28 day supply');
+    check('Strength, quantity, form and days supply are extracted', details.strength === '0.5 mg' &&
+        details.quantity === 2 && details.form === 'pen' && details.daysSupply === 28);
+    details = formularyService.extractDetails('NDC 0169-4772-12, quantity 1, one month supply');
+    check('NDC, labelled quantity and months are extracted', details.ndc === '0169-4772-12' &&
+        details.quantity === 1 && details.daysSupply === 30);
+    details = formularyService.extractDetails('60', 'quantity');
+    check('10-digit NDCs match the 11-digit form', formularyService.sameNdc('0169-4130-13', '00169-4130-13') &&
+        formularyService.sameNdc('00169413013', '0169-4130-13') && formularyService.sameNdc('57894-060-03', '57894-0060-03') &&
+        !formularyService.sameNdc('0169-4130-13', '0169-4130-12'));
+    check('A product is found by its 11-digit NDC', formularyService.matchProducts(ozempic, { ndc: '00169-4130-13' })[0]?.ndc === '0169-4130-13');
+    check('Bare number answers the field that was asked for', details.quantity === 60 && details.daysSupply === null);
+
+    // Test 3: Product step
+    console.log('\n3. Conversation');
+    let { sessionId, response } = await productStep('Ozempic');
+    check('Verified prescriber is asked for the product', response.step === 'product' &&
+        response.message.includes('0.25 mg or 0.5 mg pen') && response.message.includes('2 mg pen'));
+
+    response = await conversationService.runTurn(sessionId, 'The 3 mg pen');
+    check('Strength not on the formulary is rejected', response.needsClarification && response.message.includes("isn't on the formulary"));
+
+    response = await conversationService.runTurn(sessionId, 'The 1 mg pen');
+    check('Chosen product asks for the quantity', response.step === 'product' && response.message.includes('How many pens'));
+
+    response = await conversationService.runTurn(sessionId, 'One');
+    check('Quantity asks for the days supply', response.message.includes("days' supply"));
+
+    response = await conversationService.runTurn(sessionId, '28');
+    let session = sessionService.getSession(sessionId);
+    check('Request within the limit starts the question flow', response.step === 'question_flow' && Boolean(response.nextQuestion));
+    check('Requested product is recorded', session.requestedProduct.ndc === '0169-4130-13' &&
+        session.requestedProduct.quantity === 1 && session.requestedProduct.daysSupply === 28);
+
+    // A question set unpublished mid-call leaves no clinical questions to ask
+    ({ sessionId } = await productStep('Ozempic'));
+    const originalData = sessionService.questionsData;
+    const unpublished = JSON.parse(JSON.stringify(originalData));
+    delete unpublished.questionSets.diabetes_glp1;
+    sessionService.questionsData = unpublished;
+    try {
+        response = await conversationService.runTurn(sessionId, 'One 1 mg pen, 28 day supply');
+    } finally {
+        sessionService.questionsData = originalData;
+    }
+    check('Request without a question set in effect is transferred', response.step === 'transferred' &&
+        response.action === 'transfer' && sessionService.getSession(sessionId).step === 'transferred');
+
+    // Test 4: Quantity limit exceeded
+    console.log('\n4. Quantity limit');
+    ({ sessionId } = await productStep('Humira'));
+    response = await conversationService.runTurn(sessionId, '40 mg');
+    check('Strength shared by several products asks which one', response.needsClarification &&
+        response.message.includes('40 mg pen or 40 mg syringe'));
+
+    response = await conversationService.runTurn(sessionId, 'Four pens for a 28 day supply');
+    session = sessionService.getSession(sessionId);
+    check('Request over the limit is decided', response.step === 'complete' && response.decision === 'quantity_limit_exceeded');
+    check('Reason gives the limit and the request', session.decisionReason.includes('2 pens per 28 days') &&
+        session.decisionReason.includes('4 pens for 28 days'));
+    check('Decision rule records the limit', session.decisionRule.id === 'quantity_limit' && session.decisionRule.allowed === 2);
+    check('No clinical questions are asked', !session.questionSetId && response.message.includes('quantity limit'));
+
+    const report = authService.generateReport(sessionId);
+    check('Report carries the requested product', report.summary.requestedProduct.ndc === '0074-0554-02');
+    check('Report recommends a quantity limit exception', report.recommendations.some(item => item.type === 'exception'));
+
+    printResults();
+}
+
+testFormulary().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+/**
+ * Shared check counter for the test_*.js suites. Each check prints a ✅ or ❌ line;
+ * printResults() prints the results footer and fails the process if any check failed.
+ * @returns {Object} - { check(description, condition), printResults() }
+ */
+function createChecker() {
+    let passed = 0;
+    let failed = 0;
+
+    function check(description, condition) {
+        if (condition) {
+            console.log(`   ✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`   ❌ ${description}`);
+            failed++;
+        }
+    }
+
+    function printResults() {
+        console.log(`\n📊 Results: ${passed} passed, ${failed} failed`);
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+    }
+
+    return { check, printResults };
+}
+
+module.exports = { createChecker };
@@ -0,0 +1,123 @@
+const sessionService = require('./services/sessionService');
+const indicationService = require('./services/indicationService');
+const formularyService = require('./services/formularyService');
+const conversationService = require('./services/conversationService');
+const authService = require('./services/authService');
+const { createChecker } = require('./test_harness');
+
+async function testIndications() {
+    console.log('🧪 Testing Indication Routing...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    async function toPrescriber(request) {
+        const sessionId = conversationService.startSession().sessionId;
+        await conversationService.runTurn(sessionId, `Patient John Smith born 03/15/1985 requesting ${request}`);
+        await conversationService.runTurn(sessionId, 'Yes, that is correct');
+        const response = await conversationService.runTurn(sessionId, 'Dr. Priya Raman, NPI 1468023571, callback 773-555-0119');
+        return { sessionId, response };
+    }
+
+    // Test 1: Drug model
+    console.log('1. Drug model');
+    const stelara = sessionService.findDrug('Stelara');
+    check('Duplicate IBD drug entries are gone', !sessionService.drugsData.drugs.some(drug => drug.id.endsWith('_ibd')));
+    check('Indications route to their own question sets',
+        sessionService.getIndication(stelara, 'plaque_psoriasis').questionSet === 'biologic_il_inhibitor' &&
+        sessionService.getIndication(stelara, 'crohns_disease').questionSet === 'ibd_biologic');
+    check('Indication names come from the catalog', sessionService.getIndication(stelara, 'crohns_disease').name === "Crohn's Disease");
+
+    const broken = {
+        indications: { asthma: { name: 'Asthma', aliases: [] } },
+        drugs: [{ id: 'example', indications: [{ id: 'asthma', questionSet: 'missing' }, { id: 'gout', questionSet: 'diabetes_glp1' }] }]
+    };
+    const errors = sessionService.validateDrugIndications(broken, sessionService.questionsData);
+    check('Unknown question sets and indications are reported', errors.length === 2 &&
+        errors.some(error => error.includes('"missing"')) && errors.some(error => error.includes('"gout"')));
+
+    // Test 2: Inference
+    console.log('\n2. Inference');
+    check("Crohn's is inferred with or without the apostrophe",
+        indicationService.infer(stelara, "It's for her Crohn's")?.id === 'crohns_disease' &&
+        indicationService.infer(stelara, 'crohns disease')?.id === 'crohns_disease');
+    check('Psoriatic arthritis is not read as psoriasis', indicationService.infer(stelara, 'psoriatic arthritis')?.id === 'psoriatic_arthritis');
+    check('Naming two indications is ambiguous', indicationService.infer(stelara, 'psoriasis and colitis') === null);
+    check("Indications the drug isn't covered for are ignored", indicationService.infer(stelara, 'asthma') === null);
+    check('Only drugs whose indications change the question set need a choice',
+        indicationService.needsChoice(stelara) && !indicationService.needsChoice(sessionService.findDrug('Humira')));
+
+    // Test 3: Conversation
+    console.log('\n3. Conversation');
+    let { sessionId, response } = await toPrescriber("Stelara for Crohn's disease");
+    let session = sessionService.getSession(sessionId);
+    check('Indication stated up front skips the question', response.step === 'product' && session.indication.id === 'crohns_disease');
+
+    response = await conversationService.runTurn(sessionId, 'One 90 mg syringe for 56 days');
+    session = sessionService.getSession(sessionId);
+    check('Diagnosis is not asked again after the indication step', response.step === 'question_flow' &&
+        response.nextQuestion.id !== 'diagnosis' && !response.message.includes('primary diagnosis') &&
+        session.answers.diagnosis === "Crohn's Disease");
+
+    ({ sessionId, response } = await toPrescriber('Stelara'));
+    check('Unknown indication is asked for', response.step === 'indication' &&
+        response.message.includes("Plaque Psoriasis, Psoriatic Arthritis, Crohn's Disease or Ulcerative Colitis"));
+
+    response = await conversationService.runTurn(sessionId, 'The usual one');
+    check('Unclear reply asks again', response.needsClarification && response.step === 'indication');
+
+    response = await conversationService.runTurn(sessionId, 'Ulcerative colitis');
+    check('Chosen indication moves on to the product', response.step === 'product' && response.message.startsWith('Got it, Ulcerative Colitis.'));
+
+    response = await conversationService.runTurn(sessionId, 'One 90 mg syringe for 56 days');
+    session = sessionService.getSession(sessionId);
+    check('Question flow uses the indication\'s question set', response.step === 'question_flow' && session.questionSetId === 'ibd_biologic');
+
+    const summary = authService.getAuthorizationSummary(sessionId);
+    check('Indication is recorded in the report', summary.indication.id === 'ulcerative_colitis' &&
+        authService.generateReport(sessionId).summary.indication.name === 'Ulcerative Colitis');
+
+    ({ sessionId, response } = await toPrescriber('Humira'));
+    check('Drug with a single question set is not asked', response.step === 'product' && sessionService.getSession(sessionId).indication === null);
+
+    await conversationService.runTurn(sessionId, 'Two 40 mg pens for 28 days');
+    response = await conversationService.runTurn(sessionId, 'Psoriatic arthritis');
+    check('The diagnosis answer records the indication', response.step === 'question_flow' &&
+        sessionService.getSession(sessionId).indication?.id === 'psoriatic_arthritis');
+
+    await sessionService.reviseAnswer(sessionId, 'diagnosis', 'Rheumatoid Arthritis');
+    check('A revised diagnosis moves the indication with it', sessionService.getSession(sessionId).indication?.id === 'rheumatoid_arthritis' &&
+        authService.getAuthorizationSummary(sessionId).indication.name === 'Rheumatoid Arthritis');
+
+    ({ sessionId } = await toPrescriber('Ozempic'));
+    check('Drug with a single indication records it', sessionService.getSession(sessionId).indication.id === 'type_2_diabetes');
+    check('An indication the caller did not name leaves the diagnosis to be asked',
+        sessionService.getSession(sessionId).prefilledAnswers.diagnosis === undefined);
+
+    // Test 4: Question flow and quantity limits by indication
+    console.log('\n4. Routing');
+    sessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(sessionId, 'rinvoq', 'ulcerative_colitis');
+    session = sessionService.getSession(sessionId);
+    check('Question flow can be started for an indication', session.questionSetId === 'ibd_jak' && session.indication.name === 'Ulcerative Colitis');
+
+    sessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(sessionId, 'rinvoq');
+    check("Without an indication the drug's first one is used", sessionService.getSession(sessionId).questionSetId === 'jak_inhibitor');
+
+    const syringe = stelara.products.find(product => product.strengths.includes('90 mg'));
+    check('Product limit applies without an indication',
+        formularyService.quantityLimitFor(stelara, syringe, { id: 'plaque_psoriasis' }).days === 84);
+    check('Indication can tighten the limit', formularyService.quantityLimitFor(stelara, syringe, { id: 'crohns_disease' }).days === 56);
+
+    printResults();
+}
+
+testIndications().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
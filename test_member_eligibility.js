@@ -0,0 +1,85 @@
+const sessionService = require('./services/sessionService');
+const memberService = require('./services/memberService');
+const conversationService = require('./services/conversationService');
+const authService = require('./services/authService');
+const { createChecker } = require('./test_harness');
+
+async function testMemberEligibility() {
+    console.log('🧪 Testing Member Eligibility...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Test 1: Roster lookup
+    console.log('1. Roster lookup');
+    let result = memberService.lookup('John Smith', '03/15/1985');
+    check('Exact name and date of birth are found', result.status === 'found' && result.member.memberId === 'W100234871');
+    check('Plan and coverage dates are returned', result.member.plan.name === 'Commercial PPO Gold' &&
+        result.member.coverage.start === '2022-01-01' && result.member.coverage.end === null);
+
+    check('Small spelling differences are tolerated', memberService.lookup('Jon Smith', '3/15/1985').status === 'found');
+    check('Shortened first names are tolerated', memberService.lookup('Christopher Kim', '08/14/1982').member?.name === 'Chris Kim');
+    check('Right name with the wrong date of birth is not found', memberService.lookup('John Smith', '03/15/1986').status === 'not_found');
+    check('Different surname is not found', memberService.lookup('John Smythe-Jones', '03/15/1985').status === 'not_found');
+
+    result = memberService.lookup('Margaret Olsen', '11/19/1958');
+    check('Lapsed coverage is inactive', result.status === 'inactive' && result.member.coverage.end === '2025-12-31');
+    check('Coverage is checked as of a given date',
+        memberService.lookup('Margaret Olsen', '11/19/1958', new Date('2025-06-01')).status === 'found');
+
+    result = memberService.lookup('Dani Nguyen', '06/12/1992');
+    check('Several fuzzy matches are ambiguous', result.status === 'ambiguous' && result.matches.length === 2);
+    check('An exact match wins over fuzzy ones', memberService.lookup('Daniel Nguyen', '06/12/1992').member?.memberId === 'W100234882');
+
+    // Test 2: Unknown and inactive members do not get clinical questions
+    console.log('\n2. Greeting step');
+    let sessionId = conversationService.startSession().sessionId;
+    let response = await conversationService.runTurn(sessionId, 'Patient Peter Parker born 08/30/2001 requesting Humira');
+    let session = sessionService.getSession(sessionId);
+    check('Unknown member is refused', response.step === 'greeting' && response.message.includes("couldn't find"));
+    check('Name and date of birth are cleared for another try', session.memberName === null && session.dateOfBirth === null);
+
+    response = await conversationService.runTurn(sessionId, 'Sorry, it is John Smith born 03/15/1985');
+    session = sessionService.getSession(sessionId);
+    check('Corrected member moves on to the read-back', response.step === 'confirm_demographics' && session.memberId === 'W100234871');
+    check('Read-back includes the member ID and plan', response.message.includes('W100234871') && response.message.includes('Commercial PPO Gold'));
+
+    sessionId = conversationService.startSession().sessionId;
+    response = await conversationService.runTurn(sessionId, 'Patient Margaret Olsen born 11/19/1958 requesting Ozempic');
+    check('Inactive member is refused with the coverage end date', response.step === 'greeting' &&
+        response.message.includes('December 31, 2025') && !sessionService.getSession(sessionId).memberId);
+
+    // Test 3: Disambiguation
+    console.log('\n3. Disambiguation');
+    sessionId = conversationService.startSession().sessionId;
+    response = await conversationService.runTurn(sessionId, 'Dani Nguyen born 06/12/1992 requesting Humira');
+    check('Ambiguous match lists the candidates', response.needsClarification &&
+        response.message.includes('Daniel Nguyen') && response.message.includes('Danielle Nguyen'));
+
+    response = await conversationService.runTurn(sessionId, 'The one ending in 4883');
+    session = sessionService.getSession(sessionId);
+    check('Member ID digits pick the member', session.memberId === 'W100234883' && session.memberName === 'Danielle Nguyen');
+    check('Chosen member goes to the read-back', response.step === 'confirm_demographics');
+
+    response = await conversationService.runTurn(sessionId, 'Yes, that is correct');
+    check('Confirmed member moves on to the prescriber step', response.step === 'prescriber');
+    check('Report carries the member ID and plan', authService.getAuthorizationSummary(sessionId).memberId === 'W100234883');
+
+    sessionId = conversationService.startSession().sessionId;
+    await conversationService.runTurn(sessionId, 'Dani Nguyen born 06/12/1992 requesting Humira');
+    response = await conversationService.runTurn(sessionId, 'Hmm, not sure');
+    check('Unclear choice asks again', response.needsClarification && sessionService.getSession(sessionId).memberCandidates.length === 2);
+    await conversationService.runTurn(sessionId, 'Daniel');
+    check('First name picks the member', sessionService.getSession(sessionId).memberId === 'W100234882');
+
+    printResults();
+}
+
+testMemberEligibility().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
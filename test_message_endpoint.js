@@ -0,0 +1,117 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const sessionService = require('./services/sessionService');
+const voiceService = require('./services/voiceService');
+const voiceRoutes = require('./routes/voiceRoutes');
+const { createChecker } = require('./test_harness');
+
+async function testMessageEndpoint() {
+    console.log('🧪 Testing the text message endpoint...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Speech and uploads are written to a temp directory instead of ./temp and ./uploads
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'message-endpoint-'));
+    process.env.TEMP_DIR = path.join(tempDir, 'temp');
+    process.env.UPLOAD_DIR = path.join(tempDir, 'uploads');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/voice', voiceRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    const base = `http://localhost:${server.address().port}/api/voice`;
+    const post = (url, body) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        const { sessionId } = await (await post(`${base}/start`, {})).json();
+        const send = async (text) => (await post(`${base}/message/${sessionId}`, { text, skipTts: true })).json();
+
+        // Test 1: A session driven by typed messages
+        console.log('1. Conversation');
+        const greeting = await send('Patient John Smith born 03/15/1985 requesting Ozempic');
+        check('The typed text is echoed and the reply comes back as text only', greeting.text === 'Patient John Smith born 03/15/1985 requesting Ozempic' &&
+            greeting.sessionId === sessionId && greeting.textOnly === true && greeting.audioFile === null && Boolean(greeting.message));
+        check('Extracted details are returned', greeting.step === 'confirm_demographics' &&
+            greeting.extractedData.memberName === 'John Smith' && greeting.extractedData.drugName === 'Ozempic');
+
+        await send('Yes, that is correct');
+        await send('Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178');
+        const firstQuestion = await send('One 1 mg pen, 28 day supply');
+        check('The clinical questions follow', firstQuestion.step === 'question_flow' &&
+            firstQuestion.nextQuestion?.id === 'diagnosis' && firstQuestion.message.endsWith(firstQuestion.nextQuestion.text));
+
+        const decision = await send('Type 1 Diabetes');
+        check('The session reaches a decision', decision.step === 'complete' && decision.decision === 'deny' &&
+            sessionService.getSession(sessionId).decision === 'deny');
+
+        const history = sessionService.getSession(sessionId).conversationHistory;
+        check('Each message is recorded as a user turn and an assistant turn',
+            history.filter(turn => turn.speaker === 'user').map(turn => turn.message).includes('Type 1 Diabetes') &&
+            history[history.length - 1].message === decision.message);
+
+        // Test 2: Speech for the reply unless it is skipped
+        console.log('\n2. Speech synthesis');
+        const spoken = await (await post(`${base}/message/${sessionId}`, { text: 'Thank you' })).json();
+        check('Without skipTts the reply is synthesized', spoken.textOnly === false &&
+            await fs.pathExists(path.join(process.env.TEMP_DIR, spoken.audioFile)));
+        const skipped = await (await post(`${base}/message/${sessionId}?tts=false`, { text: 'Thank you' })).json();
+        check('?tts=false also skips synthesis', skipped.textOnly === true && skipped.audioFile === null);
+
+        // Test 3: Bad requests
+        console.log('\n3. Bad requests');
+        const turns = sessionService.getSession(sessionId).conversationHistory.length;
+        check('Empty text is a 400', (await post(`${base}/message/${sessionId}`, { text: '' })).status === 400);
+        check('Whitespace-only text is a 400', (await post(`${base}/message/${sessionId}`, { text: '   ' })).status === 400);
+        check('A missing text field is a 400', (await post(`${base}/message/${sessionId}`, { skipTts: true })).status === 400);
+        check('Rejected messages are not recorded', sessionService.getSession(sessionId).conversationHistory.length === turns);
+
+        const unknown = await post(`${base}/message/unknown-session`, { text: 'Hello', skipTts: true });
+        check('An unknown session is a 404', unknown.status === 404 && (await unknown.json()).error === 'Session not found');
+
+        // Test 4: A failed transcription is an error, not made-up input
+        console.log('\n4. Speech-to-text failure');
+        let transcriptionError = null;
+        try {
+            await voiceService.speechToText(path.join(tempDir, 'missing.wav'));
+        } catch (error) {
+            transcriptionError = error;
+        }
+        check('speechToText throws when the provider fails', transcriptionError?.message.startsWith('Failed to transcribe audio'));
+
+        // The local provider transcribes from a .txt sidecar; this upload has none
+        const audioSessionId = (await (await post(`${base}/start`, {})).json()).sessionId;
+        const form = new FormData();
+        form.append('audio', new Blob([Buffer.alloc(1024)], { type: 'audio/wav' }), 'clip.wav');
+        const processed = await fetch(`${base}/process/${audioSessionId}`, { method: 'POST', body: form });
+        const processedBody = await processed.json();
+        const audioSession = sessionService.getSession(audioSessionId);
+        check('An upload that cannot be transcribed is a 422', processed.status === 422 &&
+            processedBody.error === 'Could not transcribe audio' && !('transcribedText' in processedBody));
+        check('...and no user turn is recorded for it', audioSession.step === 'greeting' &&
+            !audioSession.conversationHistory.some(turn => turn.speaker === 'user'));
+        check('...and the upload is removed', (await fs.readdir(process.env.UPLOAD_DIR)).length === 0);
+    } finally {
+        server.close();
+        await fs.remove(tempDir);
+    }
+
+    printResults();
+}
+
+testMessageEndpoint().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,98 @@
+const sessionService = require('./services/sessionService');
+const authService = require('./services/authService');
+const numericAnswerService = require('./services/numericAnswerService');
+const { createChecker } = require('./test_harness');
+
+async function testNumericAnswers() {
+    console.log('🧪 Testing Numeric Answer Parsing...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    const question = (questionSetId, id) => sessionService.getQuestionSet(questionSetId).questions.find(item => item.id === id);
+    const a1c = question('diabetes_glp1', 'a1c_level');
+    const bmi = question('diabetes_glp1', 'bmi_level');
+    const age = question('jak_inhibitor', 'age_check');
+    const parse = (text, target, asOf) => numericAnswerService.parse(text, target, asOf);
+
+    // Test 1: Spoken numbers
+    console.log('1. Spoken numbers');
+    check('"eight point five percent" is 8.5', parse('eight point five percent', a1c).value === 8.5);
+    check('"seven point two five" reads decimal digits one by one', parse('seven point two five', a1c).value === 7.25);
+    check('"eight and a half" is 8.5', parse('eight and a half', a1c).value === 8.5);
+    check('"thirty-two" is 32', parse('thirty-two', bmi).value === 32);
+    check('"one hundred and two" is 102', parse('one hundred and two', age).value === 102);
+    check('"minus three" and "negative 3" keep the sign', parse('minus three', a1c).value === -3 &&
+        parse('negative 3', a1c).value === -3 && parse('negative two point five', a1c).value === -2.5);
+    check('A typed minus sign keeps the sign', parse('-3', a1c).value === -3 && parse('change of -1.5 from baseline', a1c).value === -1.5);
+    check('A dash between numbers is still a range', parse('7-8', a1c).range?.low === 7 && parse('between -3 and -1', a1c).range?.low === -3);
+
+    // Test 2: Numbers that are not the answer
+    console.log('\n2. Ignored numbers');
+    check('The digit in "A1C" is skipped', parse('A1C of 8.5', a1c).value === 8.5);
+    check('How long ago the lab was drawn is skipped', parse('A1C was 8.5 from 2 weeks ago', a1c).value === 8.5 &&
+        parse('2 weeks ago it was 8.5', a1c).value === 8.5);
+    check('Dates are skipped', parse('A1C 8.1 on 3/2/2024', a1c).value === 8.1);
+    check('No value is not numeric', parse('it was high', a1c).error === 'not_numeric');
+
+    // Test 3: Ranges
+    console.log('\n3. Ranges');
+    let parsed = parse('between 7 and 8', a1c);
+    check('A range on one side of the criteria uses its midpoint', parsed.value === 7.5 && parsed.range.low === 7 && parsed.range.high === 8);
+    check('"7 to 8" is a range', parse('7 to 8', a1c).range?.high === 8);
+    check('A range that straddles the criteria needs an exact value', parse('between 6 and 7', a1c).error === 'ambiguous_range');
+
+    // Test 4: Units
+    console.log('\n4. Unit conversion');
+    parsed = parse('69 mmol/mol', a1c);
+    check('A1C in mmol/mol is converted to percent', parsed.value === 8.5 && parsed.unit === '%' && parsed.conversion?.unit === 'mmol/mol');
+    check('Spoken mmol per mol is converted too', parse('fifty three mmol per mol', a1c).value === 7);
+
+    parsed = parse('250 pounds, 5 foot 10', bmi);
+    check('BMI is computed from weight in pounds and height in feet and inches', parsed.value === 35.9 &&
+        parsed.conversion?.from === 'weight and height');
+    check('BMI is computed from kilograms and centimeters', parse('110 kg and 175 cm', bmi).value === 35.9);
+
+    const asOf = new Date(2026, 9, 18);
+    parsed = parse('Born 03/15/1985', age, asOf);
+    check('Age is computed from a date of birth', parsed.value === 41 && parsed.conversion?.dateOfBirth === '1985-03-15');
+    check('Age waits for the birthday', parse('DOB December 1, 1985', age, asOf).value === 40);
+
+    // Test 5: Stored answers
+    console.log('\n5. Session and report');
+    let sessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(sessionId, 'ozempic');
+    await sessionService.processAnswer(sessionId, 'Type 2 Diabetes');
+    let result = await sessionService.processAnswer(sessionId, 'Sixty-nine mmol/mol');
+    let session = sessionService.getSession(sessionId);
+    check('The parsed value routes the question', session.answers.a1c_level === '8.5' && result.question?.id === 'current_medications');
+    check('The original text is stored with the value', session.answerDetails.a1c_level?.original === 'Sixty-nine mmol/mol' &&
+        session.answerDetails.a1c_level?.value === 8.5);
+
+    const report = authService.generateReport(sessionId);
+    const response = report.questionResponses.find(item => item.answer === '8.5');
+    check('The report shows the original text and unit', response?.originalText === 'Sixty-nine mmol/mol' && response?.unit === '%');
+
+    await sessionService.reviseAnswer(sessionId, 'diagnosis', 'Obesity');
+    check('Details are dropped with the answer', !sessionService.getSession(sessionId).answerDetails.a1c_level);
+
+    result = await sessionService.processAnswer(sessionId, 'between 29 and 31');
+    check('An ambiguous range asks for the exact value', result.action === 'clarification' && result.message.includes('exact value'));
+
+    sessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(sessionId, 'ozempic');
+    await sessionService.processAnswer(sessionId, 'Type 1 Diabetes');
+    session = sessionService.getSession(sessionId);
+    check('Non-numeric answers carry no details', Object.keys(session.answerDetails).length === 0);
+
+    printResults();
+}
+
+testNumericAnswers().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+const sessionService = require('./services/sessionService');
+const prescriberService = require('./services/prescriberService');
+const conversationService = require('./services/conversationService');
+const authService = require('./services/authService');
+const { createChecker } = require('./test_harness');
+
+async function testPrescriber() {
+    console.log('🧪 Testing Prescriber Capture...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    async function confirmedSession() {
+        const sessionId = conversationService.startSession().sessionId;
+        await conversationService.runTurn(sessionId, 'Patient John Smith born 03/15/1985 requesting humira');
+        const response = await conversationService.runTurn(sessionId, 'Yes, that is correct');
+        return { sessionId, response };
+    }
+
+    // Test 1: NPI check digit and directory
+    console.log('1. NPI validation');
+    check('Valid check digit passes', prescriberService.isValidNpi('1234567893'));
+    check('Wrong check digit fails', !prescriberService.isValidNpi('1234567890'));
+    check('Nine digits fail', !prescriberService.isValidNpi('123456789'));
+    check('Separators are ignored', prescriberService.isValidNpi('124-587-3017'));
+    check('Directory lookup returns the practice', prescriberService.lookup('1245873017')?.practice === 'Riverside Rheumatology Associates');
+    check('Valid NPI outside the directory is not found', prescriberService.lookup('1234567893') === null);
+
+    // Test 2: Extraction
+    console.log('\n2. Extraction');
+    let details = prescriberService.extractDetails('This is Dr. Sarah Chen from Riverside Rheumatology, NPI number is 124 587 3017, callback (312) 555-0142');
+    check('Name is extracted', details.name === 'Sarah Chen');
+    check('Practice is extracted', details.practice === 'Riverside Rheumatology');
+    check('Spaced NPI is extracted', details.npi === '1245873017');
+    check('Callback number is formatted', details.callbackNumber === '(312) 555-0142');
+    details = prescriberService.extractDetails('312 555 0199', 'callbackNumber');
+    check('Bare number answers the field that was asked for', details.callbackNumber === '(312) 555-0199' && details.npi === null);
+
+    // Test 3: Prescriber step
+    console.log('\n3. Conversation');
+    let { sessionId, response } = await confirmedSession();
+    check('Confirmation asks for the prescriber', response.step === 'prescriber' && response.message.includes('NPI'));
+
+    response = await conversationService.runTurn(sessionId, 'This is Dr. Sarah Chen');
+    check('Missing NPI is asked for by name', response.step === 'prescriber' && response.message.includes("Dr. Chen's"));
+
+    response = await conversationService.runTurn(sessionId, '1234567890');
+    check('Bad check digit is rejected', response.needsClarification && response.message.includes("doesn't look right"));
+
+    response = await conversationService.runTurn(sessionId, '124 587 3017');
+    check('Verified NPI asks for the callback number', response.message.includes('Riverside Rheumatology Associates') &&
+        response.message.includes('callback'));
+
+    response = await conversationService.runTurn(sessionId, '312 555 0142');
+    check('Callback number moves on to the requested product', response.step === 'product' && response.message.startsWith('Thank you, Dr. Chen.'));
+
+    const summary = authService.getAuthorizationSummary(sessionId);
+    check('Prescriber is in the authorization summary', summary.prescriber && summary.prescriber.npi === '1245873017' &&
+        summary.prescriber.verified === true && summary.prescriber.callbackNumber === '(312) 555-0142' &&
+        summary.prescriber.specialty === 'Rheumatology');
+    check('Verified prescriber passes validation', !summary.validation.errors.some(error => error.includes('prescriber')));
+
+    ({ sessionId } = await confirmedSession());
+    response = await conversationService.runTurn(sessionId, 'Dr. Priya Raman, NPI 1245873017');
+    check('NPI registered to someone else is questioned', response.message.includes('registered to Dr. Sarah Chen') &&
+        !sessionService.getSession(sessionId).prescriber.npi);
+
+    response = await conversationService.runTurn(sessionId, 'Sorry, it is 1468023571, callback 773-555-0119');
+    check('Corrected NPI with callback completes the step in one turn', response.step === 'product' &&
+        sessionService.getSession(sessionId).prescriber.practice === 'Northgate Digestive Health');
+
+    // Test 4: NPIs that cannot be verified
+    console.log('\n4. Unverified prescribers');
+    ({ sessionId } = await confirmedSession());
+    response = await conversationService.runTurn(sessionId, '1234567893');
+    check('NPI outside the directory is questioned once', response.needsClarification && response.message.includes("couldn't find"));
+
+    response = await conversationService.runTurn(sessionId, '1234567893');
+    check('The same NPI again goes on unverified', response.step === 'prescriber' &&
+        response.message.includes('unverified') && response.message.includes('callback'));
+
+    response = await conversationService.runTurn(sessionId, '312 555 0142');
+    check('Unverified prescriber reaches the product step', response.step === 'product' &&
+        sessionService.getSession(sessionId).prescriber.verified === false);
+    check('Unverified prescriber is flagged by validation',
+        authService.validateSessionData(sessionId).errors.includes('Verified prescriber NPI is required'));
+
+    ({ sessionId } = await confirmedSession());
+    await conversationService.runTurn(sessionId, '1234567890');
+    response = await conversationService.runTurn(sessionId, '1234567891');
+    check('A second malformed NPI is transferred', response.step === 'transferred' &&
+        sessionService.getSession(sessionId).step === 'transferred');
+
+    ({ sessionId } = await confirmedSession());
+    response = await conversationService.runTurn(sessionId, 'Can I talk to a representative?');
+    check('A transfer request is honored at the prescriber step', response.step === 'transferred' && response.action === 'transfer');
+
+    ({ sessionId } = await confirmedSession());
+    response = await conversationService.runTurn(sessionId, 'Hold on, let me pull up the NPI');
+    check('A hold request waits for the NPI', response.step === 'prescriber' && response.message.includes('take your time'));
+    response = await conversationService.runTurn(sessionId, 'Okay, it is 124 587 3017');
+    check('...and the NPI given afterwards is verified', sessionService.getSession(sessionId).prescriber.verified === true &&
+        response.message.includes('callback'));
+
+    printResults();
+}
+
+testPrescriber().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,86 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const LocalProvider = require('./services/providers/localProvider');
+const providers = require('./services/providers');
+const { createChecker } = require('./test_harness');
+
+async function testProviders() {
+    console.log('🧪 Testing AI Providers...\n');
+
+    const { check, printResults } = createChecker();
+
+    // Test 1: Provider selection
+    console.log('1. Provider selection');
+    const originalProvider = process.env.AI_PROVIDER;
+    const originalKey = process.env.OPENAI_API_KEY;
+    delete process.env.AI_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+    check('Local stub is used without an API key', providers.getProviderName() === 'local');
+    process.env.AI_PROVIDER = 'local';
+    providers.reset();
+    check('AI_PROVIDER=local selects the local stub', providers.get().name === 'local');
+    process.env.AI_PROVIDER = 'nonexistent';
+    providers.reset();
+    let unknownError = null;
+    try {
+        providers.get();
+    } catch (error) {
+        unknownError = error;
+    }
+    check('Unknown providers are rejected', unknownError && unknownError.message.includes('nonexistent'));
+    if (originalProvider === undefined) delete process.env.AI_PROVIDER; else process.env.AI_PROVIDER = originalProvider;
+    if (originalKey !== undefined) process.env.OPENAI_API_KEY = originalKey;
+    providers.reset();
+
+    const local = new LocalProvider();
+
+    // Test 2: Chat tasks
+    console.log('\n2. Chat tasks');
+    const demographics = JSON.parse(await local.chat({
+        task: 'extract_demographics',
+        messages: [{ role: 'user', content: 'The patient is John Smith born March 15, 1985 requesting Ozempic' }]
+    }));
+    check('Name is extracted', demographics.memberName === 'John Smith');
+    check('Spelled-out date is extracted in ISO form', demographics.dateOfBirth === '1985-03-15');
+    check('Drug is extracted', demographics.drugName === 'Ozempic');
+
+    const options = ['Rheumatoid Arthritis', 'Psoriatic Arthritis', 'Ankylosing Spondylitis', 'Psoriasis', "Crohn's Disease"];
+    const abbreviated = JSON.parse(await local.chat({ task: 'match_option', input: 'RA', context: { options } }));
+    check('Abbreviations match their option', abbreviated.matched && abbreviated.option === 'Rheumatoid Arthritis');
+    const ambiguous = JSON.parse(await local.chat({ task: 'match_option', input: 'arthritis', context: { options } }));
+    check('Ambiguous answers are not matched', !ambiguous.matched);
+
+    check('Yes/no classification', await local.chat({ task: 'classify_yes_no', input: 'yeah they did' }) === 'Yes' &&
+        await local.chat({ task: 'classify_yes_no', input: 'nope' }) === 'No');
+
+    // Test 3: Speech
+    console.log('\n3. Speech');
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-provider-'));
+    try {
+        const audioFile = path.join(directory, 'turn1.wav');
+        await fs.writeFile(audioFile, local.createSilentWav(0.5));
+        await fs.writeFile(path.join(directory, 'turn1.txt'), 'Type 2 diabetes\n');
+        check('Transcript is read from the sidecar file', await local.transcribe(audioFile) === 'Type 2 diabetes');
+
+        let missingError = null;
+        try {
+            await local.transcribe(path.join(directory, 'turn2.wav'));
+        } catch (error) {
+            missingError = error;
+        }
+        check('Missing sidecar fails instead of inventing text', missingError !== null);
+    } finally {
+        await fs.remove(directory);
+    }
+
+    const speech = await local.synthesize({ text: 'What is the primary diagnosis?' });
+    check('Synthesized speech is a WAV file', speech.toString('ascii', 0, 4) === 'RIFF' && speech.toString('ascii', 8, 12) === 'WAVE');
+
+    printResults();
+}
+
+testProviders().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
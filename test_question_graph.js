@@ -0,0 +1,73 @@
+const sessionService = require('./services/sessionService');
+const questionGraphService = require('./services/questionGraphService');
+const { createChecker } = require('./test_harness');
+
+async function testQuestionGraph() {
+    console.log('🧪 Testing Question Graph Routing...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Test 1: Type 2 diabetes skips the BMI question
+    console.log('1. Type 2 Diabetes path');
+    const sessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(sessionId, 'ozempic');
+    await sessionService.processAnswer(sessionId, 'Type 2 Diabetes');
+    check('A1C is asked after Type 2 Diabetes', sessionService.getCurrentQuestion(sessionId).id === 'a1c_level');
+    await sessionService.processAnswer(sessionId, '7.8');
+    check('BMI is skipped after A1C', sessionService.getCurrentQuestion(sessionId).id === 'current_medications');
+
+    // Test 2: Obesity routes to BMI
+    console.log('\n2. Obesity path');
+    const obesitySessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(obesitySessionId, 'ozempic');
+    await sessionService.processAnswer(obesitySessionId, 'Obesity');
+    check('BMI is asked after Obesity', sessionService.getCurrentQuestion(obesitySessionId).id === 'bmi_level');
+
+    // Test 3: "no" to current medications skips the medication list
+    console.log('\n3. Yes/no branching and string next values');
+    await sessionService.processAnswer(obesitySessionId, '34');
+    await sessionService.processAnswer(obesitySessionId, 'no');
+    check('Medication list is skipped on "no"', sessionService.getCurrentQuestion(obesitySessionId).id === 'step_1_required');
+    await sessionService.processAnswer(obesitySessionId, 'yes');
+    await sessionService.processAnswer(obesitySessionId, 'Failed metformin after six months');
+    check('Text question follows its string next', sessionService.getCurrentQuestion(obesitySessionId).id === 'contraindications');
+    const result = await sessionService.processAnswer(obesitySessionId, 'no');
+    check('Flow completes with approval', result.action === 'complete' && result.decision === 'approve');
+
+    const session = sessionService.getSession(obesitySessionId);
+    check('Visited path is recorded', session.questionPath.join(',') ===
+        'diagnosis,bmi_level,current_medications,step_1_required,step_1_failure,contraindications');
+
+    // Test 4: Load-time validation
+    console.log('\n4. Question set validation');
+    const danglingErrors = questionGraphService.validateQuestionSet('dangling', {
+        questions: [
+            { id: 'q1', type: 'yes_no', next: { yes: 'q2', no: 'deny' } },
+            { id: 'q2', type: 'text', next: 'missing_question' }
+        ]
+    });
+    check('Dangling question IDs are reported', danglingErrors.some(error => error.includes('missing_question')));
+
+    const cycleErrors = questionGraphService.validateQuestionSet('cyclic', {
+        questions: [
+            { id: 'q1', type: 'yes_no', next: { yes: 'q2', no: 'deny' } },
+            { id: 'q2', type: 'text', next: 'q1' }
+        ]
+    });
+    check('Cycles are reported', cycleErrors.some(error => error.includes('cycle')));
+
+    const shippedErrors = sessionService.validateQuestionSets(sessionService.questionsData);
+    check('Shipped question sets are valid', shippedErrors.length === 0);
+
+    printResults();
+}
+
+testQuestionGraph().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,218 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const sessionService = require('./services/sessionService');
+const schemaService = require('./services/schemaService');
+const questionGraphService = require('./services/questionGraphService');
+const questionSetService = require('./services/questionSetService');
+const versionService = require('./services/versionService');
+const adminRoutes = require('./routes/adminRoutes');
+const { createChecker } = require('./test_harness');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+const migraineSet = {
+    id: 'migraine_cgrp',
+    name: 'Migraine Prevention (CGRP)',
+    questions: [
+        {
+            id: 'migraine_days',
+            text: 'How many migraine days does the patient have per month?',
+            type: 'numeric',
+            validation: { range: { min: 0, max: 31 } },
+            next: { range: { min: 4, next: 'prior_triptan' }, default: 'deny' }
+        },
+        {
+            id: 'prior_triptan',
+            text: 'Has the patient tried a triptan?',
+            type: 'yes_no',
+            next: { yes: 'approve', no: 'deny' }
+        }
+    ]
+};
+
+async function testQuestionSets() {
+    console.log('🧪 Testing question set schemas and authoring API...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Schemas
+    check('The shipped data files match their schemas',
+        schemaService.validate('questions', sessionService.questionsData).length === 0 &&
+        schemaService.validate('drugs', sessionService.drugsData).length === 0);
+
+    const wrongType = clone(sessionService.questionsData);
+    wrongType.questionSets.diabetes_glp1.questions[1].type = 'number';
+    delete wrongType.questionSets.diabetes_glp1.questions[1].text;
+    const typeErrors = schemaService.validate('questions', wrongType);
+    check('Schema errors name the question set and question by ID', typeErrors.length === 2 &&
+        typeErrors.includes('questions.json: questionSets.diabetes_glp1.questions[a1c_level].type must be one of: yes_no, numeric, multiple_choice, text') &&
+        typeErrors.includes('questions.json: questionSets.diabetes_glp1.questions[a1c_level] is missing required property "text"'));
+
+    const wrongRoute = clone(sessionService.questionsData);
+    wrongRoute.questionSets.diabetes_glp1.questions[0].next = 42;
+    check('A malformed route is reported once with what a route can be',
+        JSON.stringify(schemaService.validate('questions', wrongRoute)) === JSON.stringify([
+            'questions.json: questionSets.diabetes_glp1.questions[diagnosis].next must be a question ID or outcome, or an object routing answers to them'
+        ]));
+
+    const wrongDrug = clone(sessionService.drugsData);
+    wrongDrug.drugs[0].products[0].ndc = '169-4132';
+    wrongDrug.drugs[0].colour = 'blue';
+    const drugErrors = schemaService.validate('drugs', wrongDrug);
+    check('The drugs schema catches a malformed NDC and unknown fields', drugErrors.length === 2 &&
+        drugErrors.some(error => error.includes('products[0].ndc "169-4132" does not match the expected format')) &&
+        drugErrors.some(error => error.endsWith('has unknown property "colour"')));
+
+    // Routes that do not fit the question type
+    const unrouted = clone(sessionService.questionsData.questionSets.diabetes_glp1);
+    delete unrouted.questions[0].next.Other;
+    unrouted.questions[0].next['Type 3 Diabetes'] = 'deny';
+    const routeErrors = questionGraphService.validateQuestionSet('diabetes_glp1', unrouted);
+    check('Every multiple choice option needs a route (or a default)',
+        routeErrors.includes('diabetes_glp1: question "diagnosis" has no route for option "Other" (route it, set it to null or add a default)') &&
+        routeErrors.includes('diabetes_glp1: question "diagnosis" routes "Type 3 Diabetes", which is not one of its options'));
+
+    unrouted.questions[0].next = { ...sessionService.questionsData.questionSets.diabetes_glp1.questions[0].next, Other: null };
+    check('A null route ends the path for that option',
+        questionGraphService.validateQuestionSet('diabetes_glp1', unrouted).length === 0);
+
+    const inverted = clone(migraineSet);
+    inverted.questions[0].next.range = { min: 40, max: 50, next: 'prior_triptan' };
+    check('A numeric route no accepted answer can reach is reported',
+        questionGraphService.validateQuestionSet('migraine_cgrp', inverted)
+            .includes('migraine_cgrp: question "migraine_days" routes answers from 40 to 50, which it never accepts (0 to 31)'));
+
+    // Authoring API, writing to a copy of questions.json and data/versions
+    const originalData = sessionService.questionsData;
+    const originalVersions = versionService.directory;
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'question-sets-'));
+    questionSetService.questionsPath = path.join(tempDir, 'questions.json');
+    versionService.directory = path.join(tempDir, 'versions');
+    await fs.copy(originalVersions, versionService.directory);
+    await fs.writeJson(questionSetService.questionsPath, originalData, { spaces: 2 });
+
+    process.env.ADMIN_API_TOKEN = 'test-admin-token';
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    const server = http.createServer(app).listen(0);
+    const base = `http://127.0.0.1:${server.address().port}/api/admin/question-sets`;
+    const send = (method, url, body, headers = auth) => fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    try {
+        check('Admin requests without the token are refused', (await fetch(base)).status === 401 &&
+            (await fetch(base, { headers: { Authorization: 'Bearer wrong-token' } })).status === 401 &&
+            (await send('DELETE', `${base}/diabetes_glp1`, undefined, {})).status === 401 &&
+            sessionService.getQuestionSet('diabetes_glp1') !== null);
+        delete process.env.ADMIN_API_TOKEN;
+        check('Admin routes are closed while no token is configured', (await fetch(base, { headers: auth })).status === 503);
+        process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+        const list = await (await fetch(base, { headers: auth })).json();
+        const glp1 = list.questionSets.find(entry => entry.id === 'diabetes_glp1');
+        check('Question sets are listed with the drug indications that use them',
+            glp1?.questions === 8 && glp1.usedBy.some(use => use.drugId === 'ozempic' && use.indicationId === 'type_2_diabetes'));
+
+        check('An unknown question set is a 404', (await fetch(`${base}/migraine_cgrp`, { headers: auth })).status === 404);
+
+        const created = await send('POST', base, migraineSet);
+        const saved = await fs.readJson(questionSetService.questionsPath);
+        check('A valid question set is created, saved and served without a restart', created.status === 201 &&
+            saved.questionSets.migraine_cgrp?.questions.length === 2 &&
+            sessionService.getQuestionSet('migraine_cgrp')?.name === 'Migraine Prevention (CGRP)' &&
+            (await fetch(`${base}/migraine_cgrp`, { headers: auth })).status === 200);
+
+        check('Creating an existing question set is a 409', (await send('POST', base, migraineSet)).status === 409);
+
+        const dangling = clone(migraineSet);
+        dangling.id = 'migraine_dangling';
+        dangling.questions[1].next.yes = 'prior_gepant';
+        const danglingResponse = await send('POST', base, dangling);
+        const danglingBody = await danglingResponse.json();
+        check('A question set with a dangling route is refused with the errors', danglingResponse.status === 422 &&
+            danglingBody.code === 'invalid_question_set' &&
+            danglingBody.errors.some(error => error.includes('"prior_gepant"')) &&
+            !sessionService.getQuestionSet('migraine_dangling'));
+
+        const noId = await send('POST', base, { ...migraineSet, id: undefined });
+        check('Creating without an ID is a 400', noId.status === 400);
+
+        // Hot reload of a set in use
+        const reworded = clone(originalData.questionSets.diabetes_glp1);
+        reworded.questions[0].text = 'What diagnosis is the medication prescribed for?';
+        delete reworded.version; // Becomes the next version
+        const replaced = await send('PUT', `${base}/diabetes_glp1`, reworded);
+        const sessionId = sessionService.createSession();
+        sessionService.initializeQuestionFlow(sessionId, 'ozempic');
+        check('A replaced question set is used by the next session', replaced.status === 200 &&
+            sessionService.getCurrentQuestion(sessionId).text === 'What diagnosis is the medication prescribed for?');
+
+        const badReplace = clone(reworded);
+        badReplace.questions[0].type = 'choice';
+        const badReplaceResponse = await send('PUT', `${base}/diabetes_glp1`, badReplace);
+        const badReplaceBody = await badReplaceResponse.json();
+        check('A replacement that breaks the schema is refused and the set is kept', badReplaceResponse.status === 422 &&
+            badReplaceBody.errors[0].startsWith('questions.json: questionSets.diabetes_glp1.questions[diagnosis].type') &&
+            sessionService.getQuestionSet('diabetes_glp1').questions[0].type === 'multiple_choice');
+
+        check('Replacing an unknown question set is a 404',
+            (await send('PUT', `${base}/migraine_acute`, { ...migraineSet, id: undefined })).status === 404);
+        check('A body ID that differs from the URL is a 400',
+            (await send('PUT', `${base}/diabetes_glp1`, { ...reworded, id: 'other' })).status === 400);
+
+        const inUse = await send('DELETE', `${base}/diabetes_glp1`);
+        check('A question set a drug indication uses cannot be deleted', inUse.status === 409 &&
+            (await inUse.json()).error.includes('ozempic (type_2_diabetes)'));
+
+        const deleted = await send('DELETE', `${base}/migraine_cgrp`);
+        check('An unused question set is deleted', deleted.status === 204 && !sessionService.getQuestionSet('migraine_cgrp') &&
+            !(await fs.readJson(questionSetService.questionsPath)).questionSets.migraine_cgrp);
+
+        // Changes made at the same time are applied one after the other
+        const second = { ...clone(migraineSet), id: 'migraine_second' };
+        const [first, other] = await Promise.all([send('POST', base, migraineSet), send('POST', base, second)]);
+        const both = (await fs.readJson(questionSetService.questionsPath)).questionSets;
+        check('Concurrent changes are both saved', first.status === 201 && other.status === 201 &&
+            Boolean(both.migraine_cgrp) && Boolean(both.migraine_second));
+
+        // Reloading an edit made on disk
+        const edited = await fs.readJson(questionSetService.questionsPath);
+        delete edited.questionSets.migraine_second;
+        await fs.writeJson(questionSetService.questionsPath, edited, { spaces: 2 });
+        const reloaded = await send('POST', `${base}/reload`);
+        check('Reloading picks up an edit made on disk', reloaded.status === 200 &&
+            !sessionService.getQuestionSet('migraine_second') && Boolean(sessionService.getQuestionSet('migraine_cgrp')));
+
+        edited.questionSets.migraine_cgrp.questions[0].next.range.max = 1;
+        await fs.writeJson(questionSetService.questionsPath, edited, { spaces: 2 });
+        const refused = await send('POST', `${base}/reload`);
+        check('An invalid file on disk is not reloaded', refused.status === 422 &&
+            sessionService.getQuestionSet('migraine_cgrp').questions[0].next.range.max === undefined);
+    } finally {
+        server.close();
+        delete process.env.ADMIN_API_TOKEN;
+        sessionService.questionsData = originalData;
+        versionService.directory = originalVersions;
+        await fs.remove(tempDir);
+    }
+
+    printResults();
+}
+
+testQuestionSets().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+});
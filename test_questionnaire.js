@@ -0,0 +1,190 @@
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sessionService = require('./services/sessionService');
+const questionnaireService = require('./services/questionnaireService');
+const questionGraphService = require('./services/questionGraphService');
+const { createChecker } = require('./test_harness');
+
+// A payer Questionnaire in the Da Vinci DTR style: groups, display text, coded answers,
+// numeric thresholds in enableWhen and CQL that has no counterpart in question sets
+const HOME_OXYGEN = {
+    resourceType: 'Questionnaire',
+    id: 'home-oxygen',
+    url: 'http://payer.example/fhir/Questionnaire/home-oxygen',
+    name: 'HomeOxygenTherapy',
+    title: 'Home Oxygen Therapy Requirements',
+    status: 'draft',
+    extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/cqf-library', valueCanonical: 'http://payer.example/fhir/Library/HomeOxygen' }],
+    item: [
+        { linkId: 'intro', type: 'display', text: 'Complete this form for home oxygen requests.' },
+        {
+            linkId: '1',
+            type: 'group',
+            text: 'Clinical findings',
+            item: [
+                {
+                    linkId: '1.1',
+                    text: 'What is the qualifying diagnosis?',
+                    type: 'choice',
+                    required: true,
+                    answerOption: [
+                        { valueCoding: { system: 'http://snomed.info/sct', code: '13645005', display: 'COPD' } },
+                        { valueCoding: { code: 'other', display: 'Other' } }
+                    ]
+                },
+                {
+                    linkId: '1.2',
+                    text: 'What is the resting oxygen saturation?',
+                    type: 'decimal',
+                    required: true,
+                    enableWhen: [{ question: '1.1', operator: '=', answerCoding: { system: 'http://snomed.info/sct', code: '13645005' } }],
+                    extension: [
+                        { url: 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit', valueCoding: { system: 'http://unitsofmeasure.org', code: '%' } },
+                        { url: 'http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire-initialExpression', valueExpression: { language: 'text/cql', expression: 'LatestSpO2' } }
+                    ]
+                },
+                {
+                    linkId: '1.3',
+                    text: 'Was the saturation measured on room air?',
+                    type: 'boolean',
+                    enableWhen: [{ question: '1.2', operator: '<=', answerDecimal: 88 }]
+                }
+            ]
+        },
+        { linkId: '2', text: 'Describe the testing conditions.', type: 'string', enableWhen: [{ question: '1.3', operator: '=', answerBoolean: true }] },
+        { linkId: '3', text: 'Which supplier will provide the oxygen?', type: 'reference' },
+        { linkId: '4', text: 'Does the patient use oxygen during sleep?', type: 'boolean', required: true },
+        {
+            linkId: '5',
+            type: 'group',
+            enableWhen: [{ question: '4', operator: '=', answerBoolean: true }],
+            item: [{ linkId: '5.1', text: 'How many hours per night?', type: 'integer' }]
+        }
+    ]
+};
+
+async function testQuestionnaire() {
+    console.log('🧪 Testing FHIR Questionnaire Import and Export...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    const questionSets = sessionService.questionsData.questionSets;
+
+    // Test 1: Export
+    console.log('1. Export');
+    check('Every question set exports as a valid Questionnaire', Object.entries(questionSets)
+        .every(([id, questionSet]) => questionnaireService.toQuestionnaire(id, questionSet).errors.length === 0));
+
+    const glp1 = questionnaireService.toQuestionnaire('diabetes_glp1', questionSets.diabetes_glp1);
+    const item = (questionnaire, linkId) => questionnaire.item.find(entry => entry.linkId === linkId);
+    const a1c = item(glp1.questionnaire, 'a1c_level');
+    check('Types, options and units map to Questionnaire items', item(glp1.questionnaire, 'diagnosis').type === 'choice' &&
+        item(glp1.questionnaire, 'diagnosis').answerOption[0].valueCoding.display === 'Type 2 Diabetes' &&
+        a1c.type === 'decimal' && a1c.extension[0].valueCoding.code === '%' &&
+        item(glp1.questionnaire, 'current_medications').type === 'boolean');
+    check('Branches become enableWhen on the question they lead to', a1c.enableWhen.length === 1 &&
+        a1c.enableWhen[0].question === 'diagnosis' && a1c.enableWhen[0].answerCoding.display === 'Type 2 Diabetes');
+
+    const jak = questionnaireService.toQuestionnaire('jak_inhibitor', questionSets.jak_inhibitor);
+    const screening = item(jak.questionnaire, 'infection_screening');
+    check('A numeric range becomes an all-of pair of comparisons', screening.enableBehavior === 'all' &&
+        screening.enableWhen.map(condition => `${condition.operator}${condition.answerDecimal}`).join(' ') === '>=18 <=65');
+    check('Terminal outcomes and decision rules are reported', glp1.unmapped.some(entry => entry.includes('"Type 1 Diabetes" to the "deny" outcome')) &&
+        glp1.unmapped.includes('8 decision rule(s) are not part of the Questionnaire'));
+    check('Ranges that cannot be combined are reported', glp1.unmapped.some(entry => entry.startsWith('The range on "a1c_level" leading to "current_medications"')));
+
+    // Test 2: Import
+    console.log('\n2. Import');
+    const imported = questionnaireService.fromQuestionnaire(HOME_OXYGEN);
+    const questions = imported.questionSet.questions;
+    const question = id => questions.find(entry => entry.id === id);
+    check('Groups are flattened and display items skipped', imported.questionSetId === 'home_oxygen_therapy' &&
+        questions.map(entry => entry.id).join() === 'q_1_1,q_1_2,q_1_3,q_2,q_3,q_4,q_5_1');
+    check('Item types, options and units map to questions', question('q_1_1').type === 'multiple_choice' &&
+        question('q_1_1').options.join() === 'COPD,Other' && question('q_1_2').type === 'numeric' &&
+        question('q_1_2').unit === '%' && question('q_1_3').type === 'yes_no' && question('q_2').type === 'text');
+    check('Coded answers route to the items they enable', question('q_1_1').next.COPD === 'q_1_2' && question('q_1_1').next.Other === 'q_3');
+    check('Numeric comparisons become a range', JSON.stringify(question('q_1_2').next) === '{"range":{"max":88,"next":"q_1_3"},"default":"q_3"}');
+    check('A group\'s enableWhen carries onto its questions', JSON.stringify(question('q_4').next) === '{"yes":"q_5_1"}' &&
+        question('q_5_1').next === undefined);
+    check('The imported set is valid', imported.errors.length === 0 &&
+        sessionService.validateQuestionSets({ questionSets: { [imported.questionSetId]: imported.questionSet } }).length === 0);
+
+    const walk = answers => questionGraphService.walk(questions, answers).path.join();
+    check('The routing follows the Questionnaire', walk({ q_1_1: 'COPD', q_1_2: '86', q_1_3: 'yes', q_2: 'at rest', q_3: 'Acme', q_4: 'no' }) ===
+        'q_1_1,q_1_2,q_1_3,q_2,q_3,q_4' && walk({ q_1_1: 'COPD', q_1_2: '93', q_3: 'Acme', q_4: 'no' }) === 'q_1_1,q_1_2,q_3,q_4');
+    check('Unsupported constructs are reported', ['Questionnaire.extension', 'Display item "intro"', 'sdc-questionnaire-initialExpression',
+        'Item "3" has type "reference"'].every(text => imported.unmapped.some(entry => entry.includes(text))));
+
+    let importError = null;
+    try {
+        questionnaireService.fromQuestionnaire({ resourceType: 'Patient' });
+    } catch (error) {
+        importError = error;
+    }
+    check('Other resources are rejected', importError && importError.message.includes('Questionnaire'));
+
+    // Test 3: Round trip
+    console.log('\n3. Round trip');
+    // Routes to outcomes are dropped on export, so compare the routes between questions
+    // (multiple choice options keep theirs as null so every option stays routed)
+    const betweenQuestions = question => {
+        const next = question.next;
+        if (!next) return undefined;
+        if (typeof next === 'string') return questionGraphService.isTerminal(next) ? undefined : next;
+        const routes = {};
+        Object.entries(next).forEach(([key, target]) => {
+            if (key === 'range') {
+                const { next: rangeTarget, ...bounds } = target;
+                routes.range = questionGraphService.isTerminal(rangeTarget) ? bounds : target;
+            } else if (!questionGraphService.isTerminal(target)) {
+                routes[key] = target;
+            } else if (question.type === 'multiple_choice') {
+                routes[key] = null;
+            }
+        });
+        return Object.values(routes).some(target => target) ? routes : undefined;
+    };
+
+    const problems = [];
+    Object.entries(questionSets).forEach(([id, questionSet]) => {
+        const result = questionnaireService.roundTrip(id, questionSet);
+        questionSet.questions.forEach(original => {
+            const copy = result.questionSet.questions.find(entry => entry.id === original.id);
+            const same = field => JSON.stringify(original[field]) === JSON.stringify(copy?.[field]);
+            if (!copy || !['text', 'type', 'options', 'unit', 'required'].every(same)) {
+                problems.push(`${id}.${original.id}`);
+            } else if (questionnaireService.stableStringify(betweenQuestions(original)) !== questionnaireService.stableStringify(copy.next) &&
+                !result.unmapped.some(entry => entry.startsWith(`The range on "${original.id}"`))) {
+                problems.push(`${id}.${original.id} next`);
+            }
+        });
+    });
+    check('Questions and the routes between them survive the round trip', problems.length === 0);
+    if (problems.length > 0) console.log(`      ${problems.join(', ')}`);
+
+    const cli = args => execFileSync(process.execPath, [path.join(__dirname, 'questionnaire.js'), ...args],
+        { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env, AI_PROVIDER: 'local' } });
+    const report = cli(['roundtrip', 'ibd_biologic']);
+    check('The CLI reports what a round trip could not map', report.includes('Round trip of "ibd_biologic"') &&
+        report.includes('9 decision rule(s) are not part of the Questionnaire') && report.includes('Differences after the round trip'));
+
+    const file = path.join(os.tmpdir(), `questionnaire-${process.pid}.json`);
+    cli(['export', 'ibd_jak', file]);
+    const reimported = JSON.parse(cli(['import', file, '--id', 'ibd_jak_copy']));
+    check('The CLI imports an exported Questionnaire', reimported.ibd_jak_copy.questions.length === questionSets.ibd_jak.questions.length);
+    require('fs').unlinkSync(file);
+
+    printResults();
+}
+
+testQuestionnaire().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
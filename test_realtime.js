@@ -0,0 +1,149 @@
+const http = require('http');
+const fs = require('fs-extra');
+const WebSocket = require('ws');
+
+process.env.REALTIME_PARTIAL_INTERVAL_MS = '50';
+process.env.HOLD_CHECK_IN_SECONDS = '0.2';
+
+const providers = require('./services/providers');
+const LocalProvider = require('./services/providers/localProvider');
+const sessionService = require('./services/sessionService');
+const realtimeService = require('./services/realtimeService');
+const { createChecker } = require('./test_harness');
+
+// Offline provider whose "audio" is the UTF-8 transcript itself
+class ScriptedProvider extends LocalProvider {
+    async transcribe(audioFilePath) {
+        return (await fs.readFile(audioFilePath, 'utf8')).trim();
+    }
+}
+
+async function testRealtime() {
+    console.log('🧪 Testing Realtime WebSocket Protocol...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    providers.register('scripted', () => new ScriptedProvider());
+    process.env.AI_PROVIDER = 'scripted';
+    providers.reset();
+
+    const { check, printResults } = createChecker();
+
+    const server = http.createServer();
+    const wss = new WebSocket.Server({ server, path: '/ws' });
+    realtimeService.attach(wss);
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const ws = new WebSocket(`ws://localhost:${server.address().port}/ws`);
+    const received = [];
+    let waiter = null;
+    ws.on('message', data => {
+        received.push(JSON.parse(data.toString()));
+        if (waiter) waiter();
+    });
+
+    // Resolve once a message matching the predicate has arrived after `from`
+    const waitFor = (predicate, from = 0) => new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Timed out waiting for message')), 5000);
+        const scan = () => {
+            const match = received.slice(from).find(predicate);
+            if (match) {
+                clearTimeout(timeout);
+                waiter = null;
+                resolve(match);
+            }
+        };
+        waiter = scan;
+        scan();
+    });
+    const send = message => ws.send(JSON.stringify(message));
+
+    try {
+        await new Promise(resolve => ws.on('open', resolve));
+
+        // Test 1: Session start streams greeting text, state and audio
+        console.log('1. Session start');
+        send({ type: 'session.start' });
+        const started = await waitFor(message => message.type === 'session.started');
+        await waitFor(message => message.type === 'audio.end');
+        check('Session is created', Boolean(sessionService.getSession(started.sessionId)));
+        check('Greeting text is sent', received.some(message => message.type === 'assistant.text' && message.text.includes('Casey')));
+        check('State reports the greeting step', received.some(message => message.type === 'state' && message.step === 'greeting'));
+        check('Greeting audio arrives in chunks', received.some(message => message.type === 'audio.chunk' && message.mimeType === 'audio/wav'));
+
+        // Test 2: Streamed audio produces partial and final transcripts
+        console.log('\n2. Streamed audio turn');
+        let from = received.length;
+        send({ type: 'audio.chunk', mimeType: 'audio/webm', data: Buffer.from('John Smith born 03/15/1985 ').toString('base64') });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        send({ type: 'audio.chunk', mimeType: 'audio/webm', data: Buffer.from('requesting Ozempic').toString('base64') });
+        const partial = await waitFor(message => message.type === 'transcript.partial', from);
+        send({ type: 'audio.commit' });
+        const final = await waitFor(message => message.type === 'transcript.final', from);
+        const state = await waitFor(message => message.type === 'state', from);
+        await waitFor(message => message.type === 'audio.end', from);
+        check('Partial transcript is sent while audio streams', partial.text.startsWith('John Smith'));
+        check('Final transcript covers the whole utterance', final.text === 'John Smith born 03/15/1985 requesting Ozempic');
+        check('State carries extracted data', state.extractedData.drugName === 'Ozempic' && state.step === 'confirm_demographics');
+
+        // Test 3: Typed turns use the same pipeline
+        console.log('\n3. Text turn');
+        from = received.length;
+        send({ type: 'text', text: 'Yes, that is correct' });
+        const confirmedState = await waitFor(message => message.type === 'state', from);
+        check('Confirmation moves on to the prescriber', confirmedState.step === 'prescriber');
+
+        from = received.length;
+        send({ type: 'text', text: 'This is Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178' });
+        const prescriberState = await waitFor(message => message.type === 'state', from);
+        check('Prescriber details move on to the requested product', prescriberState.step === 'product');
+
+        from = received.length;
+        send({ type: 'text', text: 'One 1 mg pen, 28 day supply' });
+        const productState = await waitFor(message => message.type === 'state', from);
+        check('Product within the limit starts the question flow', productState.step === 'question_flow');
+
+        from = received.length;
+        send({ type: 'text', text: 'Hold on, let me pull up the chart' });
+        const holdState = await waitFor(message => message.type === 'state', from);
+        check('Hold request is reported in state', holdState.hold?.seconds === 0.2 && holdState.step === 'question_flow');
+        const checkIn = await waitFor(message => message.type === 'assistant.text' && message.text.startsWith('Are you still there'), from);
+        check('Server checks in when the hold timer runs out', checkIn.text.includes('primary diagnosis'));
+
+        from = received.length;
+        send({ type: 'text', text: 'Type 1 Diabetes' });
+        const decisionState = await waitFor(message => message.type === 'state', from);
+        check('Decision is reported in state', decisionState.decision === 'deny' && decisionState.step === 'complete');
+
+        // Test 4: Errors
+        console.log('\n4. Errors');
+        from = received.length;
+        send({ type: 'audio.commit' });
+        const noAudio = await waitFor(message => message.type === 'error', from);
+        check('Committing without audio is an error', noAudio.code === 'no_audio');
+
+        from = received.length;
+        send({ type: 'session.resume', sessionId: 'missing' });
+        const missing = await waitFor(message => message.type === 'error', from);
+        check('Resuming an unknown session is an error', missing.code === 'session_not_found');
+
+        from = received.length;
+        send({ type: 'session.resume', sessionId: started.sessionId });
+        const resumed = await waitFor(message => message.type === 'state', from);
+        check('Resuming reports the current state', resumed.step === 'complete' && resumed.decision === 'deny');
+    } finally {
+        ws.close();
+        wss.close();
+        server.close();
+    }
+
+    printResults();
+}
+
+testRealtime().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
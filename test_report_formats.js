@@ -0,0 +1,100 @@
+const http = require('http');
+const express = require('express');
+const sessionService = require('./services/sessionService');
+const authService = require('./services/authService');
+const reportFormatService = require('./services/reportFormatService');
+const voiceRoutes = require('./routes/voiceRoutes');
+const { createChecker } = require('./test_harness');
+
+async function testReportFormats() {
+    console.log('🧪 Testing Report Formats...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // A completed Ozempic request
+    const sessionId = sessionService.createSession();
+    sessionService.updateSession(sessionId, { memberName: 'John Smith', dateOfBirth: '1985-03-15', drugName: 'Ozempic' });
+    sessionService.initializeQuestionFlow(sessionId, 'ozempic');
+    let result = null;
+    for (const answer of ['Type 2 Diabetes', 'Sixty-nine mmol/mol', 'yes', 'Metformin and glipizide', 'yes',
+        'Failed metformin for six months due to GI upset and glipizide due to hypoglycemia', 'no']) {
+        result = await sessionService.processAnswer(sessionId, answer);
+        if (result.action === 'complete') break;
+    }
+    const report = authService.generateReport(sessionId);
+
+    // Test 1: Letter content
+    console.log('1. Letter content');
+    const letter = reportFormatService.letter(report);
+    check('The letter gives the decision and reason', result.action === 'complete' &&
+        letter.decision.label === 'Approved' && letter.decision.reason === report.summary.decisionReason);
+    check('The letter lists the questions with their answers', letter.questions.length === report.questionResponses.length &&
+        letter.questions.some(item => item.answer === '8.5 % (stated as "Sixty-nine mmol/mol")'));
+    check('The letter lists the criteria and next steps', letter.criteria.some(item => item.label === 'Severity' && item.met) &&
+        letter.nextSteps.length > 0);
+    check('The date of birth is spelled out', letter.details.some(([label, value]) => label === 'Date of birth' && value === 'March 15, 1985'));
+
+    // Test 2: Rendering
+    console.log('\n2. Rendering');
+    const html = await reportFormatService.render(report, 'html');
+    check('HTML is a standalone letter', html.contentType.startsWith('text/html') && html.body.startsWith('<!DOCTYPE html>') &&
+        html.body.includes('Approved') && html.body.includes('Sixty-nine mmol/mol'));
+    sessionService.updateSession(sessionId, { memberName: 'John <b>Smith</b>' });
+    check('HTML escapes session values', (await reportFormatService.render(authService.generateReport(sessionId), 'html')).body.includes('John &lt;b&gt;Smith'));
+    sessionService.updateSession(sessionId, { memberName: 'John Smith' });
+
+    const pdf = await reportFormatService.render(report, 'pdf');
+    check('PDF is a PDF document', pdf.contentType === 'application/pdf' && Buffer.isBuffer(pdf.body) &&
+        pdf.body.subarray(0, 5).toString() === '%PDF-' && pdf.body.length > 1000);
+    check('JSON is the report itself', JSON.parse((await reportFormatService.render(report, 'json')).body).reportId === report.reportId);
+
+    let formatError = null;
+    try {
+        await reportFormatService.render(report, 'docx');
+    } catch (error) {
+        formatError = error;
+    }
+    check('Unknown formats are rejected', formatError && formatError.message.includes('docx'));
+
+    // Test 3: Route
+    console.log('\n3. Report route');
+    const app = express();
+    app.use('/api/voice', voiceRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = format => `http://localhost:${server.address().port}/api/voice/report/${sessionId}${format ? `?format=${format}` : ''}`;
+
+    try {
+        let response = await fetch(url());
+        check('JSON is the default', response.headers.get('content-type').includes('application/json') &&
+            (await response.json()).reportId === report.reportId);
+
+        response = await fetch(url('pdf'));
+        check('?format=pdf downloads the PDF', response.headers.get('content-type') === 'application/pdf' &&
+            response.headers.get('content-disposition').includes(`auth-report-${sessionId}.pdf`));
+
+        response = await fetch(url('html'));
+        check('?format=html returns the letter', response.headers.get('content-type').includes('text/html') &&
+            (await response.text()).includes('Prior Authorization Determination'));
+
+        response = await fetch(url('xml'));
+        check('An unsupported format is a bad request', response.status === 400);
+
+        response = await fetch(`http://localhost:${server.address().port}/api/voice/report/unknown-session`);
+        check('An unknown session is a 404', response.status === 404 && (await response.json()).error === 'Session not found');
+    } finally {
+        server.close();
+    }
+
+    printResults();
+}
+
+testReportFormats().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -50,7 +50,7 @@ const testScenarios = [
             "Rheumatoid Arthritis",
             "More than 2 years",
             "yes",
-            "Methotrexate and prednisone",
+            "Methotrexate for 6 months, stopped due to liver toxicity; sulfasalazine failed after 4 months",
             "yes",
             "Patient failed methotrexate due to liver toxicity and prednisone due to side effects",
             "yes",
@@ -213,10 +213,11 @@ const testScenarios = [
         ],
         expectedDecision: "approve"
     },
-    // 15. Rinvoq IBD - Approved (Ulcerative Colitis)
+    // 15. Rinvoq - Approved (Ulcerative Colitis)
     {
-        name: "Rinvoq IBD - Approved (UC)",
-        drug: "rinvoq_ibd",
+        name: "Rinvoq - Approved (UC)",
+        drug: "rinvoq",
+        indication: "ulcerative_colitis",
         answers: [
             "Ulcerative Colitis",
             "More than 2 years",
@@ -261,13 +262,13 @@ async function runAllScenarios() {
             }
 
             // Initialize question flow
-            sessionService.initializeQuestionFlow(sessionId, drug.id);
+            sessionService.initializeQuestionFlow(sessionId, drug.id, scenario.indication);
             sessionService.updateSession(sessionId, { drugName: drug.name });
 
             // Process answers
             let result = null;
             for (const answer of scenario.answers) {
-                result = sessionService.processAnswer(sessionId, answer);
+                result = await sessionService.processAnswer(sessionId, answer);
                 if (result.action === 'complete') {
                     break;
                 }
@@ -294,6 +295,7 @@ async function runAllScenarios() {
         console.log('🎉 All scenarios passed!');
     } else {
         console.log('⚠️  Some scenarios failed. Check the output above.');
+        process.exitCode = 1;
     }
 }
 
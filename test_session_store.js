@@ -0,0 +1,100 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { MemorySessionStore, FileSessionStore } = require('./services/sessionStore');
+const { createChecker } = require('./test_harness');
+
+async function testSessionStores() {
+    console.log('🧪 Testing Session Stores...\n');
+
+    const { check, printResults } = createChecker();
+
+    const sessionId = uuidv4();
+    const sampleSession = () => ({
+        id: sessionId,
+        createdAt: new Date('2025-01-02T10:00:00.000Z'),
+        updatedAt: new Date('2025-01-02T10:05:00.000Z'),
+        status: 'active',
+        step: 'question_flow',
+        answers: { diagnosis: 'Type 2 Diabetes', a1c_level: '8.4' },
+        questionPath: ['diagnosis', 'a1c_level', 'current_medications'],
+        currentQuestionId: 'current_medications',
+        conversationHistory: [
+            { speaker: 'assistant', message: 'What is the primary diagnosis?', timestamp: new Date('2025-01-02T10:01:00.000Z') },
+            { speaker: 'user', message: 'Type 2 diabetes', timestamp: new Date('2025-01-02T10:02:00.000Z') }
+        ]
+    });
+
+    // Test 1: Memory store
+    console.log('1. Memory store');
+    const memoryStore = new MemorySessionStore();
+    memoryStore.set(sessionId, sampleSession());
+    check('Stored session is returned', memoryStore.get(sessionId).step === 'question_flow');
+    memoryStore.delete(sessionId);
+    check('Deleted session is gone', memoryStore.get(sessionId) === undefined);
+
+    // Test 2: File store survives a new store instance (simulated restart)
+    console.log('\n2. File store reload');
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-sessions-'));
+    try {
+        const original = sampleSession();
+        new FileSessionStore(directory).set(original.id, original);
+
+        const reloaded = new FileSessionStore(directory).get(original.id);
+        check('Answers replay exactly', JSON.stringify(reloaded.answers) === JSON.stringify(original.answers));
+        check('Conversation history replays exactly',
+            JSON.stringify(reloaded.conversationHistory) === JSON.stringify(original.conversationHistory));
+        check('Timestamps are restored as dates',
+            reloaded.createdAt instanceof Date && reloaded.conversationHistory[0].timestamp instanceof Date);
+        check('Question position is restored', reloaded.currentQuestionId === 'current_medications');
+
+        // Test 3: Writes from another process are picked up
+        console.log('\n3. Shared directory');
+        const serverStore = new FileSessionStore(directory);
+        const agentStore = new FileSessionStore(directory);
+        const shared = serverStore.get(original.id);
+        shared.answers.current_medications = 'yes';
+        // Give the file a distinct modification time
+        await new Promise(resolve => setTimeout(resolve, 20));
+        serverStore.set(original.id, shared);
+        check('Other store sees the update', agentStore.get(original.id).answers.current_medications === 'yes');
+        check('All sessions are listed', agentStore.values().length === 1);
+    } finally {
+        await fs.remove(directory);
+    }
+
+    // Test 4: IDs that are not UUIDs never reach the filesystem
+    console.log('\n4. Path traversal');
+    const parent = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-sessions-parent-'));
+    try {
+        const sessionsDir = path.join(parent, 'sessions');
+        const victimPath = path.join(parent, 'victim.json');
+        await fs.writeJson(victimPath, { secret: true });
+
+        const store = new FileSessionStore(sessionsDir);
+        check('Traversal ID reads nothing', store.get('../victim') === undefined);
+
+        let threw = false;
+        try {
+            store.set('../victim', { ...sampleSession(), status: 'completed' });
+        } catch (error) {
+            threw = true;
+        }
+        check('Traversal ID cannot be written', threw);
+
+        store.delete('../victim');
+        check('File outside the store is untouched',
+            JSON.stringify(await fs.readJson(victimPath)) === JSON.stringify({ secret: true }));
+        check('Nothing was written next to the store', (await fs.readdir(parent)).sort().join(',') === 'sessions,victim.json');
+    } finally {
+        await fs.remove(parent);
+    }
+
+    printResults();
+}
+
+testSessionStores().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
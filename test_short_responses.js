@@ -30,7 +30,7 @@ async function testShortResponseProcessing() {
         for (const input of shortInputs) {
             console.log(`\nInput: "${input}"`);
             try {
-                const result = sessionService.processAnswer(session1, input);
+                const result = await sessionService.processAnswer(session1, input);
                 console.log('Result:', JSON.stringify(result, null, 2));
             } catch (error) {
                 console.log('Error:', error.message);
@@ -59,7 +59,7 @@ async function testShortResponseProcessing() {
         for (const input of yesNoInputs) {
             console.log(`\nInput: "${input}"`);
             try {
-                const result = sessionService.processAnswer(session2, input);
+                const result = await sessionService.processAnswer(session2, input);
                 console.log('Result:', JSON.stringify(result, null, 2));
             } catch (error) {
                 console.log('Error:', error.message);
@@ -88,7 +88,7 @@ async function testShortResponseProcessing() {
         for (const input of choiceInputs) {
             console.log(`\nInput: "${input}"`);
             try {
-                const result = sessionService.processAnswer(session3, input);
+                const result = await sessionService.processAnswer(session3, input);
                 console.log('Result:', JSON.stringify(result, null, 2));
             } catch (error) {
                 console.log('Error:', error.message);
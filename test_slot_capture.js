@@ -0,0 +1,119 @@
+const sessionService = require('./services/sessionService');
+const conversationService = require('./services/conversationService');
+const slotCaptureService = require('./services/slotCaptureService');
+const { createChecker } = require('./test_harness');
+
+async function testSlotCapture() {
+    console.log('🧪 Testing Multi-Slot Answer Capture...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Start a request at the clinical questions of the drug's question set
+    function questionFlow(drugId) {
+        const sessionId = sessionService.createSession();
+        sessionService.initializeQuestionFlow(sessionId, drugId);
+        return sessionId;
+    }
+
+    const glp1 = sessionService.getQuestionSet('diabetes_glp1').questions;
+    const question = id => glp1.find(item => item.id === id);
+
+    // Test 1: Matching clauses to questions
+    console.log('1. Clause matching');
+    const slots = slotCaptureService.assign(
+        slotCaptureService.splitClauses('Type 2 diabetes, A1C 8.4, failed metformin after six months, stopped for nausea'),
+        question('diagnosis'),
+        glp1.filter(item => item.id !== 'diagnosis')
+    );
+    const slotFor = id => slots.find(slot => slot.question.id === id);
+    check('A decimal point does not split a clause', slotFor('a1c_level')?.text === 'A1C 8.4');
+    check('A named option answers the multiple-choice question', slotFor('diagnosis')?.text === 'Type 2 diabetes');
+    check('An unmatched clause continues the free-text answer before it',
+        slotFor('step_1_failure')?.text === 'failed metformin after six months, stopped for nausea');
+
+    // Test 2: One utterance, several answers
+    console.log('\n2. Pre-filling upcoming questions');
+    let sessionId = questionFlow('ozempic');
+    let result = await slotCaptureService.handle(sessionId,
+        'Type 2 diabetes, A1C 8.4, failed metformin after six months, no contraindications');
+    let session = sessionService.getSession(sessionId);
+    check('The current question and the next one on the path are answered',
+        session.answers.diagnosis === 'Type 2 Diabetes' && session.answers.a1c_level === '8.4');
+    check('The keyword digit is not taken for the value ("A1C" is not 1)', session.answers.a1c_level === '8.4');
+    check('Later answers are held until the path reaches them', session.prefilledAnswers.contraindications?.answer === 'no' &&
+        session.prefilledAnswers.step_1_failure?.answer === 'failed metformin after six months' && !session.answers.contraindications);
+    check('Describing a failed trial answers the question that gates it', session.prefilledAnswers.step_1_required?.answer === 'yes');
+    check('The flow stops at the first unanswered question', result.action === 'next_question' &&
+        result.question.id === 'current_medications' && result.captured.length === 4);
+
+    await sessionService.processAnswer(sessionId, 'yes');
+    result = await sessionService.processAnswer(sessionId, 'metformin and glipizide');
+    session = sessionService.getSession(sessionId);
+    check('Pre-filled questions are skipped once reached', result.action === 'complete' && result.decision === 'approve' &&
+        session.questionPath.join(',') === 'diagnosis,a1c_level,current_medications,list_medications,step_1_required,step_1_failure,contraindications');
+    check('Pre-filled answers are used up', Object.keys(session.prefilledAnswers).length === 0);
+
+    // Test 3: Validation
+    console.log('\n3. Validation');
+    sessionId = questionFlow('ozempic');
+    await sessionService.processAnswer(sessionId, 'Type 2 Diabetes');
+    result = await slotCaptureService.handle(sessionId, 'A1C 8.4');
+    check('A reply that only answers the current question is left to processAnswer', result === null);
+
+    result = await slotCaptureService.handle(sessionId, 'A1C was high, no contraindications');
+    session = sessionService.getSession(sessionId);
+    check('An unusable value for the current question asks again', result.action === 'clarification' &&
+        result.question.id === 'a1c_level' && session.answers.a1c_level === undefined);
+    check('Valid answers from the same reply are still kept', session.prefilledAnswers.contraindications?.answer === 'no');
+
+    result = await slotCaptureService.handle(sessionId, '7.9, BMI 31');
+    check('Questions the path skips are held but never asked', result.action === 'next_question' &&
+        result.question.id === 'current_medications' && session.answers.bmi_level === undefined);
+
+    // Test 4: Other question sets
+    console.log('\n4. Biologic question sets');
+    sessionId = questionFlow('humira');
+    result = await slotCaptureService.handle(sessionId,
+        'Rheumatoid arthritis, more than 2 years, methotrexate and leflunomide both failed, TB test negative');
+    session = sessionService.getSession(sessionId);
+    check('Diagnosis and duration are answered', session.answers.diagnosis === 'Rheumatoid Arthritis' &&
+        session.answers.disease_duration === 'More than 2 years');
+    check('Naming the failed therapies answers whether any were tried', session.answers.conventional_therapy === 'yes');
+    check('Screening results answer the screening question too', session.answers.infection_screening === 'yes' &&
+        session.answers.infection_results === 'Negative for TB and other infections');
+    check('A reply that answers every question completes the flow', result.action === 'complete' &&
+        result.decision === 'approve' && result.rule?.id === 'anti_tnf_criteria_met');
+
+    sessionId = questionFlow('xeljanz');
+    await sessionService.processAnswer(sessionId, 'Rheumatoid Arthritis');
+    await sessionService.processAnswer(sessionId, 'More than 2 years');
+    await sessionService.processAnswer(sessionId, 'yes');
+    result = await slotCaptureService.handle(sessionId, 'Methotrexate failed after a year, patient is 52 years old');
+    check('Age is read from "52 years old"', result.action === 'next_question' &&
+        result.question.id === 'infection_screening' && sessionService.getSession(sessionId).answers.age_check === '52');
+
+    // Test 5: Conversation
+    console.log('\n5. Conversation');
+    sessionId = conversationService.startSession().sessionId;
+    await conversationService.runTurn(sessionId, 'Patient John Smith born 03/15/1985 requesting Ozempic');
+    await conversationService.runTurn(sessionId, 'Yes, that is correct');
+    await conversationService.runTurn(sessionId, 'Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178');
+    await conversationService.runTurn(sessionId, 'One 1 mg pen, 28 day supply');
+    const response = await conversationService.runTurn(sessionId,
+        'Type 2 diabetes, A1C 8.4, failed metformin after six months, no contraindications');
+    check('The reply acknowledges the captured answers and asks the next question',
+        response.message.startsWith('Got it') && response.message.endsWith(question('current_medications').text) &&
+        response.nextQuestion?.id === 'current_medications');
+
+    printResults();
+}
+
+testSlotCapture().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
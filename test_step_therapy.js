@@ -0,0 +1,113 @@
+const sessionService = require('./services/sessionService');
+const authService = require('./services/authService');
+const rulesEngine = require('./services/rulesEngine');
+const stepTherapyService = require('./services/stepTherapyService');
+const { createChecker } = require('./test_harness');
+
+async function testStepTherapy() {
+    console.log('🧪 Testing Step Therapy Extraction...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    const find = (entries, drug) => entries.find(entry => entry.drug === drug);
+
+    // Test 1: Extraction from free text
+    console.log('1. Extraction');
+    let entries = stepTherapyService.extract('Patient failed metformin due to gastrointestinal side effects after 3 months');
+    check('Drug, class, outcome and duration are extracted', entries.length === 1 &&
+        entries[0].drug === 'metformin' && entries[0].drugClass === 'biguanide' &&
+        entries[0].outcome === 'intolerant' && entries[0].duration?.days === 90);
+
+    entries = stepTherapyService.extract('Glucophage for two years, then Januvia');
+    check('Brand names are normalized to the generic drug', find(entries, 'metformin')?.duration?.days === 730 &&
+        find(entries, 'sitagliptin')?.drugClass === 'dpp4_inhibitor');
+
+    entries = stepTherapyService.extract('Methotrexate from March 2022 to 11/2023, stopped for elevated liver enzymes; Plaquenil ineffective');
+    const methotrexate = find(entries, 'methotrexate');
+    check('Dates are normalized with start and end', methotrexate?.startDate === '2022-03' && methotrexate?.endDate === '2023-11');
+    check('Each drug keeps its own outcome', methotrexate?.outcome === 'intolerant' &&
+        find(entries, 'hydroxychloroquine')?.outcome === 'failed');
+
+    entries = stepTherapyService.extract('Patient failed both metformin and glipizide due to inadequate glycemic control');
+    check('A shared outcome applies to every drug named', entries.length === 2 && entries.every(entry => entry.outcome === 'failed'));
+
+    entries = stepTherapyService.extract('Metformin is contraindicated because of kidney disease');
+    check('Contraindications are recognized', entries[0]?.outcome === 'contraindicated');
+
+    entries = stepTherapyService.extract('Tried topical steroids and phototherapy');
+    check('Class-level mentions carry no drug', entries.length === 2 &&
+        entries[0].drug === null && entries[0].drugClass === 'topical_corticosteroid');
+
+    entries = stepTherapyService.extractFromAnswers(sessionService.getQuestionSet('diabetes_glp1').questions, {
+        list_medications: 'metformin and glipizide',
+        step_1_failure: 'failed metformin after 6 months'
+    });
+    check('Answers are merged per drug with their sources', entries.length === 2 &&
+        find(entries, 'metformin').outcome === 'failed' &&
+        find(entries, 'metformin').sources.join(',') === 'list_medications,step_1_failure');
+
+    // Test 2: Step therapy conditions
+    console.log('\n2. Step therapy conditions');
+    const medications = stepTherapyService.extract('Methotrexate failed; sulfasalazine caused a rash; other DMARDs');
+    const twoDmards = { stepTherapy: { classes: ['conventional_dmard'], atLeast: 2 } };
+    check('Distinct drugs are counted', rulesEngine.evaluateCondition(twoDmards, {}, { medications }));
+    check('Class-level mentions do not add to named drugs', rulesEngine.countTherapies(medications, ['conventional_dmard']) === 2);
+    check('Outcomes filter the count', !rulesEngine.evaluateCondition(
+        { stepTherapy: { classes: ['conventional_dmard'], atLeast: 2, outcomes: ['failed'] } }, {}, { medications }));
+    check('Unknown drug classes are rejected by validation', rulesEngine.validateRules('test', {
+        questions: [],
+        rules: [{ id: 'bad', when: { stepTherapy: { classes: ['statin'] } }, decision: 'deny', reason: 'Test' }]
+    }, ['deny'], stepTherapyService.classIds).some(error => error.includes('unknown drug class "statin"')));
+
+    // Test 3: Required step therapies decide the outcome
+    console.log('\n3. Decisions');
+    const scenarios = [
+        { drug: 'ozempic', answers: ['Type 2 Diabetes', '7.5', 'no', 'yes', 'Tried glipizide for a year', 'no'], decision: 'documentation_required', rule: 'glp1_metformin_trial_not_documented' },
+        { drug: 'ozempic', answers: ['Type 2 Diabetes', '7.5', 'yes', 'metformin', 'yes', 'Lost response after 2 years', 'no'], decision: 'approve', rule: 'glp1_criteria_met' },
+        { drug: 'humira', answers: ['Rheumatoid Arthritis', 'More than 2 years', 'yes', 'Methotrexate and prednisone', 'yes', 'Negative for TB and other infections'], decision: 'documentation_required', rule: 'anti_tnf_dmard_trials_not_documented' },
+        { drug: 'humira', answers: ['Rheumatoid Arthritis', 'More than 2 years', 'yes', 'Methotrexate and leflunomide both failed', 'yes', 'Negative for TB and other infections'], decision: 'approve', rule: 'anti_tnf_criteria_met' },
+        { drug: 'entyvio', answers: ["Crohn's Disease", 'More than 2 years', 'Moderate', 'yes', 'Diet changes only', 'no', 'yes', 'Negative for TB and other infections'], decision: 'documentation_required', rule: 'ibd_biologic_conventional_trial_not_documented' }
+    ];
+
+    for (const scenario of scenarios) {
+        const sessionId = sessionService.createSession();
+        sessionService.initializeQuestionFlow(sessionId, scenario.drug);
+
+        let result = null;
+        for (const answer of scenario.answers) {
+            result = await sessionService.processAnswer(sessionId, answer);
+        }
+
+        check(`${scenario.drug}: ${scenario.decision} via ${scenario.rule}`,
+            result.action === 'complete' && result.decision === scenario.decision && result.rule?.id === scenario.rule);
+    }
+
+    // Test 4: History on the session and in the report
+    console.log('\n4. Report');
+    const sessionId = sessionService.createSession();
+    sessionService.initializeQuestionFlow(sessionId, 'humira');
+    for (const answer of ['Rheumatoid Arthritis', 'More than 2 years', 'yes', 'Methotrexate for 6 months, failed; Arava caused nausea']) {
+        await sessionService.processAnswer(sessionId, answer);
+    }
+    const session = sessionService.getSession(sessionId);
+    check('Session keeps the extracted history', session.medicationHistory.length === 2 &&
+        find(session.medicationHistory, 'leflunomide')?.outcome === 'intolerant');
+
+    await sessionService.reviseAnswer(sessionId, 'list_conventional_therapies', 'Methotrexate only');
+    check('Revising the answer refreshes the history', sessionService.getSession(sessionId).medicationHistory.length === 1);
+
+    const report = authService.generateReport(sessionId);
+    check('Report carries the medication history', report.summary.medicationHistory[0]?.drug === 'methotrexate');
+
+    printResults();
+}
+
+testStepTherapy().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,256 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const sessionService = require('./services/sessionService');
+const schemaService = require('./services/schemaService');
+const versionService = require('./services/versionService');
+const questionSetService = require('./services/questionSetService');
+const authService = require('./services/authService');
+const reportFormatService = require('./services/reportFormatService');
+const fhirService = require('./services/fhirService');
+const questionnaireService = require('./services/questionnaireService');
+const dateService = require('./services/dateService');
+const conversationService = require('./services/conversationService');
+const indicationService = require('./services/indicationService');
+const adminRoutes = require('./routes/adminRoutes');
+const { createChecker } = require('./test_harness');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+async function testVersions() {
+    console.log('🧪 Testing versioned question sets and drugs...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Versions in the data files
+    const questionSets = sessionService.questionsData.questionSets;
+    check('Every question set and drug has a version and effective date',
+        Object.values(questionSets).every(set => Number.isInteger(set.version) && /^\d{4}-\d{2}-\d{2}$/.test(set.effectiveDate)) &&
+        sessionService.drugsData.drugs.every(drug => Number.isInteger(drug.version) && /^\d{4}-\d{2}-\d{2}$/.test(drug.effectiveDate)));
+
+    const unversioned = clone(sessionService.questionsData);
+    delete unversioned.questionSets.ibd_jak.version;
+    unversioned.questionSets.ibd_jak.effectiveDate = '03/01/2026';
+    check('The schema requires a version and an ISO effective date', JSON.stringify(schemaService.validate('questions', unversioned)) === JSON.stringify([
+        'questions.json: questionSets.ibd_jak is missing required property "version"',
+        'questions.json: questionSets.ibd_jak.effectiveDate "03/01/2026" must be a date (YYYY-MM-DD)'
+    ]));
+
+    check('Each loaded version is recorded for audit',
+        Object.entries(questionSets).every(([id, set]) => JSON.stringify(versionService.load('question-sets', id, set.version)) === JSON.stringify(set)) &&
+        sessionService.drugsData.drugs.every(drug => versionService.load('drugs', drug.id, drug.version)?.name === drug.name));
+
+    const edited = clone(sessionService.questionsData);
+    edited.questionSets.diabetes_glp1.questions[0].text = 'Diagnosis?';
+    check('Changing a recorded version without a new version is refused', JSON.stringify(sessionService.validateVersions(null, edited)) === JSON.stringify([
+        'question-sets/diabetes_glp1: version 1 was changed after it was recorded (data/versions/question-sets/diabetes_glp1/1.json); give the change a new version'
+    ]));
+
+    // Loading leaves data/versions alone; versions are recorded by the authoring API or npm run record-versions
+    const shippedVersions = versionService.directory;
+    const emptyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'versions-empty-'));
+    versionService.directory = path.join(emptyDir, 'versions');
+    try {
+        const entryCount = Object.keys(questionSets).length + sessionService.drugsData.drugs.length;
+        await sessionService.loadData();
+        check('Loading the data files writes no versions', !(await fs.pathExists(versionService.directory)) &&
+            sessionService.unrecordedVersions(sessionService.drugsData, sessionService.questionsData).length === entryCount);
+        const written = await sessionService.recordVersions(sessionService.drugsData, sessionService.questionsData);
+        check('Recording writes each missing version once', written.length === entryCount &&
+            (await sessionService.recordVersions(sessionService.drugsData, sessionService.questionsData)).length === 0);
+    } finally {
+        versionService.directory = shippedVersions;
+        await fs.remove(emptyDir);
+    }
+
+    // Sessions keep the version they started with, writing to a copy of questions.json and data/versions
+    const originalData = sessionService.questionsData;
+    const originalDrugs = sessionService.drugsData;
+    const originalVersions = versionService.directory;
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'versions-'));
+    questionSetService.questionsPath = path.join(tempDir, 'questions.json');
+    versionService.directory = path.join(tempDir, 'versions');
+    await fs.copy(originalVersions, versionService.directory);
+    await fs.writeJson(questionSetService.questionsPath, originalData, { spaces: 2 });
+
+    process.env.ADMIN_API_TOKEN = 'test-admin-token';
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    const server = http.createServer(app).listen(0);
+    const base = `http://127.0.0.1:${server.address().port}/api/admin`;
+
+    try {
+        const pinnedId = sessionService.createSession();
+        sessionService.updateSession(pinnedId, { memberName: 'John Smith', dateOfBirth: '1985-03-15', drugName: 'Ozempic' });
+        sessionService.initializeQuestionFlow(pinnedId, 'ozempic');
+        check('A session pins the question set and drug versions', JSON.stringify(sessionService.getSession(pinnedId).questionSetVersion) ===
+            JSON.stringify({ version: 1, effectiveDate: '2026-01-01' }) && sessionService.getSession(pinnedId).drugVersion?.version === 1);
+
+        const revised = clone(originalData.questionSets.diabetes_glp1);
+        delete revised.version;
+        delete revised.effectiveDate;
+        revised.questions[0].text = 'What is the diagnosis the medication is prescribed for?';
+        revised.rules.find(rule => rule.id === 'glp1_type1_diabetes').reason = 'Type 1 Diabetes is excluded from GLP-1 coverage (criteria v2)';
+        const replaced = await questionSetService.replace('diabetes_glp1', revised);
+        check('A replacement without a version becomes the next version, effective today',
+            replaced.questionSet?.version === 2 && replaced.questionSet.effectiveDate === dateService.today() &&
+            Boolean(versionService.load('question-sets', 'diabetes_glp1', 2)));
+
+        const stale = await questionSetService.replace('diabetes_glp1', { ...revised, version: 2 });
+        check('A replacement must raise the version', stale.action === 'error' && stale.code === 'version_conflict');
+
+        await sessionService.processAnswer(pinnedId, 'Type 1 Diabetes');
+        const pinned = sessionService.getSession(pinnedId);
+        check('A pinned session is decided by the rules of its version',
+            pinned.decision === 'deny' && pinned.decisionReason === 'GLP-1 receptor agonists are not indicated for Type 1 Diabetes');
+
+        const newerId = sessionService.createSession();
+        sessionService.initializeQuestionFlow(newerId, 'ozempic');
+        check('A new session asks the current version', sessionService.getSession(newerId).questionSetVersion.version === 2 &&
+            sessionService.getCurrentQuestion(newerId).text === 'What is the diagnosis the medication is prescribed for?');
+        await sessionService.processAnswer(newerId, 'Type 1 Diabetes');
+        check('...and is decided by its rules',
+            sessionService.getSession(newerId).decisionReason === 'Type 1 Diabetes is excluded from GLP-1 coverage (criteria v2)');
+
+        // Reports
+        const report = authService.generateReport(pinnedId);
+        check('The report names the question set and drug versions used', JSON.stringify(report.criteriaVersion) === JSON.stringify({
+            questionSet: { id: 'diabetes_glp1', name: 'GLP-1 Receptor Agonist Authorization', version: 1, effectiveDate: '2026-01-01' },
+            drug: { id: 'ozempic', version: 1, effectiveDate: '2026-01-01' }
+        }) && report.decisionRule.questionSetVersion === 1);
+        check('The letter shows the criteria version',
+            reportFormatService.toHtml(report).includes('GLP-1 Receptor Agonist Authorization, version 1, effective January 1, 2026'));
+
+        const bundle = fhirService.buildBundle(pinnedId);
+        const response = bundle.entry.find(entry => entry.resource.resourceType === 'QuestionnaireResponse').resource;
+        check('The FHIR QuestionnaireResponse cites the versioned Questionnaire',
+            response.questionnaire === `${fhirService.questionnaireUrl('diabetes_glp1')}|1` && fhirService.validate(bundle).length === 0);
+
+        // Versions that take effect later
+        const scheduled = { ...clone(revised), version: 3, effectiveDate: '2099-01-01' };
+        scheduled.questions[0].text = 'Scheduled wording';
+        await questionSetService.replace('diabetes_glp1', scheduled);
+        const beforeEffectiveId = sessionService.createSession();
+        sessionService.initializeQuestionFlow(beforeEffectiveId, 'ozempic');
+        check('A version that takes effect later is not used yet', sessionService.getSession(beforeEffectiveId).questionSetVersion.version === 2 &&
+            sessionService.getCurrentQuestion(beforeEffectiveId).text === 'What is the diagnosis the medication is prescribed for?');
+        check('...until its effective date', sessionService.getEffectiveQuestionSet('diabetes_glp1', '2099-01-01').version === 3);
+
+        // Older versions stay loadable
+        const versions = await (await fetch(`${base}/question-sets/diabetes_glp1/versions`, { headers: auth })).json();
+        check('The versions of a question set are listed', JSON.stringify(versions.versions) === JSON.stringify([
+            { version: 1, effectiveDate: '2026-01-01', current: false },
+            { version: 2, effectiveDate: replaced.questionSet.effectiveDate, current: false },
+            { version: 3, effectiveDate: '2099-01-01', current: true }
+        ]));
+        const first = await (await fetch(`${base}/question-sets/diabetes_glp1/versions/1`, { headers: auth })).json();
+        check('An older version is served as it was', first.questionSet?.questions[0].text === 'What is the primary diagnosis for this patient?');
+        check('A version never recorded is a 404', (await fetch(`${base}/question-sets/diabetes_glp1/versions/9`, { headers: auth })).status === 404);
+
+        const drugVersions = await (await fetch(`${base}/drugs/ozempic/versions`, { headers: auth })).json();
+        const drugVersion = await (await fetch(`${base}/drugs/ozempic/versions/1`, { headers: auth })).json();
+        check('Drug versions are listed and loadable', drugVersions.versions?.[0]?.current === true && drugVersion.drug?.genericName === 'semaglutide');
+
+        const escaped = await fetch(`${base}/drugs/..%2Fquestion-sets%2Fdiabetes_glp1/versions/1`, { headers: auth });
+        check('An ID that could leave data/versions is a 400', escaped.status === 400 && (await escaped.json()).code === 'invalid_request' &&
+            (await fetch(`${base}/question-sets/..%2F..%2Fdrugs/versions`, { headers: auth })).status === 400);
+        let unsafeId = null;
+        try {
+            versionService.load('drugs', '../question-sets/diabetes_glp1', 1);
+        } catch (error) {
+            unsafeId = error;
+        }
+        check('...and is never turned into a path', unsafeId?.message === 'Invalid drugs ID "../question-sets/diabetes_glp1"');
+
+        const created = await questionSetService.create('migraine_cgrp', {
+            name: 'Migraine Prevention (CGRP)',
+            questions: [{ id: 'prior_triptan', text: 'Has the patient tried a triptan?', type: 'yes_no', next: { yes: 'approve', no: 'deny' } }]
+        });
+        await questionSetService.remove('migraine_cgrp');
+        check('A deleted question set keeps its recorded versions', created.questionSet?.version === 1 &&
+            !sessionService.getQuestionSet('migraine_cgrp') && versionService.list('question-sets', 'migraine_cgrp').length === 1);
+
+        await questionSetService.create('migraine_future', {
+            name: 'Migraine Prevention (scheduled)',
+            effectiveDate: '2099-01-01',
+            questions: [{ id: 'prior_triptan', text: 'Has the patient tried a triptan?', type: 'yes_no', next: { yes: 'approve', no: 'deny' } }]
+        });
+        check('A question set whose only version takes effect later is not in effect',
+            sessionService.getEffectiveQuestionSet('migraine_future') === null &&
+            sessionService.getEffectiveQuestionSet('migraine_future', '2099-01-01')?.version === 1);
+        await questionSetService.remove('migraine_future');
+
+        // A drug entry that changes mid-call: version 2 allows two 1 mg Ozempic pens per 28 days for type 2 diabetes
+        const midCallId = conversationService.startSession().sessionId;
+        await conversationService.runTurn(midCallId, 'Patient John Smith born 03/15/1985 requesting Ozempic');
+        await conversationService.runTurn(midCallId, 'Yes, that is correct');
+        await conversationService.runTurn(midCallId, 'Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178');
+        check('A session pins the drug version before the product step', sessionService.getSession(midCallId).step === 'product' &&
+            sessionService.getSession(midCallId).drugVersion?.version === 1);
+
+        const changedDrugs = clone(originalDrugs);
+        const ozempic = changedDrugs.drugs.find(drug => drug.id === 'ozempic');
+        Object.assign(ozempic, { version: 2, effectiveDate: dateService.today() });
+        ozempic.indications[0].quantityLimits = { '0169-4130-13': { quantity: 2, days: 28 } };
+        sessionService.drugsData = changedDrugs;
+        await sessionService.recordVersions(changedDrugs, null);
+
+        const pinnedReply = await conversationService.runTurn(midCallId, 'Two 1 mg pens, 28 day supply');
+        check('The pinned session checks the quantity limit of its drug version', pinnedReply.decision === 'quantity_limit_exceeded' &&
+            sessionService.getSession(midCallId).requestedProduct.quantityLimit.quantity === 1);
+        check('...and its report names that version', authService.generateReport(midCallId).criteriaVersion.drug.version === 1);
+
+        const laterId = conversationService.startSession().sessionId;
+        await conversationService.runTurn(laterId, 'Patient John Smith born 03/15/1985 requesting Ozempic');
+        await conversationService.runTurn(laterId, 'Yes, that is correct');
+        await conversationService.runTurn(laterId, 'Dr. Marcus Webb, NPI 1357924681, callback 312-555-0178');
+        const laterReply = await conversationService.runTurn(laterId, 'Two 1 mg pens, 28 day supply');
+        check('A new session uses the new drug version', laterReply.step === 'question_flow' &&
+            sessionService.getSession(laterId).drugVersion.version === 2);
+
+        const scheduledDrugs = clone(changedDrugs);
+        Object.assign(scheduledDrugs.drugs.find(drug => drug.id === 'ozempic'), { version: 3, effectiveDate: '2099-01-01' });
+        sessionService.drugsData = scheduledDrugs;
+        await sessionService.recordVersions(scheduledDrugs, null);
+        check('A drug version that takes effect later is not used yet', sessionService.getEffectiveDrug('ozempic').version === 2 &&
+            sessionService.getEffectiveDrug('ozempic', '2099-01-01').version === 3);
+
+        const futureDrugs = clone(changedDrugs);
+        futureDrugs.drugs.push({ ...clone(ozempic), id: 'ozempic_future', version: 1, effectiveDate: '2099-01-01' });
+        sessionService.drugsData = futureDrugs;
+        const futureId = sessionService.createSession();
+        sessionService.updateSession(futureId, { drugId: 'ozempic_future', drugName: 'Ozempic' });
+        const futureReply = indicationService.begin(futureId);
+        check('A drug whose only version takes effect later is not pinned', sessionService.getEffectiveDrug('ozempic_future') === null &&
+            futureReply.step === 'transferred' && sessionService.getSession(futureId).drugVersion === null);
+    } finally {
+        server.close();
+        delete process.env.ADMIN_API_TOKEN;
+        sessionService.questionsData = originalData;
+        sessionService.drugsData = originalDrugs;
+        versionService.directory = originalVersions;
+        await fs.remove(tempDir);
+    }
+
+    // Questionnaires carry the version across
+    const { questionnaire } = questionnaireService.toQuestionnaire('ibd_jak', originalData.questionSets.ibd_jak);
+    const imported = questionnaireService.fromQuestionnaire({ ...questionnaire, version: '4', effectivePeriod: { start: '2026-07-01' } });
+    check('Questionnaire version and effective period map to the question set', questionnaire.version === '1' &&
+        imported.questionSet.version === 4 && imported.questionSet.effectiveDate === '2026-07-01');
+
+    printResults();
+}
+
+testVersions().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,76 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sessionService = require('./services/sessionService');
+const { createChecker } = require('./test_harness');
+
+async function testVoiceAgent() {
+    console.log('🧪 Testing the terminal voice agent...\n');
+
+    // Wait for data to load
+    while (!sessionService.dataLoaded) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const { check, printResults } = createChecker();
+
+    // Reports are written to a temp directory instead of ./temp
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-agent-'));
+    process.env.TEMP_DIR = tempDir;
+    process.env.REPORT_FORMATS = 'json';
+    const VoiceAgent = require('./voiceAgent');
+    const agent = new VoiceAgent();
+
+    const startSession = (drug) => {
+        agent.sessionId = sessionService.createSession();
+        sessionService.updateSession(agent.sessionId, { memberName: 'John Smith', dateOfBirth: '1985-03-15', drugName: drug });
+        sessionService.initializeQuestionFlow(agent.sessionId, drug.toLowerCase());
+    };
+
+    try {
+        // Test 1: Turns go through the shared conversation pipeline
+        console.log('1. Conversation turns');
+        startSession('Ozempic');
+        const question = await agent.processInputOptimized('Type 2 Diabetes');
+        const history = sessionService.getSession(agent.sessionId).conversationHistory;
+        check('The next question is asked', question === sessionService.getCurrentQuestion(agent.sessionId).text);
+        check('The turn is recorded once for each side', history.length === 2 &&
+            history[0].speaker === 'user' && history[0].message === 'Type 2 Diabetes' &&
+            history[1].speaker === 'assistant' && history[1].message === question);
+
+        // Test 2: A decision names the saved report
+        console.log('\n2. Decision with a saved report');
+        startSession('Ozempic');
+        const response = await agent.processInputOptimized('Type 1 Diabetes');
+        const reportPath = path.join(tempDir, `John_Smith_Ozempic_${new Date().toISOString().split('T')[0]}.json`);
+        check('The decision is read out', response.startsWith('I regret to inform you'));
+        check('The response names where the report was saved', response.endsWith(`you can find at: ${reportPath}`));
+        check('The report is written there', (await fs.readJson(reportPath)).decisionRule?.ruleId === 'glp1_type1_diabetes');
+        check('The session is complete', sessionService.getSession(agent.sessionId).step === 'complete');
+
+        // Test 3: A report that cannot be saved is left out of the response
+        console.log('\n3. Decision when the report cannot be saved');
+        startSession('Ozempic');
+        const saveReport = agent.saveReport;
+        agent.saveReport = async () => {
+            throw new Error('disk full');
+        };
+        let unsaved;
+        try {
+            unsaved = await agent.processInputOptimized('Type 1 Diabetes');
+        } finally {
+            agent.saveReport = saveReport;
+        }
+        check('The decision is still read out', unsaved.startsWith('I regret to inform you'));
+        check('No report location is given', !unsaved.includes('find') && !unsaved.includes('undefined'));
+    } finally {
+        await fs.remove(tempDir);
+    }
+
+    printResults();
+}
+
+testVoiceAgent().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+});
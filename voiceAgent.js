@@ -1,4 +1,3 @@
-const OpenAI = require('openai');
 const fs = require('fs-extra');
 const path = require('path');
 const { spawn } = require('child_process');
@@ -17,7 +16,9 @@ function connectWebSocket() {
     });
     ws.on('error', () => {}); // Ignore errors
 }
-connectWebSocket();
+if (require.main === module) {
+    connectWebSocket();
+}
 
 function sendLogToWebUI(type, message) {
     if (ws && ws.readyState === WebSocket.OPEN) {
@@ -40,16 +41,17 @@ console.error = function (...args) {
 // Import the session service to use the same question sets
 const sessionService = require('./services/sessionService');
 const authService = require('./services/authService');
+const providers = require('./services/providers');
+const SpeechDetector = require('./services/speechDetector');
+const answerIntentService = require('./services/answerIntentService');
+const conversationService = require('./services/conversationService');
+const reportFormatService = require('./services/reportFormatService');
 
 class VoiceAgent {
     constructor() {
         // Load environment variables manually to override shell environment
         this.loadEnvFile();
         
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        
         this.voiceSpeed = parseFloat(process.env.VOICE_SPEED) || 1.2; // Increased speed for faster responses
         
         // Available OpenAI TTS voices
@@ -61,6 +63,8 @@ class VoiceAgent {
         // Select random voice for this session
         this.voiceModel = this.selectRandomVoice();
         this.tempDir = process.env.TEMP_DIR || './temp';
+        // Report files written for each decision (json, html, pdf)
+        this.reportFormats = (process.env.REPORT_FORMATS || 'json,pdf').split(',').map(format => format.trim()).filter(Boolean);
         
         // Ensure temp directory exists
         fs.ensureDirSync(this.tempDir);
@@ -83,11 +87,19 @@ class VoiceAgent {
         this.currentAudioPlayer = null;
         this.isPlayingAudio = false;
         
+        // Barge-in: keep listening while speaking so the caller can interrupt
+        this.enableBargeIn = process.env.BARGE_IN !== 'false';
+        this.bargeInThreshold = parseFloat(process.env.BARGE_IN_THRESHOLD) || 0.1;
+        this.bargeInMonitor = null;
+        this.playbackInterrupted = false;
+        this.pendingUtterance = null; // Audio captured while interrupting playback
+        
         console.log('🎤 Voice Agent initialized (Optimized Mode)');
         console.log(`🎭 Voice Model: ${this.voiceModel} (randomly selected)`);
         console.log(`Voice Speed: ${this.voiceSpeed} (increased for faster responses)`);
         console.log(`Streaming TTS: ${this.enableStreamingTTS ? 'Enabled' : 'Disabled'}`);
         console.log(`Max Recording Time: ${this.maxRecordingTime}s (reduced for faster turn-taking)`);
+        console.log(`Barge-in: ${this.enableBargeIn ? `Enabled (threshold ${this.bargeInThreshold})` : 'Disabled'}`);
         console.log('Press Ctrl+C to exit\n');
     }
 
@@ -151,10 +163,9 @@ class VoiceAgent {
 
     async listenForVoice() {
         try {
-            console.log('🎤 Listening... (speak now)');
-            
-            // Record audio using system command
-            const audioFile = await this.recordAudio();
+            // Use the utterance captured during barge-in, otherwise record a new one
+            const audioFile = this.pendingUtterance || await this.recordWithPrompt();
+            this.pendingUtterance = null;
             
             if (audioFile) {
                 console.log('🔄 Processing your speech...');
@@ -167,6 +178,7 @@ class VoiceAgent {
                     
                     // Check for exit command
                     if (text.toLowerCase().includes('goodbye') || text.toLowerCase().includes('exit')) {
+                        this.sessionService.addConversationTurn(this.sessionId, 'user', text);
                         await this.speakOptimized("Thank you for using our service. Have a great day!");
                         console.log('👋 Goodbye!');
                         process.exit(0);
@@ -174,6 +186,7 @@ class VoiceAgent {
                     
                     // Check for help command
                     if (text.toLowerCase().includes('help') || text.toLowerCase().includes('commands')) {
+                        this.sessionService.addConversationTurn(this.sessionId, 'user', text);
                         await this.speakOptimized("Here are the available commands: Say 'generate report' to create an authorization report, or 'goodbye' to end the session.");
                         // Reduced delay - start listening immediately
                         this.listenForVoice();
@@ -182,12 +195,11 @@ class VoiceAgent {
                     
                     // Check for report generation command
                     if (text.toLowerCase().includes('report') || text.toLowerCase().includes('generate report')) {
+                        this.sessionService.addConversationTurn(this.sessionId, 'user', text);
                         const report = this.authService.generateReport(this.sessionId);
-                        const reportPath = path.join(this.tempDir, `auth-report-${this.sessionId}.json`);
                         
                         try {
-                            await fs.writeJson(reportPath, report, { spaces: 2 });
-                            console.log(`📋 Authorization report saved: ${reportPath}`);
+                            const [reportPath] = await this.saveReport(report, `auth-report-${this.sessionId}`);
                             await this.speakOptimized(`I've generated a detailed authorization report for you. You can find it at: ${reportPath}`);
                         } catch (error) {
                             console.error('Error saving report:', error.message);
@@ -198,7 +210,7 @@ class VoiceAgent {
                         return;
                     }
                     
-                    // Process the input using the session service
+                    // Process the input as a conversation turn (runTurn records both sides of it)
                     const response = await this.processInputOptimized(text);
                     console.log(`🤖 Assistant: "${response}"`);
                     
@@ -206,10 +218,12 @@ class VoiceAgent {
                     this.displaySessionState();
                     
                     // Use optimized TTS for faster response
-                    await this.speakOptimized(response);
+                    await this.playResponse(response);
                     
                     // Reduced delay - start listening immediately after TTS starts
                     this.listenForVoice();
+                } else if (await this.waitOnHold()) {
+                    return;
                 } else {
                     console.log('❌ Could not understand speech. Please try again.');
                     await this.speakOptimized("I'm sorry, I didn't catch that. Could you please repeat what you said?");
@@ -223,6 +237,9 @@ class VoiceAgent {
                 setTimeout(() => this.listenForVoice(), 500);
             }
         } catch (error) {
+            if (await this.waitOnHold()) {
+                return;
+            }
             console.error('❌ Error in voice processing:', error.message);
             if (error.message.includes('too small')) {
                 console.log('💡 Tip: Try speaking louder or for a longer duration');
@@ -238,6 +255,28 @@ class VoiceAgent {
         }
     }
 
+    /**
+     * Keep listening quietly while the caller is on hold, checking in when the hold timer runs out
+     * @returns {Promise<boolean>} - True if the caller is on hold and listening has resumed
+     */
+    async waitOnHold() {
+        const status = answerIntentService.holdStatus(this.sessionId);
+        if (!status) return false;
+
+        if (status === 'due') {
+            await this.speakOptimized(answerIntentService.checkIn(this.sessionId).message);
+        }
+        setTimeout(() => this.listenForVoice(), 500);
+        return true;
+    }
+
+    async recordWithPrompt() {
+        console.log('🎤 Listening... (speak now)');
+        
+        // Record audio using system command
+        return this.recordAudio();
+    }
+
     async recordAudio() {
         return new Promise((resolve, reject) => {
             const audioFile = path.join(this.tempDir, `${this.sessionId}_input_${Date.now()}.wav`);
@@ -283,11 +322,7 @@ class VoiceAgent {
 
     async speechToText(audioFilePath) {
         try {
-            const transcription = await this.openai.audio.transcriptions.create({
-                file: fs.createReadStream(audioFilePath),
-                model: "whisper-1",
-                response_format: "text"
-            });
+            const transcription = await providers.get().transcribe(audioFilePath);
 
             // Clean up audio file
             await fs.remove(audioFilePath);
@@ -301,508 +336,88 @@ class VoiceAgent {
         }
     }
 
+    /**
+     * Write a report to the temp directory in each configured format
+     * @param {Object} report - Authorization report
+     * @param {string} baseName - File name without extension
+     * @returns {Promise<Array<string>>} - Paths written, in REPORT_FORMATS order
+     */
+    async saveReport(report, baseName) {
+        const paths = [];
+        for (const format of this.reportFormats) {
+            const rendered = await reportFormatService.render(report, format);
+            const reportPath = path.join(this.tempDir, `${baseName}.${rendered.extension}`);
+            await fs.writeFile(reportPath, rendered.body);
+            console.log(`📋 Authorization report saved: ${reportPath}`);
+            paths.push(reportPath);
+        }
+        return paths;
+    }
+
+    /**
+     * Run the caller's input through the shared conversation pipeline (conversationService.runTurn)
+     * and add what only the terminal agent says: where the report of a decision was saved
+     * @param {string} userInput - Transcribed caller input
+     * @returns {Promise<string>} - Reply to speak
+     */
     async processInputOptimized(userInput) {
         const session = this.sessionService.getSession(this.sessionId);
         if (!session) {
             return "I'm sorry, but I'm having trouble with your session. Let me start over.";
         }
 
-        // Start processing immediately without waiting for previous operations
-        const processingPromise = this.processInputInternal(userInput, session);
-        
-        // Return the promise - the calling code can await it if needed
-        return processingPromise;
-    }
-
-    async processInputInternal(userInput, session) {
-        // Process based on current step
-        if (session.step === 'greeting') {
-            return await this.processGreetingStep(userInput);
-        } else if (session.step === 'question_flow') {
-            return await this.processQuestionStep(userInput);
-        } else if (session.step === 'complete') {
-            return "Your authorization request has been processed. Is there anything else I can help you with?";
-        } else {
-            return "I'm sorry, but I'm not sure how to proceed. Let me transfer you to a human representative.";
-        }
-    }
-
-    async extractInformationWithLLM(userInput, session) {
-        try {
-            const systemPrompt = `You are an AI assistant that extracts specific information from user input for a prior authorization system. 
-
-Extract ONLY the following information if present in the user's input:
-- memberName: The patient's full name (first and last name)
-- dateOfBirth: The patient's date of birth in MM/DD/YYYY format
-- drugName: The name of the medication being requested
-
-Rules:
-1. Only extract information that is explicitly mentioned or clearly implied
-2. For dates, be VERY flexible and convert to MM/DD/YYYY format:
-   - Accept formats like "January 15, 1985", "1/15/85", "01-15-1985", "born in 1985", etc.
-   - For partial dates like "1985", use "01/01/1985"
-   - For "born in 1985", use "01/01/1985"
-3. For drug names, use the most specific/complete name mentioned
-4. If information is not present, set the field to null
-5. Be flexible with how people express information (e.g., "born on", "DOB", "patient is", etc.)
-
-Return ONLY a valid JSON object with these exact field names:
-{
-  "memberName": "string or null",
-  "dateOfBirth": "string in MM/DD/YYYY format or null", 
-  "drugName": "string or null"
-}`;
-
-            const userPrompt = `Extract information from this user input: "${userInput}"
-
-Current session state:
-- memberName: ${session.memberName || 'not provided'}
-- dateOfBirth: ${session.dateOfBirth || 'not provided'}
-- drugName: ${session.drugName || 'not provided'}
-
-What information can you extract from the user's input?`;
-
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 200
-            });
-
-            const content = response.choices[0].message.content.trim();
-            
-            // Try to parse the JSON response
-            try {
-                const extractedInfo = JSON.parse(content);
-                console.log(`🤖 LLM extracted info:`, extractedInfo);
-                
-                // Add fallback pattern matching for dates if LLM didn't find one
-                if (!extractedInfo.dateOfBirth && !session.dateOfBirth) {
-                    const fallbackDate = this.extractDateFallback(userInput);
-                    if (fallbackDate) {
-                        extractedInfo.dateOfBirth = fallbackDate;
-                        console.log(`🔧 Fallback date extraction: "${userInput}" -> "${fallbackDate}"`);
-                    }
-                }
-                
-                return extractedInfo;
-            } catch (parseError) {
-                console.error('Failed to parse LLM response as JSON:', content);
-                console.error('Parse error:', parseError.message);
-                
-                // Try fallback extraction
-                const fallbackInfo = this.extractInformationFallback(userInput, session);
-                console.log(`🔧 Fallback extraction:`, fallbackInfo);
-                return fallbackInfo;
-            }
-        } catch (error) {
-            console.error('LLM extraction error:', error.message);
-            // Try fallback extraction
-            const fallbackInfo = this.extractInformationFallback(userInput, session);
-            console.log(`🔧 Fallback extraction:`, fallbackInfo);
-            return fallbackInfo;
+        const response = await conversationService.runTurn(this.sessionId, userInput);
+        if (response.action !== 'complete') {
+            return response.message;
         }
-    }
 
-    extractDateFallback(userInput) {
-        // Enhanced date extraction patterns
-        const datePatterns = [
-            // MM/DD/YYYY or MM-DD-YYYY
-            /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/,
-            // Month DD, YYYY or Month DD YYYY
-            /(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\s+(\d{1,2}),?\s+(\d{4})/i,
-            // Born in YYYY
-            /born\s+in\s+(\d{4})/i,
-            // Just YYYY
-            /\b(\d{4})\b/
-        ];
-
-        for (const pattern of datePatterns) {
-            const match = userInput.match(pattern);
-            if (match) {
-                if (pattern.source.includes('born\\s+in')) {
-                    // "born in 1985" -> "01/01/1985"
-                    return `01/01/${match[1]}`;
-                } else if (pattern.source.includes('\\b(\\d{4})\\b')) {
-                    // Just year -> "01/01/YYYY"
-                    const year = parseInt(match[1]);
-                    if (year >= 1900 && year <= 2024) {
-                        return `01/01/${match[1]}`;
-                    }
-                } else if (pattern.source.includes('january|february')) {
-                    // Month name format
-                    const monthNames = {
-                        'january': '01', 'jan': '01', 'february': '02', 'feb': '02',
-                        'march': '03', 'mar': '03', 'april': '04', 'apr': '04',
-                        'may': '05', 'june': '06', 'jun': '06', 'july': '07', 'jul': '07',
-                        'august': '08', 'aug': '08', 'september': '09', 'sep': '09',
-                        'october': '10', 'oct': '10', 'november': '11', 'nov': '11',
-                        'december': '12', 'dec': '12'
-                    };
-                    const month = monthNames[match[1].toLowerCase()];
-                    const day = match[2].padStart(2, '0');
-                    const year = match[3];
-                    return `${month}/${day}/${year}`;
-                } else {
-                    // MM/DD/YYYY format
-                    const month = match[1].padStart(2, '0');
-                    const day = match[2].padStart(2, '0');
-                    const year = match[3];
-                    return `${month}/${day}/${year}`;
-                }
-            }
-        }
-        return null;
+        const reportPath = await this.saveDecisionReport();
+        return reportPath
+            ? `${response.message} I've generated a detailed authorization report that you can find at: ${reportPath}`
+            : response.message;
     }
 
-    extractInformationFallback(userInput, session) {
-        const extractedInfo = {
-            memberName: null,
-            dateOfBirth: null,
-            drugName: null
-        };
-
-        // Simple name extraction (look for two consecutive capitalized words)
-        const nameMatch = userInput.match(/\b([A-Z][a-z]+)\s+([A-Z][a-z]+)\b/);
-        if (nameMatch && !session.memberName) {
-            extractedInfo.memberName = `${nameMatch[1]} ${nameMatch[2]}`;
-        }
-
-        // Date extraction using fallback
-        if (!session.dateOfBirth) {
-            const fallbackDate = this.extractDateFallback(userInput);
-            if (fallbackDate) {
-                extractedInfo.dateOfBirth = fallbackDate;
-            }
-        }
-
-        // Simple drug name extraction (look for common medication keywords)
-        const drugKeywords = ['humira', 'enbrel', 'xeljanz', 'remicade', 'cosentyx', 'stelara', 'otezla', 'simponi', 'taltz', 'orencia'];
-        const lowerInput = userInput.toLowerCase();
-        for (const drug of drugKeywords) {
-            if (lowerInput.includes(drug) && !session.drugName) {
-                extractedInfo.drugName = drug.charAt(0).toUpperCase() + drug.slice(1);
-                break;
-            }
-        }
-
-        return extractedInfo;
-    }
-
-    async processGreetingStep(userInput) {
+    /**
+     * Save the report of the decision reached this turn, named after the patient, medication and date
+     * @returns {Promise<string|null>} - Path of the first report written, or null if it could not be saved
+     */
+    async saveDecisionReport() {
         const session = this.sessionService.getSession(this.sessionId);
-        if (!session) {
-            return "I'm sorry, but I'm having trouble with your session. Let me start over.";
+        if (session.decisionRule) {
+            console.log(`📏 Decision rule: ${session.decisionRule.id} (${session.decisionRule.citation || 'no citation'})`);
         }
 
-        // Extract information from user input
-        const extractedInfo = await this.extractInformationWithLLM(userInput, session);
+        // Generate report with user-friendly filename
+        const report = this.authService.generateReport(this.sessionId);
+        const patientName = session.memberName ? session.memberName.replace(/\s+/g, '_') : 'Unknown_Patient';
+        const medication = session.drugName ? session.drugName.replace(/\s+/g, '_') : 'Unknown_Medication';
+        const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
 
-        // Update session with extracted information
-        let updated = false;
-        if (extractedInfo.memberName && !session.memberName) {
-            session.memberName = extractedInfo.memberName;
-            updated = true;
-        }
-        if (extractedInfo.dateOfBirth && !session.dateOfBirth) {
-            session.dateOfBirth = extractedInfo.dateOfBirth;
-            updated = true;
-        }
-        if (extractedInfo.drugName && !session.drugName) {
-            session.drugName = extractedInfo.drugName;
-            updated = true;
-        }
-
-        // Determine what information is still needed
-        const missingInfo = [];
-        if (!session.memberName) missingInfo.push('patient name');
-        if (!session.dateOfBirth) missingInfo.push('date of birth');
-        if (!session.drugName) missingInfo.push('medication name');
-
-        if (missingInfo.length === 0) {
-            // All information collected, find the drug and start question flow
-            const drugMatch = this.sessionService.findDrugWithConfidence(session.drugName);
-            
-            if (!drugMatch.drug) {
-                let response = `I'm sorry, but I don't recognize "${session.drugName}" in our system.`;
-                
-                if (drugMatch.alternatives.length > 0) {
-                    response += ` Did you mean one of these medications: ${drugMatch.alternatives.map(alt => alt.name).join(', ')}?`;
-                } else {
-                    response += ` Could you please provide the exact name of the medication you're requesting? You can also try using the generic name if available.`;
-                }
-                
-                return response;
-            }
-            
-            // If confidence is low, ask for confirmation
-            if (drugMatch.confidence < 0.8) {
-                return `I think you're requesting ${drugMatch.drug.name}. Is that correct? If not, please provide the exact medication name.`;
-            }
-            
-            const drug = drugMatch.drug;
-            
-            // Initialize question flow
-            this.sessionService.initializeQuestionFlow(this.sessionId, drug.id);
-            this.sessionService.updateSession(this.sessionId, { drugName: drug.name });
-            
-            const currentQuestion = this.sessionService.getCurrentQuestion(this.sessionId);
-            
-            return `Thank you. I found ${drug.name} in our system. Now I need to ask you some clinical questions to process this authorization. ${currentQuestion.text}`;
-        } else {
-            // Still need more information
-            const missingText = missingInfo.join(' and ');
-            if (missingInfo.length === 1) {
-                return `I still need the patient's ${missingText}. Could you please provide that?`;
-            } else {
-                return `I still need the patient's ${missingText}. Could you please provide this information?`;
-            }
-        }
-    }
-
-    async processAnswerWithLLM(userInput, currentQuestion) {
         try {
-            const systemPrompt = `You are an AI assistant that helps process answers to medical questions for prior authorization requests.
-
-Your task is to determine if the user's answer to a medical question is "Yes", "No", or "Unknown/Unclear".
-
-Rules:
-1. Look for clear affirmative words: yes, yep, yeah, sure, correct, right, true, positive, etc.
-2. Look for clear negative words: no, nope, nah, not, negative, false, incorrect, wrong, etc.
-3. If the answer is unclear, ambiguous, or the user says they don't know, return "Unknown"
-4. Be flexible with how people express yes/no answers
-5. Consider context and medical terminology
-
-Return ONLY one word: "Yes", "No", or "Unknown"`;
-
-            const userPrompt = `Question: "${currentQuestion.text}"
-
-User's answer: "${userInput}"
-
-What is the user's answer?`;
-
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 10
-            });
-
-            const answer = response.choices[0].message.content.trim().toLowerCase();
-            
-            if (answer === 'yes') return 'Yes';
-            if (answer === 'no') return 'No';
-            return 'Unknown';
+            const [reportPath] = await this.saveReport(report, `${patientName}_${medication}_${date}`);
+            return reportPath;
         } catch (error) {
-            console.error('LLM answer processing error:', error.message);
-            // Fallback to simple keyword matching
-            const lowerInput = userInput.toLowerCase();
-            if (lowerInput.includes('yes') || lowerInput.includes('yep') || lowerInput.includes('yeah') || lowerInput.includes('sure')) {
-                return 'Yes';
-            } else if (lowerInput.includes('no') || lowerInput.includes('nope') || lowerInput.includes('not')) {
-                return 'No';
-            } else {
-                return 'Unknown';
-            }
-        }
-    }
-
-    makeDecisionFromAnswers(session) {
-        // Get the drug and question set to understand the criteria
-        const drug = this.sessionService.drugsData.drugs.find(d => d.id === session.drugId);
-        if (!drug) {
-            return { decision: 'deny', reason: 'Drug information not found' };
-        }
-
-        const questionSet = this.sessionService.getQuestionSet(drug.questionSet);
-        if (!questionSet) {
-            return { decision: 'deny', reason: 'Question set not found' };
-        }
-
-        // For Humira (biologic_anti_tnf), check the specific criteria
-        if (drug.questionSet === 'biologic_anti_tnf') {
-            return this.evaluateAntiTNFCriteria(session);
-        }
-
-        // Default decision logic
-        return { decision: 'documentation_required', reason: 'Additional clinical documentation required for final decision' };
-    }
-
-    evaluateAntiTNFCriteria(session) {
-        const answers = session.answers;
-        
-        // Check diagnosis
-        if (answers.diagnosis) {
-            const diagnosis = answers.diagnosis.toLowerCase();
-            if (diagnosis.includes('other') || diagnosis.includes('unknown')) {
-                return { decision: 'deny', reason: 'Diagnosis not covered under current authorization criteria' };
-            }
-        }
-
-        // Check disease duration
-        if (answers.disease_duration) {
-            const duration = answers.disease_duration.toLowerCase();
-            if (duration.includes('less than 6 months')) {
-                return { decision: 'deny', reason: 'Disease duration less than 6 months - insufficient time for conventional therapy trial' };
-            }
-        }
-
-        // Check psoriasis severity
-        if (answers.psoriasis_severity) {
-            const severity = answers.psoriasis_severity.toLowerCase();
-            if (severity.includes('mild') || severity.includes('less than 3%')) {
-                return { decision: 'deny', reason: 'Mild psoriasis - does not meet severity criteria for biologic therapy' };
-            }
-        }
-
-        // Check conventional therapy
-        if (answers.conventional_therapy === 'No') {
-            return { decision: 'deny', reason: 'Patient has not tried conventional therapy as required' };
-        }
-
-        // Check infection screening
-        if (answers.infection_screening === 'No') {
-            return { decision: 'documentation_required', reason: 'Infection screening required before authorization' };
-        }
-
-        // Check infection results
-        if (answers.infection_results) {
-            const results = answers.infection_results.toLowerCase();
-            if (results.includes('positive for tb') || results.includes('positive for other infections')) {
-                return { decision: 'deny', reason: 'Positive infection screening - contraindication to biologic therapy' };
-            }
-            if (results.includes('pending')) {
-                return { decision: 'documentation_required', reason: 'Pending infection screening results required' };
-            }
-        }
-
-        // If we get here, the patient meets the criteria
-        return { decision: 'approve', reason: 'Patient meets all clinical criteria for biologic therapy' };
-    }
-
-    async processQuestionStep(userInput) {
-        const session = this.sessionService.getSession(this.sessionId);
-        if (!session) {
-            return "I'm sorry, but I'm having trouble with your session. Let me start over.";
-        }
-
-        const currentQuestion = this.sessionService.getCurrentQuestion(this.sessionId);
-        if (!currentQuestion) {
-            // No more questions, complete the session
-            session.step = 'complete';
-            this.sessionService.updateSession(this.sessionId, session);
-            return "Thank you. I have all the information I need to process your authorization request. You can say 'generate report' to create a detailed authorization report.";
-        }
-
-        // Process the answer using LLM
-        const answer = await this.processAnswerWithLLM(userInput, currentQuestion);
-        
-        // Process the answer using the session service
-        const result = this.sessionService.processAnswer(this.sessionId, answer);
-        
-        if (result.action === 'complete') {
-            // Process the final decision
-            const decision = this.authService.processDecision(this.sessionId, result.decision, result.reason);
-            
-            // Generate report with user-friendly filename
-            const report = this.authService.generateReport(this.sessionId);
-            const patientName = session.memberName ? session.memberName.replace(/\s+/g, '_') : 'Unknown_Patient';
-            const medication = session.drugName ? session.drugName.replace(/\s+/g, '_') : 'Unknown_Medication';
-            const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-            const reportPath = path.join(this.tempDir, `${patientName}_${medication}_${date}.json`);
-            
-            try {
-                await fs.writeJson(reportPath, report, { spaces: 2 });
-                console.log(`📋 Authorization report saved: ${reportPath}`);
-            } catch (error) {
-                console.error('Error saving report:', error.message);
-            }
-            
-            let response = "";
-            
-            if (result.decision === 'approve') {
-                response = "Based on the information provided, I'm pleased to inform you that your authorization request has been approved. The medication will be covered according to your plan's formulary.";
-            } else if (result.decision === 'deny') {
-                response = `I'm sorry, but I must deny this authorization request. ${result.reason || 'The clinical criteria for this medication have not been met.'}`;
-            } else if (result.decision === 'documentation_required') {
-                response = "I need additional clinical documentation to process this authorization. Please submit the required documentation through our provider portal or fax system.";
-            }
-            
-            response += ` I've generated a detailed authorization report that you can find at: ${reportPath}`;
-            
-            return response;
-        } else if (result.action === 'next_question') {
-            if (result.question) {
-                return result.question.text;
-            } else {
-                // No more questions but no decision reached - need to make a decision based on answers
-                const session = this.sessionService.getSession(this.sessionId);
-                const decision = this.makeDecisionFromAnswers(session);
-                
-                // Update session with decision
-                session.decision = decision.decision;
-                session.decisionReason = decision.reason;
-                session.step = 'complete';
-                this.sessionService.updateSession(this.sessionId, session);
-                
-                // Process the decision
-                const decisionResult = this.authService.processDecision(this.sessionId, decision.decision, decision.reason);
-                
-                // Generate report with user-friendly filename
-                const report = this.authService.generateReport(this.sessionId);
-                const patientName = session.memberName ? session.memberName.replace(/\s+/g, '_') : 'Unknown_Patient';
-                const medication = session.drugName ? session.drugName.replace(/\s+/g, '_') : 'Unknown_Medication';
-                const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-                const reportPath = path.join(this.tempDir, `${patientName}_${medication}_${date}.json`);
-                
-                try {
-                    await fs.writeJson(reportPath, report, { spaces: 2 });
-                    console.log(`📋 Authorization report saved: ${reportPath}`);
-                } catch (error) {
-                    console.error('Error saving report:', error.message);
-                }
-                
-                let response = "";
-                
-                if (decision.decision === 'approve') {
-                    response = "Based on the information provided, I'm pleased to inform you that your authorization request has been approved. The medication will be covered according to your plan's formulary.";
-                } else if (decision.decision === 'deny') {
-                    response = `I'm sorry, but I must deny this authorization request. ${decision.reason || 'The clinical criteria for this medication have not been met.'}`;
-                } else if (decision.decision === 'documentation_required') {
-                    response = "I need additional clinical documentation to process this authorization. Please submit the required documentation through our provider portal or fax system.";
-                }
-                
-                response += ` I've generated a detailed authorization report that you can find at: ${reportPath}`;
-                
-                return response;
-            }
-        } else {
-            return "I'm sorry, I didn't understand your response. Could you please repeat that?";
+            console.error('Error saving report:', error.message);
+            return null;
         }
     }
 
     async speak(text) {
         try {
-            const speechFile = path.join(this.tempDir, `${this.sessionId}_output_${Date.now()}.mp3`);
+            const provider = providers.get();
+            const speechFile = path.join(this.tempDir, `${this.sessionId}_output_${Date.now()}.${provider.speechFormat}`);
             
-            const mp3 = await this.openai.audio.speech.create({
-                model: "gpt-4o-mini-tts",
+            const buffer = await provider.synthesize({
+                text,
                 voice: this.voiceModel,
-                input: text,
                 speed: this.voiceSpeed
             });
 
-            const buffer = Buffer.from(await mp3.arrayBuffer());
             await fs.writeFile(speechFile, buffer);
             
             // Play the audio file
-            await this.playAudio(speechFile);
+            this.sessionService.addConversationTurn(this.sessionId, 'assistant', text);
+            await this.playInterruptible(speechFile, text);
             
             // Clean up the audio file
             await fs.remove(speechFile);
@@ -845,7 +460,8 @@ What is the user's answer?`;
             this.currentAudioPlayer.on('close', (code) => {
                 this.isPlayingAudio = false;
                 this.currentAudioPlayer = null;
-                if (code === 0) {
+                // A player stopped by barge-in exits with a signal rather than code 0
+                if (code === 0 || this.playbackInterrupted) {
                     resolve();
                 } else {
                     reject(new Error(`Audio playback failed with code ${code}`));
@@ -860,6 +476,140 @@ What is the user's answer?`;
         });
     }
 
+    /**
+     * Play audio while listening for the caller to talk over it (barge-in).
+     * When speech is detected the player is stopped, the rest of the utterance is captured into
+     * `pendingUtterance` for the next turn, and the assistant turn is marked as interrupted.
+     * @param {string} audioFilePath - Audio to play
+     * @param {string} text - Text being spoken, used to estimate how much was heard
+     */
+    async playInterruptible(audioFilePath, text) {
+        if (!this.enableBargeIn) {
+            return this.playAudio(audioFilePath);
+        }
+
+        const startedAt = Date.now();
+        let interruptedAt = null;
+
+        const monitor = this.startBargeInMonitor(() => {
+            if (this.isPlayingAudio && this.currentAudioPlayer) {
+                interruptedAt = Date.now();
+                this.playbackInterrupted = true;
+                this.currentAudioPlayer.kill();
+            }
+        });
+
+        try {
+            await this.playAudio(audioFilePath);
+        } finally {
+            this.playbackInterrupted = false;
+            // Keep recording if the caller has already started talking
+            if (!monitor.isSpeaking()) {
+                monitor.stop();
+            }
+        }
+
+        const utteranceFile = await monitor.utterance;
+        if (utteranceFile) {
+            this.pendingUtterance = utteranceFile;
+        }
+
+        if (interruptedAt !== null) {
+            const heard = this.estimateHeardPortion(text, interruptedAt - startedAt);
+            this.sessionService.markTurnInterrupted(this.sessionId, heard);
+            console.log(`✋ Barge-in after ${heard.playedMs}ms - caller heard: "${heard.heardText}"`);
+        }
+    }
+
+    /**
+     * Stream microphone PCM from sox into a speech detector
+     * @param {Function} onSpeechStart - Called once when the caller starts speaking
+     * @returns {Object} - { utterance: Promise<string|null>, isSpeaking(), stop() }
+     */
+    startBargeInMonitor(onSpeechStart) {
+        const detector = new SpeechDetector({
+            threshold: this.bargeInThreshold,
+            maxMs: this.maxRecordingTime * 1000
+        });
+
+        const sox = spawn('sox', [
+            '-q', '-d', // Default input device, no progress output
+            '-t', 'raw', '-r', '16000', '-b', '16', '-c', '1', '-e', 'signed-integer',
+            '-' // Stream to stdout
+        ]);
+
+        let settled = false;
+        let resolveUtterance;
+        const utterance = new Promise(resolve => {
+            resolveUtterance = resolve;
+        });
+
+        const finish = async () => {
+            if (settled) return;
+            settled = true;
+            sox.kill();
+            this.bargeInMonitor = null;
+
+            if (detector.state === 'waiting') {
+                resolveUtterance(null);
+                return;
+            }
+
+            try {
+                const audioFile = path.join(this.tempDir, `${this.sessionId}_input_${Date.now()}.wav`);
+                await fs.writeFile(audioFile, detector.toWav());
+                resolveUtterance(audioFile);
+            } catch (error) {
+                console.error('Error saving barge-in audio:', error.message);
+                resolveUtterance(null);
+            }
+        };
+
+        sox.stdout.on('data', (chunk) => {
+            const events = detector.push(chunk);
+            if (events.started) {
+                onSpeechStart();
+            }
+            if (events.ended) {
+                finish();
+            }
+        });
+
+        sox.on('close', finish);
+        sox.on('error', () => {
+            console.log('⚠️  Barge-in disabled: sox is not available for input monitoring');
+            this.enableBargeIn = false;
+            finish();
+        });
+
+        const monitor = {
+            utterance,
+            isSpeaking: () => detector.state === 'speaking',
+            stop: finish
+        };
+        this.bargeInMonitor = monitor;
+        return monitor;
+    }
+
+    /**
+     * Estimate how much of a message was heard before playback was cut off
+     * @param {string} text - Message being spoken
+     * @param {number} playedMs - Milliseconds of playback before the interruption
+     * @returns {Object} - { playedMs, heardText, heardFraction }
+     */
+    estimateHeardPortion(text, playedMs) {
+        const words = text.split(/\s+/).filter(Boolean);
+        // Roughly 150 words per minute at normal speed
+        const estimatedMs = (words.length / (2.5 * this.voiceSpeed)) * 1000;
+        const heardFraction = estimatedMs > 0 ? Math.min(playedMs / estimatedMs, 1) : 1;
+
+        return {
+            playedMs,
+            heardText: words.slice(0, Math.round(words.length * heardFraction)).join(' '),
+            heardFraction: Math.round(heardFraction * 100) / 100
+        };
+    }
+
     async cleanup() {
         try {
             // Stop any playing audio
@@ -868,6 +618,11 @@ What is the user's answer?`;
                 this.currentAudioPlayer = null;
             }
             
+            // Stop listening for barge-in
+            if (this.bargeInMonitor) {
+                this.bargeInMonitor.stop();
+            }
+            
             const files = await fs.readdir(this.tempDir);
             for (const file of files) {
                 if (file.startsWith(this.sessionId)) {
@@ -912,16 +667,15 @@ What is the user's answer?`;
         
         for (const response of commonResponses) {
             try {
-                const speechFile = path.join(this.tempDir, `preload_${Buffer.from(response).toString('base64').substring(0, 20)}.mp3`);
+                const provider = providers.get();
+                const speechFile = path.join(this.tempDir, `preload_${Buffer.from(response).toString('base64').substring(0, 20)}.${provider.speechFormat}`);
                 
-                const mp3 = await this.openai.audio.speech.create({
-                    model: "gpt-4o-mini-tts",
+                const buffer = await provider.synthesize({
+                    text: response,
                     voice: this.voiceModel,
-                    input: response,
                     speed: this.voiceSpeed
                 });
 
-                const buffer = Buffer.from(await mp3.arrayBuffer());
                 await fs.writeFile(speechFile, buffer);
                 
                 this.responseCache.set(response, speechFile);
@@ -934,34 +688,43 @@ What is the user's answer?`;
     }
 
     async speakOptimized(text) {
+        this.sessionService.addConversationTurn(this.sessionId, 'assistant', text);
+        return this.playResponse(text);
+    }
+
+    /**
+     * Synthesize and play a reply that is already in the conversation history
+     * @param {string} text - Reply to speak
+     * @returns {Promise<boolean>} - False if speech could not be synthesized
+     */
+    async playResponse(text) {
         // Check if we have a pre-generated response
         if (this.responseCache.has(text)) {
             const cachedFile = this.responseCache.get(text);
             if (fs.existsSync(cachedFile)) {
                 console.log('🎵 Using cached audio response');
-                // Wait for audio playback to complete
-                await this.playAudio(cachedFile);
+                // Wait for audio playback (or a barge-in) to complete
+                await this.playInterruptible(cachedFile, text);
                 return true;
             }
         }
         
         // Use streaming TTS for faster response
         try {
-            const speechFile = path.join(this.tempDir, `${this.sessionId}_output_${Date.now()}.mp3`);
+            const provider = providers.get();
+            const speechFile = path.join(this.tempDir, `${this.sessionId}_output_${Date.now()}.${provider.speechFormat}`);
             
             // Start TTS generation
-            const mp3 = await this.openai.audio.speech.create({
-                model: "gpt-4o-mini-tts",
+            const buffer = await provider.synthesize({
+                text,
                 voice: this.voiceModel,
-                input: text,
                 speed: this.voiceSpeed
             });
 
-            const buffer = Buffer.from(await mp3.arrayBuffer());
             await fs.writeFile(speechFile, buffer);
             
             // Start playing immediately
-            await this.playAudio(speechFile);
+            await this.playInterruptible(speechFile, text);
             
             // Clean up after playback
             await fs.remove(speechFile);
@@ -975,17 +738,17 @@ What is the user's answer?`;
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down Voice Agent...');
-    if (global.voiceAgent) {
-        await global.voiceAgent.cleanup();
-    }
-    process.exit(0);
-});
-
 // Start the voice agent
 async function main() {
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 Shutting down Voice Agent...');
+        if (global.voiceAgent) {
+            await global.voiceAgent.cleanup();
+        }
+        process.exit(0);
+    });
+
     try {
         global.voiceAgent = new VoiceAgent();
         await global.voiceAgent.start();
@@ -995,4 +758,9 @@ async function main() {
     }
 }
 
-main(); 
\ No newline at end of file
+// Run with `npm run voice`; tests require the class without starting a call
+if (require.main === module) {
+    main();
+}
+
+module.exports = VoiceAgent;